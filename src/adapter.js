@@ -19,9 +19,10 @@ export class ApiServiceAdapter {
      * Generate content
      * @param {string} model - Model name
      * @param {object} requestBody - Request body
+     * @param {object} [options] - Optional. { signal } (AbortSignal) to cancel the request
      * @returns {Promise<object>} - API response
      */
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         throw new Error("Method 'generateContent()' must be implemented.");
     }
 
@@ -43,6 +44,20 @@ export class ApiServiceAdapter {
         throw new Error("Method 'listModels()' must be implemented.");
     }
 
+    /**
+     * Create embeddings. Only the OpenAI-compatible and Gemini backends serve embedding models,
+     * so this is optional and the default rejects the request.
+     * @param {string} model - Model name
+     * @param {object} requestBody - Request body in the backend's embedding format
+     * @param {object} [options] - Optional. { signal } (AbortSignal) to cancel the request
+     * @returns {Promise<object>} - API response
+     */
+    async createEmbeddings(model, requestBody, options = {}) {
+        const error = new Error(`Embeddings are not supported by this provider.`);
+        error.status = 400;
+        throw error;
+    }
+
     /**
      * Refresh authentication token
      * @returns {Promise<void>}
@@ -62,12 +77,12 @@ export class GeminiApiServiceAdapter extends ApiServiceAdapter {
         // });
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         if (!this.geminiApiService.isInitialized) {
             console.warn("geminiApiService not initialized, attempting to re-initialize...");
             await this.geminiApiService.initialize();
         }
-        return this.geminiApiService.generateContent(model, requestBody);
+        return this.geminiApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -87,6 +102,28 @@ export class GeminiApiServiceAdapter extends ApiServiceAdapter {
         return this.geminiApiService.listModels();
     }
 
+    async createEmbeddings(model, requestBody, options = {}) {
+        if (!this.geminiApiService.isInitialized) {
+            console.warn("geminiApiService not initialized, attempting to re-initialize...");
+            await this.geminiApiService.initialize();
+        }
+        return this.geminiApiService.createEmbeddings(model, requestBody, options);
+    }
+
+    /**
+     * Creates a Gemini context cache for this account (used by the prompt cache service).
+     * @param {string} model - The model name
+     * @param {object} cacheBody - The cachedContents body
+     * @returns {Promise<object>} - The created cachedContent
+     */
+    async createCachedContent(model, cacheBody) {
+        if (!this.geminiApiService.isInitialized) {
+            console.warn("geminiApiService not initialized, attempting to re-initialize...");
+            await this.geminiApiService.initialize();
+        }
+        return this.geminiApiService.createCachedContent(model, cacheBody);
+    }
+
     async refreshToken() {
         if(this.geminiApiService.isExpiryDateNear()===true){
             console.log(`[Gemini] Expiry date is near, refreshing token...`);
@@ -115,12 +152,12 @@ export class AntigravityApiServiceAdapter extends ApiServiceAdapter {
         this.antigravityApiService = new AntigravityApiService(config);
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         if (!this.antigravityApiService.isInitialized) {
             console.warn("antigravityApiService not initialized, attempting to re-initialize...");
             await this.antigravityApiService.initialize();
         }
-        return this.antigravityApiService.generateContent(model, requestBody);
+        return this.antigravityApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -167,10 +204,10 @@ export class OpenAIApiServiceAdapter extends ApiServiceAdapter {
         this.openAIApiService = new OpenAIApiService(config);
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         // The adapter now expects the requestBody to be in the native OpenAI format.
         // The conversion logic is handled upstream in the server.
-        return this.openAIApiService.generateContent(model, requestBody);
+        return this.openAIApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -185,6 +222,11 @@ export class OpenAIApiServiceAdapter extends ApiServiceAdapter {
         return this.openAIApiService.listModels();
     }
 
+    async createEmbeddings(model, requestBody, options = {}) {
+        // The adapter expects the requestBody to be in the OpenAI embeddings format.
+        return this.openAIApiService.createEmbeddings(model, requestBody, options);
+    }
+
     async refreshToken() {
         // OpenAI API keys are typically static and do not require refreshing.
         return Promise.resolve();
@@ -198,9 +240,9 @@ export class OpenAIResponsesApiServiceAdapter extends ApiServiceAdapter {
         this.openAIResponsesApiService = new OpenAIResponsesApiService(config);
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         // The adapter expects the requestBody to be in the OpenAI Responses format.
-        return this.openAIResponsesApiService.generateContent(model, requestBody);
+        return this.openAIResponsesApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -214,6 +256,11 @@ export class OpenAIResponsesApiServiceAdapter extends ApiServiceAdapter {
         return this.openAIResponsesApiService.listModels();
     }
 
+    async createEmbeddings(model, requestBody, options = {}) {
+        // Responses backends are OpenAI-compatible servers, so embeddings use the OpenAI format.
+        return this.openAIResponsesApiService.createEmbeddings(model, requestBody, options);
+    }
+
     async refreshToken() {
         // OpenAI API keys are typically static and do not require refreshing.
         return Promise.resolve();
@@ -227,9 +274,9 @@ export class ClaudeApiServiceAdapter extends ApiServiceAdapter {
         this.claudeApiService = new ClaudeApiService(config);
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         // The adapter now expects the requestBody to be in the native Claude format.
-        return this.claudeApiService.generateContent(model, requestBody);
+        return this.claudeApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -255,8 +302,8 @@ export class ClaudeCodeApiServiceAdapter extends ApiServiceAdapter {
         this.claudeCodeApiService = new ClaudeCodeApiService(config);
     }
 
-    async generateContent(model, requestBody) {
-        return this.claudeCodeApiService.generateContent(model, requestBody);
+    async generateContent(model, requestBody, options = {}) {
+        return this.claudeCodeApiService.generateContent(model, requestBody, options);
     }
 
     async *generateContentStream(model, requestBody) {
@@ -0,0 +1,582 @@
+import { MODEL_PROTOCOL_PREFIX, getProtocolPrefix } from './common.js';
+import streamFailover from './stream-failover.js';
+
+/**
+ * Anti-truncation: when a response stops because it hit the output token limit
+ * (Gemini `MAX_TOKENS`, OpenAI `length`, Claude `max_tokens`, Responses `max_output_tokens`),
+ * the request is sent again with the text generated so far and the continuations are
+ * stitched into one response. Works as a wrapper around a service adapter, in the
+ * provider's native format, for unary and streaming requests.
+ */
+
+const DEFAULT_MODEL_PREFIX = 'anti-';
+const DEFAULT_MAX_ROUNDS = 3;
+
+// Request header that enables anti-truncation for a single request
+const ANTI_TRUNCATION_HEADER = 'x-anti-truncation';
+
+// Continuation text is held back until this many characters have arrived, to find text repeated from the previous round
+const OVERLAP_WINDOW = 500;
+// Shorter overlaps are treated as a coincidence
+const MIN_OVERLAP = 10;
+
+/**
+ * Returns the anti-truncation settings.
+ * Config shape (config.json `antiTruncation`):
+ *   { enabled: true, modelPrefix: 'anti-', maxRounds: 3, mode: 'auto' | 'prefill' | 'continuation', continuationPrompt }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.antiTruncation || {};
+    const maxRounds = Number(settings.maxRounds);
+    return {
+        enabled: settings.enabled !== false,
+        modelPrefix: typeof settings.modelPrefix === 'string' ? settings.modelPrefix : DEFAULT_MODEL_PREFIX,
+        maxRounds: Number.isInteger(maxRounds) && maxRounds >= 0 ? maxRounds : DEFAULT_MAX_ROUNDS,
+        mode: settings.mode,
+        continuationPrompt: settings.continuationPrompt
+    };
+}
+
+/**
+ * Checks whether a request asks for anti-truncation, by model prefix (`anti-gemini-2.5-pro`)
+ * or the `x-anti-truncation` header. Aliases enable it with `antiTruncation: true` (see model-alias-service.js).
+ * @param {Object} config - The server configuration
+ * @param {string} model - The requested model
+ * @param {Object} [headers] - Request headers (lowercase names)
+ * @returns {{model: string, requested: boolean}} The model without the prefix and whether anti-truncation was asked for
+ */
+function resolveAntiTruncation(config, model, headers = {}) {
+    const settings = getSettings(config);
+    if (!settings.enabled || !model) {
+        return { model, requested: false };
+    }
+    const prefix = settings.modelPrefix;
+    if (prefix && model.startsWith(prefix) && model.length > prefix.length) {
+        return { model: model.slice(prefix.length), requested: true };
+    }
+    const header = String(headers?.[ANTI_TRUNCATION_HEADER] ?? '').trim().toLowerCase();
+    return { model, requested: ['1', 'true', 'yes', 'on'].includes(header) };
+}
+
+/**
+ * Returns the protocol of a provider's native responses (Claude Code answers in the OpenAI format).
+ * @private
+ */
+function _nativeProtocol(toProvider) {
+    const protocol = getProtocolPrefix(toProvider);
+    return protocol === MODEL_PROTOCOL_PREFIX.CLAUDE_CODE ? MODEL_PROTOCOL_PREFIX.OPENAI : protocol;
+}
+
+/**
+ * Returns the length of the longest start of `next` that repeats the end of `previous`.
+ * @param {string} previous - Text generated so far
+ * @param {string} next - Start of the continuation
+ * @returns {number} Number of characters to drop from `next` (0 if the overlap is shorter than MIN_OVERLAP)
+ */
+function findOverlap(previous, next) {
+    const max = Math.min(previous.length, next.length, OVERLAP_WINDOW);
+    for (let length = max; length >= MIN_OVERLAP; length--) {
+        if (previous.endsWith(next.slice(0, length))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+// --- Stream frames ---
+
+/**
+ * Separates the frames that close a stream (finish reason, stop events, usage-only frames)
+ * from content. Closing frames are held back so they can be dropped if the stream continues.
+ * A frame carrying both content and a finish reason is split in two.
+ * @private
+ * @returns {{content: Object|null, closing: Object|null, truncated: boolean}}
+ */
+function _splitFrame(protocol, frame) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const choice = frame?.choices?.[0];
+            if (!choice) {
+                return frame?.usage ? { content: null, closing: frame, truncated: false } : { content: frame, closing: null, truncated: false };
+            }
+            if (!choice.finish_reason) {
+                return { content: frame, closing: null, truncated: false };
+            }
+            const truncated = choice.finish_reason === 'length';
+            const delta = choice.delta || {};
+            if (!delta.content && !delta.tool_calls) {
+                return { content: null, closing: frame, truncated };
+            }
+            // Usage stays on the closing half only
+            const { usage, ...contentFrame } = frame;
+            return {
+                content: { ...contentFrame, choices: [{ ...choice, finish_reason: null }] },
+                closing: { ...frame, choices: [{ ...choice, delta: {} }] },
+                truncated
+            };
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const candidate = frame?.candidates?.[0];
+            if (!candidate?.finishReason) {
+                return { content: frame, closing: null, truncated: false };
+            }
+            const truncated = candidate.finishReason === 'MAX_TOKENS';
+            const parts = candidate.content?.parts || [];
+            if (parts.length === 0) {
+                return { content: null, closing: frame, truncated };
+            }
+            const { finishReason, ...contentCandidate } = candidate;
+            const { usageMetadata, ...contentFrame } = frame;
+            return {
+                content: { ...contentFrame, candidates: [contentCandidate] },
+                closing: { ...frame, candidates: [{ ...candidate, content: { ...candidate.content, parts: [] } }] },
+                truncated
+            };
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE: {
+            if (['content_block_stop', 'message_delta', 'message_stop'].includes(frame?.type)) {
+                return { content: null, closing: frame, truncated: frame.type === 'message_delta' && frame.delta?.stop_reason === 'max_tokens' };
+            }
+            return { content: frame, closing: null, truncated: false };
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            const closingTypes = ['response.output_text.done', 'response.content_part.done', 'response.output_item.done', 'response.completed', 'response.incomplete'];
+            if (closingTypes.includes(frame?.type)) {
+                const truncated = frame.type === 'response.incomplete' && frame.response?.incomplete_details?.reason === 'max_output_tokens';
+                return { content: null, closing: frame, truncated };
+            }
+            return { content: frame, closing: null, truncated: false };
+        }
+        default:
+            return { content: frame, closing: null, truncated: false };
+    }
+}
+
+/**
+ * Returns the answer text carried by a frame, or null if it carries none.
+ * @private
+ */
+function _getFrameText(protocol, frame) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+            return typeof frame?.choices?.[0]?.delta?.content === 'string' ? frame.choices[0].delta.content : null;
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const parts = (frame?.candidates?.[0]?.content?.parts || []).filter(part => typeof part.text === 'string' && !part.thought);
+            return parts.length > 0 ? parts.map(part => part.text).join('') : null;
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            return frame?.type === 'content_block_delta' && frame.delta?.type === 'text_delta' ? frame.delta.text : null;
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
+            return frame?.type === 'response.output_text.delta' ? frame.delta : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Replaces the answer text of a frame (see _getFrameText).
+ * @private
+ */
+function _setFrameText(protocol, frame, text) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+            frame.choices[0].delta.content = text;
+            break;
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const textParts = frame.candidates[0].content.parts.filter(part => typeof part.text === 'string' && !part.thought);
+            textParts.forEach((part, index) => { part.text = index === 0 ? text : ''; });
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            frame.delta.text = text;
+            break;
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
+            frame.delta = text;
+            break;
+    }
+}
+
+/**
+ * Returns the output token count reported by a frame or response, or null.
+ * @private
+ */
+function _getOutputTokens(protocol, payload) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+            return payload?.usage?.completion_tokens ?? null;
+        case MODEL_PROTOCOL_PREFIX.GEMINI:
+            return payload?.usageMetadata?.candidatesTokenCount ?? null;
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            return payload?.usage?.output_tokens ?? null;
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
+            return (payload?.response?.usage || payload?.usage)?.output_tokens ?? null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Adds the output tokens of earlier rounds to the usage of a frame or response, if it has any.
+ * @private
+ */
+function _addOutputTokens(protocol, payload, tokens) {
+    if (!tokens) return;
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+            if (payload?.usage) {
+                payload.usage.completion_tokens = (payload.usage.completion_tokens || 0) + tokens;
+                if (payload.usage.total_tokens !== undefined) payload.usage.total_tokens += tokens;
+            }
+            break;
+        case MODEL_PROTOCOL_PREFIX.GEMINI:
+            if (payload?.usageMetadata) {
+                payload.usageMetadata.candidatesTokenCount = (payload.usageMetadata.candidatesTokenCount || 0) + tokens;
+                if (payload.usageMetadata.totalTokenCount !== undefined) payload.usageMetadata.totalTokenCount += tokens;
+            }
+            break;
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            if (payload?.usage) {
+                payload.usage.output_tokens = (payload.usage.output_tokens || 0) + tokens;
+            }
+            break;
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            const usage = payload?.response?.usage || payload?.usage;
+            if (usage) {
+                usage.output_tokens = (usage.output_tokens || 0) + tokens;
+                if (usage.total_tokens !== undefined) usage.total_tokens += tokens;
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Rewrites an OpenAI Responses event of a continuation round so it belongs to the first round's
+ * message: the opening events are dropped, item ids point at the first message, sequence numbers
+ * keep counting and the closing events carry the complete text.
+ * @private
+ */
+function _stitchResponsesEvent(stitch, event, round, fullText) {
+    if (round === 0) {
+        if (event.type === 'response.output_text.delta' && !stitch.itemId) {
+            stitch.itemId = event.item_id;
+            stitch.outputIndex = event.output_index;
+            stitch.contentIndex = event.content_index;
+        }
+        if (Number.isInteger(event.sequence_number)) {
+            stitch.nextSequence = event.sequence_number + 1;
+        }
+        return event;
+    }
+
+    if (['response.created', 'response.in_progress', 'response.output_item.added', 'response.content_part.added'].includes(event.type)) {
+        return null;
+    }
+    if (Number.isInteger(event.sequence_number)) {
+        event.sequence_number = stitch.nextSequence++;
+    }
+    if (stitch.itemId && event.item_id !== undefined) {
+        event.item_id = stitch.itemId;
+        event.output_index = stitch.outputIndex;
+        if (event.content_index !== undefined) event.content_index = stitch.contentIndex;
+    }
+
+    const setText = (content) => {
+        for (const part of content || []) {
+            if (part.type === 'output_text') part.text = fullText;
+        }
+    };
+    switch (event.type) {
+        case 'response.output_text.done':
+            event.text = fullText;
+            break;
+        case 'response.content_part.done':
+            if (event.part?.type === 'output_text') event.part.text = fullText;
+            break;
+        case 'response.output_item.done':
+            if (event.item?.type === 'message') {
+                if (stitch.itemId) event.item.id = stitch.itemId;
+                setText(event.item.content);
+            }
+            break;
+        case 'response.completed':
+        case 'response.incomplete':
+            for (const item of event.response?.output || []) {
+                if (item.type === 'message') {
+                    if (stitch.itemId) item.id = stitch.itemId;
+                    setText(item.content);
+                }
+            }
+            break;
+    }
+    return event;
+}
+
+/**
+ * Streams a request, continuing it while it stops at the output token limit.
+ * @private
+ */
+async function* _generateContentStream(service, toProvider, settings, model, requestBody) {
+    const protocol = _nativeProtocol(toProvider);
+    // Tracks the text sent so far and stitches Claude content blocks across rounds
+    const state = streamFailover.createResumeState({ ...settings, maxSwitches: settings.maxRounds }, protocol);
+    const dedupe = !streamFailover.isPrefill(state, toProvider);
+    const stitch = { itemId: null, outputIndex: 0, contentIndex: 0, nextSequence: 0 };
+    let body = requestBody;
+    let earlierOutputTokens = 0;
+
+    for (let round = 0; ; round++) {
+        let truncated = false;
+        let roundOutputTokens = null;
+        let heldClosing = [];
+        // Start of a continuation, held back until it can be compared with the text so far
+        let overlapFrames = round > 0 && dedupe ? [] : null;
+        let overlapText = '';
+
+        const forward = (frame) => {
+            if (round > 0) {
+                _addOutputTokens(protocol, frame, earlierOutputTokens);
+            }
+            const stitched = protocol === MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES
+                ? _stitchResponsesEvent(stitch, frame, round, state.deliveredText)
+                : frame;
+            return stitched ? streamFailover.filterFrame(state, stitched) : null;
+        };
+        const releaseOverlap = function* () {
+            let drop = findOverlap(state.deliveredText, overlapText);
+            if (drop > 0) {
+                console.log(`[Anti-Truncation] Dropping ${drop} characters repeated by the continuation`);
+            }
+            for (const frame of overlapFrames) {
+                const text = _getFrameText(protocol, frame);
+                if (drop > 0 && text) {
+                    const trimmed = text.slice(Math.min(drop, text.length));
+                    drop -= text.length - trimmed.length;
+                    if (!trimmed) continue;
+                    _setFrameText(protocol, frame, trimmed);
+                }
+                const result = forward(frame);
+                if (result) yield result;
+            }
+            overlapFrames = null;
+        };
+
+        for await (const frame of service.generateContentStream(model, body)) {
+            const { content, closing, truncated: isTruncated } = _splitFrame(protocol, frame);
+            roundOutputTokens = _getOutputTokens(protocol, frame) ?? roundOutputTokens;
+            truncated = truncated || isTruncated;
+
+            // Closing frames followed by more content did not end the stream
+            if (content && overlapFrames) {
+                overlapFrames.push(...heldClosing, content);
+                heldClosing = [];
+                overlapText += _getFrameText(protocol, content) || '';
+                if (overlapText.length >= OVERLAP_WINDOW) {
+                    yield* releaseOverlap();
+                }
+            } else if (content) {
+                for (const pending of [...heldClosing, content]) {
+                    const result = forward(pending);
+                    if (result) yield result;
+                }
+                heldClosing = [];
+            }
+            if (closing) {
+                heldClosing.push(closing);
+            }
+        }
+        if (overlapFrames) {
+            yield* releaseOverlap();
+        }
+
+        if (truncated && streamFailover.canResume(state)) {
+            const nextBody = streamFailover.buildResumeRequest(state, requestBody, toProvider);
+            if (nextBody) {
+                console.log(`[Anti-Truncation] ${model} hit the output token limit, continuing (round ${state.switches}/${state.maxSwitches})`);
+                earlierOutputTokens += roundOutputTokens || 0;
+                body = nextBody;
+                continue;
+            }
+        }
+
+        for (const closing of heldClosing) {
+            const result = forward(closing);
+            if (result) yield result;
+        }
+        return;
+    }
+}
+
+// --- Unary responses ---
+
+/**
+ * Returns the answer text of a response.
+ * @private
+ */
+function _getResponseText(protocol, response) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const content = response?.choices?.[0]?.message?.content;
+            return typeof content === 'string' ? content : '';
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI:
+            return (response?.candidates?.[0]?.content?.parts || [])
+                .filter(part => typeof part.text === 'string' && !part.thought)
+                .map(part => part.text).join('');
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            return (response?.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
+            return (response?.output || []).filter(item => item.type === 'message')
+                .flatMap(item => item.content || [])
+                .filter(part => part.type === 'output_text')
+                .map(part => part.text).join('');
+        default:
+            return '';
+    }
+}
+
+/**
+ * Checks whether a response stopped at the output token limit without calling a tool.
+ * @private
+ */
+function _isResponseTruncated(protocol, response) {
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const choice = response?.choices?.[0];
+            return choice?.finish_reason === 'length' && !choice.message?.tool_calls?.length;
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const candidate = response?.candidates?.[0];
+            return candidate?.finishReason === 'MAX_TOKENS' &&
+                !(candidate.content?.parts || []).some(part => part.functionCall);
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            return response?.stop_reason === 'max_tokens' &&
+                !(response.content || []).some(block => block.type === 'tool_use');
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
+            return response?.status === 'incomplete' &&
+                response.incomplete_details?.reason === 'max_output_tokens' &&
+                !(response.output || []).some(item => item.type === 'function_call');
+        default:
+            return false;
+    }
+}
+
+/**
+ * Appends a continuation to a response: its text goes into the last text part,
+ * and its stop reason and output tokens replace and add to the response's.
+ * @private
+ */
+function _appendContinuation(protocol, response, text, continuation) {
+    _addOutputTokens(protocol, response, _getOutputTokens(protocol, continuation));
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const choice = response.choices[0];
+            choice.message.content = (choice.message.content || '') + text;
+            choice.finish_reason = continuation.choices?.[0]?.finish_reason ?? choice.finish_reason;
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const candidate = response.candidates[0];
+            candidate.content = candidate.content || { role: 'model', parts: [] };
+            const parts = candidate.content.parts = candidate.content.parts || [];
+            const lastText = [...parts].reverse().find(part => typeof part.text === 'string' && !part.thought);
+            if (lastText) {
+                lastText.text += text;
+            } else {
+                parts.push({ text });
+            }
+            candidate.finishReason = continuation.candidates?.[0]?.finishReason ?? candidate.finishReason;
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE: {
+            response.content = response.content || [];
+            const lastText = [...response.content].reverse().find(block => block.type === 'text');
+            if (lastText) {
+                lastText.text += text;
+            } else {
+                response.content.push({ type: 'text', text });
+            }
+            response.stop_reason = continuation.stop_reason ?? response.stop_reason;
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            const message = [...(response.output || [])].reverse().find(item => item.type === 'message');
+            const lastText = [...(message?.content || [])].reverse().find(part => part.type === 'output_text');
+            if (lastText) {
+                lastText.text += text;
+            }
+            if (typeof response.output_text === 'string') {
+                response.output_text += text;
+            }
+            response.status = continuation.status ?? response.status;
+            response.incomplete_details = continuation.incomplete_details ?? null;
+            break;
+        }
+    }
+}
+
+/**
+ * Sends a unary request, continuing it while it stops at the output token limit.
+ * @private
+ */
+async function _generateContent(service, toProvider, settings, model, requestBody, options) {
+    const protocol = _nativeProtocol(toProvider);
+    const state = streamFailover.createResumeState({ ...settings, maxSwitches: settings.maxRounds }, protocol);
+    const dedupe = !streamFailover.isPrefill(state, toProvider);
+
+    const response = await service.generateContent(model, requestBody, options);
+    state.deliveredText = _getResponseText(protocol, response);
+    let last = response;
+
+    while (_isResponseTruncated(protocol, last) && streamFailover.canResume(state)) {
+        const nextBody = streamFailover.buildResumeRequest(state, requestBody, toProvider);
+        if (!nextBody) break;
+        console.log(`[Anti-Truncation] ${model} hit the output token limit, continuing (round ${state.switches}/${state.maxSwitches})`);
+
+        last = await service.generateContent(model, nextBody, options);
+        let text = _getResponseText(protocol, last);
+        if (dedupe) {
+            text = text.slice(findOverlap(state.deliveredText, text));
+        }
+        _appendContinuation(protocol, response, text, last);
+        state.deliveredText += text;
+    }
+    return response;
+}
+
+/**
+ * Wraps a service adapter so responses cut off at the output token limit are continued.
+ * @param {Object} service - The service adapter
+ * @param {string} toProvider - The provider type (determines the native format)
+ * @param {Object} settings - Settings from getSettings
+ * @returns {Object} An adapter with the same generateContent/generateContentStream interface
+ */
+function wrapService(service, toProvider, settings) {
+    return {
+        generateContent: (model, requestBody, options = {}) =>
+            _generateContent(service, toProvider, settings, model, requestBody, options),
+        generateContentStream: (model, requestBody) =>
+            _generateContentStream(service, toProvider, settings, model, requestBody)
+    };
+}
+
+// Export the anti-truncation service as a singleton
+const antiTruncation = {
+    getSettings,
+    resolveAntiTruncation,
+    findOverlap,
+    wrapService
+};
+
+export default antiTruncation;
+
+// Named exports for convenience
+export {
+    getSettings,
+    resolveAntiTruncation,
+    findOverlap,
+    wrapService
+};
@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import redisClient from './redis-client.js';
+import { query, isConnected } from './postgres-client.js';
+import { normalizeBudget } from './budget-service.js';
+
+// Virtual API key configuration from environment variables
+const API_KEY_CONFIG = {
+    lookupTtlSeconds: parseInt(process.env.API_KEY_CACHE_TTL_SECONDS, 10) || 300 // Default: 5 minutes
+};
+
+// Every virtual key starts with this prefix so it can be told apart from REQUIRED_API_KEY
+const VIRTUAL_KEY_PREFIX = 'sk-vk-';
+
+// Redis lookup cache prefix (stored in the 'cache' namespace)
+const LOOKUP_PREFIX = 'apikey:';
+
+// In-memory fallback store used when Postgres is unavailable (not persisted across restarts)
+const inMemoryKeys = new Map();
+
+/**
+ * Hashes a raw virtual key. Only the hash is ever persisted.
+ * @param {string} rawKey - The raw virtual key
+ * @returns {string} The SHA-256 hex digest
+ */
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+/**
+ * Checks whether a presented credential looks like a virtual key.
+ * @param {string} rawKey - The presented credential
+ * @returns {boolean} True if the credential has the virtual key prefix
+ */
+function isVirtualKey(rawKey) {
+    return typeof rawKey === 'string' && rawKey.startsWith(VIRTUAL_KEY_PREFIX);
+}
+
+/**
+ * Normalizes a list field (array or comma-separated string) into a trimmed string array.
+ * @param {Array|string|null} value - The raw value
+ * @returns {string[]} The normalized list
+ */
+function normalizeList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Converts a database row into the public key record (never includes the hash).
+ * @param {Object} row - The api_keys row
+ * @returns {Object} The key record
+ */
+function rowToRecord(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        allowedProviderTypes: row.allowed_provider_types || [],
+        allowedModels: row.allowed_models || [],
+        budgets: row.budgets || null,
+        expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+        revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null
+    };
+}
+
+/**
+ * Returns the status of a key record: 'active', 'revoked' or 'expired'.
+ * @param {Object} record - The key record
+ * @returns {string} The key status
+ */
+function getKeyStatus(record) {
+    if (!record) return 'revoked';
+    if (record.revokedAt) return 'revoked';
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+}
+
+/**
+ * Matches a value against an allowlist pattern. Supports '*' wildcards.
+ * @param {string} value - The value to test (e.g. a model name)
+ * @param {string} pattern - The allowlist pattern (e.g. 'gemini-2.5-*')
+ * @returns {boolean} True if the value matches
+ */
+function matchesPattern(value, pattern) {
+    if (pattern === '*') return true;
+    if (!pattern.includes('*')) return value === pattern;
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`).test(value);
+}
+
+/**
+ * Checks whether a request for the given provider type and model is within a key's scope.
+ * An empty allowlist means the key is not restricted on that dimension.
+ * @param {Object} record - The key record
+ * @param {string|null} providerType - The provider type (e.g. 'gemini-cli-oauth'), or null to skip
+ * @param {string|null} model - The model name, or null to skip
+ * @returns {{allowed: boolean, reason: string|null}} The scope check result
+ */
+function checkKeyScope(record, providerType, model) {
+    if (!record) {
+        return { allowed: true, reason: null };
+    }
+
+    if (model && record.allowedModels.length > 0 &&
+        !record.allowedModels.some(pattern => matchesPattern(model, pattern))) {
+        return { allowed: false, reason: `API key '${record.name}' is not allowed to use model '${model}'` };
+    }
+
+    if (providerType && record.allowedProviderTypes.length > 0 &&
+        !record.allowedProviderTypes.includes(providerType)) {
+        return { allowed: false, reason: `API key '${record.name}' is not allowed to use provider '${providerType}'` };
+    }
+
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Creates a new virtual key. The raw key is only returned here and cannot be recovered later.
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human readable key name
+ * @param {Array|string} [options.allowedProviderTypes] - Allowed provider types (empty = all)
+ * @param {Array|string} [options.allowedModels] - Allowed model patterns (empty = all)
+ * @param {string|null} [options.expiresAt] - ISO expiry timestamp (null = never)
+ * @param {Object|null} [options.budgets] - Daily/monthly budgets (see budget-service.js)
+ * @returns {Promise<{key: string, apiKey: Object}>} The raw key and its record
+ */
+async function createKey({ name, allowedProviderTypes = [], allowedModels = [], expiresAt = null, budgets = null } = {}) {
+    if (!name || !String(name).trim()) {
+        throw new Error('name is required');
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+        expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime())) {
+            throw new Error(`Invalid expiresAt: ${expiresAt}`);
+        }
+    }
+
+    const rawKey = `${VIRTUAL_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const row = {
+        id: crypto.randomUUID(),
+        name: String(name).trim(),
+        key_hash: hashKey(rawKey),
+        key_prefix: rawKey.substring(0, VIRTUAL_KEY_PREFIX.length + 6),
+        allowed_provider_types: normalizeList(allowedProviderTypes),
+        allowed_models: normalizeList(allowedModels),
+        budgets: normalizeBudget(budgets),
+        expires_at: expiry ? expiry.toISOString() : null,
+        created_at: new Date().toISOString(),
+        revoked_at: null
+    };
+
+    if (isConnected()) {
+        const sql = `
+            INSERT INTO api_keys (
+                id, name, key_hash, key_prefix, allowed_provider_types,
+                allowed_models, budgets, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `;
+        const result = await query(sql, [
+            row.id,
+            row.name,
+            row.key_hash,
+            row.key_prefix,
+            JSON.stringify(row.allowed_provider_types),
+            JSON.stringify(row.allowed_models),
+            row.budgets ? JSON.stringify(row.budgets) : null,
+            row.expires_at,
+        ]);
+        console.log(`[ApiKeyService] Created API key '${row.name}' (${row.id})`);
+        return { key: rawKey, apiKey: rowToRecord(result.rows[0]) };
+    }
+
+    console.warn(`[ApiKeyService] Postgres unavailable, API key '${row.name}' is stored in memory only`);
+    inMemoryKeys.set(row.id, row);
+    return { key: rawKey, apiKey: rowToRecord(row) };
+}
+
+/**
+ * Lists all virtual keys (including revoked and expired ones).
+ * @returns {Promise<Object[]>} The key records with their status
+ */
+async function listKeys() {
+    let rows;
+    if (isConnected()) {
+        const result = await query('SELECT * FROM api_keys ORDER BY created_at DESC', []);
+        rows = result.rows;
+    } else {
+        rows = Array.from(inMemoryKeys.values()).reverse();
+    }
+    return rows.map(row => {
+        const record = rowToRecord(row);
+        return { ...record, status: getKeyStatus(record) };
+    });
+}
+
+/**
+ * Revokes a virtual key and evicts it from the lookup cache.
+ * @param {string} id - The key id
+ * @returns {Promise<Object|null>} The revoked key record, or null if not found
+ */
+async function revokeKey(id) {
+    let row = null;
+    if (isConnected()) {
+        const result = await query(
+            'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id::text = $1 RETURNING *',
+            [id]
+        );
+        row = result.rows[0] || null;
+    } else {
+        row = inMemoryKeys.get(id) || null;
+        if (row && !row.revoked_at) {
+            row.revoked_at = new Date().toISOString();
+        }
+    }
+
+    if (!row) {
+        return null;
+    }
+
+    await redisClient.del(`${LOOKUP_PREFIX}${row.key_hash}`);
+    console.log(`[ApiKeyService] Revoked API key '${row.name}' (${row.id})`);
+    const record = rowToRecord(row);
+    return { ...record, status: getKeyStatus(record) };
+}
+
+/**
+ * Replaces a virtual key's budgets and evicts it from the lookup cache.
+ * @param {string} id - The key id
+ * @param {Object|null} budgets - Daily/monthly budgets (null removes them)
+ * @returns {Promise<Object|null>} The updated key record, or null if not found
+ */
+async function updateKeyBudgets(id, budgets) {
+    const normalized = normalizeBudget(budgets);
+    let row = null;
+    if (isConnected()) {
+        const result = await query(
+            'UPDATE api_keys SET budgets = $2 WHERE id::text = $1 RETURNING *',
+            [id, normalized ? JSON.stringify(normalized) : null]
+        );
+        row = result.rows[0] || null;
+    } else {
+        row = inMemoryKeys.get(id) || null;
+        if (row) {
+            row.budgets = normalized;
+        }
+    }
+
+    if (!row) {
+        return null;
+    }
+
+    await redisClient.del(`${LOOKUP_PREFIX}${row.key_hash}`);
+    console.log(`[ApiKeyService] Updated budgets for API key '${row.name}' (${row.id})`);
+    const record = rowToRecord(row);
+    return { ...record, status: getKeyStatus(record) };
+}
+
+/**
+ * Resolves a raw virtual key to its record, using Redis as a lookup cache.
+ * Only active (non-revoked, non-expired) keys are returned.
+ * @param {string} rawKey - The presented virtual key
+ * @returns {Promise<Object|null>} The key record, or null if unknown or inactive
+ */
+async function lookupKey(rawKey) {
+    if (!isVirtualKey(rawKey)) {
+        return null;
+    }
+
+    const keyHash = hashKey(rawKey);
+    const cacheKey = `${LOOKUP_PREFIX}${keyHash}`;
+    let record = await redisClient.getJSON(cacheKey);
+
+    if (!record) {
+        let row = null;
+        try {
+            if (isConnected()) {
+                const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+                row = result.rows[0] || null;
+            } else {
+                row = Array.from(inMemoryKeys.values()).find(item => item.key_hash === keyHash) || null;
+            }
+        } catch (error) {
+            console.error(`[ApiKeyService Error] Failed to look up API key: ${error.message}`);
+            return null;
+        }
+
+        if (!row) {
+            return null;
+        }
+
+        record = rowToRecord(row);
+        await redisClient.setJSON(cacheKey, record, API_KEY_CONFIG.lookupTtlSeconds);
+    }
+
+    return getKeyStatus(record) === 'active' ? record : null;
+}
+
+// Export the API key service as a singleton
+const apiKeyService = {
+    createKey,
+    listKeys,
+    revokeKey,
+    updateKeyBudgets,
+    lookupKey,
+    checkKeyScope,
+    getKeyStatus,
+    isVirtualKey,
+    hashKey,
+    matchesPattern,
+    VIRTUAL_KEY_PREFIX
+};
+
+export default apiKeyService;
+
+// Named exports for convenience
+export {
+    createKey,
+    listKeys,
+    revokeKey,
+    updateKeyBudgets,
+    lookupKey,
+    checkKeyScope,
+    getKeyStatus,
+    isVirtualKey,
+    hashKey,
+    matchesPattern,
+    VIRTUAL_KEY_PREFIX
+};
@@ -1,10 +1,14 @@
 import {
     handleModelListRequest,
     handleContentGenerationRequest,
+    handleEmbeddingRequest,
     API_ACTIONS,
-    ENDPOINT_TYPE
+    ENDPOINT_TYPE,
+    MODEL_PROTOCOL_PREFIX
 } from './common.js';
 import { getProviderPoolManager } from './service-manager.js';
+import { handleBatchRequest } from './batch-handler.js';
+import { handleResponseStoreRequest } from './response-store-handler.js';
 
 /**
  * Handle API authentication and routing
@@ -21,6 +25,16 @@ import { getProviderPoolManager } from './service-manager.js';
 export async function handleAPIRequests(method, path, req, res, currentConfig, apiService, providerPoolManager, promptLogFilename) {
 
 
+    // Route batch requests (files, OpenAI batches and Anthropic message batches) before /v1/messages
+    if (await handleBatchRequest(method, path, req, res, currentConfig, providerPoolManager, promptLogFilename)) {
+        return true;
+    }
+
+    // Route stored response retrieval (GET/DELETE /v1/responses/{id}, GET /v1/responses/{id}/input_items)
+    if (await handleResponseStoreRequest(method, path, req, res, currentConfig)) {
+        return true;
+    }
+
     // Route model list requests
     if (method === 'GET') {
         if (path === '/v1/models') {
@@ -43,6 +57,19 @@ export async function handleAPIRequests(method, path, req, res, currentConfig, a
             await handleContentGenerationRequest(req, res, apiService, ENDPOINT_TYPE.OPENAI_RESPONSES, currentConfig, promptLogFilename, providerPoolManager, currentConfig.uuid);
             return true;
         }
+        if (path === '/v1/embeddings') {
+            await handleEmbeddingRequest(req, res, apiService, ENDPOINT_TYPE.OPENAI_EMBEDDINGS, currentConfig, providerPoolManager, currentConfig.uuid);
+            return true;
+        }
+        const geminiEmbeddingUrlPattern = new RegExp(`/v1beta/models/(.+?):(${API_ACTIONS.EMBED_CONTENT}|${API_ACTIONS.BATCH_EMBED_CONTENTS})$`);
+        const geminiEmbeddingMatch = path.match(geminiEmbeddingUrlPattern);
+        if (geminiEmbeddingMatch) {
+            const endpointType = geminiEmbeddingMatch[2] === API_ACTIONS.EMBED_CONTENT
+                ? ENDPOINT_TYPE.GEMINI_EMBED_CONTENT
+                : ENDPOINT_TYPE.GEMINI_BATCH_EMBED_CONTENTS;
+            await handleEmbeddingRequest(req, res, apiService, endpointType, currentConfig, providerPoolManager, currentConfig.uuid);
+            return true;
+        }
         const geminiUrlPattern = new RegExp(`/v1beta/models/(.+?):(${API_ACTIONS.GENERATE_CONTENT}|${API_ACTIONS.STREAM_GENERATE_CONTENT})`);
         if (geminiUrlPattern.test(path)) {
             await handleContentGenerationRequest(req, res, apiService, ENDPOINT_TYPE.GEMINI_CONTENT, currentConfig, promptLogFilename, providerPoolManager, currentConfig.uuid);
@@ -57,6 +84,19 @@ export async function handleAPIRequests(method, path, req, res, currentConfig, a
     return false;
 }
 
+/**
+ * Returns the client protocol an API path speaks, used to shape errors raised
+ * before a request is routed (defaults to OpenAI).
+ * @param {string} path - The request path
+ * @returns {string} The MODEL_PROTOCOL_PREFIX of the client format
+ */
+export function getClientProtocolForPath(path) {
+    if (path.startsWith('/v1/messages')) return MODEL_PROTOCOL_PREFIX.CLAUDE;
+    if (path.startsWith('/v1/responses')) return MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES;
+    if (path.startsWith('/v1beta/')) return MODEL_PROTOCOL_PREFIX.GEMINI;
+    return MODEL_PROTOCOL_PREFIX.OPENAI;
+}
+
 /**
  * Initialize API management features
  * @param {Object} services - The initialized services
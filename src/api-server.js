@@ -1,5 +1,5 @@
 import * as http from 'http';
-import { initializeConfig, CONFIG, logProviderSpecificDetails } from './config-manager.js';
+import { initializeConfig, CONFIG, PROMPT_LOG_FILENAME, logProviderSpecificDetails } from './config-manager.js';
 import { initApiService, autoLinkProviderConfigs } from './service-manager.js';
 import { initializeUIManagement } from './ui-manager.js';
 import { initializeAPIManagement } from './api-manager.js';
@@ -7,6 +7,7 @@ import { createRequestHandler } from './request-handler.js';
 import redisClient from './redis-client.js';
 import { initializePostgres } from './postgres-client.js';
 import { metricsService } from './metrics-service.js';
+import batchService from './batch-service.js';
 
 /**
  * @license
@@ -270,6 +271,9 @@ async function startServer() {
 
     // Initialize API services
     const services = await initApiService(CONFIG);
+
+    // Pick up batches left unfinished by the previous run (depends on PostgreSQL and the provider pools)
+    await batchService.resumeBatches(CONFIG, getProviderPoolManager(), PROMPT_LOG_FILENAME);
     
     // Initialize UI management features
     initializeUIManagement(CONFIG);
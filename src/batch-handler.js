@@ -0,0 +1,306 @@
+import multer from 'multer';
+import { getRequestBody } from './common.js';
+import { readRequestBody } from './api-manager.js';
+import batchService from './batch-service.js';
+
+const FILE_ROUTE = /^\/v1\/files\/([^/]+)(\/content)?$/;
+const BATCH_ROUTE = /^\/v1\/batches\/([^/]+)(\/cancel)?$/;
+const MESSAGE_BATCH_ROUTE = /^\/v1\/messages\/batches\/([^/]+)(\/results|\/cancel)?$/;
+
+/**
+ * Sends a JSON response.
+ * @private
+ */
+function _sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error in the OpenAI or Anthropic error format.
+ * @private
+ */
+function _sendError(res, statusCode, message, format) {
+    const type = statusCode === 404 ? 'not_found_error' : statusCode === 403 ? 'permission_error' : 'invalid_request_error';
+    console.log(`[Batch] Request rejected (${statusCode}): ${message}`);
+    _sendJson(res, statusCode, format === 'anthropic'
+        ? { type: 'error', error: { type, message } }
+        : { error: { message, type, param: null, code: null } });
+}
+
+/**
+ * Checks whether the caller may see a file or batch: virtual keys only see their own, the master key sees all.
+ * @private
+ */
+function _canAccess(row, currentConfig) {
+    return Boolean(row) && (!currentConfig.virtualKey || row.api_key_id === currentConfig.virtualKey.id);
+}
+
+/**
+ * Reads the multipart upload of POST /v1/files into memory.
+ * @private
+ */
+function _readUpload(req, res, maxFileBytes) {
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxFileBytes } }).single('file');
+    return new Promise((resolve, reject) => {
+        upload(req, res, error => error ? reject(error) : resolve({ file: req.file, fields: req.body || {} }));
+    });
+}
+
+/**
+ * Returns the base URL clients reached the proxy on.
+ * @private
+ */
+function _getBaseUrl(req) {
+    const protocol = req.headers['x-forwarded-proto']?.split(',')[0]?.trim() || 'http';
+    return `${protocol}://${req.headers.host || 'localhost'}`;
+}
+
+/**
+ * Returns the page size of a list request (1-100, default 20).
+ * @private
+ */
+function _getLimit(searchParams) {
+    const limit = parseInt(searchParams.get('limit'), 10);
+    return Number.isInteger(limit) ? Math.min(Math.max(limit, 1), 100) : 20;
+}
+
+/**
+ * Handles the OpenAI file endpoints: POST /v1/files (purpose `batch`), GET /v1/files/{id}
+ * and GET /v1/files/{id}/content.
+ * @private
+ */
+async function _handleFiles(method, path, req, res, currentConfig, settings) {
+    if (method === 'POST' && path === '/v1/files') {
+        let upload;
+        try {
+            upload = await _readUpload(req, res, settings.maxFileBytes);
+        } catch (error) {
+            _sendError(res, 400, error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${settings.maxFileBytes} bytes` : error.message, 'openai');
+            return true;
+        }
+        if (!upload.file) {
+            _sendError(res, 400, 'Missing required parameter: file', 'openai');
+            return true;
+        }
+        if (upload.fields.purpose !== 'batch') {
+            _sendError(res, 400, `Unsupported purpose '${upload.fields.purpose}', only 'batch' files are accepted`, 'openai');
+            return true;
+        }
+        const file = await batchService.createFile({
+            purpose: 'batch',
+            filename: upload.file.originalname,
+            content: upload.file.buffer.toString('utf8'),
+            apiKeyId: currentConfig.virtualKey?.id || null
+        });
+        console.log(`[Batch] Stored file ${file.id} (${file.bytes} bytes)`);
+        _sendJson(res, 200, batchService.toOpenAIFile(file));
+        return true;
+    }
+
+    const match = method === 'GET' && path.match(FILE_ROUTE);
+    if (!match) {
+        return false;
+    }
+    const file = await batchService.getFile(match[1]);
+    if (!_canAccess(file, currentConfig)) {
+        _sendError(res, 404, `No such File object: ${match[1]}`, 'openai');
+        return true;
+    }
+    if (match[2]) {
+        res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+        res.end(file.content);
+        return true;
+    }
+    _sendJson(res, 200, batchService.toOpenAIFile(file));
+    return true;
+}
+
+/**
+ * Handles the OpenAI batch endpoints: POST/GET /v1/batches, GET /v1/batches/{id}
+ * and POST /v1/batches/{id}/cancel.
+ * @private
+ */
+async function _handleBatches(method, path, req, res, context, settings) {
+    const { config: currentConfig } = context;
+    const respond = async (row) => _sendJson(res, 200, batchService.toOpenAIBatch(row, await batchService.countItems(row.id)));
+
+    if (path === '/v1/batches' && method === 'POST') {
+        const body = await getRequestBody(req);
+        if (!batchService.BATCH_ENDPOINTS.openai.includes(body.endpoint)) {
+            _sendError(res, 400, `Unsupported endpoint '${body.endpoint}', supported: ${batchService.BATCH_ENDPOINTS.openai.join(', ')}`, 'openai');
+            return true;
+        }
+        if (body.completion_window && body.completion_window !== '24h') {
+            _sendError(res, 400, `Unsupported completion_window '${body.completion_window}', only '24h' is supported`, 'openai');
+            return true;
+        }
+        const file = body.input_file_id ? await batchService.getFile(body.input_file_id) : null;
+        if (!_canAccess(file, currentConfig) || file.purpose !== 'batch') {
+            _sendError(res, 400, `No batch input file found with id '${body.input_file_id}'`, 'openai');
+            return true;
+        }
+        const { items, errors } = batchService.parseBatchInput(file.content, body.endpoint, settings.maxItems);
+        const row = await batchService.createBatch({
+            format: 'openai',
+            endpoint: body.endpoint,
+            items,
+            errors,
+            inputFileId: file.id,
+            metadata: body.metadata || null
+        }, context);
+        await respond(row);
+        return true;
+    }
+
+    if (path === '/v1/batches' && method === 'GET') {
+        const searchParams = new URL(req.url, 'http://localhost').searchParams;
+        const { rows, hasMore } = await batchService.listBatches({
+            format: 'openai',
+            apiKeyId: currentConfig.virtualKey ? currentConfig.virtualKey.id : undefined,
+            limit: _getLimit(searchParams),
+            after: searchParams.get('after')
+        });
+        const data = [];
+        for (const row of rows) {
+            data.push(batchService.toOpenAIBatch(row, await batchService.countItems(row.id)));
+        }
+        _sendJson(res, 200, { object: 'list', data, first_id: data[0]?.id || null, last_id: data[data.length - 1]?.id || null, has_more: hasMore });
+        return true;
+    }
+
+    const match = path.match(BATCH_ROUTE);
+    if (!match || (match[2] ? method !== 'POST' : method !== 'GET')) {
+        return false;
+    }
+    const row = await batchService.getBatch(match[1]);
+    if (!_canAccess(row, currentConfig) || row.api_format !== 'openai') {
+        _sendError(res, 404, `No such Batch object: ${match[1]}`, 'openai');
+        return true;
+    }
+    if (match[2]) {
+        if (row.status !== 'in_progress' && row.status !== 'cancelling') {
+            _sendError(res, 400, `Cannot cancel a batch with status '${row.status}'`, 'openai');
+            return true;
+        }
+        await respond(await batchService.cancelBatch(row.id));
+        return true;
+    }
+    await respond(row);
+    return true;
+}
+
+/**
+ * Handles the Anthropic message batch endpoints: POST/GET /v1/messages/batches,
+ * GET /v1/messages/batches/{id}, GET /v1/messages/batches/{id}/results and POST /v1/messages/batches/{id}/cancel.
+ * @private
+ */
+async function _handleMessageBatches(method, path, req, res, context, settings) {
+    const { config: currentConfig } = context;
+    const baseUrl = _getBaseUrl(req);
+    const respond = async (row) => _sendJson(res, 200, batchService.toMessageBatch(row, await batchService.countItems(row.id), baseUrl));
+
+    if (path === '/v1/messages/batches' && method === 'POST') {
+        // A JSON body with `requests`, or JSONL with one { custom_id, params } per line
+        const contentType = req.headers['content-type'] || '';
+        let input;
+        if (/jsonl|ndjson/.test(contentType)) {
+            input = await readRequestBody(req);
+        } else {
+            input = await getRequestBody(req);
+        }
+        const { items, error } = batchService.parseMessageBatchRequests(input, settings.maxItems);
+        if (error) {
+            _sendError(res, 400, error, 'anthropic');
+            return true;
+        }
+        const row = await batchService.createBatch({ format: 'anthropic', endpoint: '/v1/messages', items }, context);
+        await respond(row);
+        return true;
+    }
+
+    if (path === '/v1/messages/batches' && method === 'GET') {
+        const searchParams = new URL(req.url, 'http://localhost').searchParams;
+        const { rows, hasMore } = await batchService.listBatches({
+            format: 'anthropic',
+            apiKeyId: currentConfig.virtualKey ? currentConfig.virtualKey.id : undefined,
+            limit: _getLimit(searchParams),
+            after: searchParams.get('after_id')
+        });
+        const data = [];
+        for (const row of rows) {
+            data.push(batchService.toMessageBatch(row, await batchService.countItems(row.id), baseUrl));
+        }
+        _sendJson(res, 200, { data, has_more: hasMore, first_id: data[0]?.id || null, last_id: data[data.length - 1]?.id || null });
+        return true;
+    }
+
+    const match = path.match(MESSAGE_BATCH_ROUTE);
+    if (!match || (match[2] === '/cancel' ? method !== 'POST' : method !== 'GET')) {
+        return false;
+    }
+    const row = await batchService.getBatch(match[1]);
+    if (!_canAccess(row, currentConfig) || row.api_format !== 'anthropic') {
+        _sendError(res, 404, `Message batch ${match[1]} not found`, 'anthropic');
+        return true;
+    }
+    if (match[2] === '/cancel') {
+        await respond(await batchService.cancelBatch(row.id));
+        return true;
+    }
+    if (match[2] === '/results') {
+        if (!row.ended_at) {
+            _sendError(res, 400, `Message batch ${row.id} is still processing, results are available once it has ended`, 'anthropic');
+            return true;
+        }
+        const items = await batchService.listItems(row.id);
+        res.writeHead(200, { 'Content-Type': 'application/x-jsonl' });
+        res.end(items.map(item => JSON.stringify(batchService.toMessageBatchResultLine(item))).join('\n') + '\n');
+        return true;
+    }
+    await respond(row);
+    return true;
+}
+
+/**
+ * Handles the batch endpoints (config.json `batches`): OpenAI files and batches, and Anthropic message batches.
+ * @param {string} method - The HTTP method
+ * @param {string} path - The request path
+ * @param {http.IncomingMessage} req - The HTTP request object
+ * @param {http.ServerResponse} res - The HTTP response object
+ * @param {Object} currentConfig - The per-request configuration (items run with it)
+ * @param {Object} providerPoolManager - The provider pool manager
+ * @param {string} promptLogFilename - The prompt log filename
+ * @returns {Promise<boolean>} True if the request was a batch request
+ */
+export async function handleBatchRequest(method, path, req, res, currentConfig, providerPoolManager, promptLogFilename) {
+    const format = path.startsWith('/v1/messages/batches') ? 'anthropic'
+        : path === '/v1/files' || path.startsWith('/v1/files/') || path === '/v1/batches' || path.startsWith('/v1/batches/') ? 'openai'
+        : null;
+    if (!format) {
+        return false;
+    }
+
+    const settings = batchService.getSettings(currentConfig);
+    if (!settings.enabled) {
+        _sendError(res, 404, 'The batch API is disabled on this server (config.json `batches.enabled`)', format);
+        return true;
+    }
+
+    try {
+        const context = { config: currentConfig, poolManager: providerPoolManager, promptLogFilename };
+        if (format === 'anthropic') {
+            return await _handleMessageBatches(method, path, req, res, context, settings);
+        }
+        if (path.startsWith('/v1/files')) {
+            return await _handleFiles(method, path, req, res, currentConfig, settings);
+        }
+        return await _handleBatches(method, path, req, res, context, settings);
+    } catch (error) {
+        console.error(`[Batch] Failed to handle ${method} ${path}: ${error.message}`);
+        _sendJson(res, 500, format === 'anthropic'
+            ? { type: 'error', error: { type: 'api_error', message: error.message } }
+            : { error: { message: error.message, type: 'server_error', param: null, code: null } });
+        return true;
+    }
+}
@@ -0,0 +1,1086 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { query, isConnected } from './postgres-client.js';
+import { handleContentGenerationRequest, ENDPOINT_TYPE } from './common.js';
+import requestQueue from './request-queue.js';
+
+/**
+ * Offline batches: OpenAI `/v1/batches` (over JSONL files from `/v1/files`) and Anthropic
+ * `/v1/messages/batches`. Jobs and per-item results are stored in Postgres; items run in the
+ * background through handleContentGenerationRequest (routing, pool selection, retries, budgets)
+ * at a throttled rate, at the lowest request queue priority.
+ */
+
+const DEFAULT_MAX_CONCURRENCY = 2;
+const DEFAULT_ITEMS_PER_MINUTE = 60;
+const DEFAULT_MAX_ITEMS = 50000;
+const DEFAULT_MAX_FILE_BYTES = 100 * 1024 * 1024;
+const DEFAULT_COMPLETION_WINDOW_HOURS = 24;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Endpoints a batch item can target, per API format
+const BATCH_ENDPOINTS = {
+    openai: ['/v1/chat/completions', '/v1/responses'],
+    anthropic: ['/v1/messages']
+};
+
+// Item results that are retried (up to maxAttempts) before they count as errored
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// Status codes for the error types of createErrorResponse (error responses are written with 200)
+const ERROR_TYPE_STATUS = {
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403,
+    rate_limit_error: 429,
+    server_error: 500
+};
+
+// Anthropic custom_id format
+const MESSAGE_BATCH_CUSTOM_ID = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// In-memory fallback store used when Postgres is unavailable (not persisted across restarts)
+const inMemoryFiles = new Map();
+const inMemoryBatches = new Map();
+const inMemoryItems = new Map();
+
+// Batches being worked on by this process: batch id -> { config, poolManager, promptLogFilename, running }
+const activeBatches = new Map();
+let runnerSettings = null;
+let runningItems = 0;
+let nextStartAt = 0;
+let pumpTimer = null;
+let pumping = false;
+let pumpAgain = false;
+
+/**
+ * Returns the batch settings.
+ * Config shape (config.json `batches`):
+ *   { enabled, maxConcurrency: 2, itemsPerMinute: 60, maxItems: 50000, maxFileBytes: 104857600,
+ *     completionWindowHours: 24, maxAttempts: 3, priority: '<request queue priority class>' }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.batches || {};
+    const positive = (value, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? number : fallback;
+    };
+    return {
+        enabled: Boolean(settings.enabled),
+        maxConcurrency: Math.floor(positive(settings.maxConcurrency, DEFAULT_MAX_CONCURRENCY)),
+        itemsPerMinute: positive(settings.itemsPerMinute, DEFAULT_ITEMS_PER_MINUTE),
+        maxItems: Math.floor(positive(settings.maxItems, DEFAULT_MAX_ITEMS)),
+        maxFileBytes: Math.floor(positive(settings.maxFileBytes, DEFAULT_MAX_FILE_BYTES)),
+        completionWindowHours: positive(settings.completionWindowHours, DEFAULT_COMPLETION_WINDOW_HOURS),
+        maxAttempts: Math.floor(positive(settings.maxAttempts, DEFAULT_MAX_ATTEMPTS)),
+        priority: typeof settings.priority === 'string' && settings.priority ? settings.priority : null
+    };
+}
+
+/**
+ * Parses and validates an OpenAI batch input file. Each line is
+ * `{ custom_id, method: 'POST', url, body }` and every `url` must be the batch's endpoint.
+ * @param {string} content - The JSONL file content
+ * @param {string} endpoint - The batch endpoint (e.g. /v1/chat/completions)
+ * @param {number} [maxItems] - The largest number of requests allowed
+ * @returns {{items: Array<{customId: string, body: Object}>, errors: Array<{code: string, line: number|null, message: string, param: string|null}>}}
+ */
+function parseBatchInput(content, endpoint, maxItems = DEFAULT_MAX_ITEMS) {
+    const items = [];
+    const errors = [];
+    const customIds = new Set();
+    const addError = (code, line, message, param = null) => errors.push({ code, line, message, param });
+
+    String(content || '').split(/\r?\n/).forEach((text, index) => {
+        const line = index + 1;
+        if (!text.trim()) return;
+
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (error) {
+            addError('invalid_json_line', line, 'This line is not parseable as valid JSON.');
+            return;
+        }
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            addError('invalid_request', line, 'Each line must be a JSON object.');
+            return;
+        }
+        if (typeof request.custom_id !== 'string' || !request.custom_id) {
+            addError('missing_required_parameter', line, 'Missing required parameter: custom_id.', 'custom_id');
+            return;
+        }
+        if (customIds.has(request.custom_id)) {
+            addError('duplicate_custom_id', line, `The custom_id '${request.custom_id}' is used more than once.`, 'custom_id');
+            return;
+        }
+        if (String(request.method || '').toUpperCase() !== 'POST') {
+            addError('invalid_method', line, 'Only the POST method is supported.', 'method');
+            return;
+        }
+        if (request.url !== endpoint) {
+            addError('mismatched_endpoint', line, `The url '${request.url}' does not match the batch endpoint '${endpoint}'.`, 'url');
+            return;
+        }
+        if (!request.body || typeof request.body !== 'object' || !request.body.model) {
+            addError('missing_required_parameter', line, 'Missing required parameter: body.model.', 'body.model');
+            return;
+        }
+        customIds.add(request.custom_id);
+        items.push({ customId: request.custom_id, body: request.body });
+    });
+
+    if (items.length === 0 && errors.length === 0) {
+        addError('empty_file', null, 'The input file contains no requests.');
+    }
+    if (items.length > maxItems) {
+        addError('too_many_requests', null, `The input file has ${items.length} requests, the limit is ${maxItems}.`);
+    }
+    return { items, errors };
+}
+
+/**
+ * Parses and validates the requests of an Anthropic message batch: the `requests` array of a JSON
+ * body, or JSONL with one `{ custom_id, params }` request per line.
+ * @param {Object|string} input - The parsed JSON body, or the JSONL text
+ * @param {number} [maxItems] - The largest number of requests allowed
+ * @returns {{items: Array<{customId: string, body: Object}>, error: string|null}} The first problem found, if any
+ */
+function parseMessageBatchRequests(input, maxItems = DEFAULT_MAX_ITEMS) {
+    let requests = input?.requests;
+    if (typeof input === 'string') {
+        try {
+            requests = input.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+        } catch (error) {
+            return { items: [], error: 'requests: a line is not parseable as valid JSON' };
+        }
+    }
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return { items: [], error: 'requests: at least one request is required' };
+    }
+    if (requests.length > maxItems) {
+        return { items: [], error: `requests: ${requests.length} requests exceed the limit of ${maxItems}` };
+    }
+
+    const items = [];
+    const customIds = new Set();
+    for (const [index, request] of requests.entries()) {
+        if (!MESSAGE_BATCH_CUSTOM_ID.test(request?.custom_id || '')) {
+            return { items: [], error: `requests.${index}.custom_id: must be 1-64 letters, digits, '-' or '_'` };
+        }
+        if (customIds.has(request.custom_id)) {
+            return { items: [], error: `requests.${index}.custom_id: '${request.custom_id}' is used more than once` };
+        }
+        if (!request.params || typeof request.params !== 'object' || !request.params.model) {
+            return { items: [], error: `requests.${index}.params.model: Field required` };
+        }
+        customIds.add(request.custom_id);
+        items.push({ customId: request.custom_id, body: request.params });
+    }
+    return { items, error: null };
+}
+
+/**
+ * Converts a timestamp column to Unix seconds.
+ * @private
+ */
+function _toUnix(value) {
+    return value ? Math.floor(new Date(value).getTime() / 1000) : null;
+}
+
+/**
+ * Converts a timestamp column to an RFC 3339 string.
+ * @private
+ */
+function _toIso(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Formats a file row as an OpenAI file object.
+ * @param {Object} row - The batch_files row
+ * @returns {Object} The file object
+ */
+function toOpenAIFile(row) {
+    return {
+        id: row.id,
+        object: 'file',
+        bytes: row.bytes,
+        created_at: _toUnix(row.created_at),
+        filename: row.filename,
+        purpose: row.purpose,
+        status: 'processed'
+    };
+}
+
+/**
+ * Returns the status of a batch job as OpenAI reports it.
+ * @private
+ */
+function _openAIStatus(row) {
+    if (row.status === 'in_progress' && !row.ended_at && new Date(row.expires_at).getTime() <= Date.now()) {
+        return 'finalizing';
+    }
+    return row.status;
+}
+
+/**
+ * Formats a batch job as an OpenAI batch object.
+ * @param {Object} row - The batch_jobs row
+ * @param {Object} counts - Item counts from countItems
+ * @returns {Object} The batch object
+ */
+function toOpenAIBatch(row, counts) {
+    const status = row.status;
+    return {
+        id: row.id,
+        object: 'batch',
+        endpoint: row.endpoint,
+        errors: row.errors?.length ? { object: 'list', data: row.errors } : null,
+        input_file_id: row.input_file_id,
+        completion_window: `${Math.round((new Date(row.expires_at) - new Date(row.created_at)) / 3600000)}h`,
+        status: _openAIStatus(row),
+        output_file_id: row.output_file_id || null,
+        error_file_id: row.error_file_id || null,
+        created_at: _toUnix(row.created_at),
+        in_progress_at: status === 'failed' ? null : _toUnix(row.created_at),
+        expires_at: _toUnix(row.expires_at),
+        finalizing_at: null,
+        completed_at: status === 'completed' ? _toUnix(row.ended_at) : null,
+        failed_at: status === 'failed' ? _toUnix(row.ended_at) : null,
+        expired_at: status === 'expired' ? _toUnix(row.ended_at) : null,
+        cancelling_at: _toUnix(row.cancelling_at),
+        cancelled_at: status === 'cancelled' ? _toUnix(row.ended_at) : null,
+        request_counts: {
+            total: counts.total,
+            completed: counts.succeeded,
+            failed: counts.errored + counts.canceled + counts.expired
+        },
+        metadata: row.metadata || null
+    };
+}
+
+/**
+ * Formats a batch job as an Anthropic message batch object.
+ * @param {Object} row - The batch_jobs row
+ * @param {Object} counts - Item counts from countItems
+ * @param {string} [baseUrl] - The proxy's base URL, for `results_url`
+ * @returns {Object} The message batch object
+ */
+function toMessageBatch(row, counts, baseUrl = '') {
+    const processingStatus = row.ended_at ? 'ended' : row.status === 'cancelling' ? 'canceling' : 'in_progress';
+    return {
+        id: row.id,
+        type: 'message_batch',
+        processing_status: processingStatus,
+        request_counts: {
+            processing: counts.pending + counts.running,
+            succeeded: counts.succeeded,
+            errored: counts.errored,
+            canceled: counts.canceled,
+            expired: counts.expired
+        },
+        ended_at: _toIso(row.ended_at),
+        created_at: _toIso(row.created_at),
+        expires_at: _toIso(row.expires_at),
+        archived_at: null,
+        cancel_initiated_at: _toIso(row.cancelling_at),
+        results_url: row.ended_at ? `${baseUrl}/v1/messages/batches/${row.id}/results` : null
+    };
+}
+
+/**
+ * Formats a finished item as a line of an OpenAI output or error file.
+ * @param {Object} item - The batch_items row
+ * @returns {Object} The result line
+ */
+function toOpenAIResultLine(item) {
+    const line = { id: `batch_req_${item.request_id || `${item.batch_id}_${item.item_index}`}`, custom_id: item.custom_id };
+    if (item.status === 'canceled' || item.status === 'expired') {
+        return {
+            ...line,
+            response: null,
+            error: item.status === 'canceled'
+                ? { code: 'batch_cancelled', message: 'This request was not executed because the batch was cancelled.' }
+                : { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+        };
+    }
+    return {
+        ...line,
+        response: { status_code: item.status_code, request_id: item.request_id, body: item.response },
+        error: null
+    };
+}
+
+/**
+ * Formats a finished item as a line of an Anthropic results file.
+ * @param {Object} item - The batch_items row
+ * @returns {Object} The result line
+ */
+function toMessageBatchResultLine(item) {
+    switch (item.status) {
+        case 'succeeded':
+            return { custom_id: item.custom_id, result: { type: 'succeeded', message: item.response } };
+        case 'errored':
+            return { custom_id: item.custom_id, result: { type: 'errored', error: item.response } };
+        default:
+            return { custom_id: item.custom_id, result: { type: item.status } };
+    }
+}
+
+/**
+ * Turns the captured response of an item into its result.
+ * @param {Object} res - The captured response (see _createBatchResponse)
+ * @param {Error|null} error - The error thrown by handleContentGenerationRequest, if any
+ * @param {string} format - The batch's API format
+ * @returns {{succeeded: boolean, statusCode: number, body: Object}}
+ */
+function readItemResult(res, error, format) {
+    const errorBody = (statusCode, message) => {
+        const type = Object.keys(ERROR_TYPE_STATUS).find(key => ERROR_TYPE_STATUS[key] === statusCode) ||
+            (statusCode >= 500 ? 'server_error' : 'invalid_request_error');
+        return format === 'anthropic'
+            ? { type: 'error', error: { type, message } }
+            : { error: { message, type, code: type } };
+    };
+
+    if (error && !res.body) {
+        const statusCode = error.response?.status || error.status || 500;
+        return { succeeded: false, statusCode, body: errorBody(statusCode, error.message) };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(res.body);
+    } catch (parseError) {
+        return { succeeded: false, statusCode: 502, body: errorBody(502, 'The provider returned a response that is not valid JSON.') };
+    }
+    if (res.statusCode >= 400 || body?.error || body?.type === 'error') {
+        const statusCode = res.statusCode >= 400
+            ? res.statusCode
+            : ERROR_TYPE_STATUS[body?.error?.type] || ERROR_TYPE_STATUS[body?.error?.code] || 500;
+        return { succeeded: false, statusCode, body };
+    }
+    return { succeeded: true, statusCode: res.statusCode, body };
+}
+
+/**
+ * Builds a unique id with a prefix (file-, batch_, msgbatch_).
+ * @private
+ */
+function _createId(prefix) {
+    return `${prefix}${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Serializes a column value for a parameterized query (objects become JSON).
+ * @private
+ */
+function _toDbValue(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+}
+
+/**
+ * Stores a file.
+ * @param {Object} file - The file
+ * @param {string} file.purpose - 'batch' (input) or 'batch_output' (output and error files)
+ * @param {string} file.filename - The file name
+ * @param {string} file.content - The file content
+ * @param {string|null} [file.apiKeyId] - The virtual key that owns the file (null for the master key)
+ * @returns {Promise<Object>} The batch_files row
+ */
+async function createFile({ purpose, filename, content, apiKeyId = null }) {
+    const row = {
+        id: _createId('file-'),
+        purpose,
+        filename,
+        bytes: Buffer.byteLength(content),
+        content,
+        api_key_id: apiKeyId,
+        created_at: new Date().toISOString()
+    };
+
+    if (isConnected()) {
+        const result = await query(
+            `INSERT INTO batch_files (id, purpose, filename, bytes, content, api_key_id)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [row.id, row.purpose, row.filename, row.bytes, row.content, row.api_key_id]
+        );
+        return result.rows[0];
+    }
+
+    inMemoryFiles.set(row.id, row);
+    return row;
+}
+
+/**
+ * Returns a file.
+ * @param {string} id - The file id
+ * @returns {Promise<Object|null>} The batch_files row, or null if not found
+ */
+async function getFile(id) {
+    if (isConnected()) {
+        const result = await query('SELECT * FROM batch_files WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+    return inMemoryFiles.get(id) || null;
+}
+
+/**
+ * Returns a batch job.
+ * @param {string} id - The batch id
+ * @returns {Promise<Object|null>} The batch_jobs row, or null if not found
+ */
+async function getBatch(id) {
+    if (isConnected()) {
+        const result = await query('SELECT * FROM batch_jobs WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+    return inMemoryBatches.get(id) || null;
+}
+
+/**
+ * Lists batch jobs of an API format, newest first.
+ * @param {Object} options - List options
+ * @param {string} options.format - 'openai' or 'anthropic'
+ * @param {string|null} [options.apiKeyId] - Only the batches of this virtual key (undefined = all)
+ * @param {number} [options.limit] - The page size
+ * @param {string|null} [options.after] - Return the batches created before this batch id
+ * @returns {Promise<{rows: Object[], hasMore: boolean}>}
+ */
+async function listBatches({ format, apiKeyId, limit = 20, after = null }) {
+    let rows;
+    if (isConnected()) {
+        const result = await query(
+            `SELECT * FROM batch_jobs
+             WHERE api_format = $1
+               AND ($2::boolean OR api_key_id IS NOT DISTINCT FROM $3::uuid)
+               AND ($4::text IS NULL OR created_at < (SELECT created_at FROM batch_jobs WHERE id = $4))
+             ORDER BY created_at DESC
+             LIMIT $5`,
+            [format, apiKeyId === undefined, apiKeyId ?? null, after, limit + 1]
+        );
+        rows = result.rows;
+    } else {
+        rows = Array.from(inMemoryBatches.values())
+            .filter(row => row.api_format === format && (apiKeyId === undefined || row.api_key_id === apiKeyId))
+            .reverse();
+        if (after) {
+            const index = rows.findIndex(row => row.id === after);
+            rows = index === -1 ? rows : rows.slice(index + 1);
+        }
+        rows = rows.slice(0, limit + 1);
+    }
+    return { rows: rows.slice(0, limit), hasMore: rows.length > limit };
+}
+
+/**
+ * Updates columns of a batch job.
+ * @private
+ */
+async function _updateBatch(id, fields) {
+    if (isConnected()) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, index) => `${column} = $${index + 2}`).join(', ');
+        const result = await query(
+            `UPDATE batch_jobs SET ${assignments} WHERE id = $1 RETURNING *`,
+            [id, ...columns.map(column => _toDbValue(fields[column]))]
+        );
+        return result.rows[0] || null;
+    }
+    const row = inMemoryBatches.get(id);
+    if (row) {
+        Object.assign(row, fields);
+    }
+    return row || null;
+}
+
+/**
+ * Counts the items of a batch by status.
+ * @param {string} batchId - The batch id
+ * @returns {Promise<{total: number, pending: number, running: number, succeeded: number, errored: number, canceled: number, expired: number}>}
+ */
+async function countItems(batchId) {
+    const counts = { total: 0, pending: 0, running: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+    let groups;
+    if (isConnected()) {
+        const result = await query(
+            'SELECT status, COUNT(*)::int AS count FROM batch_items WHERE batch_id = $1 GROUP BY status',
+            [batchId]
+        );
+        groups = result.rows;
+    } else {
+        groups = [];
+        for (const item of inMemoryItems.get(batchId) || []) {
+            const group = groups.find(entry => entry.status === item.status);
+            if (group) group.count++;
+            else groups.push({ status: item.status, count: 1 });
+        }
+    }
+    for (const { status, count } of groups) {
+        counts[status] = count;
+        counts.total += count;
+    }
+    return counts;
+}
+
+/**
+ * Returns the items of a batch in input order.
+ * @param {string} batchId - The batch id
+ * @returns {Promise<Object[]>} The batch_items rows
+ */
+async function listItems(batchId) {
+    if (isConnected()) {
+        const result = await query('SELECT * FROM batch_items WHERE batch_id = $1 ORDER BY item_index', [batchId]);
+        return result.rows;
+    }
+    return [...(inMemoryItems.get(batchId) || [])];
+}
+
+/**
+ * Stores the items of a new batch.
+ * @private
+ */
+async function _insertItems(batchId, items) {
+    if (isConnected()) {
+        // Several rows per statement, well below the Postgres parameter limit
+        const chunkSize = 500;
+        for (let start = 0; start < items.length; start += chunkSize) {
+            const chunk = items.slice(start, start + chunkSize);
+            const values = chunk.map((_, index) => `($1, $${index * 3 + 2}, $${index * 3 + 3}, $${index * 3 + 4})`).join(', ');
+            const params = [batchId];
+            chunk.forEach((item, index) => params.push(start + index, item.customId, JSON.stringify(item.body)));
+            await query(`INSERT INTO batch_items (batch_id, item_index, custom_id, body) VALUES ${values}`, params);
+        }
+        return;
+    }
+    inMemoryItems.set(batchId, items.map((item, index) => ({
+        batch_id: batchId,
+        item_index: index,
+        custom_id: item.customId,
+        body: item.body,
+        status: 'pending',
+        attempts: 0,
+        status_code: null,
+        request_id: null,
+        response: null,
+        completed_at: null
+    })));
+}
+
+/**
+ * Takes the next pending item of a batch and marks it running.
+ * @private
+ */
+async function _claimNextItem(batchId) {
+    if (isConnected()) {
+        const result = await query(
+            `UPDATE batch_items SET status = 'running', attempts = attempts + 1
+             WHERE batch_id = $1 AND item_index = (
+                 SELECT item_index FROM batch_items WHERE batch_id = $1 AND status = 'pending'
+                 ORDER BY item_index LIMIT 1 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [batchId]
+        );
+        return result.rows[0] || null;
+    }
+    const item = (inMemoryItems.get(batchId) || []).find(entry => entry.status === 'pending');
+    if (item) {
+        item.status = 'running';
+        item.attempts++;
+    }
+    return item || null;
+}
+
+/**
+ * Updates columns of an item.
+ * @private
+ */
+async function _updateItem(item, fields) {
+    if (isConnected()) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+        await query(
+            `UPDATE batch_items SET ${assignments} WHERE batch_id = $1 AND item_index = $2`,
+            [item.batch_id, item.item_index, ...columns.map(column => _toDbValue(fields[column]))]
+        );
+        return;
+    }
+    Object.assign(item, fields);
+}
+
+/**
+ * Gives every pending (or, on startup, running) item of a batch a new status.
+ * @private
+ */
+async function _setItemStatus(batchId, fromStatus, toStatus) {
+    if (isConnected()) {
+        await query(
+            `UPDATE batch_items SET status = $3, completed_at = CASE WHEN $3 = 'pending' THEN NULL ELSE NOW() END
+             WHERE batch_id = $1 AND status = $2`,
+            [batchId, fromStatus, toStatus]
+        );
+        return;
+    }
+    for (const item of inMemoryItems.get(batchId) || []) {
+        if (item.status === fromStatus) {
+            item.status = toStatus;
+            item.completed_at = toStatus === 'pending' ? null : new Date().toISOString();
+        }
+    }
+}
+
+/**
+ * Creates a batch job and starts working on it in the background. A batch whose input has
+ * errors is stored as `failed` with the errors and no items.
+ * @param {Object} batch - The batch
+ * @param {string} batch.format - 'openai' or 'anthropic'
+ * @param {string} batch.endpoint - The endpoint every item targets
+ * @param {Array<{customId: string, body: Object}>} batch.items - The requests
+ * @param {Array} [batch.errors] - Input validation errors (OpenAI)
+ * @param {string|null} [batch.inputFileId] - The input file (OpenAI)
+ * @param {Object|null} [batch.metadata] - Client metadata (OpenAI)
+ * @param {Object} context - What the items run with
+ * @param {Object} context.config - The per-request configuration of the submitting request
+ * @param {Object} context.poolManager - The provider pool manager
+ * @param {string} [context.promptLogFilename] - The prompt log filename
+ * @returns {Promise<Object>} The batch_jobs row
+ */
+async function createBatch({ format, endpoint, items, errors = [], inputFileId = null, metadata = null }, context) {
+    const settings = getSettings(context.config);
+    const now = Date.now();
+    const failed = errors.length > 0;
+    const row = {
+        id: _createId(format === 'anthropic' ? 'msgbatch_' : 'batch_'),
+        api_format: format,
+        endpoint,
+        status: failed ? 'failed' : 'in_progress',
+        input_file_id: inputFileId,
+        output_file_id: null,
+        error_file_id: null,
+        model_provider: context.config.MODEL_PROVIDER,
+        explicit_provider: Boolean(context.config.explicitProviderSet),
+        api_key_id: context.config.virtualKey?.id || null,
+        metadata,
+        errors: failed ? errors : null,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + settings.completionWindowHours * 3600 * 1000).toISOString(),
+        cancelling_at: null,
+        ended_at: failed ? new Date(now).toISOString() : null
+    };
+
+    let stored = row;
+    if (isConnected()) {
+        const result = await query(
+            `INSERT INTO batch_jobs (
+                id, api_format, endpoint, status, input_file_id, model_provider, explicit_provider,
+                api_key_id, metadata, errors, expires_at, ended_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *`,
+            [
+                row.id, row.api_format, row.endpoint, row.status, row.input_file_id, row.model_provider,
+                row.explicit_provider, row.api_key_id, _toDbValue(row.metadata), _toDbValue(row.errors),
+                row.expires_at, row.ended_at
+            ]
+        );
+        stored = result.rows[0];
+    } else {
+        console.warn(`[Batch] Postgres unavailable, batch ${row.id} is kept in memory only`);
+        inMemoryBatches.set(row.id, row);
+    }
+
+    if (failed) {
+        console.log(`[Batch] Batch ${row.id} failed validation with ${errors.length} error(s)`);
+        return stored;
+    }
+
+    await _insertItems(row.id, items);
+    console.log(`[Batch] Created ${format} batch ${row.id} with ${items.length} request(s) for ${endpoint}`);
+    _activate(row.id, context, settings);
+    return stored;
+}
+
+/**
+ * Cancels a batch: pending items are not run, items already running finish.
+ * @param {string} id - The batch id
+ * @returns {Promise<Object|null>} The batch_jobs row, or null if not found
+ */
+async function cancelBatch(id) {
+    const row = await getBatch(id);
+    if (!row || row.status !== 'in_progress') {
+        return row;
+    }
+    const updated = await _updateBatch(id, { status: 'cancelling', cancelling_at: new Date().toISOString() });
+    console.log(`[Batch] Cancelling batch ${id}`);
+    if (!activeBatches.has(id)) {
+        // Not being worked on by this process (e.g. Postgres was down on startup): end it right away
+        await _setItemStatus(id, 'pending', 'canceled');
+        await _setItemStatus(id, 'running', 'canceled');
+        return _finalizeBatch(updated);
+    }
+    _pump();
+    return updated;
+}
+
+/**
+ * Picks up batches left unfinished by a previous run of the server. Items that were running
+ * are run again. Batches of a virtual key that is no longer active are cancelled.
+ * @param {Object} config - The server configuration
+ * @param {Object} poolManager - The provider pool manager
+ * @param {string} [promptLogFilename] - The prompt log filename
+ * @returns {Promise<number>} The number of batches resumed
+ */
+async function resumeBatches(config, poolManager, promptLogFilename = '') {
+    const settings = getSettings(config);
+    if (!settings.enabled || !isConnected()) {
+        return 0;
+    }
+
+    try {
+        const result = await query(`SELECT * FROM batch_jobs WHERE status IN ('in_progress', 'cancelling') ORDER BY created_at`, []);
+        if (result.rows.length === 0) {
+            return 0;
+        }
+
+        const { default: apiKeyService } = await import('./api-key-service.js');
+        const keys = await apiKeyService.listKeys();
+        for (const row of result.rows) {
+            await _setItemStatus(row.id, 'running', 'pending');
+            const virtualKey = row.api_key_id ? keys.find(key => key.id === row.api_key_id) : null;
+            if (row.api_key_id && virtualKey?.status !== 'active') {
+                console.log(`[Batch] API key of batch ${row.id} is no longer active, cancelling it`);
+                await _updateBatch(row.id, { status: 'cancelling', cancelling_at: new Date().toISOString() });
+            }
+            const batchConfig = {
+                ...config,
+                MODEL_PROVIDER: row.model_provider || config.MODEL_PROVIDER,
+                explicitProviderSet: Boolean(row.explicit_provider),
+                virtualKey: virtualKey || undefined
+            };
+            _activate(row.id, { config: batchConfig, poolManager, promptLogFilename }, settings);
+        }
+        console.log(`[Batch] Resumed ${result.rows.length} unfinished batch(es)`);
+        return result.rows.length;
+    } catch (error) {
+        console.error(`[Batch] Failed to resume unfinished batches: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Starts working on a batch.
+ * @private
+ */
+function _activate(batchId, context, settings) {
+    runnerSettings = settings;
+    activeBatches.set(batchId, { ...context, running: 0 });
+    _pump();
+}
+
+/**
+ * Runs pending items, oldest batch first, up to `maxConcurrency` at a time and no faster than
+ * `itemsPerMinute`. Called when a batch is added or cancelled, when an item finishes and when the throttle allows the next item.
+ * @private
+ */
+async function _pump() {
+    if (pumping) {
+        pumpAgain = true;
+        return;
+    }
+    pumping = true;
+    try {
+        do {
+            pumpAgain = false;
+            await _pumpOnce();
+        } while (pumpAgain);
+    } catch (error) {
+        console.error(`[Batch] Failed to schedule batch items: ${error.message}`);
+    } finally {
+        pumping = false;
+    }
+}
+
+/**
+ * One pass over the active batches.
+ * @private
+ */
+async function _pumpOnce() {
+    const settings = runnerSettings || getSettings({});
+    for (const [batchId, context] of activeBatches) {
+        const row = await getBatch(batchId);
+        if (!row || row.ended_at) {
+            activeBatches.delete(batchId);
+            continue;
+        }
+
+        const expired = new Date(row.expires_at).getTime() <= Date.now();
+        if (row.status === 'cancelling') {
+            await _setItemStatus(batchId, 'pending', 'canceled');
+        } else if (expired) {
+            await _setItemStatus(batchId, 'pending', 'expired');
+        }
+
+        while (row.status === 'in_progress' && !expired && runningItems < settings.maxConcurrency) {
+            const waitMs = nextStartAt - Date.now();
+            if (waitMs > 0) {
+                _schedulePump(waitMs);
+                return;
+            }
+            const item = await _claimNextItem(batchId);
+            if (!item) {
+                break;
+            }
+            runningItems++;
+            context.running++;
+            nextStartAt = Date.now() + 60000 / settings.itemsPerMinute;
+            _runItem(row, item, context, settings).finally(() => {
+                runningItems--;
+                context.running--;
+                _pump();
+            });
+        }
+
+        if (context.running === 0) {
+            const counts = await countItems(batchId);
+            if (counts.pending === 0 && counts.running === 0) {
+                await _finalizeBatch(row, counts);
+                activeBatches.delete(batchId);
+            }
+        }
+        if (runningItems >= settings.maxConcurrency) {
+            return;
+        }
+    }
+}
+
+/**
+ * Wakes the runner up once the throttle allows the next item.
+ * @private
+ */
+function _schedulePump(delayMs) {
+    if (pumpTimer) {
+        return;
+    }
+    pumpTimer = setTimeout(() => {
+        pumpTimer = null;
+        _pump();
+    }, delayMs);
+    pumpTimer.unref?.();
+}
+
+/**
+ * Ends a batch once all of its items are done. OpenAI batches get their output and error files.
+ * @private
+ */
+async function _finalizeBatch(row, counts = null) {
+    counts = counts || await countItems(row.id);
+    const fields = {
+        status: row.status === 'cancelling' ? 'cancelled' : counts.expired > 0 ? 'expired' : 'completed',
+        ended_at: new Date().toISOString()
+    };
+
+    if (row.api_format === 'openai') {
+        const items = await listItems(row.id);
+        const toJsonl = (lines) => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+        const succeeded = items.filter(item => item.status === 'succeeded');
+        const failed = items.filter(item => item.status !== 'succeeded');
+        if (succeeded.length > 0) {
+            const file = await createFile({ purpose: 'batch_output', filename: `${row.id}_output.jsonl`, content: toJsonl(succeeded.map(toOpenAIResultLine)), apiKeyId: row.api_key_id });
+            fields.output_file_id = file.id;
+        }
+        if (failed.length > 0) {
+            const file = await createFile({ purpose: 'batch_output', filename: `${row.id}_error.jsonl`, content: toJsonl(failed.map(toOpenAIResultLine)), apiKeyId: row.api_key_id });
+            fields.error_file_id = file.id;
+        }
+    }
+
+    const updated = await _updateBatch(row.id, fields);
+    console.log(`[Batch] Batch ${row.id} ${fields.status}: ${counts.succeeded} succeeded, ${counts.errored} errored, ${counts.canceled} canceled, ${counts.expired} expired`);
+    return updated;
+}
+
+/**
+ * Creates the request an item is run with: the item body as a JSON request stream.
+ * @private
+ */
+function _createBatchRequest(endpoint, body, headers) {
+    const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+    req.method = 'POST';
+    req.url = endpoint;
+    req.headers = headers;
+    req.socket = { remoteAddress: null };
+    return req;
+}
+
+/**
+ * Creates a response that records what an item's request writes.
+ * @private
+ */
+function _createBatchResponse() {
+    const res = new EventEmitter();
+    const headers = {};
+    return Object.assign(res, {
+        statusCode: 200,
+        body: '',
+        headersSent: false,
+        writable: true,
+        destroyed: false,
+        setHeader(name, value) {
+            headers[name.toLowerCase()] = value;
+        },
+        getHeader(name) {
+            return headers[name.toLowerCase()];
+        },
+        writeHead(statusCode, extraHeaders = {}) {
+            res.statusCode = statusCode;
+            Object.entries(extraHeaders).forEach(([name, value]) => res.setHeader(name, value));
+            res.headersSent = true;
+            return res;
+        },
+        write(chunk) {
+            res.body += chunk;
+            return true;
+        },
+        end(chunk) {
+            if (res.writableEnded) return res;
+            if (chunk) res.body += chunk;
+            res.headersSent = true;
+            res.writable = false;
+            res.writableEnded = true;
+            res.emit('finish');
+            res.emit('close');
+            return res;
+        }
+    });
+}
+
+/**
+ * Runs one item and stores its result. Never rejects: if the item cannot be run or its result
+ * cannot be stored (e.g. a brief Postgres error), it is put back to `pending` (or `errored` once
+ * it is out of attempts) so that the batch can still finish.
+ * @private
+ */
+async function _runItem(row, item, context, settings) {
+    try {
+        await _executeItem(row, item, context, settings);
+    } catch (error) {
+        const status = item.attempts < settings.maxAttempts ? 'pending' : 'errored';
+        console.error(`[Batch] Failed to run item ${item.custom_id} of ${row.id}, marking it ${status}: ${error.message}`);
+        try {
+            if (status === 'pending') {
+                await _updateItem(item, { status });
+            } else {
+                const result = readItemResult(_createBatchResponse(), error, row.api_format);
+                await _updateItem(item, { status, status_code: result.statusCode, response: result.body, completed_at: new Date().toISOString() });
+            }
+        } catch (updateError) {
+            console.error(`[Batch] Failed to update item ${item.custom_id} of ${row.id}: ${updateError.message}`);
+        }
+    }
+}
+
+/**
+ * Runs one item through the normal request path and stores its result.
+ * @private
+ */
+async function _executeItem(row, item, context, settings) {
+    const endpointTypes = {
+        '/v1/chat/completions': ENDPOINT_TYPE.OPENAI_CHAT,
+        '/v1/responses': ENDPOINT_TYPE.OPENAI_RESPONSES,
+        '/v1/messages': ENDPOINT_TYPE.CLAUDE_MESSAGE
+    };
+    const queueSettings = requestQueue.getSettings(context.config);
+    const priority = settings.priority || queueSettings.priorities[queueSettings.priorities.length - 1];
+    const requestId = crypto.randomUUID();
+
+    // Batches always get complete responses
+    const body = { ...item.body };
+    delete body.stream;
+    delete body.stream_options;
+
+    const req = _createBatchRequest(row.endpoint, body, {
+        'content-type': 'application/json',
+        'x-request-priority': priority,
+        'x-batch-id': row.id
+    });
+    const res = _createBatchResponse();
+    const itemConfig = { ...context.config, uuid: undefined };
+
+    let thrown = null;
+    try {
+        const { getApiService } = await import('./service-manager.js');
+        const service = await getApiService(itemConfig);
+        await handleContentGenerationRequest(req, res, service, endpointTypes[row.endpoint], itemConfig, context.promptLogFilename, context.poolManager, itemConfig.uuid);
+    } catch (error) {
+        thrown = error;
+    }
+
+    const result = readItemResult(res, thrown, row.api_format);
+    if (!result.succeeded && RETRYABLE_STATUS_CODES.includes(result.statusCode) && item.attempts < settings.maxAttempts) {
+        console.log(`[Batch] Item ${item.custom_id} of ${row.id} failed with ${result.statusCode}, retrying later (attempt ${item.attempts}/${settings.maxAttempts})`);
+        await _updateItem(item, { status: 'pending' });
+        return;
+    }
+    if (!result.succeeded) {
+        console.log(`[Batch] Item ${item.custom_id} of ${row.id} errored with ${result.statusCode}`);
+    }
+    await _updateItem(item, {
+        status: result.succeeded ? 'succeeded' : 'errored',
+        status_code: result.statusCode,
+        request_id: requestId,
+        response: result.body,
+        completed_at: new Date().toISOString()
+    });
+}
+
+// Export the batch service as a singleton
+const batchService = {
+    BATCH_ENDPOINTS,
+    getSettings,
+    parseBatchInput,
+    parseMessageBatchRequests,
+    toOpenAIFile,
+    toOpenAIBatch,
+    toMessageBatch,
+    toOpenAIResultLine,
+    toMessageBatchResultLine,
+    readItemResult,
+    createFile,
+    getFile,
+    getBatch,
+    listBatches,
+    countItems,
+    listItems,
+    createBatch,
+    cancelBatch,
+    resumeBatches
+};
+
+export default batchService;
+
+// Named exports for convenience
+export {
+    BATCH_ENDPOINTS,
+    getSettings,
+    parseBatchInput,
+    parseMessageBatchRequests,
+    toOpenAIFile,
+    toOpenAIBatch,
+    toMessageBatch,
+    toOpenAIResultLine,
+    toMessageBatchResultLine,
+    readItemResult,
+    createFile,
+    getFile,
+    getBatch,
+    listBatches,
+    countItems,
+    listItems,
+    createBatch,
+    cancelBatch,
+    resumeBatches
+};
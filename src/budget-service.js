@@ -0,0 +1,337 @@
+import redisClient from './redis-client.js';
+
+// Budget counter prefix (stored in the 'metrics' namespace)
+const BUDGET_PREFIX = 'budget:';
+
+// Budget periods and how long their counters are kept
+const PERIODS = ['daily', 'monthly'];
+const PERIOD_TTL_SECONDS = {
+    daily: 2 * 24 * 60 * 60,
+    monthly: 32 * 24 * 60 * 60
+};
+
+// Budgeted metrics
+const METRICS = ['requests', 'tokens'];
+
+// Default percentage of a limit at which a soft-limit warning is emitted
+const DEFAULT_SOFT_LIMIT_PERCENT = 80;
+
+// In-memory fallback counters used when Redis is unavailable (per process)
+const inMemoryUsage = new Map();
+
+// Soft-limit warnings already emitted for the current period bucket
+const emittedWarnings = new Set();
+
+// Daily bucket the in-memory state belongs to (used to prune stale entries)
+let currentDailyBucket = null;
+
+/**
+ * Returns the UTC period buckets for a point in time.
+ * @param {Date} [now] - The reference time
+ * @returns {{daily: string, monthly: string}} e.g. { daily: '2026-10-19', monthly: '2026-10' }
+ */
+function getPeriodBuckets(now = new Date()) {
+    const iso = now.toISOString();
+    return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+}
+
+/**
+ * Returns the number of seconds until the given period resets (UTC).
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} [now] - The reference time
+ * @returns {number} Seconds until the next period starts
+ */
+function getSecondsUntilReset(period, now = new Date()) {
+    const next = period === 'monthly'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.max(1, Math.ceil((next - now.getTime()) / 1000));
+}
+
+/**
+ * Normalizes a budget definition, dropping non-positive limits.
+ * Shape: { daily: { requests, tokens }, monthly: { requests, tokens }, softLimitPercent }
+ * @param {Object|null} budget - The raw budget definition
+ * @returns {Object|null} The normalized budget, or null if it defines no limits
+ */
+function normalizeBudget(budget) {
+    if (!budget || typeof budget !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    let hasLimit = false;
+    for (const period of PERIODS) {
+        normalized[period] = {};
+        for (const metric of METRICS) {
+            const limit = Number(budget[period]?.[metric]);
+            if (Number.isFinite(limit) && limit > 0) {
+                normalized[period][metric] = limit;
+                hasLimit = true;
+            }
+        }
+    }
+
+    const softLimitPercent = Number(budget.softLimitPercent);
+    if (Number.isFinite(softLimitPercent) && softLimitPercent > 0) {
+        normalized.softLimitPercent = softLimitPercent;
+    }
+
+    return hasLimit ? normalized : null;
+}
+
+/**
+ * Builds the counter key for a scope, period bucket and metric.
+ * @private
+ */
+function _counterKey(scopeType, scopeId, period, bucket, metric) {
+    return `${BUDGET_PREFIX}${scopeType}:${scopeId}:${period}:${bucket}:${metric}`;
+}
+
+/**
+ * Drops in-memory counters and emitted warnings from previous periods.
+ * @private
+ */
+function _pruneStaleState(buckets) {
+    if (currentDailyBucket === buckets.daily) {
+        return;
+    }
+    currentDailyBucket = buckets.daily;
+
+    const isCurrent = (key) => key.includes(`:daily:${buckets.daily}:`) || key.includes(`:monthly:${buckets.monthly}:`);
+    for (const key of inMemoryUsage.keys()) {
+        if (!isCurrent(key)) inMemoryUsage.delete(key);
+    }
+    for (const key of emittedWarnings) {
+        if (!isCurrent(key)) emittedWarnings.delete(key);
+    }
+}
+
+/**
+ * Increments a counter in Redis (shared across workers), falling back to in-memory.
+ * @private
+ */
+async function _incrementCounter(key, amount, ttlSeconds) {
+    if (redisClient.isAvailable()) {
+        const value = await redisClient.incrBy(key, amount);
+        if (value !== null) {
+            // First write in this bucket, make sure the counter eventually expires
+            if (value === amount) {
+                await redisClient.expire(key, ttlSeconds);
+            }
+            return value;
+        }
+    }
+
+    const value = (inMemoryUsage.get(key) || 0) + amount;
+    inMemoryUsage.set(key, value);
+    return value;
+}
+
+/**
+ * Reads a counter. Usage recorded in memory during a Redis outage is added on top.
+ * @private
+ */
+async function _readCounter(key) {
+    let value = inMemoryUsage.get(key) || 0;
+    if (redisClient.isAvailable()) {
+        const stored = await redisClient.get(key, 'metrics');
+        value += parseInt(stored, 10) || 0;
+    }
+    return value;
+}
+
+/**
+ * Records usage for a finished request against the API key and provider type budgets.
+ * @param {Object} usage - Usage data (same fields as metricsService.recordRequest)
+ * @param {string|null} usage.apiKeyId - Virtual API key id
+ * @param {string|null} usage.providerType - Provider type that served the request
+ * @param {number|null} usage.inputTokens - Input tokens
+ * @param {number|null} usage.outputTokens - Output tokens
+ * @returns {Promise<void>}
+ */
+async function recordUsage({ apiKeyId, providerType, inputTokens, outputTokens }) {
+    const buckets = getPeriodBuckets();
+    _pruneStaleState(buckets);
+
+    const tokens = (inputTokens || 0) + (outputTokens || 0);
+    const scopes = [];
+    if (apiKeyId) scopes.push(['key', apiKeyId]);
+    if (providerType) scopes.push(['provider', providerType]);
+
+    for (const [scopeType, scopeId] of scopes) {
+        for (const period of PERIODS) {
+            const ttl = PERIOD_TTL_SECONDS[period];
+            await _incrementCounter(_counterKey(scopeType, scopeId, period, buckets[period], 'requests'), 1, ttl);
+            if (tokens > 0) {
+                await _incrementCounter(_counterKey(scopeType, scopeId, period, buckets[period], 'tokens'), tokens, ttl);
+            }
+        }
+    }
+}
+
+/**
+ * Returns the current usage for a scope.
+ * @param {string} scopeType - 'key' or 'provider'
+ * @param {string} scopeId - API key id or provider type
+ * @returns {Promise<Object>} { daily: { requests, tokens }, monthly: { requests, tokens } }
+ */
+async function getUsage(scopeType, scopeId) {
+    const buckets = getPeriodBuckets();
+    const usage = {};
+    for (const period of PERIODS) {
+        usage[period] = {};
+        for (const metric of METRICS) {
+            usage[period][metric] = await _readCounter(_counterKey(scopeType, scopeId, period, buckets[period], metric));
+        }
+    }
+    return usage;
+}
+
+/**
+ * Broadcasts a soft-limit warning to the UI once per scope, period bucket and metric.
+ * @private
+ */
+async function _emitSoftLimitWarning(warning) {
+    const warningKey = _counterKey(warning.scopeType, warning.scopeId, warning.period, warning.bucket, warning.metric);
+    if (emittedWarnings.has(warningKey)) {
+        return;
+    }
+    emittedWarnings.add(warningKey);
+
+    console.warn(`[Budget] ${warning.label} reached ${warning.percent}% of its ${warning.period} ${warning.metric} budget (${warning.used}/${warning.limit})`);
+    try {
+        const { broadcastEvent } = await import('./ui-manager.js');
+        broadcastEvent('budget_warning', { ...warning, timestamp: new Date().toISOString() });
+    } catch (error) {
+        console.error(`[Budget] Failed to broadcast budget warning: ${error.message}`);
+    }
+}
+
+/**
+ * Evaluates a scope's usage against its budget.
+ * @private
+ */
+async function _evaluateBudget(scopeType, scopeId, label, budget, defaultSoftLimitPercent) {
+    const normalized = normalizeBudget(budget);
+    if (!normalized) {
+        return { allowed: true, reason: null, retryAfterSeconds: null };
+    }
+
+    const softLimitPercent = normalized.softLimitPercent || defaultSoftLimitPercent || DEFAULT_SOFT_LIMIT_PERCENT;
+    const buckets = getPeriodBuckets();
+    const usage = await getUsage(scopeType, scopeId);
+    const warnings = [];
+
+    for (const period of PERIODS) {
+        for (const metric of METRICS) {
+            const limit = normalized[period][metric];
+            if (!limit) continue;
+
+            const used = usage[period][metric];
+            if (used >= limit) {
+                return {
+                    allowed: false,
+                    reason: `${label} exceeded its ${period} ${metric} budget (${used}/${limit})`,
+                    retryAfterSeconds: getSecondsUntilReset(period)
+                };
+            }
+            if (used >= limit * softLimitPercent / 100) {
+                warnings.push({
+                    scopeType, scopeId, label, period, metric, used, limit,
+                    bucket: buckets[period],
+                    percent: Math.floor((used / limit) * 100)
+                });
+            }
+        }
+    }
+
+    for (const warning of warnings) {
+        await _emitSoftLimitWarning(warning);
+    }
+    return { allowed: true, reason: null, retryAfterSeconds: null };
+}
+
+/**
+ * Checks a virtual key's budget. Keys without their own budget use `budgets.defaultApiKey`.
+ * @param {Object} config - The server configuration (reads `config.budgets`)
+ * @param {Object|null} virtualKey - The virtual key record (null for the master key)
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number|null}>}
+ */
+async function checkKeyBudget(config, virtualKey) {
+    if (!virtualKey) {
+        return { allowed: true, reason: null, retryAfterSeconds: null };
+    }
+    const budgets = config?.budgets || {};
+    const budget = virtualKey.budgets || budgets.defaultApiKey || null;
+    return _evaluateBudget('key', virtualKey.id, `API key '${virtualKey.name}'`, budget, budgets.softLimitPercent);
+}
+
+/**
+ * Checks a provider type's budget from `budgets.providerTypes`.
+ * @param {Object} config - The server configuration (reads `config.budgets`)
+ * @param {string} providerType - The provider type (e.g. 'gemini-antigravity')
+ * @returns {Promise<{allowed: boolean, reason: string|null, retryAfterSeconds: number|null}>}
+ */
+async function checkProviderBudget(config, providerType) {
+    const budgets = config?.budgets || {};
+    const budget = budgets.providerTypes?.[providerType] || null;
+    return _evaluateBudget('provider', providerType, `Provider '${providerType}'`, budget, budgets.softLimitPercent);
+}
+
+/**
+ * Returns budgets and current usage for every budgeted provider type and the given keys.
+ * @param {Object} config - The server configuration
+ * @param {Object[]} [apiKeys] - Virtual key records to include
+ * @returns {Promise<Object>} { providerTypes: [...], apiKeys: [...] }
+ */
+async function getBudgetStatus(config, apiKeys = []) {
+    const budgets = config?.budgets || {};
+    const providerTypes = [];
+    for (const [providerType, budget] of Object.entries(budgets.providerTypes || {})) {
+        providerTypes.push({ providerType, budget: normalizeBudget(budget), usage: await getUsage('provider', providerType) });
+    }
+
+    const keys = [];
+    for (const apiKey of apiKeys) {
+        keys.push({
+            id: apiKey.id,
+            name: apiKey.name,
+            budget: normalizeBudget(apiKey.budgets || budgets.defaultApiKey || null),
+            usage: await getUsage('key', apiKey.id)
+        });
+    }
+
+    return {
+        softLimitPercent: budgets.softLimitPercent || DEFAULT_SOFT_LIMIT_PERCENT,
+        periods: getPeriodBuckets(),
+        providerTypes,
+        apiKeys: keys
+    };
+}
+
+// Export the budget service as a singleton
+const budgetService = {
+    recordUsage,
+    getUsage,
+    checkKeyBudget,
+    checkProviderBudget,
+    getBudgetStatus,
+    normalizeBudget,
+    getPeriodBuckets,
+    getSecondsUntilReset
+};
+
+export default budgetService;
+
+// Named exports for convenience
+export {
+    recordUsage,
+    getUsage,
+    checkKeyBudget,
+    checkProviderBudget,
+    getBudgetStatus,
+    normalizeBudget,
+    getPeriodBuckets,
+    getSecondsUntilReset
+};
@@ -2,36 +2,191 @@ import crypto from 'crypto';
 import redisClient from './redis-client.js';
 import { getProtocolPrefix, MODEL_PROTOCOL_PREFIX } from './common.js';
 import { query, isConnected } from './postgres-client.js';
+import semanticCache from './semantic-cache.js';
 
 // Cache configuration from environment variables
 const CACHE_CONFIG = {
     enabled: process.env.CACHE_ENABLED === 'true',
     ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 3600, // Default: 1 hour
-    maxSize: parseInt(process.env.CACHE_MAX_SIZE, 10) || 10000 // For tracking stats only
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE, 10) || 10000, // For tracking stats only
+    streamingEnabled: process.env.CACHE_STREAMING !== 'false', // Cache and replay streaming responses
+    // Comma-separated request fields left out of the cache key; overrides config.json `cache.ignoredFields`
+    ignoredFieldsOverride: process.env.CACHE_IGNORED_FIELDS !== undefined
+        ? process.env.CACHE_IGNORED_FIELDS.split(',').map(field => field.trim()).filter(Boolean)
+        : null
 };
 
 // Cache-specific namespace prefix
 const CACHE_PREFIX = 'response:';
 
+// Fields that never change the generated answer and are always left out of the cache key
+const DEFAULT_IGNORED_FIELDS = ['model', 'stream', 'stream_options', 'user', 'metadata', 'store'];
+
+/**
+ * Equivalent OpenAI, OpenAI Responses, Claude and Gemini request fields, mapped to one canonical name.
+ * Paths are dotted (e.g. 'generationConfig.temperature'). When a request sets several paths of the
+ * same canonical field (e.g. Gemini's responseMimeType and responseSchema), all of them are kept.
+ */
+const CANONICAL_FIELDS = {
+    messages: ['messages', 'contents', 'input'],
+    system: ['system', 'systemInstruction', 'system_instruction', 'instructions'],
+    maxTokens: ['max_tokens', 'max_completion_tokens', 'max_output_tokens', 'generationConfig.maxOutputTokens'],
+    temperature: ['temperature', 'generationConfig.temperature'],
+    topP: ['top_p', 'generationConfig.topP'],
+    topK: ['top_k', 'generationConfig.topK'],
+    stop: ['stop', 'stop_sequences', 'generationConfig.stopSequences'],
+    seed: ['seed', 'generationConfig.seed'],
+    candidateCount: ['n', 'generationConfig.candidateCount'],
+    presencePenalty: ['presence_penalty', 'generationConfig.presencePenalty'],
+    frequencyPenalty: ['frequency_penalty', 'generationConfig.frequencyPenalty'],
+    tools: ['tools'],
+    toolChoice: ['tool_choice', 'toolConfig', 'tool_config'],
+    responseFormat: ['response_format', 'text.format', 'generationConfig.responseMimeType', 'generationConfig.responseSchema', 'generationConfig.responseJsonSchema'],
+    reasoning: ['reasoning_effort', 'reasoning', 'thinking', 'generationConfig.thinkingConfig'],
+    logprobs: ['logprobs', 'top_logprobs', 'generationConfig.responseLogprobs', 'generationConfig.logprobs'],
+    safetySettings: ['safetySettings', 'safety_settings']
+};
+
 // Internal statistics tracking
 const cacheStats = {
     hits: 0,
     misses: 0,
     stores: 0,
     invalidations: 0,
-    errors: 0
+    errors: 0,
+    semanticHits: 0,
+    semanticMisses: 0,
+    semanticStores: 0
 };
 
+/**
+ * Serializes a value to JSON with object keys sorted at every level,
+ * so that key ordering never changes the cache key.
+ * @param {*} value - The value to serialize
+ * @returns {string} The stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Reads a dotted path from an object.
+ * @private
+ */
+function _getPath(obj, path) {
+    return path.split('.').reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), obj);
+}
+
+/**
+ * Deletes a dotted path from an object, removing parents left empty.
+ * @private
+ */
+function _deletePath(obj, path) {
+    const parts = path.split('.');
+    const parents = [obj];
+    for (const part of parts.slice(0, -1)) {
+        const next = parents[parents.length - 1]?.[part];
+        if (!next || typeof next !== 'object') return;
+        parents.push(next);
+    }
+    delete parents[parents.length - 1][parts[parts.length - 1]];
+
+    for (let i = parents.length - 1; i > 0; i--) {
+        if (Object.keys(parents[i]).length > 0) break;
+        delete parents[i - 1][parts[i - 1]];
+    }
+}
+
+/**
+ * Returns the extra request fields left out of cache keys: config.json `cache.ignoredFields`,
+ * or the CACHE_IGNORED_FIELDS environment variable when it is set.
+ * @param {Object} [config] - The server configuration
+ * @returns {string[]} Dotted paths or canonical names
+ */
+function getIgnoredFields(config = null) {
+    if (CACHE_CONFIG.ignoredFieldsOverride) {
+        return CACHE_CONFIG.ignoredFieldsOverride;
+    }
+    const fields = config?.cache?.ignoredFields;
+    return Array.isArray(fields) ? fields.filter(field => typeof field === 'string' && field.trim()).map(field => field.trim()) : [];
+}
+
+/**
+ * Builds a canonical, protocol-aware representation of a generation request for cache keys.
+ * Equivalent parameter names (e.g. max_tokens, max_output_tokens, generationConfig.maxOutputTokens)
+ * map to one canonical field, and any remaining fields are kept under `extra`. The client protocol
+ * is part of the result because cached responses are stored in the client's format.
+ * @param {Object} requestBody - The original request body (client format)
+ * @param {string} fromProvider - The client provider format (e.g., 'openai', 'gemini', 'claude')
+ * @param {string[]} [ignoredFields] - Extra fields (dotted paths or canonical names) to leave out, see getIgnoredFields()
+ * @returns {Object} The canonical request
+ */
+function canonicalizeRequest(requestBody, fromProvider, ignoredFields = getIgnoredFields()) {
+    const remaining = JSON.parse(JSON.stringify(requestBody || {}));
+    const ignored = new Set([...DEFAULT_IGNORED_FIELDS, ...ignoredFields]);
+    for (const field of ignored) {
+        _deletePath(remaining, field);
+    }
+
+    const canonical = { protocol: fromProvider ? getProtocolPrefix(fromProvider) : null };
+    for (const [name, paths] of Object.entries(CANONICAL_FIELDS)) {
+        const found = {};
+        for (const path of paths) {
+            const value = _getPath(remaining, path);
+            if (value === undefined || value === null) continue;
+            found[path] = value;
+            _deletePath(remaining, path);
+        }
+
+        const foundPaths = Object.keys(found);
+        if (foundPaths.length === 0 || ignored.has(name)) continue;
+        canonical[name] = foundPaths.length === 1 ? found[foundPaths[0]] : found;
+    }
+
+    // A single stop string is equivalent to a one-element list
+    if (typeof canonical.stop === 'string') {
+        canonical.stop = [canonical.stop];
+    }
+
+    if (Object.keys(remaining).length > 0) {
+        canonical.extra = remaining;
+    }
+    return canonical;
+}
+
+/**
+ * Checks whether a request opted out of the response cache with `Cache-Control: no-store`.
+ * @param {Object} headers - The request headers
+ * @returns {boolean} True if the request must not be served from or stored in the cache
+ */
+function isNoStoreRequest(headers) {
+    const cacheControl = headers?.['cache-control'];
+    if (!cacheControl) return false;
+    return String(cacheControl)
+        .split(',')
+        .some(directive => directive.trim().toLowerCase() === 'no-store');
+}
+
 /**
  * Generates a unique cache key from model and messages.
  * Uses SHA-256 hash to create a consistent, fixed-length key.
  * @param {string} model - The model identifier
- * @param {Array|Object} messages - The messages array or object
+ * @param {Array|Object} messages - The messages array, or a canonical request from canonicalizeRequest()
  * @returns {string} The generated cache key
  */
 function generateCacheKey(model, messages) {
     const normalizedModel = String(model || '').trim();
-    const normalizedMessages = JSON.stringify(messages || []);
+    const normalizedMessages = stableStringify(messages || []);
 
     const hashInput = `${normalizedModel}:${normalizedMessages}`;
     const hash = crypto.createHash('sha256').update(hashInput).digest('hex');
@@ -67,14 +222,15 @@ function extractMessagesForCacheKey(requestBody, fromProvider) {
 
 /**
  * Generates a cache key from model and request body, handling different provider formats.
+ * Covers every generation parameter, not just the messages (see canonicalizeRequest()).
  * @param {string} model - The model identifier
  * @param {Object} requestBody - The original request body
  * @param {string} fromProvider - The client provider format
+ * @param {string[]} [ignoredFields] - Extra fields to leave out of the key
  * @returns {string} The generated cache key
  */
-function generateCacheKeyFromRequest(model, requestBody, fromProvider) {
-    const messages = extractMessagesForCacheKey(requestBody, fromProvider);
-    return generateCacheKey(model, messages);
+function generateCacheKeyFromRequest(model, requestBody, fromProvider, ignoredFields = getIgnoredFields()) {
+    return generateCacheKey(model, canonicalizeRequest(requestBody, fromProvider, ignoredFields));
 }
 
 /**
@@ -175,6 +331,188 @@ async function cacheResponse(model, messages, response, ttlSeconds = null) {
     }
 }
 
+/**
+ * Builds the cache key for a streaming request. Streaming and non-streaming responses
+ * to the same request are stored separately because their formats differ.
+ * @private
+ */
+function _streamCacheKey(model, messages) {
+    return generateCacheKey(model, { request: messages || [], stream: true });
+}
+
+/**
+ * Retrieves a cached stream (the chunk sequence sent to the client) for replay.
+ * @param {string} model - The model identifier
+ * @param {Object} messages - The canonical request from canonicalizeRequest()
+ * @returns {Promise<Object|null>} { frames: [{ event, data }], usage } or null if not found
+ */
+async function getCachedStream(model, messages) {
+    if (!CACHE_CONFIG.enabled || !CACHE_CONFIG.streamingEnabled) {
+        return null;
+    }
+
+    if (!redisClient.isAvailable()) {
+        console.debug('[CacheService] Redis unavailable, bypassing stream cache lookup.');
+        cacheStats.misses++;
+        return null;
+    }
+
+    const cacheKey = _streamCacheKey(model, messages);
+
+    try {
+        console.debug(`[CacheService] Looking up stream cache key: ${cacheKey}`);
+        const cachedValue = await redisClient.getJSON(cacheKey);
+
+        if (cachedValue !== null && Array.isArray(cachedValue.frames)) {
+            cacheStats.hits++;
+            console.debug(`[CacheService] Stream cache HIT for model: ${model}`);
+            return cachedValue;
+        }
+        cacheStats.misses++;
+        console.debug(`[CacheService] Stream cache MISS for model: ${model}`);
+        return null;
+    } catch (error) {
+        console.error(`[CacheService Error] Failed to get cached stream: ${error.message}`);
+        cacheStats.errors++;
+        cacheStats.misses++;
+        return null;
+    }
+}
+
+/**
+ * Caches the full chunk sequence of a cleanly completed stream.
+ * @param {string} model - The model identifier
+ * @param {Object} messages - The canonical request from canonicalizeRequest()
+ * @param {Array<{event: string|null, data: Object}>} frames - The SSE frames sent to the client, in order
+ * @param {Object} [usage] - Token usage of the stream ({ inputTokens, outputTokens })
+ * @param {number} [ttlSeconds] - Optional TTL in seconds (defaults to CACHE_TTL_SECONDS)
+ * @returns {Promise<boolean>} True if successfully cached, false otherwise
+ */
+async function cacheStream(model, messages, frames, usage = null, ttlSeconds = null) {
+    if (!CACHE_CONFIG.enabled || !CACHE_CONFIG.streamingEnabled) {
+        return false;
+    }
+
+    if (!redisClient.isAvailable()) {
+        console.debug('[CacheService] Redis unavailable, bypassing stream cache store.');
+        return false;
+    }
+
+    if (!Array.isArray(frames) || frames.length === 0) {
+        console.debug('[CacheService] No stream chunks to cache.');
+        return false;
+    }
+
+    const cacheKey = _streamCacheKey(model, messages);
+    const effectiveTtl = ttlSeconds || CACHE_CONFIG.ttlSeconds;
+
+    try {
+        console.debug(`[CacheService] Caching ${frames.length} stream chunks for model: ${model} with TTL: ${effectiveTtl}s`);
+
+        const success = await redisClient.setJSON(cacheKey, { frames, usage }, effectiveTtl);
+        if (success) {
+            cacheStats.stores++;
+            return true;
+        }
+        console.debug('[CacheService] Failed to store stream in cache.');
+        return false;
+    } catch (error) {
+        console.error(`[CacheService Error] Failed to cache stream: ${error.message}`);
+        cacheStats.errors++;
+        return false;
+    }
+}
+
+/**
+ * Builds the semantic cache lookup for a canonical request: the last user turn to embed and
+ * a hash of everything else (earlier turns, system prompt, parameters, protocol, stream mode),
+ * which must match exactly for a semantic hit.
+ * @private
+ */
+function _semanticLookupParts(canonical, isStream) {
+    const turn = semanticCache.extractLastUserTurn(canonical?.messages);
+    if (!turn) return null;
+
+    const context = {
+        ...canonical,
+        messages: Array.isArray(canonical.messages) ? canonical.messages.slice(0, turn.index) : null,
+        stream: isStream
+    };
+    const contextKey = crypto.createHash('sha256').update(stableStringify(context)).digest('hex');
+    return { text: turn.text, contextKey };
+}
+
+/**
+ * Looks up a semantically similar cached answer (optional layer on top of the exact-match cache).
+ * The last user turn is embedded and compared with earlier requests for the same model and context.
+ * @param {string} model - The model identifier
+ * @param {Object} canonical - The canonical request from canonicalizeRequest()
+ * @param {boolean} [isStream] - Whether to look up a cached stream instead of a response
+ * @returns {Promise<{value: Object, similarity: number}|null>} The cached response (or stream) and its similarity
+ */
+async function getSemanticMatch(model, canonical, isStream = false) {
+    if (!CACHE_CONFIG.enabled || !semanticCache.isEnabled() || !redisClient.isAvailable()) {
+        return null;
+    }
+
+    try {
+        const parts = _semanticLookupParts(canonical, isStream);
+        if (!parts) {
+            return null;
+        }
+
+        const vector = await semanticCache.embed(parts.text);
+        const match = await semanticCache.findSimilar(model, parts.contextKey, vector);
+        const value = match ? await redisClient.getJSON(match.responseKey) : null;
+
+        if (value !== null) {
+            cacheStats.semanticHits++;
+            console.debug(`[CacheService] Semantic cache HIT for model: ${model} (similarity ${match.similarity.toFixed(4)})`);
+            return { value, similarity: match.similarity };
+        }
+        cacheStats.semanticMisses++;
+        return null;
+    } catch (error) {
+        console.error(`[CacheService Error] Failed to look up semantic cache: ${error.message}`);
+        cacheStats.errors++;
+        cacheStats.semanticMisses++;
+        return null;
+    }
+}
+
+/**
+ * Indexes an exactly cached response (or stream) in the semantic cache.
+ * Call after cacheResponse()/cacheStream() succeeded; the index points at that entry.
+ * @param {string} model - The model identifier
+ * @param {Object} canonical - The canonical request from canonicalizeRequest()
+ * @param {boolean} [isStream] - Whether the cached entry is a stream
+ * @returns {Promise<boolean>} True if indexed
+ */
+async function cacheSemanticEntry(model, canonical, isStream = false) {
+    if (!CACHE_CONFIG.enabled || !semanticCache.isEnabled() || !redisClient.isAvailable()) {
+        return false;
+    }
+
+    try {
+        const parts = _semanticLookupParts(canonical, isStream);
+        if (!parts) {
+            return false;
+        }
+
+        const vector = await semanticCache.embed(parts.text);
+        const responseKey = isStream ? _streamCacheKey(model, canonical) : generateCacheKey(model, canonical);
+        const success = await semanticCache.addEntry(model, { contextKey: parts.contextKey, vector, responseKey }, CACHE_CONFIG.ttlSeconds);
+        if (success) {
+            cacheStats.semanticStores++;
+        }
+        return success;
+    } catch (error) {
+        console.error(`[CacheService Error] Failed to index semantic cache entry: ${error.message}`);
+        cacheStats.errors++;
+        return false;
+    }
+}
+
 /**
  * Invalidates all cached responses for a specific model.
  * Uses pattern matching to find and delete all keys for the model.
@@ -282,6 +620,7 @@ async function clearCache() {
 async function getCacheStats() {
     let size = 0;
     let dbHits = 0;
+    let dbSemanticHits = 0;
     let dbTotal = 0;
     let dbHitRate = '0.00';
 
@@ -302,6 +641,7 @@ async function getCacheStats() {
             const sql = `
                 SELECT
                     COUNT(*) FILTER (WHERE provider_type = 'cache') AS cache_hits,
+                    COUNT(*) FILTER (WHERE provider_type = 'semantic-cache') AS semantic_cache_hits,
                     COUNT(*) AS total_requests
                 FROM requests
                 WHERE timestamp >= NOW() - INTERVAL '24 hours'
@@ -309,6 +649,7 @@ async function getCacheStats() {
             const result = await query(sql, []);
             if (result.rows.length > 0) {
                 dbHits = parseInt(result.rows[0].cache_hits, 10) || 0;
+                dbSemanticHits = parseInt(result.rows[0].semantic_cache_hits, 10) || 0;
                 dbTotal = parseInt(result.rows[0].total_requests, 10) || 0;
                 dbHitRate = dbTotal > 0 ? ((dbHits / dbTotal) * 100).toFixed(2) : '0.00';
             }
@@ -326,6 +667,11 @@ async function getCacheStats() {
     const effectiveTotal = effectiveHits + effectiveMisses;
     const hitRate = effectiveTotal > 0 ? ((effectiveHits / effectiveTotal) * 100).toFixed(2) : '0.00';
 
+    // Semantic hits are counted separately from exact hits (they follow an exact miss)
+    const semanticHits = useDbStats ? dbSemanticHits : cacheStats.semanticHits;
+    const semanticLookups = useDbStats ? (dbTotal - dbHits) : cacheStats.semanticHits + cacheStats.semanticMisses;
+    const semanticHitRate = semanticLookups > 0 ? ((semanticHits / semanticLookups) * 100).toFixed(2) : '0.00';
+
     return {
         enabled: CACHE_CONFIG.enabled,
         hits: effectiveHits,
@@ -337,7 +683,15 @@ async function getCacheStats() {
         size: size,
         maxSize: CACHE_CONFIG.maxSize,
         ttlSeconds: CACHE_CONFIG.ttlSeconds,
+        streamingEnabled: CACHE_CONFIG.streamingEnabled,
         redisAvailable: redisClient.isAvailable(),
+        semantic: {
+            ...semanticCache.getConfig(),
+            hits: semanticHits,
+            misses: Math.max(0, semanticLookups - semanticHits),
+            hitRate: `${semanticHitRate}%`,
+            stores: cacheStats.semanticStores
+        },
         source: useDbStats ? 'postgres' : 'in-memory'
     };
 }
@@ -351,18 +705,29 @@ function resetCacheStats() {
     cacheStats.stores = 0;
     cacheStats.invalidations = 0;
     cacheStats.errors = 0;
+    cacheStats.semanticHits = 0;
+    cacheStats.semanticMisses = 0;
+    cacheStats.semanticStores = 0;
     console.debug('[CacheService] Statistics reset.');
 }
 
 /**
  * Checks if a request should be cached based on its parameters.
- * Streaming requests are not cached.
+ * Requests sent with `Cache-Control: no-store` are not cached, and streaming
+ * requests only when stream caching is enabled (CACHE_STREAMING, default on).
  * @param {Object} requestBody - The request body
+ * @param {Object} [headers] - The request headers
+ * @param {boolean} [isStream] - Whether the request is streaming (defaults to requestBody.stream)
  * @returns {boolean} True if the request can be cached
  */
-function shouldCacheRequest(requestBody) {
-    // Don't cache streaming requests
-    if (requestBody && requestBody.stream === true) {
+function shouldCacheRequest(requestBody, headers = null, isStream = requestBody?.stream === true) {
+    // Streaming requests are cached as a chunk sequence and replayed
+    if (isStream && !CACHE_CONFIG.streamingEnabled) {
+        return false;
+    }
+
+    // Per-request opt-out
+    if (isNoStoreRequest(headers)) {
         return false;
     }
 
@@ -387,13 +752,16 @@ function shouldCacheResponse(status) {
 
 /**
  * Gets the current cache configuration.
+ * @param {Object} [config] - The server configuration, for `cache.ignoredFields`
  * @returns {Object} The cache configuration
  */
-function getConfig() {
+function getConfig(config = null) {
     return {
         enabled: CACHE_CONFIG.enabled,
         ttlSeconds: CACHE_CONFIG.ttlSeconds,
-        maxSize: CACHE_CONFIG.maxSize
+        maxSize: CACHE_CONFIG.maxSize,
+        streamingEnabled: CACHE_CONFIG.streamingEnabled,
+        ignoredFields: [...DEFAULT_IGNORED_FIELDS, ...getIgnoredFields(config)]
     };
 }
 
@@ -401,9 +769,17 @@ function getConfig() {
 const cacheService = {
     getCachedResponse,
     cacheResponse,
+    getCachedStream,
+    cacheStream,
+    getSemanticMatch,
+    cacheSemanticEntry,
     generateCacheKey,
     generateCacheKeyFromRequest,
     extractMessagesForCacheKey,
+    canonicalizeRequest,
+    getIgnoredFields,
+    stableStringify,
+    isNoStoreRequest,
     invalidateModel,
     clearCache,
     getCacheStats,
@@ -420,9 +796,17 @@ export default cacheService;
 export {
     getCachedResponse,
     cacheResponse,
+    getCachedStream,
+    cacheStream,
+    getSemanticMatch,
+    cacheSemanticEntry,
     generateCacheKey,
     generateCacheKeyFromRequest,
     extractMessagesForCacheKey,
+    canonicalizeRequest,
+    getIgnoredFields,
+    stableStringify,
+    isNoStoreRequest,
     invalidateModel,
     clearCache,
     getCacheStats,
@@ -0,0 +1,221 @@
+/**
+ * Per-account circuit breaker used by ProviderPoolManager.
+ *
+ * closed    - requests flow; outcomes are kept for a sliding window and the circuit opens once
+ *             the window holds at least `minRequests` outcomes and the error rate reaches `errorRateThreshold`
+ * open      - no requests for the open duration, which doubles on every consecutive re-open
+ *             (capped at `maxOpenDurationMs`)
+ * half_open - up to `halfOpenMaxProbes` live requests are admitted as probes; `halfOpenSuccessThreshold`
+ *             successes close the circuit, any failure opens it again
+ */
+
+const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_OPTIONS = {
+    windowMs: 60 * 1000,
+    minRequests: 3,
+    errorRateThreshold: 0.5,
+    openDurationMs: 30 * 1000,
+    maxOpenDurationMs: 30 * 60 * 1000,
+    halfOpenMaxProbes: 1,
+    halfOpenSuccessThreshold: 1
+};
+
+/**
+ * Builds breaker options from config.json `circuitBreaker`, ignoring invalid values.
+ * @param {Object} [settings] - The `circuitBreaker` config section
+ * @param {Object} [defaults] - Defaults overriding DEFAULT_OPTIONS (e.g. minRequests from MAX_ERROR_COUNT)
+ * @returns {Object} Complete breaker options
+ */
+function resolveCircuitBreakerOptions(settings = {}, defaults = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...defaults };
+    for (const name of Object.keys(DEFAULT_OPTIONS)) {
+        const value = Number(settings?.[name]);
+        if (settings?.[name] !== undefined && Number.isFinite(value) && value >= 0) {
+            options[name] = value;
+        }
+    }
+    options.minRequests = Math.max(1, Math.floor(options.minRequests));
+    options.halfOpenMaxProbes = Math.max(1, Math.floor(options.halfOpenMaxProbes));
+    options.halfOpenSuccessThreshold = Math.max(1, Math.floor(options.halfOpenSuccessThreshold));
+    return options;
+}
+
+export class CircuitBreaker {
+    /**
+     * @param {Object} [options] - Breaker options (see resolveCircuitBreakerOptions)
+     * @param {Object} [init] - Initial state
+     * @param {string} [init.state] - Starting state; an open circuit starts already due for probing
+     * @param {Function} [init.onTransition] - (from, to, details) => void, called on every state change
+     */
+    constructor(options = {}, { state = CIRCUIT_STATE.CLOSED, onTransition = null } = {}) {
+        this.options = resolveCircuitBreakerOptions(options);
+        this.onTransition = onTransition;
+        this.state = Object.values(CIRCUIT_STATE).includes(state) ? state : CIRCUIT_STATE.CLOSED;
+        this.outcomes = []; // { time, success } within the sliding window
+        this.openUntil = this.state === CIRCUIT_STATE.OPEN ? Date.now() : null;
+        this.consecutiveOpens = this.state === CIRCUIT_STATE.OPEN ? 1 : 0;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+    }
+
+    /**
+     * Drops outcomes that have left the sliding window.
+     * @private
+     */
+    _prune(now) {
+        const windowStart = now - this.options.windowMs;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < windowStart) {
+            this.outcomes.shift();
+        }
+    }
+
+    /**
+     * Changes state and notifies the listener.
+     * @private
+     */
+    _transition(to, now, details = {}) {
+        const from = this.state;
+        if (from === to) return;
+        this.state = to;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
+
+        if (to === CIRCUIT_STATE.OPEN) {
+            this.consecutiveOpens++;
+            const duration = Math.min(
+                this.options.maxOpenDurationMs,
+                this.options.openDurationMs * 2 ** (this.consecutiveOpens - 1)
+            );
+            this.openUntil = now + duration;
+            details = { ...details, openDurationMs: duration };
+        } else {
+            this.openUntil = null;
+        }
+        if (to === CIRCUIT_STATE.CLOSED) {
+            this.consecutiveOpens = 0;
+            this.outcomes = [];
+        }
+
+        if (this.onTransition) {
+            this.onTransition(from, to, details);
+        }
+    }
+
+    /**
+     * Returns the error rate over the sliding window.
+     * @param {number} [now] - Current time in ms
+     * @returns {{requests: number, failures: number, errorRate: number}}
+     */
+    getWindowStats(now = Date.now()) {
+        this._prune(now);
+        const failures = this.outcomes.filter(outcome => !outcome.success).length;
+        const requests = this.outcomes.length;
+        return { requests, failures, errorRate: requests > 0 ? failures / requests : 0 };
+    }
+
+    /**
+     * Checks whether a request may be sent. An open circuit whose open duration has
+     * elapsed moves to half-open here.
+     * @param {number} [now] - Current time in ms
+     * @returns {boolean} True if the account can take a request
+     */
+    isAdmitting(now = Date.now()) {
+        if (this.state === CIRCUIT_STATE.OPEN && this.openUntil !== null && now >= this.openUntil) {
+            this._transition(CIRCUIT_STATE.HALF_OPEN, now);
+        }
+        if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+            return this.probesInFlight < this.options.halfOpenMaxProbes;
+        }
+        return this.state === CIRCUIT_STATE.CLOSED;
+    }
+
+    /**
+     * Registers a live request. In half-open state it counts as a probe.
+     * @returns {Function} Call when the request has finished
+     */
+    beginRequest() {
+        if (this.state !== CIRCUIT_STATE.HALF_OPEN) {
+            return () => {};
+        }
+        this.probesInFlight++;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+        };
+    }
+
+    /**
+     * Records a successful request or health check.
+     * @param {number} [now] - Current time in ms
+     */
+    recordSuccess(now = Date.now()) {
+        if (this.state === CIRCUIT_STATE.CLOSED) {
+            this.outcomes.push({ time: now, success: true });
+            this._prune(now);
+            return;
+        }
+        if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+            this.probeSuccesses++;
+            if (this.probeSuccesses < this.options.halfOpenSuccessThreshold) {
+                return;
+            }
+        }
+        // Enough probe successes, or a successful health check while open
+        this._transition(CIRCUIT_STATE.CLOSED, now, { reason: this.state === CIRCUIT_STATE.OPEN ? 'health check succeeded' : 'probe succeeded' });
+    }
+
+    /**
+     * Records a failed request or health check.
+     * @param {number} [now] - Current time in ms
+     */
+    recordFailure(now = Date.now()) {
+        if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+            this._transition(CIRCUIT_STATE.OPEN, now, { reason: 'probe failed' });
+            return;
+        }
+        if (this.state === CIRCUIT_STATE.OPEN) {
+            return;
+        }
+
+        this.outcomes.push({ time: now, success: false });
+        const stats = this.getWindowStats(now);
+        if (stats.requests >= this.options.minRequests && stats.errorRate >= this.options.errorRateThreshold) {
+            this._transition(CIRCUIT_STATE.OPEN, now, {
+                reason: `error rate ${Math.round(stats.errorRate * 100)}% over ${stats.requests} requests`,
+                ...stats
+            });
+        }
+    }
+
+    /**
+     * Closes the circuit regardless of its state (e.g. a manual health reset).
+     * @param {number} [now] - Current time in ms
+     */
+    reset(now = Date.now()) {
+        this._transition(CIRCUIT_STATE.CLOSED, now, { reason: 'reset' });
+        this.outcomes = [];
+    }
+
+    /**
+     * Returns a serializable view of the breaker.
+     * @param {number} [now] - Current time in ms
+     * @returns {Object} State, window statistics and when an open circuit will be probed
+     */
+    getSnapshot(now = Date.now()) {
+        return {
+            state: this.state,
+            ...this.getWindowStats(now),
+            openUntil: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+            probesInFlight: this.probesInFlight
+        };
+    }
+}
+
+export { CIRCUIT_STATE, DEFAULT_OPTIONS as DEFAULT_CIRCUIT_BREAKER_OPTIONS, resolveCircuitBreakerOptions };
@@ -56,9 +56,10 @@ export class ClaudeCodeApiService {
      * Generates content (non-streaming).
      * @param {string} model - Model name.
      * @param {object} requestBody - Request body (OpenAI/Claude format).
+     * @param {object} [options] - Optional. { signal } to cancel the request.
      * @returns {Promise<object>} Claude API compatible response.
      */
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         const modelName = this._getModelName(model);
         const prompt = this._messagesToPrompt(requestBody.messages || []);
 
@@ -67,7 +68,8 @@ export class ClaudeCodeApiService {
         try {
             const result = await generateText({
                 model: claudeCode(modelName),
-                prompt: prompt
+                prompt: prompt,
+                abortSignal: options.signal
             });
 
             // Return in OpenAI-compatible format for /v1/chat/completions
@@ -68,16 +68,19 @@ export class ClaudeApiService {
      * @param {object} body - Request body.
      * @param {boolean} isRetry - Whether it's a retry call.
      * @param {number} retryCount - Current retry count.
+     * @param {AbortSignal|null} signal - Optional signal that cancels the request.
      * @returns {Promise<object>} API response data.
      */
-    async callApi(endpoint, body, isRetry = false, retryCount = 0) {
+    async callApi(endpoint, body, isRetry = false, retryCount = 0, signal = null) {
         const maxRetries = this.config.REQUEST_MAX_RETRIES;
         const baseDelay = this.config.REQUEST_BASE_DELAY; // 1 second base delay
 
         try {
-            const response = await this.client.post(endpoint, body);
+            const response = await this.client.post(endpoint, body, { signal });
             return response.data;
         } catch (error) {
+            // A cancelled request (e.g. the losing side of a hedged request) is not retried
+            if (signal?.aborted) throw error;
             // For Claude API, 401 usually means invalid API Key, no retry
             if (error.response?.status === 401 || error.response?.status === 403) {
                 console.error(`[API] Received ${error.response.status}. API Key might be invalid or expired.`);
@@ -89,7 +92,7 @@ export class ClaudeApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received 429 (Too Many Requests). Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             // Handle other retryable errors (5xx server errors)
@@ -97,7 +100,7 @@ export class ClaudeApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received ${error.response.status} server error. Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             console.error("[ClaudeApiService] Error calling API:", error.response ? error.response.data : error.message);
@@ -184,10 +187,11 @@ export class ClaudeApiService {
      * Generates content (non-streaming).
      * @param {string} model - Model name.
      * @param {object} requestBody - Request body (Claude format).
+     * @param {object} [options] - Optional. { signal } to cancel the request.
      * @returns {Promise<object>} Claude API response (Claude compatible format).
      */
-    async generateContent(model, requestBody) {
-        const response = await this.callApi('/messages', requestBody);
+    async generateContent(model, requestBody, options = {}) {
+        const response = await this.callApi('/messages', requestBody, false, 0, options.signal);
         return response;
     }
 
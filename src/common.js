@@ -2,15 +2,32 @@ import { promises as fs } from 'fs';
 import * as path from 'path';
 import * as http from 'http'; // Add http for IncomingMessage and ServerResponse types
 import * as crypto from 'crypto'; // Import crypto for MD5 hashing
+import deepmerge from 'deepmerge';
 import { convertData, getOpenAIStreamChunkStop } from './convert.js';
 import { ProviderStrategyFactory } from './provider-strategies.js';
 import { getProviderModels } from './provider-models.js';
 import { metricsService } from './metrics-service.js';
 import cacheService from './cache-service.js';
+import apiKeyService from './api-key-service.js';
+import budgetService from './budget-service.js';
+import rateLimiter from './rate-limiter.js';
+import routingService from './routing-service.js';
+import modelAliasService from './model-alias-service.js';
+import hedgingService from './hedging-service.js';
+import sessionAffinity from './session-affinity.js';
+import streamFailover from './stream-failover.js';
+import antiTruncationService from './anti-truncation.js';
+import requestQueue from './request-queue.js';
+import responseStore from './response-store.js';
+import promptCacheService from './prompt-cache-service.js';
+import documentService from './document-service.js';
+import { audioCapabilityError, requestHasAudio } from './converters/audio.js';
 
 export const API_ACTIONS = {
     GENERATE_CONTENT: 'generateContent',
     STREAM_GENERATE_CONTENT: 'streamGenerateContent',
+    EMBED_CONTENT: 'embedContent',
+    BATCH_EMBED_CONTENTS: 'batchEmbedContents',
 };
 
 export const MODEL_PROTOCOL_PREFIX = {
@@ -54,6 +71,9 @@ export const ENDPOINT_TYPE = {
     CLAUDE_MESSAGE: 'claude_message',
     OPENAI_MODEL_LIST: 'openai_model_list',
     GEMINI_MODEL_LIST: 'gemini_model_list',
+    OPENAI_EMBEDDINGS: 'openai_embeddings',
+    GEMINI_EMBED_CONTENT: 'gemini_embed_content',
+    GEMINI_BATCH_EMBED_CONTENTS: 'gemini_batch_embed_contents',
 };
 
 export const FETCH_SYSTEM_PROMPT_FILE = path.join(process.cwd(), 'configs', 'fetch_system_prompt.txt');
@@ -119,25 +139,40 @@ export async function logConversation(type, content, logMode, logFilename) {
     }
 }
 
+/**
+ * Returns the client IP address of a request. `X-Forwarded-For` is client-controlled, so it is
+ * only honoured when the server runs behind a trusted proxy (`rateLimits.trustProxy` in config.json).
+ * @param {http.IncomingMessage} req - The HTTP request object.
+ * @param {Object} [config] - The server configuration.
+ * @returns {string|null} The client IP address.
+ */
+export function getClientIp(req, config = null) {
+    if (config?.rateLimits?.trustProxy) {
+        const forwardedIp = req.headers?.['x-forwarded-for']?.split(',')[0]?.trim();
+        if (forwardedIp) return forwardedIp;
+    }
+    return req.socket?.remoteAddress || null;
+}
+
 /**
  * Checks if the request is authorized based on API key.
+ * Accepts either the master REQUIRED_API_KEY or an active virtual key (see api-key-service.js).
  * @param {http.IncomingMessage} req - The HTTP request object.
  * @param {URL} requestUrl - The parsed URL object.
  * @param {string} REQUIRED_API_KEY - The API key required for authorization.
- * @returns {boolean} True if authorized, false otherwise.
+ * @param {Object} [config] - The per-request config; receives `virtualKey` when a virtual key is used.
+ * @returns {Promise<boolean>} True if authorized, false otherwise.
  */
-export function isAuthorized(req, requestUrl, REQUIRED_API_KEY) {
+export async function isAuthorized(req, requestUrl, REQUIRED_API_KEY, config = null) {
     const authHeader = req.headers['authorization'];
     const queryKey = requestUrl.searchParams.get('key');
     const googApiKey = req.headers['x-goog-api-key'];
     const claudeApiKey = req.headers['x-api-key']; // Claude-specific header
+    const bearerToken = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
 
     // Check for Bearer token in Authorization header (OpenAI style)
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7);
-        if (token === REQUIRED_API_KEY) {
-            return true;
-        }
+    if (bearerToken && bearerToken === REQUIRED_API_KEY) {
+        return true;
     }
 
     // Check for API key in URL query parameter (Gemini style)
@@ -155,6 +190,19 @@ export function isAuthorized(req, requestUrl, REQUIRED_API_KEY) {
         return true;
     }
 
+    // Check for a virtual key in any of the same locations
+    const presentedKeys = [bearerToken, queryKey, googApiKey, claudeApiKey].filter(apiKeyService.isVirtualKey);
+    for (const presentedKey of presentedKeys) {
+        const virtualKey = await apiKeyService.lookupKey(presentedKey);
+        if (virtualKey) {
+            if (config) {
+                config.virtualKey = virtualKey;
+            }
+            console.log(`[Auth] Authorized with virtual key '${virtualKey.name}' (${virtualKey.id})`);
+            return true;
+        }
+    }
+
     console.log(`[Auth] Unauthorized request denied. Bearer: "${authHeader ? 'present' : 'N/A'}", Query Key: "${queryKey}", x-goog-api-key: "${googApiKey}", x-api-key: "${claudeApiKey}"`);
     return false;
 }
@@ -180,23 +228,106 @@ export async function handleUnifiedResponse(res, responsePayload, isStream) {
     }
 }
 
+/**
+ * Extracts the number of input tokens served from the provider's prompt cache
+ * from a usage object (supports OpenAI, OpenAI Responses, Gemini and Claude formats).
+ * @param {Object|null} usage - The usage object of a response or stream chunk
+ * @returns {number|null} The cached input tokens, or null if not reported
+ */
+export function extractCachedInputTokens(usage) {
+    if (!usage) return null;
+    return usage.prompt_tokens_details?.cached_tokens ||
+        usage.input_tokens_details?.cached_tokens ||
+        usage.cachedContentTokenCount ||
+        usage.cache_read_input_tokens ||
+        null;
+}
+
 export async function handleStreamRequest(res, service, model, requestBody, fromProvider, toProvider, PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, pooluuid, options = {}) {
-    const { throwOnError = false, headersAlreadySent = false, requestId = crypto.randomUUID(), clientIp = null } = options;
+    const { throwOnError = false, headersAlreadySent = false, requestId = crypto.randomUUID(), clientIp = null, apiKeyId = null, pricing = null, originalRequestBody = null, requestHeaders = null, resume = null, antiTruncation = null, responseContext = null, promptCache = null, cacheIgnoredFields = cacheService.getIgnoredFields() } = options;
     const startTime = Date.now();
     let fullResponseText = '';
     let fullResponseJson = '';
     let fullOldResponseJson = '';
     let responseClosed = false;
+    // Set when the error is handed to the retry loop, which keeps writing to the response
+    let handedOff = false;
     let statusCode = 200;
     let errorMessage = null;
     // Track token usage from streaming chunks (usually in final chunks)
     let streamInputTokens = null;
     let streamOutputTokens = null;
-
-    if (!headersAlreadySent) {
+    let streamCachedInputTokens = null;
+    // The final Responses API response object, kept for the response store
+    let completedResponse = null;
+    // Converter state shared by the chunks of this stream (open content blocks, reasoning items)
+    const streamState = { requestId };
+
+    // A retry after a failed attempt writes to the response that attempt already opened
+    if (!headersAlreadySent && !res.headersSent) {
         await handleUnifiedResponse(res, '', true);
     }
 
+    // === STREAM CACHE LOOKUP ===
+    // Use originalRequestBody for cache key if available (before provider conversion)
+    // A resumed stream continues a partial answer, so it is neither served from nor stored in the cache.
+    // Neither is a Responses API request with `store`: a replay would carry the id of another response.
+    const cacheRequestBody = originalRequestBody || requestBody;
+    const canCache = !(resume?.switches > 0) && !responseContext?.store && cacheService.isCacheAvailable() && cacheService.shouldCacheRequest(cacheRequestBody, requestHeaders, true);
+    const cacheKeyPayload = canCache ? cacheService.canonicalizeRequest(cacheRequestBody, fromProvider, cacheIgnoredFields) : null;
+    // SSE frames sent to the client, captured for the cache on clean completion
+    const cachedFrames = canCache ? [] : null;
+
+    if (canCache) {
+        try {
+            let cachedStream = await cacheService.getCachedStream(model, cacheKeyPayload);
+            let cacheProviderType = 'cache';
+            if (!cachedStream) {
+                // Fall back to a semantically similar earlier request, if enabled
+                const semanticMatch = await cacheService.getSemanticMatch(model, cacheKeyPayload, true);
+                if (semanticMatch) {
+                    cachedStream = semanticMatch.value;
+                    cacheProviderType = 'semantic-cache';
+                }
+            }
+            if (cachedStream) {
+                console.log(`[Cache] Stream ${cacheProviderType === 'cache' ? 'HIT' : 'semantic HIT'} for model: ${model}`);
+                for (const frame of cachedStream.frames) {
+                    if (frame.event) {
+                        res.write(`event: ${frame.event}\n`);
+                    }
+                    res.write(`data: ${JSON.stringify(frame.data)}\n\n`);
+                }
+                res.end();
+
+                try {
+                    await metricsService.recordRequest({
+                        requestId,
+                        providerType: cacheProviderType,
+                        providerUuid: null,
+                        model,
+                        inputTokens: cachedStream.usage?.inputTokens || null,
+                        outputTokens: cachedStream.usage?.outputTokens || null,
+                        latencyMs: Date.now() - startTime,
+                        statusCode: 200,
+                        isStreaming: true,
+                        errorMessage: null,
+                        clientIp,
+                        apiKeyId,
+                    });
+                } catch (metricsError) {
+                    console.error('[Metrics] Failed to record stream cache hit metrics:', metricsError.message);
+                }
+                return;
+            }
+            console.log(`[Cache] Stream MISS for model: ${model}`);
+        } catch (cacheError) {
+            console.error('[Cache] Error during stream cache lookup:', cacheError.message);
+            // Continue with normal request flow on cache error
+        }
+    }
+    // === END STREAM CACHE LOOKUP ===
+
     // fs.writeFile('request'+Date.now()+'.json', JSON.stringify(requestBody));
     // The service returns a stream in its native format (toProvider).
     // Claude Code returns OpenAI-compatible format directly, no conversion needed
@@ -204,7 +335,11 @@ export async function handleStreamRequest(res, service, model, requestBody, from
     const needsConversion = toProtocol !== MODEL_PROTOCOL_PREFIX.CLAUDE_CODE &&
         getProtocolPrefix(fromProvider) !== toProtocol;
     requestBody.model = model;
-    const nativeStream = await service.generateContentStream(model, requestBody);
+    // Continue responses cut off at the output token limit, if requested
+    const upstream = antiTruncation ? antiTruncationService.wrapService(service, toProvider, antiTruncation) : service;
+    // Reuse this account's Gemini context cache for the prefix the client marked as cacheable
+    const upstreamRequestBody = await promptCacheService.applyGeminiCache(service, pooluuid, model, requestBody, promptCache);
+    const nativeStream = await upstream.generateContentStream(model, upstreamRequestBody);
     const addEvent = getProtocolPrefix(fromProvider) === MODEL_PROTOCOL_PREFIX.CLAUDE || getProtocolPrefix(fromProvider) === MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES;
     const openStop = getProtocolPrefix(fromProvider) === MODEL_PROTOCOL_PREFIX.OPENAI ;
 
@@ -221,11 +356,12 @@ export async function handleStreamRequest(res, service, model, requestBody, from
             if (chunkUsage) {
                 streamInputTokens = chunkUsage.prompt_tokens || chunkUsage.promptTokenCount || chunkUsage.input_tokens || streamInputTokens;
                 streamOutputTokens = chunkUsage.completion_tokens || chunkUsage.candidatesTokenCount || chunkUsage.output_tokens || streamOutputTokens;
+                streamCachedInputTokens = extractCachedInputTokens(chunkUsage) || streamCachedInputTokens;
             }
 
             // Convert the complete chunk object to the client's format (fromProvider), if necessary.
             const chunkToSend = needsConversion
-                ? convertData(nativeChunk, 'streamChunk', toProvider, fromProvider, model)
+                ? convertData(nativeChunk, 'streamChunk', toProvider, fromProvider, model, streamState)
                 : nativeChunk;
 
             if (!chunkToSend) {
@@ -235,7 +371,21 @@ export async function handleStreamRequest(res, service, model, requestBody, from
             // Handle case where chunkToSend could be an array or object
             const chunksToSend = Array.isArray(chunkToSend) ? chunkToSend : [chunkToSend];
 
-            for (const chunk of chunksToSend) {
+            for (const convertedChunk of chunksToSend) {
+                // Record delivered text for a later resume (and stitch resumed attempts into one stream)
+                const chunk = resume ? streamFailover.filterFrame(resume, convertedChunk) : convertedChunk;
+                if (!chunk) {
+                    continue;
+                }
+
+                // Responses API events carry the response object: report the stored state on it
+                if (responseContext && chunk.response) {
+                    responseStore.decorateResponse(responseContext, chunk.response);
+                    if (chunk.type === 'response.completed') {
+                        completedResponse = chunk.response;
+                    }
+                }
+
                 // Also check converted chunks for usage data
                 const convertedUsage = chunk?.usage;
                 if (convertedUsage) {
@@ -254,11 +404,35 @@ export async function handleStreamRequest(res, service, model, requestBody, from
                 // fullResponseJson += JSON.stringify(chunk)+"\n\n";
                 res.write(`data: ${JSON.stringify(chunk)}\n\n`);
                 // console.log(`data: ${JSON.stringify(chunk)}\n`);
+                cachedFrames?.push({ event: addEvent ? chunk.type : null, data: chunk });
             }
         }
         if (openStop && needsConversion) {
-            res.write(`data: ${JSON.stringify(getOpenAIStreamChunkStop(model))}\n\n`);
+            const stopChunk = getOpenAIStreamChunkStop(model);
+            res.write(`data: ${JSON.stringify(stopChunk)}\n\n`);
             // console.log(`data: ${JSON.stringify(getOpenAIStreamChunkStop(model))}\n`);
+            cachedFrames?.push({ event: null, data: stopChunk });
+        }
+
+        // === STREAM CACHE STORE ===
+        // Only cache streams that completed cleanly and reached the client
+        if (canCache && !res.destroyed) {
+            try {
+                const usage = { inputTokens: streamInputTokens, outputTokens: streamOutputTokens };
+                const cacheSuccess = await cacheService.cacheStream(model, cacheKeyPayload, cachedFrames, usage);
+                if (cacheSuccess) {
+                    console.log(`[Cache] Stored stream (${cachedFrames.length} chunks) for model: ${model}`);
+                    await cacheService.cacheSemanticEntry(model, cacheKeyPayload, true);
+                }
+            } catch (cacheError) {
+                console.error('[Cache] Failed to store stream:', cacheError.message);
+                // Non-blocking - don't fail the request if caching fails
+            }
+        }
+        // === END STREAM CACHE STORE ===
+
+        if (completedResponse) {
+            await responseStore.recordResponse(responseContext, completedResponse);
         }
 
         // Stream request completed successfully, count usage, reset error count to 0
@@ -266,7 +440,7 @@ export async function handleStreamRequest(res, service, model, requestBody, from
             console.log(`[Provider Pool] Increasing usage count for ${toProvider} (${pooluuid}) after successful stream request`);
             providerPoolManager.markProviderHealthy(toProvider, {
                 uuid: pooluuid
-            });
+            }, false, null, model);
         }
 
     }  catch (error) {
@@ -276,17 +450,17 @@ export async function handleStreamRequest(res, service, model, requestBody, from
         statusCode = error.response?.status || error.status || 500;
         errorMessage = error.message;
 
-        // If throwOnError is true, propagate the error for retry handling
-        if (throwOnError) {
+        // If throwOnError is true, propagate the error for retry handling.
+        // Once frames have reached the client, the error is only propagated if the stream can be resumed.
+        if (throwOnError && (!resume || resume.framesSent === 0 || streamFailover.canResume(resume, error))) {
+            handedOff = true;
             throw error;
         }
 
         if (providerPoolManager && pooluuid) {
             console.log(`[Provider Pool] Marking ${toProvider} as unhealthy due to stream error (status: ${statusCode || 'unknown'})`);
             // If in pool mode and request processing failed, mark the current provider as unhealthy
-            providerPoolManager.markProviderUnhealthy(toProvider, {
-                uuid: pooluuid
-            }, error.message, statusCode);
+            reportProviderFailure(providerPoolManager, toProvider, pooluuid, error, statusCode, model);
         }
 
         // Use new method to create streaming error response matching fromProvider format
@@ -295,7 +469,7 @@ export async function handleStreamRequest(res, service, model, requestBody, from
         res.end();
         responseClosed = true;
     } finally {
-        if (!responseClosed && !res.destroyed && res.writable) {
+        if (!handedOff && !responseClosed && !res.destroyed && res.writable) {
             res.end();
         }
         await logConversation('output', fullResponseText, PROMPT_LOG_MODE, PROMPT_LOG_FILENAME);
@@ -310,11 +484,15 @@ export async function handleStreamRequest(res, service, model, requestBody, from
                 model,
                 inputTokens: streamInputTokens,
                 outputTokens: streamOutputTokens,
+                cachedInputTokens: streamCachedInputTokens,
                 latencyMs,
                 statusCode,
                 isStreaming: true,
                 errorMessage,
                 clientIp,
+                apiKeyId,
+                pricing,
+                streamFailovers: resume?.switches || 0,
             });
         } catch (metricsError) {
             console.error('[Metrics] Failed to record stream request metrics:', metricsError.message);
@@ -325,30 +503,45 @@ export async function handleStreamRequest(res, service, model, requestBody, from
 }
 
 
+// Returns the uuid of the pool account that served the response (the backup's when a hedge wins)
 export async function handleUnaryRequest(res, service, model, requestBody, fromProvider, toProvider, PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, pooluuid, options = {}) {
-    const { throwOnError = false, requestId = crypto.randomUUID(), clientIp = null, originalRequestBody = null } = options;
+    const { throwOnError = false, requestId = crypto.randomUUID(), clientIp = null, originalRequestBody = null, apiKeyId = null, pricing = null, requestHeaders = null, hedge = null, antiTruncation = null, responseContext = null, promptCache = null, cacheIgnoredFields = cacheService.getIgnoredFields() } = options;
     const startTime = Date.now();
     let statusCode = 200;
     let errorMessage = null;
 
     // Use originalRequestBody for cache key if available (before provider conversion)
     const cacheRequestBody = originalRequestBody || requestBody;
+    // A Responses API request with `store` needs a response of its own that can be retrieved and continued
+    // by id, so it is neither served from nor stored in the cache
+    const canCache = !responseContext?.store && cacheService.isCacheAvailable() && cacheService.shouldCacheRequest(cacheRequestBody, requestHeaders, false);
+    // Canonical form of the whole request (all generation parameters, stable key order)
+    const cacheKeyPayload = canCache ? cacheService.canonicalizeRequest(cacheRequestBody, fromProvider, cacheIgnoredFields) : null;
 
     try{
         // === CACHE LOOKUP ===
         // Check cache before calling AI provider (only for non-streaming requests)
-        if (cacheService.isCacheAvailable() && cacheService.shouldCacheRequest(cacheRequestBody)) {
+        if (canCache) {
             try {
-                const cachedResponse = await cacheService.getCachedResponse(model, cacheRequestBody);
+                let cachedResponse = await cacheService.getCachedResponse(model, cacheKeyPayload);
+                let cacheProviderType = 'cache';
+                if (!cachedResponse) {
+                    // Fall back to a semantically similar earlier request, if enabled
+                    const semanticMatch = await cacheService.getSemanticMatch(model, cacheKeyPayload);
+                    if (semanticMatch) {
+                        cachedResponse = semanticMatch.value;
+                        cacheProviderType = 'semantic-cache';
+                    }
+                }
                 if (cachedResponse) {
-                    console.log(`[Cache] HIT for model: ${model}`);
+                    console.log(`[Cache] ${cacheProviderType === 'cache' ? 'HIT' : 'Semantic HIT'} for model: ${model}`);
 
                     // Record cache hit in metrics
                     const latencyMs = Date.now() - startTime;
                     try {
                         await metricsService.recordRequest({
                             requestId,
-                            providerType: 'cache',
+                            providerType: cacheProviderType,
                             providerUuid: null,
                             model,
                             inputTokens: cachedResponse?.usage?.prompt_tokens || cachedResponse?.usage?.promptTokenCount || null,
@@ -358,6 +551,7 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
                             isStreaming: false,
                             errorMessage: null,
                             clientIp,
+                            apiKeyId,
                         });
                     } catch (metricsError) {
                         console.error('[Metrics] Failed to record cache hit metrics:', metricsError.message);
@@ -381,7 +575,51 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
             getProtocolPrefix(fromProvider) !== toProtocol;
         requestBody.model = model;
         // fs.writeFile('oldRequest'+Date.now()+'.json', JSON.stringify(requestBody));
-        const nativeResponse = await service.generateContent(model, requestBody);
+        // Continue responses cut off at the output token limit, if requested
+        const withAntiTruncation = (adapter, providerType) => antiTruncation
+            ? antiTruncationService.wrapService(adapter, providerType, antiTruncation)
+            : adapter;
+        // Reuse this account's Gemini context cache for the prefix the client marked as cacheable
+        const upstreamRequestBody = await promptCacheService.applyGeminiCache(service, pooluuid, model, requestBody, promptCache);
+        let nativeResponse;
+        if (hedge) {
+            // Race the primary against a backup account/provider if it is slower than the hedge delay.
+            // A context cache belongs to the primary's project, so the backup gets the uncached request.
+            const backupBody = JSON.parse(JSON.stringify(requestBody));
+            const outcome = await hedgingService.hedgeRequest({
+                delayMs: hedge.delayMs,
+                primary: (signal) => withAntiTruncation(service, toProvider).generateContent(model, upstreamRequestBody, { signal }),
+                startBackup: async () => {
+                    const backup = await hedge.selectBackup();
+                    if (!backup) return null;
+                    console.log(`[Hedge] Backup: ${backup.toProvider} (${backup.uuid})`);
+                    return {
+                        ...backup,
+                        call: (signal) => {
+                            const releaseInFlight = providerPoolManager ? providerPoolManager.trackInFlight(backup.toProvider, backup.uuid, model) : () => {};
+                            return withAntiTruncation(backup.service, backup.toProvider).generateContent(model, backupBody, { signal }).catch(error => {
+                                if (!signal.aborted && providerPoolManager && backup.uuid) {
+                                    reportProviderFailure(providerPoolManager, backup.toProvider, backup.uuid, error, error.response?.status || error.status || null, model);
+                                }
+                                throw error;
+                            }).finally(releaseInFlight);
+                        }
+                    };
+                }
+            });
+            nativeResponse = outcome.value;
+            if (outcome.winner === 'backup') {
+                // Credit the winner only: usage, health and metrics below use the backup's provider
+                if (outcome.primaryError && providerPoolManager && pooluuid) {
+                    const primaryError = outcome.primaryError;
+                    reportProviderFailure(providerPoolManager, toProvider, pooluuid, primaryError, primaryError.response?.status || primaryError.status || null, model);
+                }
+                toProvider = outcome.backup.toProvider;
+                pooluuid = outcome.backup.uuid;
+            }
+        } else {
+            nativeResponse = await withAntiTruncation(service, toProvider).generateContent(model, upstreamRequestBody);
+        }
         const responseText = extractResponseText(nativeResponse, toProvider);
 
         // Convert the response back to the client's format (fromProvider), if necessary.
@@ -390,6 +628,7 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
             console.log(`[Response Convert] Converting response from ${toProvider} to ${fromProvider}`);
             clientResponse = convertData(nativeResponse, 'response', toProvider, fromProvider, model);
         }
+        responseStore.decorateResponse(responseContext, clientResponse);
 
         //console.log(`[Response] Sending response to client: ${JSON.stringify(clientResponse)}`);
         await handleUnifiedResponse(res, JSON.stringify(clientResponse), false);
@@ -398,11 +637,12 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
 
         // === CACHE STORE ===
         // Cache successful response for future requests (only non-streaming)
-        if (cacheService.isCacheAvailable() && cacheService.shouldCacheRequest(cacheRequestBody)) {
+        if (canCache) {
             try {
-                const cacheSuccess = await cacheService.cacheResponse(model, cacheRequestBody, clientResponse);
+                const cacheSuccess = await cacheService.cacheResponse(model, cacheKeyPayload, clientResponse);
                 if (cacheSuccess) {
                     console.log(`[Cache] Stored response for model: ${model}`);
+                    await cacheService.cacheSemanticEntry(model, cacheKeyPayload);
                 }
             } catch (cacheError) {
                 console.error('[Cache] Failed to store response:', cacheError.message);
@@ -411,12 +651,14 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
         }
         // === END CACHE STORE ===
 
+        await responseStore.recordResponse(responseContext, clientResponse);
+
         // Unary request completed successfully, count usage, reset error count to 0
         if (providerPoolManager && pooluuid) {
             console.log(`[Provider Pool] Increasing usage count for ${toProvider} (${pooluuid}) after successful unary request`);
             providerPoolManager.markProviderHealthy(toProvider, {
                 uuid: pooluuid
-            });
+            }, false, null, model);
         }
 
         // Record successful metrics with token usage from response
@@ -425,6 +667,7 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
         const usage = clientResponse?.usage || nativeResponse?.usage || nativeResponse?.usageMetadata || {};
         const inputTokens = usage.prompt_tokens || usage.promptTokenCount || usage.input_tokens || null;
         const outputTokens = usage.completion_tokens || usage.candidatesTokenCount || usage.output_tokens || null;
+        const cachedInputTokens = extractCachedInputTokens(nativeResponse?.usage || nativeResponse?.usageMetadata || usage);
 
         try {
             await metricsService.recordRequest({
@@ -434,15 +677,19 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
                 model,
                 inputTokens,
                 outputTokens,
+                cachedInputTokens,
                 latencyMs,
                 statusCode: 200,
                 isStreaming: false,
                 errorMessage: null,
                 clientIp,
+                apiKeyId,
+                pricing,
             });
         } catch (metricsError) {
             console.error('[Metrics] Failed to record unary request metrics:', metricsError.message);
         }
+        return pooluuid;
     } catch (error) {
         console.error('\n[Server] Error during unary processing:', error.stack);
 
@@ -465,6 +712,7 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
                 isStreaming: false,
                 errorMessage,
                 clientIp,
+                apiKeyId,
             });
         } catch (metricsError) {
             console.error('[Metrics] Failed to record unary request metrics:', metricsError.message);
@@ -478,9 +726,7 @@ export async function handleUnaryRequest(res, service, model, requestBody, fromP
         if (providerPoolManager && pooluuid) {
             console.log(`[Provider Pool] Marking ${toProvider} as unhealthy due to unary error (status: ${statusCode || 'unknown'})`);
             // If in pool mode and request processing failed, mark the current provider as unhealthy
-            providerPoolManager.markProviderUnhealthy(toProvider, {
-                uuid: pooluuid
-            }, error.message, statusCode);
+            reportProviderFailure(providerPoolManager, toProvider, pooluuid, error, statusCode, model);
         }
 
         // Use new method to create error response matching fromProvider format
@@ -589,6 +835,18 @@ export async function handleModelListRequest(req, res, service, endpointType, CO
             }
         }
 
+        // 4. Add model aliases (config.json `modelAliases`)
+        const aliases = modelAliasService.listAliases(CONFIG);
+        if (aliases.length > 0) {
+            const isOpenAIFormat = endpointType === ENDPOINT_TYPE.OPENAI_MODEL_LIST;
+            const listKey = isOpenAIFormat ? 'data' : 'models';
+            const existingModelIds = new Set((clientModelList[listKey] || []).map(m => isOpenAIFormat ? m.id : m.name?.replace('models/', '')));
+            const aliasModels = aliases.filter(alias => !existingModelIds.has(alias.id)).map(alias => isOpenAIFormat
+                ? { id: alias.id, object: 'model', created: Date.now(), owned_by: 'alias', description: alias.description }
+                : { name: `models/${alias.id}`, version: '1.0', displayName: alias.id, description: alias.description });
+            clientModelList[listKey] = [...(clientModelList[listKey] || []), ...aliasModels];
+        }
+
         console.log(`[ModelList Response] Sending model list to client: ${JSON.stringify(clientModelList)}`);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(clientModelList));
@@ -599,13 +857,28 @@ export async function handleModelListRequest(req, res, service, endpointType, CO
             const statusCode = error.response?.status || error.status || null;
             console.log(`[Provider Pool] Marking ${toProvider} as unhealthy due to model list error (status: ${statusCode || 'unknown'})`);
             // If in pool mode and request processing failed, mark the current provider as unhealthy
-            providerPoolManager.markProviderUnhealthy(toProvider, {
-                uuid: pooluuid
-            }, error.message, statusCode);
+            reportProviderFailure(providerPoolManager, toProvider, pooluuid, error, statusCode);
         }
     }
 }
 
+/**
+ * Reports a failed request to the provider pool. A 429 that says when the quota resets
+ * puts the account (for the model) into a cooldown instead of counting as an error.
+ * @param {ProviderPoolManager} providerPoolManager - The provider pool manager.
+ * @param {string} providerType - The provider type.
+ * @param {string} uuid - The account UUID.
+ * @param {Error} error - The upstream error.
+ * @param {number|null} statusCode - The HTTP status code of the error.
+ * @param {string|null} [model] - The requested model, for per-model health.
+ */
+function reportProviderFailure(providerPoolManager, providerType, uuid, error, statusCode, model = null) {
+    if (statusCode === 429 && providerPoolManager.markProviderRateLimited(providerType, { uuid }, error, model)) {
+        return;
+    }
+    providerPoolManager.markProviderUnhealthy(providerType, { uuid }, error.message, statusCode, model, error);
+}
+
 // Retryable HTTP status codes (403 forbidden, 429 rate limit + 5xx server errors)
 // 403 is retryable because different accounts may have different permissions/quotas
 const RETRYABLE_STATUS_CODES = [403, 429, 500, 502, 503, 504];
@@ -637,11 +910,9 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
         throw new Error("Request body is missing for content generation.");
     }
 
-    // Generate request ID and extract client IP for metrics tracking
+    // Generate request ID and extract client IP for metrics tracking and rate limits
     const requestId = crypto.randomUUID();
-    const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-                     req.socket?.remoteAddress ||
-                     null;
+    const clientIp = getClientIp(req, CONFIG);
 
     const clientProviderMap = {
         [ENDPOINT_TYPE.OPENAI_CHAT]: MODEL_PROTOCOL_PREFIX.OPENAI,
@@ -660,49 +931,73 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
     }
 
     // 2. Extract model and determine if the request is for streaming.
-    const { model, isStream } = _extractModelAndStreamInfo(req, originalRequestBody, fromProvider);
+    const { model: requestedModel, isStream } = _extractModelAndStreamInfo(req, originalRequestBody, fromProvider);
+    let model = requestedModel;
 
     if (!model) {
         throw new Error("Could not determine the model from the request.");
     }
     console.log(`[Content Generation] Model: ${model}, Stream: ${isStream}`);
 
-    // 2.3. Check if model belongs to a specific provider (model-based routing)
-    // Only apply model-based routing if provider wasn't explicitly set by user (via header or path)
-    const claudeCodeModels = ['opus', 'sonnet', 'haiku', 'claude-opus', 'claude-sonnet', 'claude-haiku'];
-    const isClaudeCodeModel = claudeCodeModels.includes(model.toLowerCase());
-
-    // Antigravity-only models (models that are ONLY available via gemini-antigravity, NOT gemini-cli-oauth)
-    // Note: Common models like gemini-2.5-flash, gemini-2.5-pro, gemini-3-pro-preview are in BOTH providers
-    const antigravityOnlyModels = [
-        'gemini-claude-sonnet-4-5', 'gemini-claude-sonnet-4-5-thinking', 'gemini-claude-opus-4-5-thinking',
-        'gemini-2.5-computer-use-preview-10-2025', 'gemini-3-pro-image-preview',
-        'gemini-2.5-flash-thinking', 'gemini-3-pro-low', 'gpt-oss-120b-medium'
-    ];
-    const isAntigravityModel = antigravityOnlyModels.includes(model) || model.startsWith('gemini-claude-');
-
-    if (isClaudeCodeModel && !CONFIG.explicitProviderSet && CONFIG.providerPools && CONFIG.providerPools['claudeCode-custom']?.length > 0) {
-        console.log(`[Content Generation] Model '${model}' detected as Claude Code model, routing to claudeCode-custom`);
-        const { getApiService } = await import('./service-manager.js');
-        const claudeCodeConfig = { ...CONFIG, MODEL_PROVIDER: 'claudeCode-custom' };
-        service = await getApiService(claudeCodeConfig, model);
-        toProvider = 'claudeCode-custom';
-        actualUuid = CONFIG.providerPools['claudeCode-custom'][0]?.uuid || pooluuid;
+    // 2.1. Anti-truncation (config.json `antiTruncation`): asked for by the `anti-` model prefix
+    // (removed here), the x-anti-truncation header or the alias
+    const antiTruncationRequest = antiTruncationService.resolveAntiTruncation(CONFIG, model, req.headers);
+    model = antiTruncationRequest.model;
+
+    // 2.2. Resolve model aliases (config.json `modelAliases`) to a concrete model and provider type
+    // An explicitly set provider (via header or path) keeps precedence over the alias's provider type
+    const alias = modelAliasService.resolveAlias(CONFIG, model, {
+        providerType: CONFIG.explicitProviderSet ? CONFIG.MODEL_PROVIDER : null
+    });
+    if (alias) {
+        model = alias.model;
     }
-    // 2.4. Route antigravity-only models to gemini-antigravity provider
-    else if (isAntigravityModel && !CONFIG.explicitProviderSet && CONFIG.providerPools && CONFIG.providerPools['gemini-antigravity']?.length > 0) {
-        console.log(`[Content Generation] Model '${model}' detected as Antigravity model, routing to gemini-antigravity`);
+    const antiTruncationSettings = antiTruncationService.getSettings(CONFIG);
+    const antiTruncation = antiTruncationSettings.enabled && (antiTruncationRequest.requested || alias?.antiTruncation)
+        ? antiTruncationSettings
+        : null;
+    if (antiTruncation) {
+        console.log(`[Anti-Truncation] Enabled for model '${model}' (up to ${antiTruncation.maxRounds} continuations)`);
+    }
+    const aliasProviderType = CONFIG.explicitProviderSet ? null : alias?.providerType || null;
+
+    // 2.3. Apply the routing rules (config.json `routing` plus the built-in rules)
+    // Only apply rule-based routing if provider wasn't explicitly set by user (via header or path) or pinned by an alias
+    const virtualKey = CONFIG.virtualKey || null;
+    const apiKeyId = virtualKey?.id || null;
+    const route = (CONFIG.explicitProviderSet || aliasProviderType) ? null : routingService.resolveRoute(CONFIG, {
+        model,
+        endpointType,
+        apiKey: virtualKey,
+        headers: req.headers,
+        body: originalRequestBody
+    });
+    if (route) {
+        model = route.model;
+    }
+
+    // Sticky routing (config.json `sessionAffinity`): keep a conversation on the account that served it
+    const affinityKey = providerPoolManager ? sessionAffinity.getAffinityKey(CONFIG, req.headers, originalRequestBody, apiKeyId) : null;
+    const boundUuid = affinityKey ? await providerPoolManager.getSessionBinding(affinityKey) : null;
+
+    // 2.4. Route to the alias's or rule's target provider type
+    const targetProviderType = aliasProviderType || route?.providerType || null;
+
+    if (targetProviderType) {
+        const reason = aliasProviderType ? `alias '${alias.alias}'` : `rule '${route.rule.name}'`;
+        console.log(`[Content Generation] Routing model '${model}' to ${targetProviderType} (${reason})`);
         const { getApiService } = await import('./service-manager.js');
-        const antigravityConfig = { ...CONFIG, MODEL_PROVIDER: 'gemini-antigravity' };
-        service = await getApiService(antigravityConfig, model);
-        toProvider = 'gemini-antigravity';
-        actualUuid = CONFIG.providerPools['gemini-antigravity'][0]?.uuid || pooluuid;
+        // getApiService records the selected pool account's uuid on the config it is given
+        const routedConfig = { ...CONFIG, MODEL_PROVIDER: targetProviderType, uuid: undefined };
+        service = await getApiService(routedConfig, model, { preferredUuid: boundUuid });
+        toProvider = targetProviderType;
+        actualUuid = routedConfig.uuid || CONFIG.providerPools?.[targetProviderType]?.[0]?.uuid || pooluuid;
     }
     // 2.5. If using provider pool, re-select provider based on model (supports Fallback)
     // Note: using skipUsageCount: true here because usageCount was already incremented during initial selection
     else if (providerPoolManager && CONFIG.providerPools && CONFIG.providerPools[CONFIG.MODEL_PROVIDER]) {
         const { getApiServiceWithFallback } = await import('./service-manager.js');
-        const result = await getApiServiceWithFallback(CONFIG, model);
+        const result = await getApiServiceWithFallback(CONFIG, model, { preferredUuid: boundUuid });
 
         service = result.service;
         toProvider = result.actualProviderType;
@@ -715,24 +1010,103 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
         }
     }
 
+    // A matched rule's fallback chain replaces the configured one for this request
+    const fallbackChain = route?.fallback || providerPoolManager?.getFallbackChain?.(toProvider) || [];
+
+    // 2.6. Enforce the virtual key's model and provider allowlists (master key is unrestricted)
+    if (virtualKey) {
+        const modelScope = apiKeyService.checkKeyScope(virtualKey, null, model);
+        if (!modelScope.allowed) {
+            sendRejection(res, 403, modelScope.reason, fromProvider);
+            return;
+        }
+        const candidateTypes = [toProvider, ...fallbackChain];
+        if (!candidateTypes.some(type => apiKeyService.checkKeyScope(virtualKey, type, null).allowed)) {
+            sendRejection(res, 403, apiKeyService.checkKeyScope(virtualKey, toProvider, null).reason, fromProvider);
+            return;
+        }
+    }
+
+    // 2.7. Enforce daily/monthly budgets for the virtual key and the target provider types
+    const keyBudget = await budgetService.checkKeyBudget(CONFIG, virtualKey);
+    if (!keyBudget.allowed) {
+        sendRejection(res, 429, keyBudget.reason, fromProvider, { 'Retry-After': String(keyBudget.retryAfterSeconds) });
+        return;
+    }
+    const budgetCandidateTypes = [toProvider, ...fallbackChain];
+    const exhaustedProviderTypes = new Map();
+    for (const type of budgetCandidateTypes) {
+        const result = await budgetService.checkProviderBudget(CONFIG, type);
+        if (!result.allowed) {
+            exhaustedProviderTypes.set(type, result);
+        }
+    }
+    const hasUsableProviderType = budgetCandidateTypes.some(type =>
+        !exhaustedProviderTypes.has(type) && apiKeyService.checkKeyScope(virtualKey, type, null).allowed);
+    if (!hasUsableProviderType && exhaustedProviderTypes.size > 0) {
+        const providerBudget = exhaustedProviderTypes.values().next().value;
+        sendRejection(res, 429, providerBudget.reason, fromProvider, { 'Retry-After': String(providerBudget.retryAfterSeconds) });
+        return;
+    }
+
+    // 2.8. Stateful Responses API (config.json `responseStore`): expand previous_response_id into the
+    // stored conversation, so backends without server-side state see the whole context
+    let requestBody = originalRequestBody;
+    let responseContext = null;
+    if (fromProvider === MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES) {
+        const prepared = await responseStore.prepareRequest(CONFIG, originalRequestBody, {
+            apiKeyId,
+            nativeBackend: getProtocolPrefix(toProvider) === MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES
+        });
+        if (prepared.error) {
+            sendRejection(res, prepared.error.status, prepared.error.message, fromProvider);
+            return;
+        }
+        requestBody = prepared.body;
+        responseContext = prepared.context;
+    }
+
     // 1. Convert request body from client format to backend format, if necessary.
-    let processedRequestBody = originalRequestBody;
+    // A model rewrite from an alias or routing rule is applied to the body before conversion.
+    let processedRequestBody = requestBody;
+    if (model !== requestedModel && requestBody.model !== undefined) {
+        processedRequestBody = { ...requestBody, model };
+    }
     // fs.writeFile('originalRequestBody'+Date.now()+'.json', JSON.stringify(originalRequestBody));
     const toProtocol = getProtocolPrefix(toProvider);
-    // Skip conversion for Claude Code - it accepts OpenAI-style messages directly
-    if (toProtocol === MODEL_PROTOCOL_PREFIX.CLAUDE_CODE) {
-        console.log(`[Request Convert] Claude Code accepts OpenAI format directly. No conversion needed.`);
-    } else if (getProtocolPrefix(fromProvider) !== toProtocol) {
-        console.log(`[Request Convert] Converting request from ${fromProvider} to ${toProvider}`);
-        processedRequestBody = convertData(originalRequestBody, 'request', fromProvider, toProvider);
-    } else {
-        console.log(`[Request Convert] Request format matches backend provider. No conversion needed.`);
+    try {
+        // Skip conversion for Claude Code - it accepts OpenAI-style messages directly
+        if (toProtocol === MODEL_PROTOCOL_PREFIX.CLAUDE_CODE) {
+            console.log(`[Request Convert] Claude Code accepts OpenAI format directly. No conversion needed.`);
+            if (requestHasAudio(requestBody, getProtocolPrefix(fromProvider))) {
+                throw audioCapabilityError('Claude Code does not accept audio input or respond with audio');
+            }
+        } else if (getProtocolPrefix(fromProvider) !== toProtocol) {
+            console.log(`[Request Convert] Converting request from ${fromProvider} to ${toProvider}`);
+            processedRequestBody = convertData(requestBody, 'request', fromProvider, toProvider);
+        } else {
+            console.log(`[Request Convert] Request format matches backend provider. No conversion needed.`);
+        }
+    } catch (error) {
+        // Capability errors (e.g. audio for a backend without audio) are the client's to fix
+        if (!error.status) throw error;
+        sendRejection(res, error.status, error.message, fromProvider);
+        return;
     }
 
     // 3. Apply system prompt from file if configured.
     processedRequestBody = await _applySystemPromptFromFile(CONFIG, processedRequestBody, toProvider);
     await _manageSystemPrompt(processedRequestBody, toProvider);
 
+    // Document text for backends that cannot read PDFs (config.json `documents`)
+    processedRequestBody = documentService.applyDocumentFallback(CONFIG, processedRequestBody, fromProvider, toProvider);
+
+    // Gemini context caching for the client's cache_control breakpoints (config.json `promptCache`)
+    const promptCache = promptCacheService.planGeminiCache(CONFIG, requestBody, fromProvider, toProvider, processedRequestBody);
+
+    // Request fields left out of response cache keys (config.json `cache.ignoredFields`)
+    const cacheIgnoredFields = cacheService.getIgnoredFields(CONFIG);
+
     // 4. Log the incoming prompt (after potential conversion to the backend's format).
     const promptText = extractPromptText(processedRequestBody, toProvider);
     await logConversation('input', promptText, CONFIG.PROMPT_LOG_MODE, PROMPT_LOG_FILENAME);
@@ -748,7 +1122,6 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
 
     // Build list of provider types to try: primary + fallback chain
     const providerTypesToTry = [toProvider];
-    const fallbackChain = providerPoolManager?.getFallbackChain?.(toProvider) || [];
     if (fallbackChain.length > 0) {
         providerTypesToTry.push(...fallbackChain);
     }
@@ -759,6 +1132,60 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
     // Track if stream headers have been sent (for retry attempts)
     let streamHeadersSent = false;
 
+    // Resumable streaming (config.json `streamFailover`): a stream that breaks after reaching
+    // the client continues on the next account from the text already delivered
+    const streamResume = isStream && canRetry && streamFailover.isEnabled(CONFIG, fromProvider)
+        ? streamFailover.createResumeState(CONFIG.streamFailover, fromProvider)
+        : null;
+    const isResumableStreamError = (error) => streamResume?.framesSent > 0 && streamFailover.canResume(streamResume, error);
+    let resumeFailed = false;
+
+    // Hedge unary requests (config.json `hedging`): race a backup if the primary is slow
+    const isHedged = !isStream && canRetry && hedgingService.isHedgingEnabled(CONFIG, model);
+    // The first provider type rejected by its rate limit, sent if no other type can serve the request
+    let rateLimitRejection = null;
+    // Provider types with a pool that the key may use and that have budget left
+    const isProviderTypeUsable = (type) => CONFIG.providerPools?.[type]?.length > 0 &&
+        !exhaustedProviderTypes.has(type) &&
+        apiKeyService.checkKeyScope(virtualKey, type, null).allowed;
+
+    // Request queue (config.json `requestQueue`): when no account of the target pool (or its fallbacks)
+    // can take the request, wait for one by priority class instead of failing. Requests are only queued
+    // once they passed the key scope and budget checks, so rejected requests never hold a slot.
+    const queueSettings = requestQueue.getSettings(CONFIG);
+    let releaseQueueSlot = () => {};
+    let reselectAfterQueue = false;
+    if (queueSettings.enabled && canRetry && CONFIG.providerPools[toProvider]?.length > 0) {
+        const queueProviderTypes = providerTypesToTry.filter((type, index, types) =>
+            types.indexOf(type) === index && isProviderTypeUsable(type));
+        const priority = requestQueue.resolvePriority(queueSettings, req.headers, virtualKey);
+        const clientGone = new AbortController();
+        res.once('close', () => clientGone.abort());
+
+        const queueSlot = await requestQueue.acquire(queueSettings, {
+            poolManager: providerPoolManager,
+            providerTypes: queueProviderTypes,
+            model,
+            priority,
+            signal: clientGone.signal
+        });
+        if (!queueSlot.admitted) {
+            if (queueSlot.reason !== 'aborted') {
+                const reason = queueSlot.reason === 'full'
+                    ? 'Request queue is full, no provider account is available'
+                    : `No provider account became available within ${Math.round(queueSlot.waitedMs / 1000)}s`;
+                const retryAfterSeconds = Math.max(1, Math.ceil(requestQueue.getMaxWaitMs(queueSettings, priority) / 1000));
+                sendRejection(res, 503, reason, fromProvider, { 'Retry-After': String(retryAfterSeconds) });
+            }
+            return;
+        }
+        // The slot is held until the request is in flight on an account (or the response ends)
+        releaseQueueSlot = queueSlot.release;
+        res.once('close', releaseQueueSlot);
+        // The account selected before waiting may not be the one that became free
+        reselectAfterQueue = queueSlot.waitedMs > 0;
+    }
+
     // Try each provider type (primary first, then fallbacks)
     for (const providerType of providerTypesToTry) {
         // Skip if this provider type doesn't have a pool configured
@@ -767,6 +1194,18 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
             continue;
         }
 
+        // Skip provider types outside the virtual key's scope
+        if (virtualKey && !apiKeyService.checkKeyScope(virtualKey, providerType, null).allowed) {
+            console.log(`[Retry] Skipping provider type '${providerType}': not allowed for API key '${virtualKey.name}'`);
+            continue;
+        }
+
+        // Skip provider types that have exhausted their budget
+        if (exhaustedProviderTypes.has(providerType)) {
+            console.log(`[Retry] Skipping provider type '${providerType}': budget exhausted`);
+            continue;
+        }
+
         // Check if this provider type supports the requested model (for fallback providers)
         if (providerType !== toProvider) {
             const { getProviderModels } = await import('./provider-models.js');
@@ -775,17 +1214,28 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
                 console.log(`[Retry] Skipping fallback provider '${providerType}': model '${model}' not supported`);
                 continue;
             }
+        }
+
+        // Skip provider types over their rate limit
+        const providerRateLimit = await _checkProviderRateLimit(CONFIG, res, providerType);
+        if (!providerRateLimit.allowed) {
+            rateLimitRejection = rateLimitRejection || providerRateLimit;
+            console.log(`[Retry] Skipping provider type '${providerType}': rate limited`);
+            continue;
+        }
+        if (providerType !== toProvider) {
             console.log(`[Retry] Trying fallback provider '${providerType}' for model '${model}'`);
         }
 
         // Reset tried UUIDs for each provider type (each pool has its own accounts)
         const triedUuidsForType = new Set();
 
-        // For fallback providers, we need to get a fresh service
-        if (providerType !== toProvider || totalAttempts > 0) {
+        // For fallback providers (or after waiting in the queue), we need to get a fresh service
+        if (providerType !== toProvider || totalAttempts > 0 || reselectAfterQueue) {
             const firstProvider = providerPoolManager.selectProvider(providerType, model, {
                 excludeUuids: triedUuidsForType,
-                skipUsageCount: false
+                skipUsageCount: false,
+                preferredUuid: boundUuid
             });
 
             if (!firstProvider) {
@@ -819,45 +1269,80 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
                 triedUuidsForType.add(currentUuid);
                 triedUuids.add(currentUuid); // Global tracking
             }
+
+            // Clone request body to avoid mutation between retries
+            let requestBodyCopy = JSON.parse(JSON.stringify(processedRequestBody));
+
+            // A stream that broke after reaching the client continues from the delivered text
+            if (streamResume?.framesSent > 0) {
+                const resumeBody = streamFailover.canResume(streamResume, lastError)
+                    ? streamFailover.buildResumeRequest(streamResume, requestBodyCopy, toProvider)
+                    : null;
+                if (!resumeBody) {
+                    console.log(`[Stream Failover] Stream cannot be resumed (${streamResume.switches}/${streamResume.maxSwitches} switches used). Sending error to client.`);
+                    resumeFailed = true;
+                    break;
+                }
+                console.log(`[Stream Failover] Resuming stream on ${currentToProvider} (${currentUuid}) after ${streamResume.deliveredText.length} delivered characters (switch ${streamResume.switches}/${streamResume.maxSwitches}, ${streamResume.mode} mode)`);
+                requestBodyCopy = resumeBody;
+            }
             totalAttempts++;
 
             // Determine if we should throw on error (for retry) or handle internally
             // Count healthy providers that haven't been tried yet
             const availableProviders = providerPoolManager.providerStatus?.[currentToProvider] || [];
             const healthyAvailableCount = availableProviders.filter(p =>
-                p.config.isHealthy &&
-                !p.config.isDisabled &&
-                !triedUuidsForType.has(p.config.uuid)
+                !triedUuidsForType.has(p.config.uuid) &&
+                providerPoolManager.isProviderAvailable(currentToProvider, p, model)
             ).length;
             const hasMoreAccountsInPool = healthyAvailableCount > 0;
             const hasMoreFallbackProviders = providerTypesToTry.indexOf(currentToProvider) < providerTypesToTry.length - 1;
             const shouldThrowOnError = canRetry && (hasMoreAccountsInPool || hasMoreFallbackProviders);
 
+            // Count the attempt as in flight for the least-in-flight selection strategy
+            const releaseInFlight = providerPoolManager.trackInFlight(currentToProvider, currentUuid, model);
+            releaseQueueSlot();
+            let servedUuid = null;
             try {
-                // Clone request body to avoid mutation between retries
-                const requestBodyCopy = JSON.parse(JSON.stringify(processedRequestBody));
-
                 if (isStream) {
-                    await handleStreamRequest(res, currentService, model, requestBodyCopy, fromProvider, currentToProvider, CONFIG.PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, currentUuid, { throwOnError: shouldThrowOnError, requestId, clientIp, headersAlreadySent: streamHeadersSent });
+                    await handleStreamRequest(res, currentService, model, requestBodyCopy, fromProvider, currentToProvider, CONFIG.PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, currentUuid, { throwOnError: shouldThrowOnError, requestId, clientIp, apiKeyId, pricing: CONFIG.pricing, originalRequestBody, requestHeaders: req.headers, headersAlreadySent: streamHeadersSent, resume: streamResume, antiTruncation, responseContext, promptCache, cacheIgnoredFields });
                     streamHeadersSent = true;  // Mark headers as sent after first attempt
                 } else {
                     // Pass originalRequestBody for cache key generation (before any conversions)
-                    await handleUnaryRequest(res, currentService, model, requestBodyCopy, fromProvider, currentToProvider, CONFIG.PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, currentUuid, { throwOnError: shouldThrowOnError, requestId, clientIp, originalRequestBody });
+                    const hedge = !isHedged ? null : {
+                        delayMs: await hedgingService.getHedgeDelay(CONFIG, currentToProvider, model),
+                        selectBackup: async () => {
+                            const backup = await _selectHedgeBackup(CONFIG, providerPoolManager, model, currentToProvider,
+                                providerTypesToTry.slice(providerTypesToTry.indexOf(currentToProvider) + 1).filter(isProviderTypeUsable), triedUuids);
+                            if (backup) {
+                                // Never retry the backup account in this request, win or lose
+                                triedUuids.add(backup.uuid);
+                                if (backup.toProvider === currentToProvider) triedUuidsForType.add(backup.uuid);
+                            }
+                            return backup;
+                        }
+                    };
+                    servedUuid = await handleUnaryRequest(res, currentService, model, requestBodyCopy, fromProvider, currentToProvider, CONFIG.PROMPT_LOG_MODE, PROMPT_LOG_FILENAME, providerPoolManager, currentUuid, { throwOnError: shouldThrowOnError, requestId, clientIp, apiKeyId, pricing: CONFIG.pricing, originalRequestBody, requestHeaders: req.headers, hedge, antiTruncation, responseContext, promptCache, cacheIgnoredFields });
+                }
+                // Success - bind the conversation to the account that served it and exit all loops
+                releaseInFlight();
+                if (affinityKey) {
+                    await providerPoolManager.bindSession(affinityKey, servedUuid || currentUuid);
                 }
-                // Success - exit all loops
                 return;
             } catch (error) {
+                releaseInFlight();
                 lastError = error;
                 const statusCode = error.response?.status || error.status || null;
 
-                // Mark this provider as unhealthy
+                // Mark this provider as unhealthy (or cooling down after a 429)
                 if (providerPoolManager && currentUuid) {
-                    console.log(`[Retry] Marking provider ${currentToProvider} (${currentUuid}) as unhealthy due to error (status: ${statusCode || 'unknown'})`);
-                    providerPoolManager.markProviderUnhealthy(currentToProvider, { uuid: currentUuid }, error.message, statusCode);
+                    console.log(`[Retry] Reporting failure of provider ${currentToProvider} (${currentUuid}) (status: ${statusCode || 'unknown'})`);
+                    reportProviderFailure(providerPoolManager, currentToProvider, currentUuid, error, statusCode, model);
                 }
 
-                // Check if error is retryable
-                if (!isRetryableError(error)) {
+                // Check if error is retryable (a resumable broken stream always is)
+                if (!isRetryableError(error) && !isResumableStreamError(error)) {
                     console.log(`[Retry] Error is not retryable (status: ${statusCode}). Sending error to client.`);
                     // Non-retryable error - exit all loops and send error
                     break;
@@ -894,24 +1379,29 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
         }
 
         // If we got a non-retryable error, don't try fallback providers
-        if (lastError && !isRetryableError(lastError)) {
+        if (resumeFailed || (lastError && !isRetryableError(lastError) && !isResumableStreamError(lastError))) {
             break;
         }
     }
 
     // All retries exhausted across all provider types - send error response to client
     console.log(`[Retry] All ${totalAttempts} attempts exhausted across ${providerTypesToTry.length} provider types for model '${model}'. Sending error to client.`);
+    if (!lastError && rateLimitRejection && !res.headersSent) {
+        sendRejection(res, 429, rateLimitRejection.reason, fromProvider, rateLimitRejection.headers);
+        return;
+    }
     if (lastError) {
         if (isStream) {
             // For streaming, only send error if we haven't already sent it
-            // (headers already sent means error was already written in handleStreamRequest)
+            // (a closed response means the error was already written in handleStreamRequest)
             if (!res.headersSent && !res.destroyed && res.writable) {
                 const errorPayload = createStreamErrorResponse(lastError, fromProvider);
                 await handleUnifiedResponse(res, '', true);
                 res.write(errorPayload);
                 res.end();
             } else if (!res.destroyed && res.writable) {
-                // Headers sent but stream still writable - just end it
+                // Headers sent and the error was handed to the retry loop - report it on the open stream
+                res.write(createStreamErrorResponse(lastError, fromProvider));
                 res.end();
             }
         } else {
@@ -924,6 +1414,316 @@ export async function handleContentGenerationRequest(req, res, service, endpoint
     }
 }
 
+// Provider types whose backends serve embedding models (OpenAI-compatible and Gemini)
+const EMBEDDING_PROVIDER_TYPES = [
+    MODEL_PROVIDER.OPENAI_CUSTOM,
+    MODEL_PROVIDER.OPENAI_CUSTOM_RESPONSES,
+    MODEL_PROVIDER.GEMINI_CLI,
+];
+
+/**
+ * Returns the embedding format a provider type speaks. OpenAI Responses backends are
+ * OpenAI-compatible servers, so their embeddings use the OpenAI format.
+ * @param {string} providerType - The provider type.
+ * @returns {string} MODEL_PROTOCOL_PREFIX.GEMINI or MODEL_PROTOCOL_PREFIX.OPENAI.
+ */
+function _getEmbeddingProtocol(providerType) {
+    return getProtocolPrefix(providerType) === MODEL_PROTOCOL_PREFIX.GEMINI
+        ? MODEL_PROTOCOL_PREFIX.GEMINI
+        : MODEL_PROTOCOL_PREFIX.OPENAI;
+}
+
+/**
+ * Encodes embedding vectors as base64 little-endian float32, the OpenAI `encoding_format: base64` shape.
+ * @param {Object} openaiResponse - An OpenAI embedding response with float vectors.
+ * @returns {Object} The response with base64 encoded vectors.
+ */
+function _encodeEmbeddingsAsBase64(openaiResponse) {
+    return {
+        ...openaiResponse,
+        data: openaiResponse.data.map(item => ({
+            ...item,
+            embedding: Array.isArray(item.embedding)
+                ? Buffer.from(new Float32Array(item.embedding).buffer).toString('base64')
+                : item.embedding
+        }))
+    };
+}
+
+/**
+ * Handles embedding requests: OpenAI /v1/embeddings and Gemini :embedContent / :batchEmbedContents.
+ * Embeddings share the alias, routing, key scope, budget, pool retry and metrics steps of content
+ * generation, and are converted between the OpenAI and Gemini formats when the client and backend
+ * differ. Provider types without embedding models are skipped in the fallback chain.
+ * @param {http.IncomingMessage} req The HTTP request object.
+ * @param {http.ServerResponse} res The HTTP response object.
+ * @param {Object} service - The API service adapter selected for the request.
+ * @param {string} endpointType The type of endpoint being called (e.g., OPENAI_EMBEDDINGS).
+ * @param {Object} CONFIG - The server configuration object.
+ * @param {Object} providerPoolManager - The provider pool manager.
+ * @param {string} pooluuid - The uuid of the selected pool account.
+ */
+export async function handleEmbeddingRequest(req, res, service, endpointType, CONFIG, providerPoolManager, pooluuid) {
+    const originalRequestBody = await getRequestBody(req);
+    const requestId = crypto.randomUUID();
+    const clientIp = getClientIp(req, CONFIG);
+    const fromProvider = endpointType === ENDPOINT_TYPE.OPENAI_EMBEDDINGS ? MODEL_PROTOCOL_PREFIX.OPENAI : MODEL_PROTOCOL_PREFIX.GEMINI;
+
+    // 1. Extract the model. Gemini names it in the path, and a single embedContent is handled as a batch of one.
+    let requestedModel;
+    let clientRequestBody = originalRequestBody;
+    if (fromProvider === MODEL_PROTOCOL_PREFIX.OPENAI) {
+        requestedModel = originalRequestBody.model;
+        if (originalRequestBody.input === undefined || originalRequestBody.input === null) {
+            sendRejection(res, 400, 'Missing required parameter: input', fromProvider);
+            return;
+        }
+    } else {
+        const urlPattern = new RegExp(`/v1beta/models/(.+?):(${API_ACTIONS.EMBED_CONTENT}|${API_ACTIONS.BATCH_EMBED_CONTENTS})`);
+        const match = req.url.match(urlPattern);
+        requestedModel = match ? decodeURIComponent(match[1]) : null;
+        if (endpointType === ENDPOINT_TYPE.GEMINI_EMBED_CONTENT) {
+            clientRequestBody = { requests: [originalRequestBody] };
+        }
+        if (!Array.isArray(clientRequestBody.requests) || clientRequestBody.requests.length === 0) {
+            sendRejection(res, 400, 'Request must contain content to embed', fromProvider);
+            return;
+        }
+    }
+    if (!requestedModel) {
+        sendRejection(res, 400, 'Could not determine the model from the request.', fromProvider);
+        return;
+    }
+    let model = requestedModel;
+
+    // 2. Resolve model aliases and routing rules, as for content generation
+    const alias = modelAliasService.resolveAlias(CONFIG, model, {
+        providerType: CONFIG.explicitProviderSet ? CONFIG.MODEL_PROVIDER : null
+    });
+    if (alias) {
+        model = alias.model;
+    }
+    const aliasProviderType = CONFIG.explicitProviderSet ? null : alias?.providerType || null;
+    const virtualKey = CONFIG.virtualKey || null;
+    const apiKeyId = virtualKey?.id || null;
+    const route = (CONFIG.explicitProviderSet || aliasProviderType) ? null : routingService.resolveRoute(CONFIG, {
+        model,
+        endpointType,
+        apiKey: virtualKey,
+        headers: req.headers,
+        body: originalRequestBody
+    });
+    if (route) {
+        model = route.model;
+    }
+    const initialProviderType = CONFIG.actualProviderType || CONFIG.MODEL_PROVIDER;
+    const toProvider = aliasProviderType || route?.providerType || initialProviderType;
+    const fallbackChain = route?.fallback || providerPoolManager?.getFallbackChain?.(toProvider) || [];
+    const providerTypesToTry = [toProvider, ...fallbackChain]
+        .filter((type, index, types) => types.indexOf(type) === index && EMBEDDING_PROVIDER_TYPES.includes(type));
+    if (providerTypesToTry.length === 0) {
+        sendRejection(res, 400, `Provider type '${toProvider}' does not serve embedding models`, fromProvider);
+        return;
+    }
+    console.log(`[Embeddings] Model: ${model}, providers: ${providerTypesToTry.join(', ')}`);
+
+    // 3. Enforce the virtual key's allowlists and the key and provider budgets
+    if (virtualKey) {
+        const modelScope = apiKeyService.checkKeyScope(virtualKey, null, model);
+        if (!modelScope.allowed) {
+            sendRejection(res, 403, modelScope.reason, fromProvider);
+            return;
+        }
+        if (!providerTypesToTry.some(type => apiKeyService.checkKeyScope(virtualKey, type, null).allowed)) {
+            sendRejection(res, 403, apiKeyService.checkKeyScope(virtualKey, providerTypesToTry[0], null).reason, fromProvider);
+            return;
+        }
+    }
+    const keyBudget = await budgetService.checkKeyBudget(CONFIG, virtualKey);
+    if (!keyBudget.allowed) {
+        sendRejection(res, 429, keyBudget.reason, fromProvider, { 'Retry-After': String(keyBudget.retryAfterSeconds) });
+        return;
+    }
+    const exhaustedProviderTypes = new Map();
+    for (const type of providerTypesToTry) {
+        const result = await budgetService.checkProviderBudget(CONFIG, type);
+        if (!result.allowed) {
+            exhaustedProviderTypes.set(type, result);
+        }
+    }
+    if (exhaustedProviderTypes.size === providerTypesToTry.length) {
+        const providerBudget = exhaustedProviderTypes.values().next().value;
+        sendRejection(res, 429, providerBudget.reason, fromProvider, { 'Retry-After': String(providerBudget.retryAfterSeconds) });
+        return;
+    }
+
+    // 4. Convert the request once per backend format. OpenAI bodies name the model, Gemini puts it in the URL.
+    const backendBodies = new Map();
+    try {
+        for (const protocol of new Set(providerTypesToTry.map(_getEmbeddingProtocol))) {
+            const body = protocol === fromProvider
+                ? clientRequestBody
+                : convertData(clientRequestBody, 'embeddingRequest', fromProvider, protocol);
+            backendBodies.set(protocol, protocol === MODEL_PROTOCOL_PREFIX.OPENAI ? { ...body, model } : body);
+        }
+    } catch (error) {
+        sendRejection(res, error.status || 400, error.message, fromProvider);
+        return;
+    }
+
+    // 5. Try each provider type (primary first, then fallbacks) and each healthy account in its pool
+    let lastError = null;
+    let totalAttempts = 0;
+    let rateLimitRejection = null;
+    for (const providerType of providerTypesToTry) {
+        if (virtualKey && !apiKeyService.checkKeyScope(virtualKey, providerType, null).allowed) {
+            console.log(`[Embeddings] Skipping provider type '${providerType}': not allowed for API key '${virtualKey.name}'`);
+            continue;
+        }
+        if (exhaustedProviderTypes.has(providerType)) {
+            console.log(`[Embeddings] Skipping provider type '${providerType}': budget exhausted`);
+            continue;
+        }
+        const providerRateLimit = await _checkProviderRateLimit(CONFIG, res, providerType);
+        if (!providerRateLimit.allowed) {
+            rateLimitRejection = rateLimitRejection || providerRateLimit;
+            console.log(`[Embeddings] Skipping provider type '${providerType}': rate limited`);
+            continue;
+        }
+        const hasPool = Boolean(providerPoolManager && CONFIG.providerPools?.[providerType]?.length > 0);
+        const embeddingProtocol = _getEmbeddingProtocol(providerType);
+        const triedUuidsForType = new Set();
+
+        while (true) {
+            let currentService = null;
+            let currentUuid = null;
+            // The first attempt uses the account the request was dispatched with
+            if (totalAttempts === 0 && providerType === initialProviderType && service) {
+                currentService = service;
+                currentUuid = pooluuid;
+            } else if (hasPool) {
+                const nextProvider = providerPoolManager.selectProvider(providerType, model, {
+                    excludeUuids: triedUuidsForType,
+                    skipUsageCount: false
+                });
+                if (!nextProvider) {
+                    console.log(`[Embeddings] No more healthy providers in pool '${providerType}'`);
+                    break;
+                }
+                try {
+                    const { getApiService } = await import('./service-manager.js');
+                    currentService = await getApiService({ ...CONFIG, MODEL_PROVIDER: providerType, ...nextProvider }, model);
+                    currentUuid = nextProvider.uuid;
+                } catch (serviceError) {
+                    console.error(`[Embeddings] Failed to create service for provider '${providerType}':`, serviceError.message);
+                    break;
+                }
+            } else {
+                console.log(`[Embeddings] Skipping provider type '${providerType}': no pool configured`);
+                break;
+            }
+            if (currentUuid) {
+                triedUuidsForType.add(currentUuid);
+            }
+            totalAttempts++;
+
+            const releaseInFlight = hasPool && currentUuid ? providerPoolManager.trackInFlight(providerType, currentUuid, model) : () => {};
+            const startTime = Date.now();
+            try {
+                const requestBody = JSON.parse(JSON.stringify(backendBodies.get(embeddingProtocol)));
+                const nativeResponse = await currentService.createEmbeddings(model, requestBody);
+                releaseInFlight();
+
+                let clientResponse = embeddingProtocol === fromProvider
+                    ? nativeResponse
+                    : convertData(nativeResponse, 'embeddingResponse', embeddingProtocol, fromProvider, model);
+                if (fromProvider === MODEL_PROTOCOL_PREFIX.OPENAI && embeddingProtocol !== fromProvider && originalRequestBody.encoding_format === 'base64') {
+                    clientResponse = _encodeEmbeddingsAsBase64(clientResponse);
+                }
+                if (endpointType === ENDPOINT_TYPE.GEMINI_EMBED_CONTENT) {
+                    clientResponse = { embedding: clientResponse.embeddings?.[0] || { values: [] } };
+                }
+
+                if (providerPoolManager && currentUuid) {
+                    providerPoolManager.markProviderHealthy(providerType, { uuid: currentUuid }, false, null, model);
+                }
+                try {
+                    await metricsService.recordRequest({
+                        requestId,
+                        providerType,
+                        providerUuid: currentUuid,
+                        model,
+                        inputTokens: nativeResponse?.usage?.prompt_tokens || null,
+                        outputTokens: null,
+                        latencyMs: Date.now() - startTime,
+                        statusCode: 200,
+                        isStreaming: false,
+                        errorMessage: null,
+                        clientIp,
+                        apiKeyId,
+                        pricing: CONFIG.pricing,
+                    });
+                } catch (metricsError) {
+                    console.error('[Metrics] Failed to record embedding request metrics:', metricsError.message);
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(clientResponse));
+                return;
+            } catch (error) {
+                releaseInFlight();
+                lastError = error;
+                const statusCode = error.response?.status || error.status || null;
+                console.error(`[Embeddings] Attempt ${totalAttempts} on ${providerType} (${currentUuid}) failed (status: ${statusCode || 'unknown'}): ${error.message}`);
+                try {
+                    await metricsService.recordRequest({
+                        requestId,
+                        providerType,
+                        providerUuid: currentUuid,
+                        model,
+                        inputTokens: null,
+                        outputTokens: null,
+                        latencyMs: Date.now() - startTime,
+                        statusCode: statusCode || 500,
+                        isStreaming: false,
+                        errorMessage: error.message,
+                        clientIp,
+                        apiKeyId,
+                    });
+                } catch (metricsError) {
+                    console.error('[Metrics] Failed to record embedding request metrics:', metricsError.message);
+                }
+                if (providerPoolManager && currentUuid) {
+                    reportProviderFailure(providerPoolManager, providerType, currentUuid, error, statusCode, model);
+                }
+                if (!isRetryableError(error) || !hasPool) {
+                    break;
+                }
+            }
+        }
+
+        // A non-retryable error (e.g. an unknown model or bad input) fails the same way on every provider
+        if (lastError && !isRetryableError(lastError)) {
+            break;
+        }
+    }
+
+    // 6. All attempts failed - send the error in the client's format with its HTTP status
+    const statusCode = lastError ? (lastError.response?.status || lastError.status || 500) : 503;
+    const message = lastError
+        ? lastError.response?.data?.error?.message || lastError.message
+        : `No healthy provider account can serve embeddings for model '${model}'`;
+    console.log(`[Embeddings] All ${totalAttempts} attempts failed for model '${model}'. Sending error to client.`);
+    if (!lastError && rateLimitRejection && !res.headersSent) {
+        sendRejection(res, 429, rateLimitRejection.reason, fromProvider, rateLimitRejection.headers);
+        return;
+    }
+    if (!res.headersSent && !res.destroyed && res.writable) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(createErrorResponse({ status: statusCode, message }, fromProvider)));
+    }
+}
+
 /**
  * Helper function to extract model and stream information from the request.
  * @param {http.IncomingMessage} req The HTTP request object.
@@ -936,6 +1736,78 @@ function _extractModelAndStreamInfo(req, requestBody, fromProvider) {
     return strategy.extractModelAndStreamInfo(req, requestBody);
 }
 
+/**
+ * Checks and consumes a provider type's rate limits (config.json `rateLimits.perProvider`) before
+ * it is tried. The response's tokens are charged to the provider type that served it, so the
+ * limits are checked on the routed type rather than the one the request was dispatched with.
+ * Rate limit headers are set when this scope is tighter than the key and IP scopes.
+ * @param {Object} config The server configuration.
+ * @param {http.ServerResponse} res The HTTP response object.
+ * @param {string} providerType The provider type about to be tried.
+ * @returns {Promise<{allowed: boolean, reason: string|null, headers: Object}>} The check result.
+ */
+async function _checkProviderRateLimit(config, res, providerType) {
+    const result = await rateLimiter.checkRateLimit(config, { providerType, scopes: ['provider'] });
+    if (!res.headersSent) {
+        for (const metric of ['requests', 'tokens']) {
+            const remaining = result.headers[`x-ratelimit-remaining-${metric}`];
+            const current = res.getHeader(`x-ratelimit-remaining-${metric}`);
+            if (remaining === undefined || (current !== undefined && Number(current) <= Number(remaining))) continue;
+            for (const [header, value] of Object.entries(result.headers)) {
+                if (header.includes(`-${metric}`)) res.setHeader(header, value);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Picks the backup for a hedged unary request: another healthy account of the same provider type,
+ * or else an account of the next fallback type that speaks the same protocol (so the converted
+ * request can be reused). Selection does not count usage; only the winner is credited.
+ * @param {Object} config The server configuration.
+ * @param {Object} providerPoolManager The provider pool manager.
+ * @param {string} model The model name.
+ * @param {string} providerType The primary's provider type.
+ * @param {string[]} fallbackTypes Usable fallback provider types, in order.
+ * @param {Set<string>} excludeUuids Accounts already tried in this request.
+ * @returns {Promise<{service: Object, toProvider: string, uuid: string}|null>} The backup, or null if none is available.
+ */
+export async function _selectHedgeBackup(config, providerPoolManager, model, providerType, fallbackTypes, excludeUuids) {
+    const protocol = getProtocolPrefix(providerType);
+    const candidateTypes = [providerType, ...fallbackTypes.filter(type => getProtocolPrefix(type) === protocol)];
+    for (const type of candidateTypes) {
+        if (type !== providerType) {
+            const supportedModels = getProviderModels(type);
+            if (supportedModels.length > 0 && !supportedModels.includes(model)) continue;
+        }
+        const providerConfig = providerPoolManager.selectProvider(type, model, { excludeUuids, skipUsageCount: true });
+        if (!providerConfig) continue;
+
+        // Build the adapter for exactly this account: getApiService would select again, without the exclusions
+        const { getServiceAdapter } = await import('./adapter.js');
+        const serviceConfig = deepmerge({ ...config, MODEL_PROVIDER: type }, providerConfig);
+        delete serviceConfig.providerPools;
+        return { service: getServiceAdapter(serviceConfig), toProvider: type, uuid: providerConfig.uuid };
+    }
+    return null;
+}
+
+/**
+ * Rejects a request before it reaches a provider (out of key scope, budget exhausted,
+ * rate limited) with the given status in the client's protocol format.
+ * @param {http.ServerResponse} res The HTTP response object.
+ * @param {number} statusCode The HTTP status code (403 or 429).
+ * @param {string} reason The human readable rejection reason.
+ * @param {string} fromProvider The provider format expected by the client.
+ * @param {Object} [headers] Extra response headers (e.g. Retry-After).
+ */
+export function sendRejection(res, statusCode, reason, fromProvider, headers = {}) {
+    console.log(`[Auth] Request rejected (${statusCode}): ${reason}`);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(createErrorResponse({ status: statusCode, message: reason }, fromProvider)));
+}
+
 async function _applySystemPromptFromFile(config, requestBody, toProvider) {
     const strategy = ProviderStrategyFactory.getStrategy(getProtocolPrefix(toProvider));
     return strategy.applySystemPromptFromFile(config, requestBody);
@@ -31,14 +31,16 @@ import {
 /**
  * Generic data conversion function (new architecture version)
  * @param {object} data - Data to convert (request body or response)
- * @param {string} type - Conversion type: 'request', 'response', 'streamChunk', 'modelList'
+ * @param {string} type - Conversion type: 'request', 'response', 'streamChunk', 'modelList',
+ *   'embeddingRequest', 'embeddingResponse'
  * @param {string} fromProvider - Source model provider
  * @param {string} toProvider - Target model provider
  * @param {string} [model] - Optional model name (used for response conversion)
+ * @param {object} [streamState] - Per-stream state shared by the chunks of one stream ('streamChunk' only)
  * @returns {object} Converted data
  * @throws {Error} If no suitable conversion function is found
  */
-export function convertData(data, type, fromProvider, toProvider, model) {
+export function convertData(data, type, fromProvider, toProvider, model, streamState) {
     try {
         // Get protocol prefix
         const fromProtocol = getProtocolPrefix(fromProvider);
@@ -60,11 +62,17 @@ export function convertData(data, type, fromProvider, toProvider, model) {
                 return converter.convertResponse(data, toProtocol, model);
                 
             case 'streamChunk':
-                return converter.convertStreamChunk(data, toProtocol, model);
+                return converter.convertStreamChunk(data, toProtocol, model, streamState);
                 
             case 'modelList':
                 return converter.convertModelList(data, toProtocol);
                 
+            case 'embeddingRequest':
+                return converter.convertEmbeddingRequest(data, toProtocol);
+
+            case 'embeddingResponse':
+                return converter.convertEmbeddingResponse(data, toProtocol, model);
+                
             default:
                 throw new Error(`Unsupported conversion type: ${type}`);
         }
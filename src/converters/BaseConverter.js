@@ -41,9 +41,10 @@ export class BaseConverter {
      * @param {Object} chunk - Stream response chunk
      * @param {string} targetProtocol - Target protocol
      * @param {string} model - Model name
+     * @param {Object} [streamState] - State shared by the chunks of one stream
      * @returns {Object} Converted stream response chunk
      */
-    convertStreamChunk(chunk, targetProtocol, model) {
+    convertStreamChunk(chunk, targetProtocol, model, streamState) {
         throw new Error('convertStreamChunk method must be implemented by subclass');
     }
 
@@ -57,6 +58,27 @@ export class BaseConverter {
         throw new Error('convertModelList method must be implemented by subclass');
     }
 
+    /**
+     * Convert embedding request. Only protocols with embedding endpoints override this.
+     * @param {Object} data - Embedding request data
+     * @param {string} targetProtocol - Target protocol
+     * @returns {Object} Converted embedding request
+     */
+    convertEmbeddingRequest(data, targetProtocol) {
+        throw new Error(`Embedding conversion from ${this.protocolName} to ${targetProtocol} is not supported`);
+    }
+
+    /**
+     * Convert embedding response. Only protocols with embedding endpoints override this.
+     * @param {Object} data - Embedding response data
+     * @param {string} targetProtocol - Target protocol
+     * @param {string} model - Model name
+     * @returns {Object} Converted embedding response
+     */
+    convertEmbeddingResponse(data, targetProtocol, model) {
+        throw new Error(`Embedding conversion from ${this.protocolName} to ${targetProtocol} is not supported`);
+    }
+
     /**
      * Get protocol name
      * @returns {string} Protocol name
@@ -0,0 +1,294 @@
+/**
+ * Audio input and output across protocols.
+ *
+ * OpenAI Chat sends audio as `input_audio` parts (base64 wav or mp3) and asks for spoken replies
+ * with `modalities: ['text', 'audio']`; Gemini takes audio as `inlineData` / `fileData` parts and
+ * speaks with `responseModalities: ['AUDIO']`, returning raw 16-bit PCM. Claude and the Responses
+ * API take no audio: requests that carry or ask for audio are refused with a capability error
+ * (status 400) instead of reaching the backend without it.
+ * Audio entries are { mimeType, data? (base64), url? }.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { MODEL_PROTOCOL_PREFIX } from '../common.js';
+
+// OpenAI input_audio formats and their media types
+const OPENAI_AUDIO_FORMATS = { wav: 'audio/wav', mp3: 'audio/mp3' };
+const OPENAI_FORMAT_BY_MEDIA_TYPE = {
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/mp3': 'mp3',
+    'audio/mpeg': 'mp3'
+};
+
+// Media types of audio URLs by file extension (Gemini fileData needs one)
+const MEDIA_TYPE_BY_EXTENSION = {
+    wav: 'audio/wav',
+    mp3: 'audio/mp3',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    aac: 'audio/aac',
+    aiff: 'audio/aiff'
+};
+
+// Gemini prebuilt voices; other voice names (e.g. OpenAI's) use the backend's default voice
+const GEMINI_VOICES = [
+    'Zephyr', 'Puck', 'Charon', 'Kore', 'Fenrir', 'Leda', 'Orus', 'Aoede', 'Callirrhoe', 'Autonoe',
+    'Enceladus', 'Iapetus', 'Umbriel', 'Algieba', 'Despina', 'Erinome', 'Algenib', 'Rasalgethi',
+    'Laomedeia', 'Achernar', 'Alnilam', 'Schedar', 'Gacrux', 'Pulcherrima', 'Achird',
+    'Zubenelgenubi', 'Vindemiatrix', 'Sadachbia', 'Sadaltager', 'Sulafat'
+];
+
+// Gemini speech output: 16-bit mono PCM at this rate unless the media type says otherwise
+const GEMINI_PCM_SAMPLE_RATE = 24000;
+
+// OpenAI audio output references expire after an hour
+const AUDIO_EXPIRY_SECONDS = 3600;
+
+/**
+ * Creates the error for audio a backend or format cannot handle (returned to the client as 400).
+ * @param {string} message - What is not supported
+ * @returns {Error}
+ */
+export function audioCapabilityError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// --- Input -----------------------------------------------------------------------------------
+
+/**
+ * Reads an OpenAI Chat audio part: `input_audio`, or the older `audio` part with an `audio_url`.
+ * @param {Object} part - The content part
+ * @returns {Object|null} The audio entry, or null if the part is not audio
+ */
+export function audioFromOpenAIPart(part) {
+    if (part?.type === 'input_audio' && part.input_audio?.data) {
+        const format = (part.input_audio.format || 'wav').toLowerCase();
+        return { mimeType: OPENAI_AUDIO_FORMATS[format] || `audio/${format}`, data: part.input_audio.data };
+    }
+    if (part?.type === 'audio' && part.audio_url) {
+        const url = typeof part.audio_url === 'string' ? part.audio_url : part.audio_url.url;
+        const dataUrl = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(url || '');
+        if (dataUrl) {
+            return { mimeType: dataUrl[1] || 'audio/wav', data: dataUrl[2] };
+        }
+        const extension = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url || '')?.[1]?.toLowerCase();
+        return url ? { mimeType: MEDIA_TYPE_BY_EXTENSION[extension] || 'audio/mp3', url } : null;
+    }
+    return null;
+}
+
+/**
+ * Reads a Gemini `inlineData` or `fileData` part with an audio media type.
+ * @param {Object} part - The Gemini part
+ * @returns {Object|null} The audio entry, or null
+ */
+export function audioFromGeminiPart(part) {
+    if (part?.inlineData?.data && /^audio\//.test(part.inlineData.mimeType || '')) {
+        return { mimeType: part.inlineData.mimeType, data: part.inlineData.data };
+    }
+    if (part?.fileData?.fileUri && /^audio\//.test(part.fileData.mimeType || '')) {
+        return { mimeType: part.fileData.mimeType, url: part.fileData.fileUri };
+    }
+    return null;
+}
+
+/**
+ * Writes an audio entry as a Gemini part.
+ * @param {Object} entry - The audio entry
+ * @returns {Object} The part
+ */
+export function geminiAudioPart(entry) {
+    return entry.data
+        ? { inlineData: { mimeType: entry.mimeType, data: entry.data } }
+        : { fileData: { mimeType: entry.mimeType, fileUri: entry.url } };
+}
+
+/**
+ * Writes an audio entry as an OpenAI `input_audio` part. OpenAI takes base64 wav and mp3 only.
+ * @param {Object} entry - The audio entry
+ * @returns {Object} The content part
+ * @throws {Error} A capability error for audio URLs and other formats
+ */
+export function openaiAudioPart(entry) {
+    const format = OPENAI_FORMAT_BY_MEDIA_TYPE[entry.mimeType?.split(';')[0].toLowerCase()];
+    if (!entry.data) {
+        throw audioCapabilityError(`OpenAI models do not accept audio by URL (${entry.url}); send the audio inline`);
+    }
+    if (!format) {
+        throw audioCapabilityError(`OpenAI models accept wav and mp3 audio input, not ${entry.mimeType}`);
+    }
+    return { type: 'input_audio', input_audio: { data: entry.data, format } };
+}
+
+/**
+ * Throws the capability error for audio input to a backend without audio support.
+ * @param {string} backend - The backend's name, for the message
+ * @throws {Error}
+ */
+export function rejectAudioInput(backend) {
+    throw audioCapabilityError(`${backend} models do not accept audio input`);
+}
+
+/**
+ * Throws the capability error for audio output from a backend without audio support.
+ * @param {string} backend - The backend's name, for the message
+ * @throws {Error}
+ */
+export function rejectAudioOutput(backend) {
+    throw audioCapabilityError(`${backend} models cannot respond with audio`);
+}
+
+// --- Output ----------------------------------------------------------------------------------
+
+/**
+ * Whether an OpenAI request asks for audio output.
+ * @param {Object} openaiRequest - The request
+ * @returns {boolean}
+ */
+export function wantsOpenAIAudio(openaiRequest) {
+    return Array.isArray(openaiRequest?.modalities) && openaiRequest.modalities.includes('audio');
+}
+
+/**
+ * Whether a Gemini request asks for audio output.
+ * @param {Object} geminiRequest - The request
+ * @returns {boolean}
+ */
+export function wantsGeminiAudio(geminiRequest) {
+    const modalities = geminiRequest?.generationConfig?.responseModalities;
+    return Array.isArray(modalities) && modalities.some(modality => String(modality).toUpperCase() === 'AUDIO');
+}
+
+/**
+ * Applies an OpenAI request's audio output settings to a Gemini generation config.
+ * Gemini speaks 16-bit PCM, returned as wav, or as pcm16 chunks when streaming (as OpenAI streams audio).
+ * @param {Object} config - The Gemini generationConfig (modified)
+ * @param {Object} openaiRequest - The OpenAI request
+ * @throws {Error} A capability error for other output formats
+ */
+export function applyGeminiSpeech(config, openaiRequest) {
+    const format = openaiRequest.audio?.format || (openaiRequest.stream ? 'pcm16' : 'wav');
+    const supported = openaiRequest.stream ? 'pcm16' : 'wav';
+    if (format !== supported) {
+        throw audioCapabilityError(`Gemini models return audio as ${supported}${openaiRequest.stream ? ' when streaming' : ''}, not ${format}`);
+    }
+
+    config.responseModalities = ['AUDIO'];
+    const voice = GEMINI_VOICES.find(name => name.toLowerCase() === String(openaiRequest.audio?.voice || '').toLowerCase());
+    if (voice) {
+        config.speechConfig = { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } };
+    }
+}
+
+/**
+ * Joins the audio parts of a Gemini response into one buffer: raw PCM (audio/L16, audio/pcm),
+ * or the first part as is for encoded audio (e.g. audio/wav).
+ * @private
+ */
+function _geminiAudio(parts) {
+    const audio = (parts || []).map(part => audioFromGeminiPart(part)).filter(entry => entry?.data);
+    if (audio.length === 0) return null;
+    const pcm = audio.filter(entry => /^audio\/(l16|pcm)\b/i.test(entry.mimeType));
+    if (pcm.length === 0) {
+        return { encoded: Buffer.from(audio[0].data, 'base64') };
+    }
+    const sampleRate = Number(/rate=(\d+)/.exec(pcm[0].mimeType)?.[1]) || GEMINI_PCM_SAMPLE_RATE;
+    return { pcm: Buffer.concat(pcm.map(entry => Buffer.from(entry.data, 'base64'))), sampleRate };
+}
+
+/**
+ * Wraps 16-bit mono PCM in a wav header.
+ * @private
+ */
+function _pcmToWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Builds the OpenAI `message.audio` of a Gemini response's spoken output, as wav.
+ * @param {Array<Object>} parts - The response parts
+ * @param {string} transcript - The response's text
+ * @returns {Object|null} { id, data, expires_at, transcript }, or null without audio
+ */
+export function openaiMessageAudio(parts, transcript) {
+    const audio = _geminiAudio(parts);
+    if (!audio) return null;
+    return {
+        id: `audio_${uuidv4().replace(/-/g, '')}`,
+        data: (audio.encoded || _pcmToWav(audio.pcm, audio.sampleRate)).toString('base64'),
+        expires_at: Math.floor(Date.now() / 1000) + AUDIO_EXPIRY_SECONDS,
+        transcript: transcript || ''
+    };
+}
+
+/**
+ * Builds the OpenAI `delta.audio` of a Gemini stream chunk's spoken output, as pcm16.
+ * The audio id is kept in the stream state so all chunks of a reply share it.
+ * @param {Array<Object>} parts - The chunk's parts
+ * @param {string} transcript - The chunk's text
+ * @param {Object} streamState - Per-stream state
+ * @returns {Object|null} { id, data, transcript? }, or null without audio or text
+ */
+export function openaiAudioDelta(parts, transcript, streamState) {
+    const audio = _geminiAudio(parts);
+    if (!audio && !transcript) return null;
+    streamState.audioId = streamState.audioId || `audio_${uuidv4().replace(/-/g, '')}`;
+    return {
+        id: streamState.audioId,
+        ...(audio ? { data: (audio.pcm || audio.encoded).toString('base64') } : {}),
+        ...(transcript ? { transcript } : {})
+    };
+}
+
+/**
+ * Maps Gemini usage token counts by modality to OpenAI's audio token details.
+ * @param {Object} usageMetadata - The Gemini usage
+ * @returns {{ prompt: Object, completion: Object }} Fields to add to prompt_tokens_details and completion_tokens_details
+ */
+export function openaiAudioTokens(usageMetadata) {
+    const audioTokens = details => (details || [])
+        .filter(detail => detail?.modality === 'AUDIO')
+        .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+    const prompt = audioTokens(usageMetadata?.promptTokensDetails);
+    const completion = audioTokens(usageMetadata?.candidatesTokensDetails);
+    return {
+        prompt: prompt > 0 ? { audio_tokens: prompt } : {},
+        completion: completion > 0 ? { audio_tokens: completion } : {}
+    };
+}
+
+/**
+ * Whether a request carries or asks for audio, for backends that take requests unconverted.
+ * @param {Object} requestBody - The request
+ * @param {string} protocol - The request's protocol prefix (openai or gemini; others carry no audio)
+ * @returns {boolean}
+ */
+export function requestHasAudio(requestBody, protocol) {
+    if (protocol === MODEL_PROTOCOL_PREFIX.OPENAI) {
+        return wantsOpenAIAudio(requestBody) || (requestBody?.messages || [])
+            .some(message => Array.isArray(message?.content) && message.content.some(part => audioFromOpenAIPart(part)));
+    }
+    if (protocol === MODEL_PROTOCOL_PREFIX.GEMINI) {
+        return wantsGeminiAudio(requestBody) || (requestBody?.contents || [])
+            .some(content => (content?.parts || []).some(part => audioFromGeminiPart(part)));
+    }
+    return false;
+}
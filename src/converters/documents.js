@@ -0,0 +1,324 @@
+/**
+ * Document inputs (PDF and text files) across protocols.
+ *
+ * Claude sends documents as `document` blocks (base64 PDF, URL or plain text source, with an
+ * optional title, context and citations flag), OpenAI Chat as `file` content parts with a data
+ * URL, the Responses API as `input_file` parts and Gemini as `inlineData` / `fileData` parts.
+ * The converters read them into a common entry and write that entry in the target format:
+ *   { mediaType, data?, text?, url?, title?, context?, citations? }
+ * `data` is base64 (PDFs), `text` a plain text document. Formats a backend cannot take in a
+ * message are sent as their text, extracted locally for PDFs.
+ */
+
+import * as crypto from 'crypto';
+import { MODEL_PROTOCOL_PREFIX } from '../common.js';
+import { extractPdfText } from './pdf-text.js';
+
+const PDF_MEDIA_TYPE = 'application/pdf';
+
+// Extracted PDF text by content hash: a conversation resends its documents every turn
+const EXTRACTED_TEXT_CACHE_SIZE = 50;
+const extractedTextCache = new Map();
+
+/**
+ * Whether a media type is a document type the converters map (PDF or text).
+ * @param {string} mediaType - The media type
+ * @returns {boolean}
+ */
+export function isDocumentMediaType(mediaType) {
+    return mediaType === PDF_MEDIA_TYPE || /^text\//.test(mediaType || '');
+}
+
+/**
+ * Splits a data URL into its media type and base64 data. Bare base64 is read as a PDF.
+ * @private
+ */
+function _parseFileData(fileData) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(fileData || '');
+    if (!match) {
+        return fileData ? { mediaType: PDF_MEDIA_TYPE, data: fileData } : null;
+    }
+    return { mediaType: match[1] || PDF_MEDIA_TYPE, data: match[2] };
+}
+
+/**
+ * Reads a document entry from base64 data, decoding text documents.
+ * @private
+ */
+function _fromData(mediaType, data, title) {
+    const entry = /^text\//.test(mediaType)
+        ? { mediaType, text: Buffer.from(data, 'base64').toString('utf8') }
+        : { mediaType, data };
+    if (title) entry.title = title;
+    return entry;
+}
+
+// --- Readers ---------------------------------------------------------------------------------
+
+/**
+ * Reads a Claude `document` block.
+ * @param {Object} block - The content block
+ * @returns {Object|null} The document entry, or null if the block is not a document
+ */
+export function documentFromClaudeBlock(block) {
+    if (block?.type !== 'document' || !block.source) return null;
+    const { source } = block;
+    let entry;
+    if (source.type === 'base64' && source.data) {
+        entry = _fromData(source.media_type || PDF_MEDIA_TYPE, source.data);
+    } else if (source.type === 'text' && typeof source.data === 'string') {
+        entry = { mediaType: source.media_type || 'text/plain', text: source.data };
+    } else if (source.type === 'url' && source.url) {
+        entry = { mediaType: PDF_MEDIA_TYPE, url: source.url };
+    } else if (source.type === 'content') {
+        const text = typeof source.content === 'string'
+            ? source.content
+            : (source.content || []).filter(item => item?.type === 'text').map(item => item.text).join('\n');
+        entry = { mediaType: 'text/plain', text };
+    } else {
+        return null;
+    }
+    if (block.title) entry.title = block.title;
+    if (block.context) entry.context = block.context;
+    if (block.citations?.enabled) entry.citations = true;
+    return entry;
+}
+
+/**
+ * Reads an OpenAI Chat `file` content part. Uploaded files (file_id only) cannot be read here.
+ * @param {Object} part - The content part
+ * @returns {Object|null} The document entry, or null
+ */
+export function documentFromOpenAIPart(part) {
+    if (part?.type !== 'file' || !part.file?.file_data) return null;
+    const parsed = _parseFileData(part.file.file_data);
+    return parsed ? _fromData(parsed.mediaType, parsed.data, part.file.filename) : null;
+}
+
+/**
+ * Reads a Responses API `input_file` content part. Uploaded files (file_id only) cannot be read here.
+ * @param {Object} part - The content part
+ * @returns {Object|null} The document entry, or null
+ */
+export function documentFromResponsesPart(part) {
+    if (part?.type !== 'input_file') return null;
+    if (part.file_data) {
+        const parsed = _parseFileData(part.file_data);
+        return parsed ? _fromData(parsed.mediaType, parsed.data, part.filename) : null;
+    }
+    if (part.file_url) {
+        return { mediaType: PDF_MEDIA_TYPE, url: part.file_url, ...(part.filename ? { title: part.filename } : {}) };
+    }
+    return null;
+}
+
+/**
+ * Reads a Gemini `inlineData` or `fileData` part with a document media type.
+ * @param {Object} part - The Gemini part
+ * @returns {Object|null} The document entry, or null (e.g. for images)
+ */
+export function documentFromGeminiPart(part) {
+    if (part?.inlineData && isDocumentMediaType(part.inlineData.mimeType) && part.inlineData.data) {
+        return _fromData(part.inlineData.mimeType, part.inlineData.data, part.inlineData.displayName);
+    }
+    if (part?.fileData && isDocumentMediaType(part.fileData.mimeType) && part.fileData.fileUri) {
+        return { mediaType: part.fileData.mimeType, url: part.fileData.fileUri };
+    }
+    return null;
+}
+
+// --- Text ------------------------------------------------------------------------------------
+
+/**
+ * Extracts the text of a PDF, cached by content.
+ * @private
+ */
+function _extractText(data) {
+    const key = crypto.createHash('sha256').update(data).digest('hex');
+    if (!extractedTextCache.has(key)) {
+        let text = '';
+        try {
+            text = extractPdfText(data);
+        } catch (error) {
+            console.log(`[Documents] Could not extract PDF text: ${error.message}`);
+        }
+        extractedTextCache.set(key, text);
+        if (extractedTextCache.size > EXTRACTED_TEXT_CACHE_SIZE) {
+            extractedTextCache.delete(extractedTextCache.keys().next().value);
+        }
+    }
+    return extractedTextCache.get(key);
+}
+
+/**
+ * Returns a document as text for a model: a header with its title, the context, and the text.
+ * PDFs are extracted locally; URL documents are referenced by their URL.
+ * @param {Object} entry - The document entry
+ * @returns {string}
+ */
+export function documentText(entry) {
+    const name = entry.title || entry.url;
+    const header = name ? `[Document: ${name}]` : '[Document]';
+    let text = entry.text;
+    if (text === undefined && entry.data && entry.mediaType === PDF_MEDIA_TYPE) {
+        text = _extractText(entry.data);
+    }
+    if (!text) {
+        return entry.url ? header : `${header}\n(no text could be extracted from this document)`;
+    }
+    return [header, entry.context, text].filter(Boolean).join('\n');
+}
+
+// --- Writers ---------------------------------------------------------------------------------
+
+/**
+ * Writes a document entry as a Claude content block: a `document` block for PDFs and text, or
+ * its text for other media types.
+ * @param {Object} entry - The document entry
+ * @returns {Object} The content block
+ */
+export function claudeDocumentBlock(entry) {
+    let source;
+    if (entry.text !== undefined) {
+        source = { type: 'text', media_type: 'text/plain', data: entry.text };
+    } else if (entry.mediaType === PDF_MEDIA_TYPE && entry.data) {
+        source = { type: 'base64', media_type: PDF_MEDIA_TYPE, data: entry.data };
+    } else if (entry.mediaType === PDF_MEDIA_TYPE && entry.url) {
+        source = { type: 'url', url: entry.url };
+    } else {
+        return { type: 'text', text: documentText(entry) };
+    }
+    const block = { type: 'document', source };
+    if (entry.title) block.title = entry.title;
+    if (entry.context) block.context = entry.context;
+    if (entry.citations) block.citations = { enabled: true };
+    return block;
+}
+
+/**
+ * Writes a document entry as OpenAI Chat content parts: a `file` part for PDFs, text otherwise
+ * (Chat Completions takes no document URLs).
+ * @param {Object} entry - The document entry
+ * @returns {Array<Object>} The content parts
+ */
+export function openaiDocumentParts(entry) {
+    if (entry.mediaType === PDF_MEDIA_TYPE && entry.data) {
+        return [{
+            type: 'file',
+            file: {
+                filename: entry.title || 'document.pdf',
+                file_data: `data:${PDF_MEDIA_TYPE};base64,${entry.data}`
+            }
+        }];
+    }
+    return [{ type: 'text', text: documentText(entry) }];
+}
+
+/**
+ * Writes a document entry as Responses API content parts: `input_file` for PDFs (data or URL),
+ * `input_text` otherwise.
+ * @param {Object} entry - The document entry
+ * @returns {Array<Object>} The content parts
+ */
+export function responsesDocumentParts(entry) {
+    if (entry.mediaType === PDF_MEDIA_TYPE && (entry.data || entry.url)) {
+        return [{
+            type: 'input_file',
+            filename: entry.title || 'document.pdf',
+            ...(entry.data ? { file_data: `data:${PDF_MEDIA_TYPE};base64,${entry.data}` } : { file_url: entry.url })
+        }];
+    }
+    return [{ type: 'input_text', text: documentText(entry) }];
+}
+
+/**
+ * Writes a document entry as Gemini parts: `inlineData` / `fileData` for PDFs, preceded by the
+ * title (Gemini parts carry no name), and text otherwise.
+ * @param {Object} entry - The document entry
+ * @returns {Array<Object>} The parts
+ */
+export function geminiDocumentParts(entry) {
+    const parts = [];
+    if (entry.mediaType === PDF_MEDIA_TYPE && (entry.data || entry.url)) {
+        if (entry.title || entry.context) {
+            parts.push({ text: [`[Document: ${entry.title || 'untitled'}]`, entry.context].filter(Boolean).join('\n') });
+        }
+        parts.push(entry.data
+            ? { inlineData: { mimeType: PDF_MEDIA_TYPE, data: entry.data } }
+            : { fileData: { mimeType: PDF_MEDIA_TYPE, fileUri: entry.url } });
+        return parts;
+    }
+    return [{ text: documentText(entry) }];
+}
+
+// --- Text fallback ---------------------------------------------------------------------------
+
+/**
+ * Replaces the documents of a request with their text, for backends that cannot read them.
+ * The request is not modified; a copy is returned if any document was replaced.
+ * @param {Object} requestBody - The request, in the given protocol's format
+ * @param {string} protocol - The request's protocol prefix (openai, openaiResponses, claude, gemini)
+ * @returns {{ body: Object, count: number }} The request and the number of documents replaced
+ */
+export function replaceDocumentsWithText(requestBody, protocol) {
+    let count = 0;
+    const replace = (items, read, write) => {
+        if (!Array.isArray(items)) return items;
+        let changed = false;
+        const mapped = items.map(item => {
+            const entry = read(item);
+            if (!entry) return item;
+            changed = true;
+            count++;
+            return write(documentText(entry));
+        });
+        return changed ? mapped : items;
+    };
+    const mapList = (list, mapItem) => {
+        if (!Array.isArray(list)) return list;
+        const mapped = list.map(mapItem);
+        return mapped.some((item, index) => item !== list[index]) ? mapped : list;
+    };
+
+    let body = requestBody;
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const messages = mapList(requestBody?.messages, message => {
+                const content = replace(message?.content, documentFromOpenAIPart, text => ({ type: 'text', text }));
+                return content === message?.content ? message : { ...message, content };
+            });
+            if (messages !== requestBody?.messages) body = { ...requestBody, messages };
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            const input = mapList(requestBody?.input, item => {
+                const content = replace(item?.content, documentFromResponsesPart, text => ({ type: 'input_text', text }));
+                return content === item?.content ? item : { ...item, content };
+            });
+            if (input !== requestBody?.input) body = { ...requestBody, input };
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.CLAUDE: {
+            const toText = text => ({ type: 'text', text });
+            const messages = mapList(requestBody?.messages, message => {
+                const content = mapList(replace(message?.content, documentFromClaudeBlock, toText), block => {
+                    if (block?.type !== 'tool_result') return block;
+                    const resultContent = replace(block.content, documentFromClaudeBlock, toText);
+                    return resultContent === block.content ? block : { ...block, content: resultContent };
+                });
+                return content === message?.content ? message : { ...message, content };
+            });
+            if (messages !== requestBody?.messages) body = { ...requestBody, messages };
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const contents = mapList(requestBody?.contents, content => {
+                const parts = replace(content?.parts, documentFromGeminiPart, text => ({ text }));
+                return parts === content?.parts ? content : { ...content, parts };
+            });
+            if (contents !== requestBody?.contents) body = { ...requestBody, contents };
+            break;
+        }
+    }
+    return { body, count };
+}
@@ -0,0 +1,461 @@
+import * as zlib from 'zlib';
+
+/**
+ * Local PDF text extraction, used when a backend cannot read PDF documents.
+ *
+ * Reads the page content streams in page order (Flate-compressed or uncompressed, including
+ * objects packed in object streams) and the text-showing operators in them. Glyph codes are
+ * mapped to text through each font's ToUnicode CMap, or read as single-byte text for simple fonts
+ * without one. Layout is approximated: a new line starts when the text moves vertically.
+ * Scanned PDFs (page images) yield no text, and encrypted PDFs are not read.
+ */
+
+// Gap in a TJ array (thousandths of a text unit) read as a space between words
+const TJ_SPACE_THRESHOLD = -200;
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Buffer|string} pdf - The PDF file, or its base64 encoding
+ * @returns {string} The text, or '' if none could be read
+ */
+export function extractPdfText(pdf) {
+    const buffer = Buffer.isBuffer(pdf) ? pdf : Buffer.from(pdf || '', 'base64');
+    const source = buffer.toString('latin1');
+    if (!source.startsWith('%PDF') || /\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) {
+        return '';
+    }
+
+    const objects = _readObjects(buffer, source);
+    const fontCache = new Map();
+    const pages = _readPages(objects, source);
+    return pages
+        .map(page => _pageText(objects, page, fontCache))
+        .filter(Boolean)
+        .join('\n\n')
+        .trim();
+}
+
+// --- Objects ---------------------------------------------------------------------------------
+
+/**
+ * Reads the indirect objects of the file into a map of number -> { dict, stream }.
+ * Later definitions (incremental updates) replace earlier ones.
+ * @private
+ */
+function _readObjects(buffer, source) {
+    const objects = new Map();
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = header.exec(source)) !== null) {
+        const start = match.index + match[0].length;
+        const streamAt = source.indexOf('stream', start);
+        const endObj = source.indexOf('endobj', start);
+        if (endObj === -1) break;
+
+        let dict = source.slice(start, endObj);
+        let stream = null;
+        if (streamAt !== -1 && streamAt < endObj && !source.startsWith('endstream', streamAt - 3)) {
+            let dataStart = streamAt + 'stream'.length;
+            if (source[dataStart] === '\r') dataStart++;
+            if (source[dataStart] === '\n') dataStart++;
+            const dataEnd = source.indexOf('endstream', dataStart);
+            if (dataEnd === -1) break;
+            dict = source.slice(start, streamAt);
+            stream = buffer.subarray(dataStart, dataEnd);
+            header.lastIndex = source.indexOf('endobj', dataEnd) === -1 ? dataEnd : source.indexOf('endobj', dataEnd);
+        } else {
+            header.lastIndex = endObj;
+        }
+        objects.set(Number(match[1]), { dict: dict.trim(), stream });
+    }
+
+    // Objects packed in object streams (PDF 1.5+)
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+        const data = _decodeStream(object);
+        if (!data) continue;
+        const text = data.toString('latin1');
+        const first = Number(_readNumber(object.dict, 'First'));
+        const numbers = text.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            const begin = first + numbers[i + 1];
+            const end = i + 3 < numbers.length ? first + numbers[i + 3] : text.length;
+            if (!objects.has(numbers[i])) {
+                objects.set(numbers[i], { dict: text.slice(begin, end).trim(), stream: null });
+            }
+        }
+    }
+    return objects;
+}
+
+/**
+ * Decodes a stream with no filter or FlateDecode; other filters (images, LZW, ...) are skipped.
+ * @private
+ */
+function _decodeStream(object) {
+    if (!object?.stream) return null;
+    const filter = _readValue(object.dict, 'Filter');
+    if (!filter) return object.stream;
+    if (!/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) return null;
+    try {
+        return zlib.inflateSync(object.stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the raw value of a dictionary key: a reference, name, number, array or dictionary.
+ * @private
+ */
+function _readValue(dict, key) {
+    const keyMatch = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(dict || '');
+    if (!keyMatch) return null;
+    const start = keyMatch.index + keyMatch[0].length;
+    const rest = dict.slice(start);
+
+    const reference = /^(\d+)\s+(\d+)\s+R\b/.exec(rest);
+    if (reference) return reference[0];
+    if (rest.startsWith('<<') || rest.startsWith('[')) {
+        const open = rest.startsWith('<<') ? '<<' : '[';
+        const close = open === '<<' ? '>>' : ']';
+        let depth = 0;
+        for (let i = 0; i < rest.length; i++) {
+            if (rest.startsWith(open, i)) {
+                depth++;
+                i += open.length - 1;
+            } else if (rest.startsWith(close, i)) {
+                depth--;
+                i += close.length - 1;
+                if (depth === 0) return rest.slice(0, i + 1);
+            }
+        }
+        return rest;
+    }
+    const token = /^(\/[^\s/<>[\]()]+|[^\s/<>[\]()]+)/.exec(rest);
+    return token ? token[1] : null;
+}
+
+/**
+ * Reads a numeric dictionary value.
+ * @private
+ */
+function _readNumber(dict, key) {
+    const value = _readValue(dict, key);
+    return value && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Resolves an indirect reference to the referenced object's dictionary.
+ * @private
+ */
+function _resolve(objects, value) {
+    const reference = /^(\d+)\s+\d+\s+R$/.exec(value || '');
+    return reference ? (objects.get(Number(reference[1]))?.dict ?? null) : value;
+}
+
+/**
+ * Returns the object numbers of the references in a value (a reference or an array of them).
+ * @private
+ */
+function _referencedNumbers(value) {
+    return [...(value || '').matchAll(/(\d+)\s+\d+\s+R\b/g)].map(match => Number(match[1]));
+}
+
+// --- Pages -----------------------------------------------------------------------------------
+
+/**
+ * Lists the pages in order with their (inherited) resources, from the catalog's page tree.
+ * Without a usable page tree, every page object is read in object order.
+ * @private
+ */
+function _readPages(objects, source) {
+    const roots = [...source.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    const catalog = roots.length > 0 ? objects.get(Number(roots[roots.length - 1][1]))?.dict : null;
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (number, inheritedResources) => {
+        if (visited.has(number) || !objects.has(number)) return;
+        visited.add(number);
+        const dict = objects.get(number).dict;
+        const resources = _readValue(dict, 'Resources') || inheritedResources;
+        if (/\/Type\s*\/Pages\b/.test(dict)) {
+            _referencedNumbers(_readValue(dict, 'Kids')).forEach(kid => walk(kid, resources));
+        } else if (/\/Type\s*\/Page\b/.test(dict)) {
+            pages.push({ dict, resources });
+        }
+    };
+    _referencedNumbers(_readValue(catalog, 'Pages')).forEach(number => walk(number, null));
+
+    if (pages.length === 0) {
+        [...objects.entries()]
+            .sort(([a], [b]) => a - b)
+            .filter(([, object]) => /\/Type\s*\/Page\b/.test(object.dict))
+            .forEach(([, object]) => pages.push({ dict: object.dict, resources: _readValue(object.dict, 'Resources') }));
+    }
+    return pages;
+}
+
+/**
+ * Reads the fonts of a page's resources: resource name -> { cmap, twoByte }.
+ * @private
+ */
+function _pageFonts(objects, resources, fontCache) {
+    const fonts = new Map();
+    const fontDict = _resolve(objects, _readValue(_resolve(objects, resources), 'Font'));
+    for (const match of (fontDict || '').matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const number = Number(match[2]);
+        if (!fontCache.has(number)) {
+            const dict = objects.get(number)?.dict || '';
+            const toUnicode = _referencedNumbers(_readValue(dict, 'ToUnicode'))[0];
+            const cmapData = toUnicode !== undefined ? _decodeStream(objects.get(toUnicode)) : null;
+            fontCache.set(number, {
+                cmap: cmapData ? _parseCMap(cmapData.toString('latin1')) : null,
+                twoByte: /\/Subtype\s*\/Type0\b/.test(dict)
+            });
+        }
+        fonts.set(match[1], fontCache.get(number));
+    }
+    return fonts;
+}
+
+/**
+ * Parses the bfchar and bfrange mappings of a ToUnicode CMap into a map of code -> text.
+ * @private
+ */
+function _parseCMap(text) {
+    const cmap = new Map();
+    const unicode = hex => {
+        const bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+        let result = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            result += String.fromCharCode(bytes.readUInt16BE(i));
+        }
+        return bytes.length === 1 ? String.fromCharCode(bytes[0]) : result;
+    };
+
+    for (const section of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const entry of section[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+            cmap.set(parseInt(entry[1], 16), unicode(entry[2]));
+        }
+    }
+    for (const section of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const entry of section[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])/g)) {
+            const low = parseInt(entry[1], 16);
+            const high = parseInt(entry[2], 16);
+            if (entry[3].startsWith('[')) {
+                [...entry[3].matchAll(/<([0-9A-Fa-f]*)>/g)].forEach((target, offset) => {
+                    if (low + offset <= high) cmap.set(low + offset, unicode(target[1]));
+                });
+            } else {
+                const start = unicode(entry[3].slice(1, -1));
+                const lastCode = start.charCodeAt(start.length - 1);
+                for (let code = low; code <= high && code - low < 65536; code++) {
+                    cmap.set(code, start.slice(0, -1) + String.fromCharCode(lastCode + code - low));
+                }
+            }
+        }
+    }
+    return cmap;
+}
+
+// --- Content streams -------------------------------------------------------------------------
+
+/**
+ * Reads the text of one page.
+ * @private
+ */
+function _pageText(objects, page, fontCache) {
+    const fonts = _pageFonts(objects, page.resources, fontCache);
+    const content = _referencedNumbers(_readValue(page.dict, 'Contents'))
+        .map(number => _decodeStream(objects.get(number)))
+        .filter(Boolean)
+        .map(data => data.toString('latin1'))
+        .join('\n');
+
+    let text = '';
+    let font = null;
+    let lastY = null;
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+    const show = (bytes) => {
+        text += _decodeText(bytes, font);
+    };
+
+    const operands = [];
+    for (const token of _tokenize(content)) {
+        if (token.type !== 'operator') {
+            operands.push(token);
+            continue;
+        }
+        switch (token.value) {
+            case 'Tf':
+                font = fonts.get(operands[operands.length - 2]?.value) || null;
+                break;
+            case 'Td':
+            case 'TD':
+                if (Number(operands[operands.length - 1]?.value) !== 0) newLine();
+                break;
+            case 'Tm': {
+                const y = Number(operands[operands.length - 1]?.value);
+                if (lastY !== null && y !== lastY) newLine();
+                lastY = y;
+                break;
+            }
+            case 'T*':
+                newLine();
+                break;
+            case "'":
+            case '"':
+                newLine();
+                show(operands[operands.length - 1]?.value || '');
+                break;
+            case 'Tj':
+                show(operands[operands.length - 1]?.value || '');
+                break;
+            case 'TJ':
+                for (const item of operands[operands.length - 1]?.value || []) {
+                    if (item.type === 'string') {
+                        show(item.value);
+                    } else if (item.type === 'number' && Number(item.value) < TJ_SPACE_THRESHOLD && !text.endsWith(' ')) {
+                        text += ' ';
+                    }
+                }
+                break;
+        }
+        operands.length = 0;
+    }
+
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Maps the bytes of a shown string to text with the current font.
+ * @private
+ */
+function _decodeText(bytes, font) {
+    if (!font?.cmap) {
+        // Simple fonts without a ToUnicode CMap: read as single-byte text
+        return font?.twoByte ? '' : bytes.replace(/[\x00-\x08\x0B-\x1F]/g, '');
+    }
+    let result = '';
+    const step = font.twoByte ? 2 : 1;
+    for (let i = 0; i + step <= bytes.length; i += step) {
+        const code = step === 2 ? (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1) : bytes.charCodeAt(i);
+        result += font.cmap.get(code) ?? (step === 1 ? bytes[i] : '');
+    }
+    return result;
+}
+
+/**
+ * Splits a content stream into operands (numbers, names, strings, arrays) and operators.
+ * Strings are returned as byte strings (one character per byte). Inline images are skipped.
+ * @private
+ */
+function* _tokenize(content) {
+    let i = 0;
+    const stack = [];
+    const emit = function* (token) {
+        if (stack.length > 0) {
+            stack[stack.length - 1].push(token);
+        } else {
+            yield token;
+        }
+    };
+
+    while (i < content.length) {
+        const char = content[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (char === '(') {
+            const [value, next] = _readLiteralString(content, i);
+            yield* emit({ type: 'string', value });
+            i = next;
+        } else if (content.startsWith('<<', i)) {
+            const end = content.indexOf('>>', i);
+            i = end === -1 ? content.length : end + 2;
+        } else if (char === '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s+/g, '');
+            yield* emit({ type: 'string', value: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') });
+            i = end === -1 ? content.length : end + 1;
+        } else if (char === '[') {
+            stack.push([]);
+            i++;
+        } else if (char === ']') {
+            const array = stack.pop() || [];
+            yield* emit({ type: 'array', value: array });
+            i++;
+        } else if (char === '/') {
+            const match = /^\/[^\s/<>[\]()%]*/.exec(content.slice(i, i + 128));
+            yield* emit({ type: 'name', value: match[0].slice(1) });
+            i += match[0].length;
+        } else {
+            const match = /^[^\s/<>[\]()%]+/.exec(content.slice(i, i + 64));
+            const word = match ? match[0] : char;
+            i += word.length;
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                yield* emit({ type: 'number', value: word });
+            } else if (word === 'ID') {
+                // Inline image data runs to the EI operator
+                const end = content.indexOf('EI', i);
+                i = end === -1 ? content.length : end + 2;
+            } else {
+                yield* emit({ type: 'operator', value: word });
+            }
+        }
+    }
+}
+
+/**
+ * Reads a literal string starting at `(`, with escapes and balanced parentheses.
+ * @private
+ * @returns {[string, number]} The byte string and the index after it
+ */
+function _readLiteralString(content, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    let value = '';
+    let depth = 0;
+    let i = start;
+    while (i < content.length) {
+        const char = content[i];
+        if (char === '\\') {
+            const next = content[i + 1];
+            if (escapes[next] !== undefined) {
+                value += escapes[next];
+                i += 2;
+            } else if (/[0-7]/.test(next)) {
+                const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+                value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                i += 1 + octal.length;
+            } else if (next === '\r' || next === '\n') {
+                // Line continuation
+                i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+            } else {
+                i += 1;
+            }
+            continue;
+        }
+        if (char === '(') {
+            depth++;
+            if (depth > 1) value += char;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return [value, i + 1];
+            value += char;
+        } else {
+            value += char;
+        }
+        i++;
+    }
+    return [value, i];
+}
@@ -0,0 +1,101 @@
+/**
+ * Prompt caching across protocols: cache breakpoints and cached token accounting.
+ *
+ * Claude clients mark cacheable prefixes with `cache_control` breakpoints. They are passed to
+ * Claude backends as they are, and used by the prompt cache service to create Gemini context
+ * caches (see claudeCachePrefixes).
+ *
+ * The protocols count cached input tokens differently:
+ * - Claude: `input_tokens` excludes the cache; `cache_creation_input_tokens` (written to the cache)
+ *   and `cache_read_input_tokens` (served from it) are counted separately.
+ * - OpenAI: `prompt_tokens` includes `prompt_tokens_details.cached_tokens`.
+ * - Responses: `input_tokens` includes `input_tokens_details.cached_tokens`.
+ * - Gemini: `promptTokenCount` includes `cachedContentTokenCount`.
+ *
+ * Converters read the whole prompt size with claudePromptTokens and write Claude usage with
+ * claudeInputUsage, so the totals and the cache reads agree in every client format.
+ */
+
+/**
+ * Returns the whole prompt size of a Claude usage object, cache writes and reads included.
+ * @param {Object|null} usage - A Claude usage object
+ * @returns {number}
+ */
+export function claudePromptTokens(usage) {
+    return (usage?.input_tokens || 0) +
+        (usage?.cache_creation_input_tokens || 0) +
+        (usage?.cache_read_input_tokens || 0);
+}
+
+/**
+ * Splits a prompt size that includes the cached tokens (OpenAI, Responses, Gemini) into the
+ * Claude input fields. Other backends do not report cache writes separately.
+ * @param {number} promptTokens - The whole prompt size
+ * @param {number} cachedTokens - The tokens served from the cache
+ * @returns {{input_tokens: number, cache_creation_input_tokens: number, cache_read_input_tokens: number}}
+ */
+export function claudeInputUsage(promptTokens, cachedTokens) {
+    const cacheRead = cachedTokens || 0;
+    return {
+        input_tokens: Math.max((promptTokens || 0) - cacheRead, 0),
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: cacheRead
+    };
+}
+
+/**
+ * Returns the conversation prefixes a Claude request marks for caching, shortest first. Claude
+ * caches tools, then system, then messages up to each `cache_control` breakpoint; a breakpoint on
+ * a tool or system block marks the prefix without messages. A breakpoint inside a message (not on
+ * its last block) marks the messages before it, since a partial message converts differently.
+ * @param {Object} claudeRequest - A Claude request
+ * @returns {Array<Object>} Claude requests truncated at each breakpoint, without `cache_control`
+ */
+export function claudeCachePrefixes(claudeRequest) {
+    const hasBreakpoint = blocks => Array.isArray(blocks) && blocks.some(block => block?.cache_control);
+    const messageCounts = new Set();
+    if (hasBreakpoint(claudeRequest?.tools) || hasBreakpoint(claudeRequest?.system)) {
+        messageCounts.add(0);
+    }
+    (claudeRequest?.messages || []).forEach((message, index) => {
+        if (!hasBreakpoint(message.content)) return;
+        const lastBlock = message.content[message.content.length - 1];
+        messageCounts.add(lastBlock?.cache_control ? index + 1 : index);
+    });
+
+    return [...messageCounts].sort((a, b) => a - b).map(count => stripCacheControl({
+        ...claudeRequest,
+        messages: claudeRequest.messages.slice(0, count)
+    }));
+}
+
+/**
+ * Copies a Claude request without its `cache_control` markers.
+ * @param {Object} claudeRequest - A Claude request
+ * @returns {Object}
+ */
+export function stripCacheControl(claudeRequest) {
+    const strip = blocks => Array.isArray(blocks)
+        ? blocks.map(({ cache_control, ...block }) => block)
+        : blocks;
+    return {
+        ...claudeRequest,
+        ...(claudeRequest.tools ? { tools: strip(claudeRequest.tools) } : {}),
+        ...(claudeRequest.system ? { system: strip(claudeRequest.system) } : {}),
+        messages: (claudeRequest.messages || []).map(message => ({ ...message, content: strip(message.content) }))
+    };
+}
+
+/**
+ * Copies the `cache_control` marker of an OpenAI content part, message or tool onto the
+ * converted Claude block, so cache breakpoints reach Claude backends.
+ * @param {Object} claudeBlock - The converted Claude block
+ * @param {Object} source - The OpenAI part, message or tool
+ * @returns {Object} The Claude block
+ */
+export function withCacheControl(claudeBlock, source) {
+    if (source?.cache_control) {
+        claudeBlock.cache_control = source.cache_control;
+    }
+    return claudeBlock;
+}
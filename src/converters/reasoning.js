@@ -0,0 +1,715 @@
+/**
+ * Reasoning (extended thinking) model shared by the converters.
+ *
+ * Each protocol carries reasoning its own way:
+ *   - Claude: `thinking` / `redacted_thinking` content blocks and `thinking.budget_tokens`
+ *   - Gemini: parts with `thought: true`, `thoughtSignature` and `generationConfig.thinkingConfig`
+ *   - OpenAI Chat: `reasoning_content`, `reasoning_details` and `reasoning_effort`
+ *   - OpenAI Responses: `reasoning` items with `encrypted_content` and `reasoning.effort`
+ *
+ * Converters read these into reasoning entries ({ text, signature }) and write entries back out.
+ * A signature is only valid for the backend that produced it, so the signature of an entry is a
+ * portable envelope recording its origin protocol (even when the backend sent no signature).
+ * It is unwrapped when the conversation goes back to that backend; other backends never see it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { MODEL_PROTOCOL_PREFIX } from '../common.js';
+
+// Envelope marker; its base64 form is a fixed prefix because the marker is 18 bytes long
+const ENVELOPE_MARKER = 'codenex-reasoning:';
+const ENCODED_ENVELOPE_MARKER = Buffer.from(ENVELOPE_MARKER).toString('base64');
+
+// Budgets used when only an effort level is known
+export const REASONING_EFFORT_BUDGETS = { minimal: 1024, low: 1024, medium: 8192, high: 24576 };
+export const CLAUDE_MIN_THINKING_BUDGET = 1024;
+export const GEMINI_MAX_THINKING_BUDGET = 24576;
+
+// Gemini accepts this value on function calls whose thought signature was lost
+export const GEMINI_SKIP_SIGNATURE_VALIDATOR = 'skip_thought_signature_validator';
+
+// Rough reasoning size estimate for backends that do not report reasoning tokens
+const CHARS_PER_TOKEN = 4;
+
+// =============================================================================
+// Signatures
+// =============================================================================
+
+/**
+ * Wraps a backend signature in a portable envelope.
+ * @param {string} origin - The protocol of the backend that produced the reasoning
+ * @param {string|null} signature - The raw signature (may be empty)
+ * @param {Object} [extra] - Additional fields to keep, e.g. { redacted: true } or { id }
+ * @returns {string} The envelope (standard base64, safe for Gemini `bytes` fields)
+ */
+export function wrapSignature(origin, signature, extra = {}) {
+    const payload = JSON.stringify({ origin, signature: signature || '', ...extra });
+    return Buffer.from(ENVELOPE_MARKER + payload).toString('base64');
+}
+
+/**
+ * Reads a portable envelope.
+ * @param {string} value - A signature field value
+ * @returns {Object|null} { origin, signature, ...extra }, or null if the value is not an envelope
+ */
+export function unwrapSignature(value) {
+    if (typeof value !== 'string' || !value.startsWith(ENCODED_ENVELOPE_MARKER)) {
+        return null;
+    }
+    try {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        return JSON.parse(decoded.slice(ENVELOPE_MARKER.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates a reasoning entry read from a message in the given protocol. A signature that is
+ * already an envelope keeps its origin; a raw one belongs to that protocol's backend.
+ * @param {string} text - The reasoning text
+ * @param {string|null} signature - The signature field value
+ * @param {string} protocol - The protocol the message is written in
+ * @param {Object} [extra] - Envelope extras for raw signatures
+ * @returns {{text: string, signature: string}} The entry
+ */
+export function createReasoningEntry(text, signature, protocol, extra = {}) {
+    return {
+        text: text || '',
+        signature: unwrapSignature(signature) ? signature : wrapSignature(protocol, signature, extra)
+    };
+}
+
+/**
+ * Returns the raw signature of an entry if it was produced by the given backend protocol.
+ * @param {Object} entry - The reasoning entry
+ * @param {string} protocol - The backend protocol
+ * @returns {Object|null} { signature, ...extra }, or null for reasoning from another backend
+ */
+export function nativeSignature(entry, protocol) {
+    const envelope = unwrapSignature(entry?.signature);
+    if (!envelope || envelope.origin !== protocol) {
+        return null;
+    }
+    const { origin: _origin, ...native } = envelope;
+    return native;
+}
+
+/**
+ * Estimates reasoning tokens from reasoning text, for backends that only report output tokens.
+ * @param {string} text - The reasoning text
+ * @param {number} outputTokens - The reported output tokens (upper bound)
+ * @returns {number} The estimated reasoning tokens
+ */
+export function estimateReasoningTokens(text, outputTokens) {
+    if (!text) return 0;
+    const estimate = Math.ceil(text.length / CHARS_PER_TOKEN);
+    return outputTokens ? Math.min(estimate, outputTokens) : estimate;
+}
+
+// =============================================================================
+// Request configuration
+// =============================================================================
+
+/**
+ * Maps a reasoning budget to an OpenAI effort level.
+ * @param {number|null} budgetTokens - The budget, or null for a dynamic budget
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+export function effortFromBudget(budgetTokens) {
+    if (!budgetTokens || budgetTokens < 0) return 'medium';
+    if (budgetTokens < 4096) return 'low';
+    if (budgetTokens < 16384) return 'medium';
+    return 'high';
+}
+
+/**
+ * Reads the reasoning a request asks for.
+ * @param {Object} request - The request body
+ * @param {string} protocol - The protocol of the request
+ * @returns {{budgetTokens: number|null, effort: string|null}|null} null when reasoning is not requested
+ */
+export function readReasoningConfig(request, protocol) {
+    if (!request) return null;
+    switch (protocol) {
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            return request.thinking?.type === 'enabled'
+                ? { budgetTokens: request.thinking.budget_tokens || null, effort: null }
+                : null;
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            const thinkingConfig = request.generationConfig?.thinkingConfig;
+            if (!thinkingConfig || thinkingConfig.thinkingBudget === 0) return null;
+            if (!thinkingConfig.includeThoughts && !(thinkingConfig.thinkingBudget > 0) && !thinkingConfig.thinkingLevel) return null;
+            return {
+                budgetTokens: thinkingConfig.thinkingBudget > 0 ? thinkingConfig.thinkingBudget : null,
+                effort: thinkingConfig.thinkingLevel ? String(thinkingConfig.thinkingLevel).toLowerCase() : null
+            };
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+            return request.reasoning_effort && request.reasoning_effort !== 'none'
+                ? { budgetTokens: null, effort: request.reasoning_effort }
+                : null;
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            const reasoning = request.reasoning;
+            if (!reasoning || reasoning.effort === 'none' || (!reasoning.effort && !reasoning.summary)) return null;
+            return { budgetTokens: null, effort: reasoning.effort || null };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the budget for a reasoning config.
+ * @param {Object} config - From readReasoningConfig
+ * @returns {number} The budget in tokens
+ */
+function _budgetFor(config) {
+    return config.budgetTokens || REASONING_EFFORT_BUDGETS[config.effort] || REASONING_EFFORT_BUDGETS.medium;
+}
+
+/**
+ * Returns the OpenAI effort level for a reasoning config.
+ * @param {Object} config - From readReasoningConfig
+ * @returns {string} The effort level
+ */
+export function effortFor(config) {
+    return config.effort && config.effort in REASONING_EFFORT_BUDGETS ? config.effort : effortFromBudget(config.budgetTokens);
+}
+
+/**
+ * Enables extended thinking on a converted Claude request, within Claude's limits: the budget is
+ * at least 1024 tokens and below max_tokens, and temperature/top_p are left at their defaults.
+ * Thinking is not enabled when the request forces a tool, or when the assistant turn of the
+ * current tool loop has no signed thinking block (Claude rejects it; the signature was lost or
+ * came from another backend).
+ * @param {Object} claudeRequest - The converted Claude request
+ * @param {Object|null} config - From readReasoningConfig
+ */
+export function applyClaudeThinking(claudeRequest, config) {
+    if (!config) return;
+
+    const forcedTool = ['any', 'tool'].includes(claudeRequest.tool_choice?.type);
+    const messages = claudeRequest.messages || [];
+    const lastAssistant = [...messages].reverse().find(message => message.role === 'assistant');
+    const inToolLoop = Array.isArray(lastAssistant?.content) &&
+        lastAssistant.content.some(block => block.type === 'tool_use') &&
+        messages[messages.length - 1]?.role === 'user' &&
+        Array.isArray(messages[messages.length - 1].content) &&
+        messages[messages.length - 1].content.some(block => block.type === 'tool_result');
+    const firstBlock = inToolLoop ? lastAssistant.content[0]?.type : null;
+    if (forcedTool || (inToolLoop && firstBlock !== 'thinking' && firstBlock !== 'redacted_thinking')) {
+        console.log(`[Reasoning] Not enabling Claude thinking: ${forcedTool ? 'tool_choice forces a tool' : 'the current tool loop has no signed thinking block'}`);
+        return;
+    }
+
+    const budgetTokens = Math.max(_budgetFor(config), CLAUDE_MIN_THINKING_BUDGET);
+    if (!claudeRequest.max_tokens || claudeRequest.max_tokens <= budgetTokens) {
+        claudeRequest.max_tokens = budgetTokens + (claudeRequest.max_tokens || REASONING_EFFORT_BUDGETS.medium);
+    }
+    claudeRequest.thinking = { type: 'enabled', budget_tokens: budgetTokens };
+    // Claude only accepts the default sampling parameters with thinking
+    delete claudeRequest.temperature;
+    delete claudeRequest.top_p;
+}
+
+/**
+ * Enables thought summaries on a converted Gemini request.
+ * @param {Object} generationConfig - The converted generationConfig
+ * @param {Object|null} config - From readReasoningConfig
+ */
+export function applyGeminiThinking(generationConfig, config) {
+    if (!config) return;
+    generationConfig.thinkingConfig = {
+        includeThoughts: true,
+        thinkingBudget: Math.min(_budgetFor(config), GEMINI_MAX_THINKING_BUDGET)
+    };
+}
+
+/**
+ * Requests reasoning on a converted OpenAI Responses request, including the encrypted
+ * reasoning needed to continue the conversation statelessly.
+ * @param {Object} responsesRequest - The converted Responses request
+ * @param {Object|null} config - From readReasoningConfig
+ */
+export function applyResponsesReasoning(responsesRequest, config) {
+    if (!config) return;
+    responsesRequest.reasoning = { effort: effortFor(config), summary: 'auto' };
+    responsesRequest.include = [...new Set([...(responsesRequest.include || []), 'reasoning.encrypted_content'])];
+}
+
+// =============================================================================
+// Claude
+// =============================================================================
+
+/**
+ * Reads a Claude `thinking` or `redacted_thinking` block.
+ * @param {Object} block - The content block
+ * @returns {Object|null} The reasoning entry, or null for other blocks
+ */
+export function reasoningFromClaudeBlock(block) {
+    if (block?.type === 'thinking') {
+        return createReasoningEntry(block.thinking, block.signature, MODEL_PROTOCOL_PREFIX.CLAUDE);
+    }
+    if (block?.type === 'redacted_thinking') {
+        return createReasoningEntry('', block.data, MODEL_PROTOCOL_PREFIX.CLAUDE, { redacted: true });
+    }
+    return null;
+}
+
+/**
+ * Reads the reasoning blocks of Claude message content.
+ * @param {Array|string} content - The message content
+ * @returns {Array} The reasoning entries
+ */
+export function reasoningFromClaudeContent(content) {
+    return Array.isArray(content) ? content.map(block => reasoningFromClaudeBlock(block)).filter(Boolean) : [];
+}
+
+/**
+ * Writes an entry as a block for a Claude backend. Only thinking Claude signed itself is sent.
+ * @param {Object} entry - The reasoning entry
+ * @returns {Object|null} The block, or null if Claude would reject it
+ */
+export function claudeBlockForBackend(entry) {
+    const native = nativeSignature(entry, MODEL_PROTOCOL_PREFIX.CLAUDE);
+    if (!native?.signature) return null;
+    return native.redacted
+        ? { type: 'redacted_thinking', data: native.signature }
+        : { type: 'thinking', thinking: entry.text, signature: native.signature };
+}
+
+/**
+ * Writes an entry as a thinking block for a Claude client.
+ * @param {Object} entry - The reasoning entry
+ * @returns {Object} The block
+ */
+export function claudeBlockForClient(entry) {
+    return { type: 'thinking', thinking: entry.text, signature: entry.signature };
+}
+
+/**
+ * Returns the Claude stream events that open a content block for the next delta, and its index.
+ * Deltas of one type share a block; another type closes the open block (a thinking block closes
+ * with its signature) and starts a new one. A leading text block keeps the existing framing for
+ * Claude clients (index 0 without content_block_start).
+ * @param {Object} streamState - The per-stream state
+ * @param {Object} contentBlock - The content block to open, e.g. { type: 'thinking', thinking: '' }
+ * @param {string} [origin] - The backend protocol, for thinking blocks
+ * @returns {{index: number, events: Array}} The block index and the events to send first
+ */
+export function enterClaudeBlock(streamState, contentBlock, origin = null) {
+    const claude = streamState.claude || (streamState.claude = { nextIndex: 0, open: null });
+    if (claude.open?.type === contentBlock.type && contentBlock.type !== 'tool_use') {
+        return { index: claude.open.index, events: [] };
+    }
+
+    const events = leaveClaudeBlock(streamState);
+    const index = claude.nextIndex++;
+    claude.open = { type: contentBlock.type, index, origin, signature: null };
+    if (contentBlock.type !== 'text' || index !== 0) {
+        events.push({ type: 'content_block_start', index, content_block: contentBlock });
+    }
+    return { index, events };
+}
+
+/**
+ * Returns the Claude stream events that close the open content block, if any.
+ * @param {Object} streamState - The per-stream state
+ * @returns {Array} The events
+ */
+export function leaveClaudeBlock(streamState) {
+    const open = streamState.claude?.open;
+    if (!open) return [];
+
+    const events = [];
+    if (open.type === 'thinking') {
+        events.push({
+            type: 'content_block_delta',
+            index: open.index,
+            delta: { type: 'signature_delta', signature: open.signature || wrapSignature(open.origin, '') }
+        });
+    }
+    events.push({ type: 'content_block_stop', index: open.index });
+    streamState.claude.open = null;
+    return events;
+}
+
+/**
+ * Returns the Claude stream events that sign and close the thinking block (opening an empty one
+ * if no thinking was streamed, e.g. a Gemini signature on a function call).
+ * @param {Object} streamState - The per-stream state
+ * @param {string} signature - The portable signature
+ * @param {string} origin - The backend protocol
+ * @returns {Array} The events
+ */
+export function signClaudeBlock(streamState, signature, origin) {
+    const { events } = enterClaudeBlock(streamState, { type: 'thinking', thinking: '', signature: '' }, origin);
+    streamState.claude.open.signature = signature;
+    return [...events, ...leaveClaudeBlock(streamState)];
+}
+
+// =============================================================================
+// Gemini
+// =============================================================================
+
+/**
+ * Splits Gemini parts into reasoning entries and other parts, in order. Thought parts are joined
+ * into one entry; a thought signature completes the entry before the part that carries it, so
+ * it can be put back on that part (Gemini requires this for function calls).
+ * @param {Array} parts - The Gemini parts
+ * @returns {Array} Items of the form { reasoning: entry } or { part }
+ */
+export function splitGeminiParts(parts) {
+    const items = [];
+    let open = null;
+    const sign = part => {
+        if (!open) {
+            open = { text: '' };
+            items.push({ reasoning: open });
+        }
+        open.signature = part.thoughtSignature;
+        open.functionCall = Boolean(part.functionCall);
+        open = null;
+    };
+
+    for (const part of parts || []) {
+        if (!part) continue;
+        if (part.thought) {
+            if (!open) {
+                open = { text: '' };
+                items.push({ reasoning: open });
+            }
+            open.text += part.text || '';
+            if (part.thoughtSignature) sign(part);
+            continue;
+        }
+        if (part.thoughtSignature) {
+            sign(part);
+        }
+        open = null;
+        const { thoughtSignature: _thoughtSignature, ...rest } = part;
+        items.push({ part: rest });
+    }
+
+    for (const item of items) {
+        if (item.reasoning) {
+            const { text, signature, functionCall } = item.reasoning;
+            item.reasoning = { text, signature: geminiSignatureEnvelope(signature, functionCall) };
+        }
+    }
+    return items;
+}
+
+/**
+ * Wraps a Gemini thought signature, recording whether it was carried by a function call part
+ * (Gemini validates it there).
+ * @param {string|null} signature - The thoughtSignature
+ * @param {boolean} [functionCall] - True if the signature was on a functionCall part
+ * @returns {string} The portable signature
+ */
+export function geminiSignatureEnvelope(signature, functionCall = false) {
+    if (unwrapSignature(signature)) return signature;
+    return wrapSignature(MODEL_PROTOCOL_PREFIX.GEMINI, signature, functionCall ? { functionCall: true } : {});
+}
+
+/**
+ * Writes an entry as a thought part for a Gemini client.
+ * @param {Object} entry - The reasoning entry
+ * @returns {Object} The part
+ */
+export function geminiPartForClient(entry) {
+    return { text: entry.text, thought: true, thoughtSignature: entry.signature };
+}
+
+/**
+ * Resolves reasoning placeholders ({ reasoning: entry }) in parts built for a Gemini backend.
+ * Gemini's own thoughts are sent back with their signature on the part that followed them;
+ * reasoning from other backends is dropped.
+ * @param {Array} parts - Gemini parts mixed with placeholders
+ * @returns {Array} The parts
+ */
+export function resolveGeminiReasoningParts(parts) {
+    const resolved = [];
+    let pending = null;
+
+    for (const part of parts) {
+        if (part.reasoning) {
+            const native = nativeSignature(part.reasoning, MODEL_PROTOCOL_PREFIX.GEMINI);
+            if (!native) continue;
+            if (part.reasoning.text) {
+                resolved.push({ text: part.reasoning.text, thought: true });
+            }
+            if (native.signature) pending = native;
+            continue;
+        }
+        // A function call signature skips the text the client may have put before the call
+        if (pending && (!pending.functionCall || part.functionCall)) {
+            resolved.push({ ...part, thoughtSignature: pending.signature });
+            pending = null;
+        } else {
+            resolved.push(part);
+        }
+    }
+
+    if (pending) {
+        // Nothing followed the thoughts: keep the signature on the last thought
+        const lastThought = [...resolved].reverse().find(part => part.thought);
+        if (lastThought) {
+            lastThought.thoughtSignature = pending.signature;
+        } else {
+            resolved.push({ text: '', thought: true, thoughtSignature: pending.signature });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Gives the first function call of each model turn a thought signature if it lost its own
+ * (history from a client or backend that does not keep them), as Gemini 3 requires.
+ * @param {Array} contents - The Gemini contents
+ * @returns {Array} The contents
+ */
+export function ensureGeminiFunctionCallSignatures(contents) {
+    for (const content of contents || []) {
+        if (content.role !== 'model' || !Array.isArray(content.parts)) continue;
+        const calls = content.parts.filter(part => part.functionCall);
+        if (calls.length > 0 && !calls.some(part => part.thoughtSignature)) {
+            calls[0].thoughtSignature = GEMINI_SKIP_SIGNATURE_VALIDATOR;
+        }
+    }
+    return contents;
+}
+
+// =============================================================================
+// OpenAI Chat
+// =============================================================================
+
+/**
+ * Reads the reasoning of an OpenAI assistant message: `reasoning_details` when present
+ * (they keep signatures), otherwise `reasoning_content`.
+ * @param {Object} message - The assistant message
+ * @returns {Array} The reasoning entries
+ */
+export function reasoningFromOpenAIMessage(message) {
+    if (Array.isArray(message?.reasoning_details) && message.reasoning_details.length > 0) {
+        return message.reasoning_details
+            .filter(detail => detail && ['reasoning.text', 'reasoning.summary', 'reasoning.encrypted'].includes(detail.type))
+            .map(detail => createReasoningEntry(
+                detail.text || detail.summary || '',
+                detail.type === 'reasoning.encrypted' ? detail.data : detail.signature,
+                MODEL_PROTOCOL_PREFIX.OPENAI
+            ));
+    }
+    if (typeof message?.reasoning_content === 'string' && message.reasoning_content) {
+        return [createReasoningEntry(message.reasoning_content, null, MODEL_PROTOCOL_PREFIX.OPENAI)];
+    }
+    return [];
+}
+
+/**
+ * Writes an entry as an OpenAI `reasoning_details` element (OpenRouter's format). Stream deltas
+ * with the same index belong to one element.
+ * @param {Object} entry - The reasoning entry (the signature may be missing on stream deltas)
+ * @param {number} index - The element index
+ * @returns {Object} The element
+ */
+export function openaiReasoningDetail(entry, index) {
+    if (unwrapSignature(entry.signature)?.redacted) {
+        return { type: 'reasoning.encrypted', data: entry.signature, index };
+    }
+    return { type: 'reasoning.text', text: entry.text || '', ...(entry.signature ? { signature: entry.signature } : {}), index };
+}
+
+/**
+ * Writes entries as the reasoning fields of an OpenAI response message.
+ * @param {Array} entries - The reasoning entries
+ * @returns {Object} { reasoning_content, reasoning_details }, or {} without reasoning
+ */
+export function openaiReasoningFields(entries) {
+    if (!entries.length) return {};
+    return {
+        reasoning_content: entries.map(entry => entry.text).join(''),
+        reasoning_details: entries.map((entry, index) => openaiReasoningDetail(entry, index))
+    };
+}
+
+/**
+ * Returns the `reasoning_content` to send back to an OpenAI-compatible backend: only reasoning
+ * that backend produced (some, e.g. DeepSeek, require it during tool calls).
+ * @param {Array} entries - The reasoning entries
+ * @returns {string|null} The reasoning text, or null
+ */
+export function openaiReasoningForBackend(entries) {
+    const text = entries
+        .filter(entry => nativeSignature(entry, MODEL_PROTOCOL_PREFIX.OPENAI))
+        .map(entry => entry.text)
+        .join('');
+    return text || null;
+}
+
+// =============================================================================
+// OpenAI Responses
+// =============================================================================
+
+/**
+ * Reads a Responses `reasoning` item.
+ * @param {Object} item - The item
+ * @returns {Object} The reasoning entry
+ */
+export function reasoningFromResponsesItem(item) {
+    const text = (item.summary || []).map(part => part.text || '').join('\n') ||
+        (item.content || []).map(part => part.text || '').join('');
+    return createReasoningEntry(text, item.encrypted_content, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES, item.id ? { id: item.id } : {});
+}
+
+/**
+ * Writes an entry as a reasoning item for a Responses client.
+ * @param {Object} entry - The reasoning entry
+ * @param {string} [id] - The item id
+ * @returns {Object} The item
+ */
+export function responsesItemForClient(entry, id = `rs_${uuidv4().replace(/-/g, '')}`) {
+    return {
+        id,
+        type: 'reasoning',
+        summary: entry.text ? [{ type: 'summary_text', text: entry.text }] : [],
+        encrypted_content: entry.signature
+    };
+}
+
+/**
+ * Writes an entry as a reasoning input item for an OpenAI Responses backend. Only reasoning
+ * that backend produced is sent.
+ * @param {Object} entry - The reasoning entry
+ * @returns {Object|null} The item, or null
+ */
+export function responsesItemForBackend(entry) {
+    const native = nativeSignature(entry, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES);
+    if (!native?.id) return null;
+    return {
+        id: native.id,
+        type: 'reasoning',
+        summary: entry.text ? [{ type: 'summary_text', text: entry.text }] : [],
+        ...(native.signature ? { encrypted_content: native.signature } : {})
+    };
+}
+
+/**
+ * Returns the Responses stream events for a reasoning summary delta, opening a reasoning item first.
+ * Output index 0 is the message item, reasoning and other items follow it.
+ * @param {Object} streamState - The per-stream state
+ * @param {string} text - The reasoning delta
+ * @returns {Array} The events
+ */
+export function responsesReasoningDelta(streamState, text) {
+    const events = [];
+    let item = streamState.responsesReasoning;
+    if (!item) {
+        item = streamState.responsesReasoning = {
+            id: `rs_${uuidv4().replace(/-/g, '')}`,
+            outputIndex: nextResponsesOutputIndex(streamState),
+            text: ''
+        };
+        events.push(
+            {
+                type: 'response.output_item.added',
+                output_index: item.outputIndex,
+                item: { id: item.id, type: 'reasoning', summary: [] }
+            },
+            {
+                type: 'response.reasoning_summary_part.added',
+                item_id: item.id,
+                output_index: item.outputIndex,
+                summary_index: 0,
+                part: { type: 'summary_text', text: '' }
+            }
+        );
+    }
+    if (text) {
+        item.text += text;
+        events.push({
+            type: 'response.reasoning_summary_text.delta',
+            item_id: item.id,
+            output_index: item.outputIndex,
+            summary_index: 0,
+            delta: text
+        });
+    }
+    return events;
+}
+
+/**
+ * Returns the Responses stream events that complete the open reasoning item, and records the
+ * item for the completed response.
+ * @param {Object} streamState - The per-stream state
+ * @param {string} signature - The portable signature
+ * @returns {Array} The events
+ */
+export function closeResponsesReasoning(streamState, signature) {
+    if (!streamState.responsesReasoning && !signature) return [];
+    const events = streamState.responsesReasoning ? [] : responsesReasoningDelta(streamState, '');
+    const open = streamState.responsesReasoning;
+    const item = responsesItemForClient({ text: open.text, signature }, open.id);
+    events.push(
+        {
+            type: 'response.reasoning_summary_text.done',
+            item_id: open.id,
+            output_index: open.outputIndex,
+            summary_index: 0,
+            text: open.text
+        },
+        {
+            type: 'response.reasoning_summary_part.done',
+            item_id: open.id,
+            output_index: open.outputIndex,
+            summary_index: 0,
+            part: { type: 'summary_text', text: open.text }
+        },
+        { type: 'response.output_item.done', output_index: open.outputIndex, item }
+    );
+    addResponsesOutputItem(streamState, open.outputIndex, item);
+    streamState.reasoningText = (streamState.reasoningText || '') + open.text;
+    streamState.responsesReasoning = null;
+    return events;
+}
+
+/**
+ * Allocates the output index of the next non-message item in a Responses stream.
+ * @param {Object} streamState - The per-stream state
+ * @returns {number} The output index
+ */
+export function nextResponsesOutputIndex(streamState) {
+    streamState.nextOutputIndex = (streamState.nextOutputIndex || 1) + 1;
+    return streamState.nextOutputIndex - 1;
+}
+
+/**
+ * Records a finished non-message item for the completed response.
+ * @param {Object} streamState - The per-stream state
+ * @param {number} outputIndex - The item's output index
+ * @param {Object} item - The item
+ */
+export function addResponsesOutputItem(streamState, outputIndex, item) {
+    (streamState.responsesOutput || (streamState.responsesOutput = [])).push({ outputIndex, item });
+}
+
+/**
+ * Adds the streamed reasoning and other items to a `response.completed` event and fills in the
+ * reasoning tokens (estimated from the reasoning text when the backend does not report them).
+ * @param {Object} streamState - The per-stream state
+ * @param {Object} completedEvent - The response.completed event
+ * @param {number|null} [reasoningTokens] - Reasoning tokens reported by the backend
+ */
+export function completeResponsesOutput(streamState, completedEvent, reasoningTokens = null) {
+    const response = completedEvent?.response;
+    if (!response) return;
+    const extraItems = (streamState.responsesOutput || []).sort((a, b) => a.outputIndex - b.outputIndex);
+    response.output = [...(response.output || []), ...extraItems.map(entry => entry.item)];
+    if (response.usage) {
+        response.usage.output_tokens_details = {
+            ...(response.usage.output_tokens_details || {}),
+            reasoning_tokens: reasoningTokens ?? estimateReasoningTokens(streamState.reasoningText, response.usage.output_tokens)
+        };
+    }
+}
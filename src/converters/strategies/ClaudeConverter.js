@@ -20,15 +20,41 @@ import {
     GEMINI_MAX_OUTPUT_TOKENS_LIMIT
 } from '../utils.js';
 import { MODEL_PROTOCOL_PREFIX } from '../../common.js';
+import {
+    applyGeminiThinking,
+    applyResponsesReasoning,
+    completeResponsesOutput,
+    closeResponsesReasoning,
+    addResponsesOutputItem,
+    ensureGeminiFunctionCallSignatures,
+    estimateReasoningTokens,
+    geminiPartForClient,
+    nextResponsesOutputIndex,
+    openaiReasoningDetail,
+    openaiReasoningFields,
+    openaiReasoningForBackend,
+    readReasoningConfig,
+    reasoningFromClaudeBlock,
+    reasoningFromClaudeContent,
+    resolveGeminiReasoningParts,
+    responsesItemForBackend,
+    responsesItemForClient,
+    responsesReasoningDelta,
+    wrapSignature
+} from '../reasoning.js';
+import { claudePromptTokens } from '../prompt-cache.js';
+import { documentFromClaudeBlock, geminiDocumentParts, openaiDocumentParts, responsesDocumentParts } from '../documents.js';
 import {
     generateResponseCreated,
     generateResponseInProgress,
     generateOutputItemAdded,
     generateContentPartAdded,
+    generateOutputTextDelta,
     generateOutputTextDone,
     generateContentPartDone,
     generateOutputItemDone,
-    generateResponseCompleted
+    generateResponseCompleted,
+    streamStateManager
 } from '../../openai/openai-responses-core.mjs';
 
 /**
@@ -75,14 +101,14 @@ export class ClaudeConverter extends BaseConverter {
     /**
      * Convert stream response chunk
      */
-    convertStreamChunk(chunk, targetProtocol, model) {
+    convertStreamChunk(chunk, targetProtocol, model, streamState) {
         switch (targetProtocol) {
             case MODEL_PROTOCOL_PREFIX.OPENAI:
-                return this.toOpenAIStreamChunk(chunk, model);
+                return this.toOpenAIStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.GEMINI:
-                return this.toGeminiStreamChunk(chunk, model);
+                return this.toGeminiStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
-                return this.toOpenAIResponsesStreamChunk(chunk, model);
+                return this.toOpenAIResponsesStreamChunk(chunk, model, streamState?.requestId, streamState);
             default:
                 throw new Error(`Unsupported target protocol: ${targetProtocol}`);
         }
@@ -146,27 +172,34 @@ export class ClaudeConverter extends BaseConverter {
                     }
                 }
 
-                // Process tool calls in assistant messages
+                // Process tool calls and reasoning in assistant messages
                 if (role === "assistant" && Array.isArray(msg.content) && msg.content.length > 0) {
-                    const firstPart = msg.content[0];
-                    if (firstPart.type === "tool_use") {
-                        const funcName = firstPart.name || "";
-                        const funcArgs = firstPart.input || {};
-                        tempOpenAIMessages.push({
+                    const toolUses = msg.content.filter(block => block && block.type === "tool_use");
+                    const reasoning = reasoningFromClaudeContent(msg.content);
+                    if (toolUses.length > 0 || reasoning.length > 0) {
+                        const assistantMessage = {
                             role: "assistant",
-                            content: '',
-                            tool_calls: [
-                                {
-                                    id: firstPart.id || `call_${funcName}_1`,
-                                    type: "function",
-                                    function: {
-                                        name: funcName,
-                                        arguments: JSON.stringify(funcArgs)
-                                    },
-                                    index: firstPart.index || 0
-                                }
-                            ]
-                        });
+                            content: msg.content.filter(block => block && block.type === 'text').map(block => block.text || '').join('')
+                        };
+                        if (toolUses.length > 0) {
+                            assistantMessage.tool_calls = toolUses.map((toolUse, index) => ({
+                                id: toolUse.id || `call_${toolUse.name || ''}_${index + 1}`,
+                                type: "function",
+                                function: {
+                                    name: toolUse.name || "",
+                                    arguments: JSON.stringify(toolUse.input || {})
+                                },
+                                index
+                            }));
+                        }
+                        // Reasoning goes back only to the backend that produced it
+                        const reasoningContent = openaiReasoningForBackend(reasoning);
+                        if (reasoningContent) {
+                            assistantMessage.reasoning_content = reasoningContent;
+                        }
+                        if (assistantMessage.content || assistantMessage.tool_calls || assistantMessage.reasoning_content) {
+                            tempOpenAIMessages.push(assistantMessage);
+                        }
                         continue;
                     }
                 }
@@ -292,9 +325,9 @@ export class ClaudeConverter extends BaseConverter {
                     finish_reason: "stop",
                 }],
                 usage: {
-                    prompt_tokens: claudeResponse.usage?.input_tokens || 0,
+                    prompt_tokens: claudePromptTokens(claudeResponse.usage),
                     completion_tokens: claudeResponse.usage?.output_tokens || 0,
-                    total_tokens: (claudeResponse.usage?.input_tokens || 0) + (claudeResponse.usage?.output_tokens || 0),
+                    total_tokens: claudePromptTokens(claudeResponse.usage) + (claudeResponse.usage?.output_tokens || 0),
                 },
             };
         }
@@ -335,9 +368,12 @@ export class ClaudeConverter extends BaseConverter {
             }
         } else {
             // Process regular text response
-            message.content = this.processClaudeResponseContent(claudeResponse.content);
+            message.content = this.processClaudeResponseContent(claudeResponse.content.filter(block => !reasoningFromClaudeBlock(block)));
         }
 
+        const reasoning = reasoningFromClaudeContent(claudeResponse.content);
+        Object.assign(message, openaiReasoningFields(reasoning));
+
         // Process finish_reason
         let finishReason = 'stop';
         if (claudeResponse.stop_reason === 'end_turn') {
@@ -361,12 +397,15 @@ export class ClaudeConverter extends BaseConverter {
                 finish_reason: finishReason,
             }],
             usage: {
-                prompt_tokens: claudeResponse.usage?.input_tokens || 0,
+                prompt_tokens: claudePromptTokens(claudeResponse.usage),
                 completion_tokens: claudeResponse.usage?.output_tokens || 0,
-                total_tokens: (claudeResponse.usage?.input_tokens || 0) + (claudeResponse.usage?.output_tokens || 0),
+                total_tokens: claudePromptTokens(claudeResponse.usage) + (claudeResponse.usage?.output_tokens || 0),
                 cached_tokens: claudeResponse.usage?.cache_read_input_tokens || 0,
                 prompt_tokens_details: {
                     cached_tokens: claudeResponse.usage?.cache_read_input_tokens || 0
+                },
+                completion_tokens_details: {
+                    reasoning_tokens: estimateReasoningTokens(reasoning.map(entry => entry.text).join(''), claudeResponse.usage?.output_tokens || 0)
                 }
             },
         };
@@ -375,7 +414,7 @@ export class ClaudeConverter extends BaseConverter {
     /**
      * Claude stream response -> OpenAI stream response
      */
-    toOpenAIStreamChunk(claudeChunk, model) {
+    toOpenAIStreamChunk(claudeChunk, model, streamState = {}) {
         if (!claudeChunk) return null;
 
         // Process Claude stream events
@@ -384,6 +423,7 @@ export class ClaudeConverter extends BaseConverter {
 
         // message_start event
         if (claudeChunk.type === 'message_start') {
+            streamState.usage = { ...(claudeChunk.message?.usage || {}) };
             return {
                 id: chunkId,
                 object: "chat.completion.chunk",
@@ -399,10 +439,13 @@ export class ClaudeConverter extends BaseConverter {
                     finish_reason: null
                 }],
                 usage: {
-                    prompt_tokens: claudeChunk.message?.usage?.input_tokens || 0,
+                    prompt_tokens: claudePromptTokens(claudeChunk.message?.usage),
                     completion_tokens: 0,
-                    total_tokens: claudeChunk.message?.usage?.input_tokens || 0,
-                    cached_tokens: claudeChunk.message?.usage?.cache_read_input_tokens || 0
+                    total_tokens: claudePromptTokens(claudeChunk.message?.usage),
+                    cached_tokens: claudeChunk.message?.usage?.cache_read_input_tokens || 0,
+                    prompt_tokens_details: {
+                        cached_tokens: claudeChunk.message?.usage?.cache_read_input_tokens || 0
+                    }
                 }
             };
         }
@@ -437,6 +480,24 @@ export class ClaudeConverter extends BaseConverter {
                 };
             }
 
+            // Process redacted_thinking type (the whole block arrives with its start)
+            if (contentBlock && contentBlock.type === 'redacted_thinking') {
+                return {
+                    id: chunkId,
+                    object: "chat.completion.chunk",
+                    created: timestamp,
+                    model: model,
+                    system_fingerprint: "",
+                    choices: [{
+                        index: 0,
+                        delta: {
+                            reasoning_details: [openaiReasoningDetail(reasoningFromClaudeBlock(contentBlock), claudeChunk.index || 0)]
+                        },
+                        finish_reason: null
+                    }]
+                };
+            }
+
             // Process text type
             return {
                 id: chunkId,
@@ -487,7 +548,29 @@ export class ClaudeConverter extends BaseConverter {
                     choices: [{
                         index: 0,
                         delta: {
-                            reasoning_content: delta.thinking || ""
+                            reasoning_content: delta.thinking || "",
+                            reasoning_details: [openaiReasoningDetail({ text: delta.thinking || "" }, claudeChunk.index || 0)]
+                        },
+                        finish_reason: null
+                    }]
+                };
+            }
+
+            // Process signature_delta (closes the reasoning detail of this block)
+            if (delta && delta.type === 'signature_delta') {
+                return {
+                    id: chunkId,
+                    object: "chat.completion.chunk",
+                    created: timestamp,
+                    model: model,
+                    system_fingerprint: "",
+                    choices: [{
+                        index: 0,
+                        delta: {
+                            reasoning_details: [openaiReasoningDetail(
+                                { text: "", signature: wrapSignature(MODEL_PROTOCOL_PREFIX.CLAUDE, delta.signature) },
+                                claudeChunk.index || 0
+                            )]
                         },
                         finish_reason: null
                     }]
@@ -541,6 +624,8 @@ export class ClaudeConverter extends BaseConverter {
                                 stopReason === 'max_tokens' ? 'length' :
                                 stopReason === 'tool_use' ? 'tool_calls' :
                                 stopReason || 'stop';
+            // message_delta may only carry output tokens; the prompt and cache usage came with message_start
+            const usage = claudeChunk.usage ? { ...(streamState.usage || {}), ...claudeChunk.usage } : null;
 
             return {
                 id: chunkId,
@@ -553,13 +638,13 @@ export class ClaudeConverter extends BaseConverter {
                     delta: {},
                     finish_reason: finishReason
                 }],
-                usage: claudeChunk.usage ? {
-                    prompt_tokens: claudeChunk.usage.input_tokens || 0,
-                    completion_tokens: claudeChunk.usage.output_tokens || 0,
-                    total_tokens: (claudeChunk.usage.input_tokens || 0) + (claudeChunk.usage.output_tokens || 0),
-                    cached_tokens: claudeChunk.usage.cache_read_input_tokens || 0,
+                usage: usage ? {
+                    prompt_tokens: claudePromptTokens(usage),
+                    completion_tokens: usage.output_tokens || 0,
+                    total_tokens: claudePromptTokens(usage) + (usage.output_tokens || 0),
+                    cached_tokens: usage.cache_read_input_tokens || 0,
                     prompt_tokens_details: {
-                        cached_tokens: claudeChunk.usage.cache_read_input_tokens || 0
+                        cached_tokens: usage.cache_read_input_tokens || 0
                     }
                 } : undefined
             };
@@ -666,6 +751,14 @@ export class ClaudeConverter extends BaseConverter {
                         });
                     }
                     break;
+
+                case 'document': {
+                    const document = documentFromClaudeBlock(block);
+                    if (document) {
+                        contentArray.push(...openaiDocumentParts(document));
+                    }
+                    break;
+                }
                     
                 case 'tool_use':
                     contentArray.push({
@@ -771,6 +864,16 @@ export class ClaudeConverter extends BaseConverter {
 
         // Process messages
         if (Array.isArray(claudeRequest.messages)) {
+            // Gemini matches function responses to calls by name, Claude by tool_use id
+            const toolNamesById = {};
+            claudeRequest.messages.forEach(message => {
+                if (Array.isArray(message?.content)) {
+                    message.content.forEach(block => {
+                        if (block?.type === 'tool_use' && block.id) toolNamesById[block.id] = block.name;
+                    });
+                }
+            });
+
             claudeRequest.messages.forEach(message => {
                 if (!message || typeof message !== 'object' || !message.role || !message.content) {
                     console.warn("Skipping invalid message in claudeRequest.messages.");
@@ -778,13 +881,13 @@ export class ClaudeConverter extends BaseConverter {
                 }
 
                 const geminiRole = message.role === 'assistant' ? 'model' : 'user';
-                const processedParts = this.processClaudeContentToGeminiParts(message.content);
+                const processedParts = this.processClaudeContentToGeminiParts(message.content, toolNamesById);
 
-                const functionResponsePart = processedParts.find(part => part.functionResponse);
-                if (functionResponsePart) {
+                const functionResponseParts = processedParts.filter(part => part.functionResponse);
+                if (functionResponseParts.length > 0) {
                     geminiRequest.contents.push({
                         role: 'function',
-                        parts: [functionResponsePart]
+                        parts: functionResponseParts
                     });
                 } else if (processedParts.length > 0) {
                     geminiRequest.contents.push({
@@ -793,6 +896,7 @@ export class ClaudeConverter extends BaseConverter {
                     });
                 }
             });
+            ensureGeminiFunctionCallSignatures(geminiRequest.contents);
         }
 
         // Add generation config
@@ -802,6 +906,7 @@ export class ClaudeConverter extends BaseConverter {
         generationConfig.maxOutputTokens = Math.min(requestedMaxTokens, GEMINI_MAX_OUTPUT_TOKENS_LIMIT);
         generationConfig.temperature = checkAndAssignOrDefault(claudeRequest.temperature, GEMINI_DEFAULT_TEMPERATURE);
         generationConfig.topP = checkAndAssignOrDefault(claudeRequest.top_p, GEMINI_DEFAULT_TOP_P);
+        applyGeminiThinking(generationConfig, readReasoningConfig(claudeRequest, MODEL_PROTOCOL_PREFIX.CLAUDE));
         
         if (Object.keys(generationConfig).length > 0) {
             geminiRequest.generationConfig = generationConfig;
@@ -881,12 +986,18 @@ export class ClaudeConverter extends BaseConverter {
                     }
                     break;
 
+                case 'thinking':
+                case 'redacted_thinking':
+                    parts.push(geminiPartForClient(reasoningFromClaudeBlock(block)));
+                    break;
+
                 default:
                     if (block.text) {
                         parts.push({ text: block.text });
                     }
             }
         }
+        const reasoningText = reasoningFromClaudeContent(claudeResponse.content).map(entry => entry.text).join('');
 
         // Map finish_reason
         const finishReasonMap = {
@@ -905,13 +1016,14 @@ export class ClaudeConverter extends BaseConverter {
                 finishReason: finishReasonMap[claudeResponse.stop_reason] || 'STOP'
             }],
             usageMetadata: claudeResponse.usage ? {
-                promptTokenCount: claudeResponse.usage.input_tokens || 0,
+                promptTokenCount: claudePromptTokens(claudeResponse.usage),
                 candidatesTokenCount: claudeResponse.usage.output_tokens || 0,
-                totalTokenCount: (claudeResponse.usage.input_tokens || 0) + (claudeResponse.usage.output_tokens || 0),
+                totalTokenCount: claudePromptTokens(claudeResponse.usage) + (claudeResponse.usage.output_tokens || 0),
                 cachedContentTokenCount: claudeResponse.usage.cache_read_input_tokens || 0,
+                thoughtsTokenCount: estimateReasoningTokens(reasoningText, claudeResponse.usage.output_tokens || 0),
                 promptTokensDetails: [{
                     modality: "TEXT",
-                    tokenCount: claudeResponse.usage.input_tokens || 0
+                    tokenCount: claudePromptTokens(claudeResponse.usage)
                 }],
                 candidatesTokensDetails: [{
                     modality: "TEXT",
@@ -924,11 +1036,17 @@ export class ClaudeConverter extends BaseConverter {
     /**
      * Claude stream response -> Gemini stream response
      */
-    toGeminiStreamChunk(claudeChunk, model) {
+    toGeminiStreamChunk(claudeChunk, model, streamState = {}) {
         if (!claudeChunk) return null;
 
         // Process Claude stream events
         if (typeof claudeChunk === 'object' && !Array.isArray(claudeChunk)) {
+            // message_start carries the prompt and cache usage, reported with the final chunk
+            if (claudeChunk.type === 'message_start') {
+                streamState.usage = { ...(claudeChunk.message?.usage || {}) };
+                return null;
+            }
+
             // content_block_delta event
             if (claudeChunk.type === 'content_block_delta') {
                 const delta = claudeChunk.delta;
@@ -947,19 +1065,47 @@ export class ClaudeConverter extends BaseConverter {
                     };
                 }
 
-                // Process thinking_delta - map to text
+                // Process thinking_delta - map to a thought part
                 if (delta && delta.type === 'thinking_delta') {
                     return {
                         candidates: [{
                             content: {
                                 role: "model",
                                 parts: [{
-                                    text: delta.thinking || ""
+                                    text: delta.thinking || "",
+                                    thought: true
                                 }]
                             }
                         }]
                     };
                 }
+
+                // Process signature_delta - the signature closes the thought
+                if (delta && delta.type === 'signature_delta') {
+                    return {
+                        candidates: [{
+                            content: {
+                                role: "model",
+                                parts: [geminiPartForClient({
+                                    text: "",
+                                    signature: wrapSignature(MODEL_PROTOCOL_PREFIX.CLAUDE, delta.signature)
+                                })]
+                            }
+                        }]
+                    };
+                }
+            }
+
+            // redacted_thinking arrives whole with its content_block_start
+            if (claudeChunk.type === 'content_block_start' && claudeChunk.content_block?.type === 'redacted_thinking') {
+                return {
+                    candidates: [{
+                        content: {
+                            role: "model",
+                            parts: [geminiPartForClient(reasoningFromClaudeBlock(claudeChunk.content_block))]
+                        }
+                    }]
+                };
             }
             
             // message_delta event - stream end
@@ -975,18 +1121,19 @@ export class ClaudeConverter extends BaseConverter {
                 
                 // Add usage info
                 if (claudeChunk.usage) {
+                    const usage = { ...(streamState.usage || {}), ...claudeChunk.usage };
                     result.usageMetadata = {
-                        promptTokenCount: claudeChunk.usage.input_tokens || 0,
-                        candidatesTokenCount: claudeChunk.usage.output_tokens || 0,
-                        totalTokenCount: (claudeChunk.usage.input_tokens || 0) + (claudeChunk.usage.output_tokens || 0),
-                        cachedContentTokenCount: claudeChunk.usage.cache_read_input_tokens || 0,
+                        promptTokenCount: claudePromptTokens(usage),
+                        candidatesTokenCount: usage.output_tokens || 0,
+                        totalTokenCount: claudePromptTokens(usage) + (usage.output_tokens || 0),
+                        cachedContentTokenCount: usage.cache_read_input_tokens || 0,
                         promptTokensDetails: [{
                             modality: "TEXT",
-                            tokenCount: claudeChunk.usage.input_tokens || 0
+                            tokenCount: claudePromptTokens(usage)
                         }],
                         candidatesTokensDetails: [{
                             modality: "TEXT",
-                            tokenCount: claudeChunk.usage.output_tokens || 0
+                            tokenCount: usage.output_tokens || 0
                         }]
                     };
                 }
@@ -1015,7 +1162,7 @@ export class ClaudeConverter extends BaseConverter {
     /**
      * Process Claude content to Gemini parts
      */
-    processClaudeContentToGeminiParts(content) {
+    processClaudeContentToGeminiParts(content, toolNamesById = {}) {
         if (!content) return [];
 
         if (typeof content === 'string') {
@@ -1052,6 +1199,14 @@ export class ClaudeConverter extends BaseConverter {
                         }
                         break;
 
+                    case 'document': {
+                        const document = documentFromClaudeBlock(block);
+                        if (document) {
+                            parts.push(...geminiDocumentParts(document));
+                        }
+                        break;
+                    }
+
                     case 'tool_use':
                         if (typeof block.name === 'string' && 
                             block.input && typeof block.input === 'object') {
@@ -1068,13 +1223,18 @@ export class ClaudeConverter extends BaseConverter {
                         if (typeof block.tool_use_id === 'string') {
                             parts.push({
                                 functionResponse: {
-                                    name: block.tool_use_id,
+                                    name: toolNamesById[block.tool_use_id] || block.tool_use_id,
                                     response: { content: block.content }
                                 }
                             });
                         }
                         break;
 
+                    case 'thinking':
+                    case 'redacted_thinking':
+                        parts.push({ reasoning: reasoningFromClaudeBlock(block) });
+                        break;
+
                     default:
                         if (typeof block.text === 'string') {
                             parts.push({ text: block.text });
@@ -1082,7 +1242,7 @@ export class ClaudeConverter extends BaseConverter {
                 }
             });
 
-            return parts;
+            return resolveGeminiReasoningParts(parts);
         }
 
         return [];
@@ -1130,21 +1290,83 @@ export class ClaudeConverter extends BaseConverter {
         // Convert to OpenAI Responses format
         const responsesRequest = {
             model: claudeRequest.model,
-            max_tokens: checkAndAssignOrDefault(claudeRequest.max_tokens, OPENAI_DEFAULT_MAX_TOKENS),
+            max_output_tokens: checkAndAssignOrDefault(claudeRequest.max_tokens, OPENAI_DEFAULT_MAX_TOKENS),
             temperature: checkAndAssignOrDefault(claudeRequest.temperature, OPENAI_DEFAULT_TEMPERATURE),
             top_p: checkAndAssignOrDefault(claudeRequest.top_p, OPENAI_DEFAULT_TOP_P),
+            stream: claudeRequest.stream,
         };
 
         // Process system instruction
         if (claudeRequest.system) {
-            responsesRequest.instructions = claudeRequest.system;
+            responsesRequest.instructions = Array.isArray(claudeRequest.system)
+                ? claudeRequest.system.map(item => typeof item === 'string' ? item : item.text).join('\n')
+                : claudeRequest.system;
         }
 
-        // Process messages
-        if (claudeRequest.messages && Array.isArray(claudeRequest.messages)) {
-            responsesRequest.input = claudeRequest.messages;
+        // Process messages: content blocks become input items
+        const input = [];
+        for (const message of claudeRequest.messages || []) {
+            if (!message || !message.content) continue;
+            const blocks = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+
+            if (message.role === 'assistant') {
+                for (const block of blocks) {
+                    if (!block) continue;
+                    if (block.type === 'text' && block.text) {
+                        input.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: block.text }] });
+                    } else if (block.type === 'tool_use') {
+                        input.push({ type: 'function_call', call_id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) });
+                    } else if (reasoningFromClaudeBlock(block)) {
+                        // Reasoning goes back only to the backend that produced it
+                        const item = responsesItemForBackend(reasoningFromClaudeBlock(block));
+                        if (item) input.push(item);
+                    }
+                }
+                continue;
+            }
+
+            const content = [];
+            for (const block of blocks) {
+                if (!block) continue;
+                if (block.type === 'text' && block.text) {
+                    content.push({ type: 'input_text', text: block.text });
+                } else if (block.type === 'image' && block.source?.type === 'base64') {
+                    content.push({ type: 'input_image', image_url: `data:${block.source.media_type};base64,${block.source.data}` });
+                } else if (documentFromClaudeBlock(block)) {
+                    content.push(...responsesDocumentParts(documentFromClaudeBlock(block)));
+                } else if (block.type === 'tool_result') {
+                    input.push({
+                        type: 'function_call_output',
+                        call_id: block.tool_use_id,
+                        output: typeof block.content === 'string' ? block.content : JSON.stringify(block.content ?? '')
+                    });
+                }
+            }
+            if (content.length > 0) {
+                input.push({ type: 'message', role: 'user', content });
+            }
+        }
+        responsesRequest.input = input;
+
+        // Process tools
+        if (Array.isArray(claudeRequest.tools) && claudeRequest.tools.length > 0) {
+            responsesRequest.tools = claudeRequest.tools.map(tool => ({
+                type: 'function',
+                name: tool.name || '',
+                description: tool.description || '',
+                parameters: cleanJsonSchema(tool.input_schema || {})
+            }));
+        }
+        if (claudeRequest.tool_choice) {
+            const toolChoice = claudeRequest.tool_choice;
+            responsesRequest.tool_choice = toolChoice.type === 'any' ? 'required'
+                : toolChoice.type === 'tool' ? { type: 'function', name: toolChoice.name }
+                : toolChoice.type === 'none' ? 'none'
+                : 'auto';
         }
 
+        applyResponsesReasoning(responsesRequest, readReasoningConfig(claudeRequest, MODEL_PROTOCOL_PREFIX.CLAUDE));
+
         return responsesRequest;
     }
 
@@ -1152,23 +1374,43 @@ export class ClaudeConverter extends BaseConverter {
      * Claude response -> OpenAI Responses response
      */
     toOpenAIResponsesResponse(claudeResponse, model) {
-        const content = this.processClaudeResponseContent(claudeResponse.content);
-        const textContent = typeof content === 'string' ? content : JSON.stringify(content);
-
-        let output = [];
-        output.push({
-            type: "message",
-            id: `msg_${uuidv4().replace(/-/g, '')}`,
-            summary: [],
-            role: "assistant",
-            status: "completed",
-            content: [{
-                annotations: [],
-                logprobs: [],
-                text: textContent,
-                type: "output_text"
-            }]
-        });
+        const output = [];
+        const reasoning = reasoningFromClaudeContent(claudeResponse.content);
+        // Reasoning items come first, as OpenAI returns them
+        reasoning.forEach(entry => output.push(responsesItemForClient(entry)));
+
+        const textContent = (claudeResponse.content || [])
+            .filter(block => block && block.type === 'text')
+            .map(block => block.text || '')
+            .join('');
+        if (textContent || !(claudeResponse.content || []).some(block => block?.type === 'tool_use')) {
+            output.push({
+                type: "message",
+                id: `msg_${uuidv4().replace(/-/g, '')}`,
+                summary: [],
+                role: "assistant",
+                status: "completed",
+                content: [{
+                    annotations: [],
+                    logprobs: [],
+                    text: textContent,
+                    type: "output_text"
+                }]
+            });
+        }
+
+        for (const block of claudeResponse.content || []) {
+            if (block?.type === 'tool_use') {
+                output.push({
+                    id: `fc_${uuidv4().replace(/-/g, '')}`,
+                    type: "function_call",
+                    status: "completed",
+                    call_id: block.id,
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {})
+                });
+            }
+        }
 
         return {
             background: false,
@@ -1200,15 +1442,15 @@ export class ClaudeConverter extends BaseConverter {
             top_p: 1,
             truncation: "disabled",
             usage: {
-                input_tokens: claudeResponse.usage?.input_tokens || 0,
+                input_tokens: claudePromptTokens(claudeResponse.usage),
                 input_tokens_details: {
                     cached_tokens: claudeResponse.usage?.cache_read_input_tokens || 0
                 },
                 output_tokens: claudeResponse.usage?.output_tokens || 0,
                 output_tokens_details: {
-                    reasoning_tokens: 0
+                    reasoning_tokens: estimateReasoningTokens(reasoning.map(entry => entry.text).join(''), claudeResponse.usage?.output_tokens || 0)
                 },
-                total_tokens: (claudeResponse.usage?.input_tokens || 0) + (claudeResponse.usage?.output_tokens || 0)
+                total_tokens: claudePromptTokens(claudeResponse.usage) + (claudeResponse.usage?.output_tokens || 0)
             },
             user: null
         };
@@ -1216,15 +1458,21 @@ export class ClaudeConverter extends BaseConverter {
 
     /**
      * Claude stream response -> OpenAI Responses stream response
+     * @param {Object} claudeChunk - The Claude stream event
+     * @param {string} model - The model name
+     * @param {string} [requestId] - Key of the response state shared by the events of one stream
+     * @param {Object} [streamState] - Per-stream converter state
      */
-    toOpenAIResponsesStreamChunk(claudeChunk, model, requestId = null) {
+    toOpenAIResponsesStreamChunk(claudeChunk, model, requestId = null, streamState = {}) {
         if (!claudeChunk) return [];
 
-        const responseId = requestId || `resp_${uuidv4().replace(/-/g, '')}`;
+        const responseId = requestId || streamState.responseKey || (streamState.responseKey = `resp_${uuidv4().replace(/-/g, '')}`);
+        const toolCalls = streamState.toolCalls || (streamState.toolCalls = {});
         const events = [];
 
         // message_start event - stream start
         if (claudeChunk.type === 'message_start') {
+            streamState.usage = { ...(claudeChunk.message?.usage || {}) };
             events.push(
                 generateResponseCreated(responseId, model || 'unknown'),
                 generateResponseInProgress(responseId),
@@ -1239,19 +1487,27 @@ export class ClaudeConverter extends BaseConverter {
 
             // For tool_use type, add tool call item
             if (contentBlock && contentBlock.type === 'tool_use') {
-                events.push({
+                const toolCall = toolCalls[claudeChunk.index || 0] = {
+                    outputIndex: nextResponsesOutputIndex(streamState),
                     item: {
-                        id: contentBlock.id,
+                        id: `fc_${uuidv4().replace(/-/g, '')}`,
                         type: "function_call",
+                        call_id: contentBlock.id,
                         name: contentBlock.name,
-                        arguments: "",
-                        status: "in_progress"
-                    },
-                    output_index: claudeChunk.index || 0,
-                    sequence_number: 2,
+                        arguments: ""
+                    }
+                };
+                events.push({
+                    item: { ...toolCall.item, status: "in_progress" },
+                    output_index: toolCall.outputIndex,
                     type: "response.output_item.added"
                 });
             }
+
+            // redacted_thinking arrives whole: emit it as a complete reasoning item
+            if (contentBlock && contentBlock.type === 'redacted_thinking') {
+                events.push(...closeResponsesReasoning(streamState, reasoningFromClaudeBlock(contentBlock).signature));
+            }
         }
 
         // content_block_delta event
@@ -1260,82 +1516,76 @@ export class ClaudeConverter extends BaseConverter {
 
             // Process text delta
             if (delta && delta.type === 'text_delta') {
-                events.push({
-                    delta: delta.text || "",
-                    item_id: `msg_${uuidv4().replace(/-/g, '')}`,
-                    output_index: claudeChunk.index || 0,
-                    sequence_number: 3,
-                    type: "response.output_text.delta"
-                });
+                events.push(generateOutputTextDelta(responseId, delta.text || ""));
             }
             // Process reasoning content delta
             else if (delta && delta.type === 'thinking_delta') {
-                events.push({
-                    delta: delta.thinking || "",
-                    item_id: `thinking_${uuidv4().replace(/-/g, '')}`,
-                    output_index: claudeChunk.index || 0,
-                    sequence_number: 3,
-                    type: "response.reasoning_summary_text.delta"
-                });
+                events.push(...responsesReasoningDelta(streamState, delta.thinking || ""));
+            }
+            // The signature completes the reasoning item
+            else if (delta && delta.type === 'signature_delta') {
+                events.push(...closeResponsesReasoning(streamState, wrapSignature(MODEL_PROTOCOL_PREFIX.CLAUDE, delta.signature)));
             }
             // Process tool call arguments delta
-            else if (delta && delta.type === 'input_json_delta') {
+            else if (delta && delta.type === 'input_json_delta' && toolCalls[claudeChunk.index || 0]) {
+                const toolCall = toolCalls[claudeChunk.index || 0];
+                toolCall.item.arguments += delta.partial_json || "";
                 events.push({
                     delta: delta.partial_json || "",
-                    item_id: `call_${uuidv4().replace(/-/g, '')}`,
-                    output_index: claudeChunk.index || 0,
-                    sequence_number: 3,
-                    type: "response.custom_tool_call_input.delta"
+                    item_id: toolCall.item.id,
+                    output_index: toolCall.outputIndex,
+                    type: "response.function_call_arguments.delta"
                 });
             }
         }
 
         // content_block_stop event
-        if (claudeChunk.type === 'content_block_stop') {
-            events.push({
-                item_id: `msg_${uuidv4().replace(/-/g, '')}`,
-                output_index: claudeChunk.index || 0,
-                sequence_number: 4,
-                type: "response.output_item.done"
-            });
+        if (claudeChunk.type === 'content_block_stop' && toolCalls[claudeChunk.index || 0]) {
+            const toolCall = toolCalls[claudeChunk.index || 0];
+            delete toolCalls[claudeChunk.index || 0];
+            const item = { ...toolCall.item, status: "completed" };
+            events.push(
+                {
+                    arguments: item.arguments,
+                    item_id: item.id,
+                    output_index: toolCall.outputIndex,
+                    type: "response.function_call_arguments.done"
+                },
+                { item, output_index: toolCall.outputIndex, type: "response.output_item.done" }
+            );
+            addResponsesOutputItem(streamState, toolCall.outputIndex, item);
         }
 
-        // message_delta event - stream end
-        if (claudeChunk.type === 'message_delta') {
-            // events.push(
-            //     generateOutputTextDone(responseId),
-            //     generateContentPartDone(responseId),
-            //     generateOutputItemDone(responseId),
-            //     generateResponseCompleted(responseId)
-            // );
-
-            // If there's usage info, update the last event
-            if (claudeChunk.usage && events.length > 0) {
-                const lastEvent = events[events.length - 1];
-                if (lastEvent.response) {
-                    lastEvent.response.usage = {
-                        input_tokens: claudeChunk.usage.input_tokens || 0,
-                        input_tokens_details: {
-                            cached_tokens: claudeChunk.usage.cache_read_input_tokens || 0
-                        },
-                        output_tokens: claudeChunk.usage.output_tokens || 0,
-                        output_tokens_details: {
-                            reasoning_tokens: 0
-                        },
-                        total_tokens: (claudeChunk.usage.input_tokens || 0) + (claudeChunk.usage.output_tokens || 0)
-                    };
-                }
-            }
+        // message_delta event - carries the final usage
+        if (claudeChunk.type === 'message_delta' && claudeChunk.usage) {
+            streamState.usage = { ...(streamState.usage || {}), ...claudeChunk.usage };
         }
 
         // message_stop event
         if (claudeChunk.type === 'message_stop') {
+            if (streamState.responsesReasoning) {
+                events.push(...closeResponsesReasoning(streamState, wrapSignature(MODEL_PROTOCOL_PREFIX.CLAUDE, '')));
+            }
+            const usage = streamState.usage || {};
+            const completed = generateResponseCompleted(responseId, {
+                input_tokens: claudePromptTokens(usage),
+                input_tokens_details: {
+                    cached_tokens: usage.cache_read_input_tokens || 0
+                },
+                output_tokens: usage.output_tokens || 0,
+                output_tokens_details: {
+                    reasoning_tokens: 0
+                },
+                total_tokens: claudePromptTokens(usage) + (usage.output_tokens || 0)
+            });
+            completeResponsesOutput(streamState, completed);
             events.push(
                 generateOutputTextDone(responseId),
                 generateContentPartDone(responseId),
                 generateOutputItemDone(responseId),
-                generateResponseCompleted(responseId)
+                completed
             );
+            streamStateManager.cleanup(responseId);
         }
 
         return events;
@@ -15,15 +15,53 @@ import {
     CLAUDE_DEFAULT_TOP_P
 } from '../utils.js';
 import { MODEL_PROTOCOL_PREFIX } from '../../common.js';
+import {
+    addResponsesOutputItem,
+    applyClaudeThinking,
+    applyResponsesReasoning,
+    claudeBlockForBackend,
+    claudeBlockForClient,
+    closeResponsesReasoning,
+    completeResponsesOutput,
+    effortFor,
+    enterClaudeBlock,
+    leaveClaudeBlock,
+    nextResponsesOutputIndex,
+    openaiReasoningDetail,
+    openaiReasoningFields,
+    openaiReasoningForBackend,
+    readReasoningConfig,
+    responsesItemForBackend,
+    responsesItemForClient,
+    responsesReasoningDelta,
+    signClaudeBlock,
+    geminiSignatureEnvelope,
+    splitGeminiParts
+} from '../reasoning.js';
+import { claudeInputUsage } from '../prompt-cache.js';
+import { claudeDocumentBlock, documentFromGeminiPart, openaiDocumentParts, responsesDocumentParts } from '../documents.js';
+import {
+    audioCapabilityError,
+    audioFromGeminiPart,
+    openaiAudioDelta,
+    openaiAudioPart,
+    openaiAudioTokens,
+    openaiMessageAudio,
+    rejectAudioInput,
+    rejectAudioOutput,
+    wantsGeminiAudio
+} from '../audio.js';
 import {
     generateResponseCreated,
     generateResponseInProgress,
     generateOutputItemAdded,
     generateContentPartAdded,
+    generateOutputTextDelta,
     generateOutputTextDone,
     generateContentPartDone,
     generateOutputItemDone,
-    generateResponseCompleted
+    generateResponseCompleted,
+    streamStateManager
 } from '../../openai/openai-responses-core.mjs';
 
 /**
@@ -70,14 +108,14 @@ export class GeminiConverter extends BaseConverter {
     /**
      * Convert stream response chunk
      */
-    convertStreamChunk(chunk, targetProtocol, model) {
+    convertStreamChunk(chunk, targetProtocol, model, streamState) {
         switch (targetProtocol) {
             case MODEL_PROTOCOL_PREFIX.OPENAI:
-                return this.toOpenAIStreamChunk(chunk, model);
+                return this.toOpenAIStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.CLAUDE:
-                return this.toClaudeStreamChunk(chunk, model);
+                return this.toClaudeStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
-                return this.toOpenAIResponsesStreamChunk(chunk, model);
+                return this.toOpenAIResponsesStreamChunk(chunk, model, streamState?.requestId, streamState);
             default:
                 throw new Error(`Unsupported target protocol: ${targetProtocol}`);
         }
@@ -97,6 +135,30 @@ export class GeminiConverter extends BaseConverter {
         }
     }
 
+    /**
+     * Convert embedding request
+     */
+    convertEmbeddingRequest(data, targetProtocol) {
+        switch (targetProtocol) {
+            case MODEL_PROTOCOL_PREFIX.OPENAI:
+                return this.toOpenAIEmbeddingRequest(data);
+            default:
+                throw new Error(`Unsupported target protocol for embeddings: ${targetProtocol}`);
+        }
+    }
+
+    /**
+     * Convert embedding response
+     */
+    convertEmbeddingResponse(data, targetProtocol, model) {
+        switch (targetProtocol) {
+            case MODEL_PROTOCOL_PREFIX.OPENAI:
+                return this.toOpenAIEmbeddingResponse(data, model);
+            default:
+                throw new Error(`Unsupported target protocol for embeddings: ${targetProtocol}`);
+        }
+    }
+
     // =========================================================================
     // Gemini -> OpenAI Conversion
     // =========================================================================
@@ -105,6 +167,9 @@ export class GeminiConverter extends BaseConverter {
      * Gemini request -> OpenAI request
      */
     toOpenAIRequest(geminiRequest) {
+        if (wantsGeminiAudio(geminiRequest)) {
+            throw audioCapabilityError('Audio output for Gemini requests is only available from Gemini backends');
+        }
         const openaiRequest = {
             messages: [],
             model: geminiRequest.model,
@@ -128,18 +193,29 @@ export class GeminiConverter extends BaseConverter {
         if (geminiRequest.contents && Array.isArray(geminiRequest.contents)) {
             geminiRequest.contents.forEach(content => {
                 if (content && Array.isArray(content.parts)) {
-                    const openaiContent = this.processGeminiPartsToOpenAIContent(content.parts);
-                    if (openaiContent && openaiContent.length > 0) {
+                    const items = splitGeminiParts(content.parts);
+                    const openaiContent = this.processGeminiPartsToOpenAIContent(items.filter(item => item.part).map(item => item.part));
+                    // Reasoning goes back only to the backend that produced it
+                    const reasoningContent = content.role === 'model'
+                        ? openaiReasoningForBackend(items.filter(item => item.reasoning).map(item => item.reasoning))
+                        : null;
+                    if ((openaiContent && openaiContent.length > 0) || reasoningContent) {
                         const openaiRole = content.role === 'model' ? 'assistant' : content.role;
                         openaiRequest.messages.push({
                             role: openaiRole,
-                            content: openaiContent
+                            content: openaiContent,
+                            ...(reasoningContent ? { reasoning_content: reasoningContent } : {})
                         });
                     }
                 }
             });
         }
 
+        const reasoningConfig = readReasoningConfig(geminiRequest, MODEL_PROTOCOL_PREFIX.GEMINI);
+        if (reasoningConfig) {
+            openaiRequest.reasoning_effort = effortFor(reasoningConfig);
+        }
+
         return openaiRequest;
     }
 
@@ -148,7 +224,13 @@ export class GeminiConverter extends BaseConverter {
      */
     toOpenAIResponse(geminiResponse, model) {
         const content = this.processGeminiResponseContent(geminiResponse);
-        
+        const reasoning = splitGeminiParts(geminiResponse?.candidates?.[0]?.content?.parts)
+            .filter(item => item.reasoning)
+            .map(item => item.reasoning);
+        // Spoken replies carry their text as the audio transcript
+        const audio = openaiMessageAudio(geminiResponse?.candidates?.[0]?.content?.parts, content);
+        const audioTokens = openaiAudioTokens(geminiResponse?.usageMetadata);
+
         return {
             id: `chatcmpl-${uuidv4()}`,
             object: "chat.completion",
@@ -158,7 +240,9 @@ export class GeminiConverter extends BaseConverter {
                 index: 0,
                 message: {
                     role: "assistant",
-                    content: content
+                    content: audio ? null : content,
+                    ...(audio ? { audio } : {}),
+                    ...openaiReasoningFields(reasoning)
                 },
                 finish_reason: "stop",
             }],
@@ -168,10 +252,12 @@ export class GeminiConverter extends BaseConverter {
                 total_tokens: geminiResponse.usageMetadata.totalTokenCount || 0,
                 cached_tokens: geminiResponse.usageMetadata.cachedContentTokenCount || 0,
                 prompt_tokens_details: {
-                    cached_tokens: geminiResponse.usageMetadata.cachedContentTokenCount || 0
+                    cached_tokens: geminiResponse.usageMetadata.cachedContentTokenCount || 0,
+                    ...audioTokens.prompt
                 },
                 completion_tokens_details: {
-                    reasoning_tokens: geminiResponse.usageMetadata.thoughtsTokenCount || 0
+                    reasoning_tokens: geminiResponse.usageMetadata.thoughtsTokenCount || 0,
+                    ...audioTokens.completion
                 }
             } : {
                 prompt_tokens: 0,
@@ -191,20 +277,27 @@ export class GeminiConverter extends BaseConverter {
     /**
      * Gemini stream response -> OpenAI stream response
      */
-    toOpenAIStreamChunk(geminiChunk, model) {
+    toOpenAIStreamChunk(geminiChunk, model, streamState = {}) {
         if (!geminiChunk) return null;
 
         const candidate = geminiChunk.candidates?.[0];
         if (!candidate) return null;
 
         let content = '';
+        let reasoningContent = '';
+        const reasoningDetails = [];
         const toolCalls = [];
         
-        // Extract text and tool calls from parts
+        // Extract text, thoughts and tool calls from parts
         const parts = candidate.content?.parts;
         if (parts && Array.isArray(parts)) {
             for (const part of parts) {
-                if (part.text) {
+                if (part.thought) {
+                    if (part.text) {
+                        reasoningContent += part.text;
+                        reasoningDetails.push(openaiReasoningDetail({ text: part.text }, streamState.reasoningIndex || 0));
+                    }
+                } else if (part.text) {
                     content += part.text;
                 }
                 if (part.functionCall) {
@@ -220,7 +313,14 @@ export class GeminiConverter extends BaseConverter {
                         }
                     });
                 }
-                // thoughtSignature is ignored (internal Gemini data)
+                // A thought signature completes the current reasoning detail
+                if (part.thoughtSignature) {
+                    reasoningDetails.push(openaiReasoningDetail(
+                        { text: '', signature: geminiSignatureEnvelope(part.thoughtSignature, Boolean(part.functionCall)) },
+                        streamState.reasoningIndex || 0
+                    ));
+                    streamState.reasoningIndex = (streamState.reasoningIndex || 0) + 1;
+                }
             }
         }
 
@@ -239,8 +339,19 @@ export class GeminiConverter extends BaseConverter {
 
         // Build delta object
         const delta = {};
-        if (content) delta.content = content;
+        if (reasoningContent) delta.reasoning_content = reasoningContent;
+        if (reasoningDetails.length > 0) delta.reasoning_details = reasoningDetails;
+        // Spoken replies stream pcm16 audio, with their text as the transcript
+        const audio = parts?.some(part => audioFromGeminiPart(part)) || streamState.audioId
+            ? openaiAudioDelta(parts, content, streamState)
+            : null;
+        if (audio) {
+            delta.audio = audio;
+        } else if (content) {
+            delta.content = content;
+        }
         if (toolCalls.length > 0) delta.tool_calls = toolCalls;
+        const audioTokens = openaiAudioTokens(geminiChunk.usageMetadata);
 
         // Don't return empty delta chunks
         if (Object.keys(delta).length === 0 && !finishReason) {
@@ -263,10 +374,12 @@ export class GeminiConverter extends BaseConverter {
                 total_tokens: geminiChunk.usageMetadata.totalTokenCount || 0,
                 cached_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0,
                 prompt_tokens_details: {
-                    cached_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0
+                    cached_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0,
+                    ...audioTokens.prompt
                 },
                 completion_tokens_details: {
-                    reasoning_tokens: geminiChunk.usageMetadata.thoughtsTokenCount || 0
+                    reasoning_tokens: geminiChunk.usageMetadata.thoughtsTokenCount || 0,
+                    ...audioTokens.completion
                 }
             } : {
                 prompt_tokens: 0,
@@ -315,6 +428,19 @@ export class GeminiConverter extends BaseConverter {
                     text: part.text
                 });
             }
+
+            // PDF and text documents
+            const document = documentFromGeminiPart(part);
+            if (document) {
+                contentArray.push(...openaiDocumentParts(document));
+                return;
+            }
+
+            const audio = audioFromGeminiPart(part);
+            if (audio) {
+                contentArray.push(openaiAudioPart(audio));
+                return;
+            }
             
             if (part.inlineData) {
                 const { mimeType, data } = part.inlineData;
@@ -338,11 +464,6 @@ export class GeminiConverter extends BaseConverter {
                                 url: fileUri
                             }
                         });
-                    } else if (mimeType.startsWith('audio/')) {
-                        contentArray.push({
-                            type: 'text',
-                            text: `[Audio file: ${fileUri}]`
-                        });
                     }
                 }
             }
@@ -364,7 +485,7 @@ export class GeminiConverter extends BaseConverter {
         geminiResponse.candidates.forEach(candidate => {
             if (candidate.content && candidate.content.parts) {
                 candidate.content.parts.forEach(part => {
-                    if (part.text) {
+                    if (part.text && !part.thought) {
                         contents.push(part.text);
                     }
                 });
@@ -382,6 +503,7 @@ export class GeminiConverter extends BaseConverter {
      * Gemini request -> Claude request
      */
     toClaudeRequest(geminiRequest) {
+        if (wantsGeminiAudio(geminiRequest)) rejectAudioOutput('Claude');
         const claudeRequest = {
             model: geminiRequest.model || 'claude-3-opus',
             messages: [],
@@ -403,11 +525,13 @@ export class GeminiConverter extends BaseConverter {
 
         // Process content
         if (geminiRequest.contents && Array.isArray(geminiRequest.contents)) {
+            // Claude pairs tool results with calls by id; Gemini calls may only have a name
+            const pendingToolIds = {};
             geminiRequest.contents.forEach(content => {
                 if (!content || !content.parts) return;
 
                 const role = content.role === 'model' ? 'assistant' : 'user';
-                const claudeContent = this.processGeminiPartsToClaudeContent(content.parts);
+                const claudeContent = this.processGeminiPartsToClaudeContent(content.parts, pendingToolIds);
 
                 if (claudeContent.length > 0) {
                     claudeRequest.messages.push({
@@ -427,6 +551,8 @@ export class GeminiConverter extends BaseConverter {
             }));
         }
 
+        applyClaudeThinking(claudeRequest, readReasoningConfig(geminiRequest, MODEL_PROTOCOL_PREFIX.GEMINI));
+
         return claudeRequest;
     }
 
@@ -476,6 +602,9 @@ export class GeminiConverter extends BaseConverter {
                     stopReason = 'end_turn';
             }
         }
+        if (stopReason === 'end_turn' && content.some(block => block.type === 'tool_use')) {
+            stopReason = 'tool_use';
+        }
 
         return {
             id: `msg_${uuidv4()}`,
@@ -486,9 +615,7 @@ export class GeminiConverter extends BaseConverter {
             stop_reason: stopReason,
             stop_sequence: null,
             usage: {
-                input_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0,
-                cache_creation_input_tokens: 0,
-                cache_read_input_tokens: geminiResponse.usageMetadata?.cachedContentTokenCount || 0,
+                ...claudeInputUsage(geminiResponse.usageMetadata?.promptTokenCount, geminiResponse.usageMetadata?.cachedContentTokenCount),
                 output_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0
             }
         };
@@ -496,8 +623,9 @@ export class GeminiConverter extends BaseConverter {
 
     /**
      * Gemini stream response -> Claude stream response
+     * Thoughts become thinking blocks closed by their signature, function calls become tool_use blocks.
      */
-    toClaudeStreamChunk(geminiChunk, model) {
+    toClaudeStreamChunk(geminiChunk, model, streamState = {}) {
         if (!geminiChunk) return null;
 
         // Process complete Gemini chunk object
@@ -506,29 +634,69 @@ export class GeminiConverter extends BaseConverter {
 
             if (candidate) {
                 const parts = candidate.content?.parts;
+                const events = [];
 
-                // Extract text content
                 if (parts && Array.isArray(parts)) {
-                    const textParts = parts.filter(part => part && typeof part.text === 'string');
-                    if (textParts.length > 0) {
-                        const text = textParts.map(part => part.text).join('');
-                        return {
-                            type: "content_block_delta",
-                            index: 0,
-                            delta: {
-                                type: "text_delta",
-                                text: text
+                    for (const part of parts) {
+                        if (!part) continue;
+                        const signature = part.thoughtSignature
+                            ? geminiSignatureEnvelope(part.thoughtSignature, Boolean(part.functionCall))
+                            : null;
+
+                        if (part.thought) {
+                            const block = enterClaudeBlock(streamState, { type: "thinking", thinking: "", signature: "" }, MODEL_PROTOCOL_PREFIX.GEMINI);
+                            events.push(...block.events);
+                            if (part.text) {
+                                events.push({ type: "content_block_delta", index: block.index, delta: { type: "thinking_delta", thinking: part.text } });
                             }
-                        };
+                            if (signature) {
+                                events.push(...signClaudeBlock(streamState, signature, MODEL_PROTOCOL_PREFIX.GEMINI));
+                            }
+                            continue;
+                        }
+
+                        // A signature on any other part belongs to the thoughts before it
+                        if (signature) {
+                            events.push(...signClaudeBlock(streamState, signature, MODEL_PROTOCOL_PREFIX.GEMINI));
+                        }
+
+                        if (typeof part.text === 'string' && part.text) {
+                            const block = enterClaudeBlock(streamState, { type: "text", text: "" });
+                            events.push(...block.events, {
+                                type: "content_block_delta",
+                                index: block.index,
+                                delta: {
+                                    type: "text_delta",
+                                    text: part.text
+                                }
+                            });
+                        }
+
+                        if (part.functionCall) {
+                            streamState.claudeToolUse = true;
+                            const block = enterClaudeBlock(streamState, {
+                                type: "tool_use",
+                                id: part.functionCall.id || `toolu_${uuidv4().replace(/-/g, '')}`,
+                                name: part.functionCall.name,
+                                input: {}
+                            });
+                            events.push(...block.events, {
+                                type: "content_block_delta",
+                                index: block.index,
+                                delta: { type: "input_json_delta", partial_json: JSON.stringify(part.functionCall.args || {}) }
+                            }, ...leaveClaudeBlock(streamState));
+                        }
                     }
                 }
-                
+
                 // Process finishReason
                 if (candidate.finishReason) {
+                    events.push(...leaveClaudeBlock(streamState));
                     const result = {
                         type: "message_delta",
                         delta: {
-                            stop_reason: candidate.finishReason === 'STOP' ? 'end_turn' :
+                            stop_reason: streamState.claudeToolUse ? 'tool_use' :
+                                       candidate.finishReason === 'STOP' ? 'end_turn' :
                                        candidate.finishReason === 'MAX_TOKENS' ? 'max_tokens' :
                                        candidate.finishReason.toLowerCase()
                         }
@@ -537,9 +705,7 @@ export class GeminiConverter extends BaseConverter {
                     // Add usage info
                     if (geminiChunk.usageMetadata) {
                         result.usage = {
-                            input_tokens: geminiChunk.usageMetadata.promptTokenCount || 0,
-                            cache_creation_input_tokens: 0,
-                            cache_read_input_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0,
+                            ...claudeInputUsage(geminiChunk.usageMetadata.promptTokenCount, geminiChunk.usageMetadata.cachedContentTokenCount),
                             output_tokens: geminiChunk.usageMetadata.candidatesTokenCount || 0,
                             prompt_tokens: geminiChunk.usageMetadata.promptTokenCount || 0,
                             completion_tokens: geminiChunk.usageMetadata.candidatesTokenCount || 0,
@@ -547,9 +713,12 @@ export class GeminiConverter extends BaseConverter {
                             cached_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0
                         };
                     }
-                    
-                    return result;
+
+                    events.push(result);
                 }
+
+                if (events.length === 1) return events[0];
+                return events.length > 0 ? events : null;
             }
         }
 
@@ -583,13 +752,27 @@ export class GeminiConverter extends BaseConverter {
     /**
      * Process Gemini parts to Claude content
      */
-    processGeminiPartsToClaudeContent(parts) {
+    processGeminiPartsToClaudeContent(parts, pendingToolIds = {}) {
         if (!parts || !Array.isArray(parts)) return [];
 
         const content = [];
 
-        parts.forEach(part => {
-            if (!part) return;
+        splitGeminiParts(parts).forEach(({ part, reasoning }) => {
+            // Thinking goes back only if Claude signed it
+            if (reasoning) {
+                const block = claudeBlockForBackend(reasoning);
+                if (block) content.push(block);
+                return;
+            }
+
+            // PDF and text documents
+            const document = documentFromGeminiPart(part);
+            if (document) {
+                content.push(claudeDocumentBlock(document));
+                return;
+            }
+
+            if (audioFromGeminiPart(part)) rejectAudioInput('Claude');
 
             if (part.text) {
                 content.push({
@@ -610,18 +793,21 @@ export class GeminiConverter extends BaseConverter {
             }
 
             if (part.functionCall) {
+                const id = part.functionCall.id || `toolu_${uuidv4().replace(/-/g, '')}`;
+                (pendingToolIds[part.functionCall.name] = pendingToolIds[part.functionCall.name] || []).push(id);
                 content.push({
                     type: 'tool_use',
-                    id: uuidv4(),
+                    id,
                     name: part.functionCall.name,
                     input: part.functionCall.args || {}
                 });
             }
 
             if (part.functionResponse) {
+                const name = part.functionResponse.name;
                 content.push({
                     type: 'tool_result',
-                    tool_use_id: part.functionResponse.name,
+                    tool_use_id: part.functionResponse.id || pendingToolIds[name]?.shift() || name,
                     content: part.functionResponse.response
                 });
             }
@@ -650,8 +836,10 @@ export class GeminiConverter extends BaseConverter {
             }
 
             if (candidate.content && candidate.content.parts) {
-                for (const part of candidate.content.parts) {
-                    if (part.text) {
+                for (const { part, reasoning } of splitGeminiParts(candidate.content.parts)) {
+                    if (reasoning) {
+                        content.push(claudeBlockForClient(reasoning));
+                    } else if (part.text) {
                         content.push({
                             type: 'text',
                             text: part.text
@@ -668,7 +856,7 @@ export class GeminiConverter extends BaseConverter {
                     } else if (part.functionCall) {
                         content.push({
                             type: 'tool_use',
-                            id: uuidv4(),
+                            id: part.functionCall.id || `toolu_${uuidv4().replace(/-/g, '')}`,
                             name: part.functionCall.name,
                             input: part.functionCall.args || {}
                         });
@@ -688,9 +876,10 @@ export class GeminiConverter extends BaseConverter {
      * Gemini request -> OpenAI Responses request
      */
     toOpenAIResponsesRequest(geminiRequest) {
+        if (wantsGeminiAudio(geminiRequest)) rejectAudioOutput('OpenAI Responses');
         const responsesRequest = {
             model: geminiRequest.model,
-            max_tokens: checkAndAssignOrDefault(geminiRequest.generationConfig?.maxOutputTokens, OPENAI_DEFAULT_MAX_TOKENS),
+            max_output_tokens: checkAndAssignOrDefault(geminiRequest.generationConfig?.maxOutputTokens, OPENAI_DEFAULT_MAX_TOKENS),
             temperature: checkAndAssignOrDefault(geminiRequest.generationConfig?.temperature, OPENAI_DEFAULT_TEMPERATURE),
             top_p: checkAndAssignOrDefault(geminiRequest.generationConfig?.topP, OPENAI_DEFAULT_TOP_P),
         };
@@ -706,20 +895,57 @@ export class GeminiConverter extends BaseConverter {
             }
         }
 
-        // Process input
+        // Process input: the whole conversation, as input items
         if (geminiRequest.contents && Array.isArray(geminiRequest.contents)) {
-            const lastContent = geminiRequest.contents[geminiRequest.contents.length - 1];
-            if (lastContent && lastContent.parts) {
-                const inputText = lastContent.parts
-                    .filter(p => p.text)
-                    .map(p => p.text)
-                    .join(' ');
-                if (inputText) {
-                    responsesRequest.input = inputText;
+            const input = [];
+            const pendingCallIds = {};
+            for (const content of geminiRequest.contents) {
+                if (!content || !Array.isArray(content.parts)) continue;
+                const isModel = content.role === 'model';
+                for (const { part, reasoning } of splitGeminiParts(content.parts)) {
+                    if (reasoning) {
+                        // Reasoning goes back only to the backend that produced it
+                        const item = isModel ? responsesItemForBackend(reasoning) : null;
+                        if (item) input.push(item);
+                    } else if (part.text) {
+                        input.push({
+                            type: 'message',
+                            role: isModel ? 'assistant' : 'user',
+                            content: [{ type: isModel ? 'output_text' : 'input_text', text: part.text }]
+                        });
+                    } else if (audioFromGeminiPart(part)) {
+                        rejectAudioInput('OpenAI Responses');
+                    } else if (!isModel && documentFromGeminiPart(part)) {
+                        input.push({ type: 'message', role: 'user', content: responsesDocumentParts(documentFromGeminiPart(part)) });
+                    } else if (part.functionCall) {
+                        const callId = part.functionCall.id || `call_${uuidv4().replace(/-/g, '')}`;
+                        (pendingCallIds[part.functionCall.name] = pendingCallIds[part.functionCall.name] || []).push(callId);
+                        input.push({ type: 'function_call', call_id: callId, name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) });
+                    } else if (part.functionResponse) {
+                        input.push({
+                            type: 'function_call_output',
+                            call_id: part.functionResponse.id || pendingCallIds[part.functionResponse.name]?.shift() || part.functionResponse.name,
+                            output: JSON.stringify(part.functionResponse.response ?? {})
+                        });
+                    }
                 }
             }
+            if (input.length > 0) {
+                responsesRequest.input = input;
+            }
+        }
+
+        if (geminiRequest.tools && geminiRequest.tools[0]?.functionDeclarations) {
+            responsesRequest.tools = geminiRequest.tools[0].functionDeclarations.map(func => ({
+                type: 'function',
+                name: func.name,
+                description: func.description || '',
+                parameters: func.parameters || { type: 'object', properties: {} }
+            }));
         }
 
+        applyResponsesReasoning(responsesRequest, readReasoningConfig(geminiRequest, MODEL_PROTOCOL_PREFIX.GEMINI));
+
         return responsesRequest;
     }
 
@@ -729,8 +955,10 @@ export class GeminiConverter extends BaseConverter {
     toOpenAIResponsesResponse(geminiResponse, model) {
         const content = this.processGeminiResponseContent(geminiResponse);
         const textContent = typeof content === 'string' ? content : JSON.stringify(content);
+        const items = splitGeminiParts(geminiResponse?.candidates?.[0]?.content?.parts);
 
-        let output = [];
+        // Reasoning items come first, as OpenAI returns them
+        let output = items.filter(item => item.reasoning).map(item => responsesItemForClient(item.reasoning));
         output.push({
             id: `msg_${uuidv4().replace(/-/g, '')}`,
             summary: [],
@@ -744,6 +972,14 @@ export class GeminiConverter extends BaseConverter {
                 type: "output_text"
             }]
         });
+        items.filter(item => item.part?.functionCall).forEach(({ part }) => output.push({
+            id: `fc_${uuidv4().replace(/-/g, '')}`,
+            type: "function_call",
+            status: "completed",
+            call_id: part.functionCall.id || `call_${uuidv4().replace(/-/g, '')}`,
+            name: part.functionCall.name,
+            arguments: JSON.stringify(part.functionCall.args || {})
+        }));
 
         return {
             background: false,
@@ -791,11 +1027,15 @@ export class GeminiConverter extends BaseConverter {
 
     /**
      * Gemini stream response -> OpenAI Responses stream response
+     * @param {Object} geminiChunk - The Gemini stream chunk
+     * @param {string} model - The model name
+     * @param {string} [requestId] - Key of the response state shared by the events of one stream
+     * @param {Object} [streamState] - Per-stream converter state
      */
-    toOpenAIResponsesStreamChunk(geminiChunk, model, requestId = null) {
+    toOpenAIResponsesStreamChunk(geminiChunk, model, requestId = null, streamState = {}) {
         if (!geminiChunk) return [];
 
-        const responseId = requestId || `resp_${uuidv4().replace(/-/g, '')}`;
+        const responseId = requestId || streamState.responseKey || (streamState.responseKey = `resp_${uuidv4().replace(/-/g, '')}`);
         const events = [];
 
         // Process complete Gemini chunk object
@@ -805,80 +1045,126 @@ export class GeminiConverter extends BaseConverter {
             if (candidate) {
                 const parts = candidate.content?.parts;
 
-                // First chunk - detect if it's the start (has role)
-                if (candidate.content?.role === 'model' && parts && parts.length > 0) {
-                    // Only send start events when there's content for the first time
-                    const hasContent = parts.some(part => part && typeof part.text === 'string' && part.text.length > 0);
-                    if (hasContent) {
+                // First chunk - send start events once
+                if (!streamState.responsesStarted) {
+                    streamState.responsesStarted = true;
+                    events.push(
+                        generateResponseCreated(responseId, model || 'unknown'),
+                        generateResponseInProgress(responseId),
+                        generateOutputItemAdded(responseId),
+                        generateContentPartAdded(responseId)
+                    );
+                }
+
+                for (const part of parts || []) {
+                    if (!part) continue;
+                    if (part.thought) {
+                        events.push(...responsesReasoningDelta(streamState, part.text || ''));
+                    }
+                    // A signature completes the reasoning before it
+                    if (part.thoughtSignature) {
+                        events.push(...closeResponsesReasoning(streamState, geminiSignatureEnvelope(part.thoughtSignature, Boolean(part.functionCall))));
+                    }
+                    if (part.thought) continue;
+
+                    if (typeof part.text === 'string' && part.text) {
+                        events.push(generateOutputTextDelta(responseId, part.text));
+                    }
+                    if (part.functionCall) {
+                        const outputIndex = nextResponsesOutputIndex(streamState);
+                        const item = {
+                            id: `fc_${uuidv4().replace(/-/g, '')}`,
+                            type: "function_call",
+                            status: "completed",
+                            call_id: part.functionCall.id || `call_${uuidv4().replace(/-/g, '')}`,
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        };
                         events.push(
-                            generateResponseCreated(responseId, model || 'unknown'),
-                            generateResponseInProgress(responseId),
-                            generateOutputItemAdded(responseId),
-                            generateContentPartAdded(responseId)
+                            { type: "response.output_item.added", output_index: outputIndex, item: { ...item, arguments: "", status: "in_progress" } },
+                            { type: "response.function_call_arguments.delta", item_id: item.id, output_index: outputIndex, delta: item.arguments },
+                            { type: "response.function_call_arguments.done", item_id: item.id, output_index: outputIndex, arguments: item.arguments },
+                            { type: "response.output_item.done", output_index: outputIndex, item }
                         );
-                    }
-                }
-                
-                // Extract text content
-                if (parts && Array.isArray(parts)) {
-                    const textParts = parts.filter(part => part && typeof part.text === 'string');
-                    if (textParts.length > 0) {
-                        const text = textParts.map(part => part.text).join('');
-                        events.push({
-                            type: "response.output_text.delta",
-                            item_id: `msg_${uuidv4().replace(/-/g, '')}`,
-                            output_index: 0,
-                            content_index: 0,
-                            delta: text,
-                            logprobs: [],
-                            obfuscation: null
-                        });
+                        addResponsesOutputItem(streamState, outputIndex, item);
                     }
                 }
 
                 // Process finishReason
                 if (candidate.finishReason) {
+                    if (streamState.responsesReasoning) {
+                        events.push(...closeResponsesReasoning(streamState, geminiSignatureEnvelope(null)));
+                    }
+                    const usage = geminiChunk.usageMetadata || {};
+                    const completed = generateResponseCompleted(responseId, {
+                        input_tokens: usage.promptTokenCount || 0,
+                        input_tokens_details: {
+                            cached_tokens: usage.cachedContentTokenCount || 0
+                        },
+                        output_tokens: usage.candidatesTokenCount || 0,
+                        output_tokens_details: {
+                            reasoning_tokens: 0
+                        },
+                        total_tokens: usage.totalTokenCount || 0
+                    });
+                    completeResponsesOutput(streamState, completed, usage.thoughtsTokenCount || null);
                     events.push(
                         generateOutputTextDone(responseId),
                         generateContentPartDone(responseId),
                         generateOutputItemDone(responseId),
-                        generateResponseCompleted(responseId)
+                        completed
                     );
-                    
-                    // If there's usage info, update the last event
-                    if (geminiChunk.usageMetadata && events.length > 0) {
-                        const lastEvent = events[events.length - 1];
-                        if (lastEvent.response) {
-                            lastEvent.response.usage = {
-                                input_tokens: geminiChunk.usageMetadata.promptTokenCount || 0,
-                                input_tokens_details: {
-                                    cached_tokens: geminiChunk.usageMetadata.cachedContentTokenCount || 0
-                                },
-                                output_tokens: geminiChunk.usageMetadata.candidatesTokenCount || 0,
-                                output_tokens_details: {
-                                    reasoning_tokens: geminiChunk.usageMetadata.thoughtsTokenCount || 0
-                                },
-                                total_tokens: geminiChunk.usageMetadata.totalTokenCount || 0
-                            };
-                        }
-                    }
+                    streamStateManager.cleanup(responseId);
                 }
             }
         }
 
         // Backward compatibility: handle string format
         if (typeof geminiChunk === 'string') {
-            events.push({
-                delta: geminiChunk,
-                item_id: `msg_${uuidv4().replace(/-/g, '')}`,
-                output_index: 0,
-                sequence_number: 3,
-                type: "response.output_text.delta"
-            });
+            events.push(generateOutputTextDelta(responseId, geminiChunk));
         }
 
         return events;
     }
+
+    // =========================================================================
+    // Gemini -> OpenAI Embeddings
+    // =========================================================================
+
+    /**
+     * Gemini batchEmbedContents request -> OpenAI embedding request
+     * Gemini-only fields (taskType, title) have no OpenAI equivalent and are dropped.
+     */
+    toOpenAIEmbeddingRequest(geminiRequest) {
+        const requests = geminiRequest.requests || [];
+        const openaiRequest = {
+            input: requests.map(request => (request.content?.parts || [])
+                .map(part => part.text || '')
+                .join(''))
+        };
+        const dimensions = requests.find(request => request.outputDimensionality)?.outputDimensionality;
+        if (dimensions) {
+            openaiRequest.dimensions = dimensions;
+        }
+        return openaiRequest;
+    }
+
+    /**
+     * Gemini batchEmbedContents response -> OpenAI embedding response
+     * Gemini reports no token usage for embeddings.
+     */
+    toOpenAIEmbeddingResponse(geminiResponse, model) {
+        return {
+            object: "list",
+            data: (geminiResponse.embeddings || []).map((embedding, index) => ({
+                object: "embedding",
+                index,
+                embedding: embedding.values || []
+            })),
+            model,
+            usage: { prompt_tokens: 0, total_tokens: 0 }
+        };
+    }
 }
 
 export default GeminiConverter;
\ No newline at end of file
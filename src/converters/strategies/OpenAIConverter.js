@@ -24,15 +24,51 @@ import {
     OPENAI_DEFAULT_OUTPUT_TOKEN_LIMIT
 } from '../utils.js';
 import { MODEL_PROTOCOL_PREFIX } from '../../common.js';
+import {
+    addResponsesOutputItem,
+    applyClaudeThinking,
+    applyGeminiThinking,
+    applyResponsesReasoning,
+    claudeBlockForBackend,
+    claudeBlockForClient,
+    closeResponsesReasoning,
+    completeResponsesOutput,
+    enterClaudeBlock,
+    ensureGeminiFunctionCallSignatures,
+    estimateReasoningTokens,
+    geminiPartForClient,
+    leaveClaudeBlock,
+    nextResponsesOutputIndex,
+    readReasoningConfig,
+    reasoningFromOpenAIMessage,
+    resolveGeminiReasoningParts,
+    responsesItemForBackend,
+    responsesItemForClient,
+    responsesReasoningDelta,
+    signClaudeBlock,
+    wrapSignature
+} from '../reasoning.js';
+import { claudeInputUsage, withCacheControl } from '../prompt-cache.js';
+import { claudeDocumentBlock, documentFromOpenAIPart, geminiDocumentParts, responsesDocumentParts } from '../documents.js';
+import {
+    applyGeminiSpeech,
+    audioFromOpenAIPart,
+    geminiAudioPart,
+    rejectAudioInput,
+    rejectAudioOutput,
+    wantsOpenAIAudio
+} from '../audio.js';
 import {
     generateResponseCreated,
     generateResponseInProgress,
     generateOutputItemAdded,
     generateContentPartAdded,
+    generateOutputTextDelta,
     generateOutputTextDone,
     generateContentPartDone,
     generateOutputItemDone,
-    generateResponseCompleted
+    generateResponseCompleted,
+    streamStateManager
 } from '../../openai/openai-responses-core.mjs';
 
 /**
@@ -81,14 +117,14 @@ export class OpenAIConverter extends BaseConverter {
     /**
      * Convert stream response chunk
      */
-    convertStreamChunk(chunk, targetProtocol, model) {
+    convertStreamChunk(chunk, targetProtocol, model, streamState) {
         switch (targetProtocol) {
             case MODEL_PROTOCOL_PREFIX.CLAUDE:
-                return this.toClaudeStreamChunk(chunk, model);
+                return this.toClaudeStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.GEMINI:
-                return this.toGeminiStreamChunk(chunk, model);
+                return this.toGeminiStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES:
-                return this.toOpenAIResponsesStreamChunk(chunk, model);
+                return this.toOpenAIResponsesStreamChunk(chunk, model, streamState?.requestId, streamState);
             default:
                 throw new Error(`Unsupported target protocol: ${targetProtocol}`);
         }
@@ -108,6 +144,30 @@ export class OpenAIConverter extends BaseConverter {
         }
     }
 
+    /**
+     * Convert embedding request
+     */
+    convertEmbeddingRequest(data, targetProtocol) {
+        switch (targetProtocol) {
+            case MODEL_PROTOCOL_PREFIX.GEMINI:
+                return this.toGeminiEmbeddingRequest(data);
+            default:
+                throw new Error(`Unsupported target protocol for embeddings: ${targetProtocol}`);
+        }
+    }
+
+    /**
+     * Convert embedding response
+     */
+    convertEmbeddingResponse(data, targetProtocol, model) {
+        switch (targetProtocol) {
+            case MODEL_PROTOCOL_PREFIX.GEMINI:
+                return this.toGeminiEmbeddingResponse(data);
+            default:
+                throw new Error(`Unsupported target protocol for embeddings: ${targetProtocol}`);
+        }
+    }
+
     // =========================================================================
     // OpenAI -> Claude Conversion
     // =========================================================================
@@ -116,6 +176,7 @@ export class OpenAIConverter extends BaseConverter {
      * OpenAI request -> Claude request
      */
     toClaudeRequest(openaiRequest) {
+        if (wantsOpenAIAudio(openaiRequest)) rejectAudioOutput('Claude');
         const messages = openaiRequest.messages || [];
         const { systemInstruction, nonSystemMessages } = extractSystemMessages(messages);
 
@@ -127,11 +188,11 @@ export class OpenAIConverter extends BaseConverter {
 
             if (message.role === 'tool') {
                 // Tool result message
-                content.push({
+                content.push(withCacheControl({
                     type: 'tool_result',
                     tool_use_id: message.tool_call_id,
                     content: safeParseJSON(message.content)
-                });
+                }, message));
                 claudeMessages.push({ role: 'user', content: content });
             } else if (message.role === 'assistant' && (message.tool_calls?.length || message.function_calls?.length)) {
                 // Assistant tool call message - supports tool_calls and function_calls
@@ -142,8 +203,21 @@ export class OpenAIConverter extends BaseConverter {
                     name: tc.function.name,
                     input: safeParseJSON(tc.function.arguments)
                 }));
-                claudeMessages.push({ role: 'assistant', content: toolUseBlocks });
+                const textContent = extractText(message.content);
+                withCacheControl(toolUseBlocks[toolUseBlocks.length - 1], message);
+                claudeMessages.push({
+                    role: 'assistant',
+                    content: [
+                        // Claude requires the signed thinking of a tool call turn to come first
+                        ...reasoningFromOpenAIMessage(message).map(entry => claudeBlockForBackend(entry)).filter(Boolean),
+                        ...(textContent.trim() ? [{ type: 'text', text: textContent.trim() }] : []),
+                        ...toolUseBlocks
+                    ]
+                });
             } else {
+                if (message.role === 'assistant') {
+                    content.push(...reasoningFromOpenAIMessage(message).map(entry => claudeBlockForBackend(entry)).filter(Boolean));
+                }
                 // Regular message
                 if (typeof message.content === 'string') {
                     if (message.content) {
@@ -155,7 +229,7 @@ export class OpenAIConverter extends BaseConverter {
                         switch (item.type) {
                             case 'text':
                                 if (item.text) {
-                                    content.push({ type: 'text', text: item.text.trim() });
+                                    content.push(withCacheControl({ type: 'text', text: item.text.trim() }, item));
                                 }
                                 break;
                             case 'image_url':
@@ -166,31 +240,38 @@ export class OpenAIConverter extends BaseConverter {
                                     if (imageUrl.startsWith('data:')) {
                                         const [header, data] = imageUrl.split(',');
                                         const mediaType = header.match(/data:([^;]+)/)?.[1] || 'image/jpeg';
-                                        content.push({
+                                        content.push(withCacheControl({
                                             type: 'image',
                                             source: {
                                                 type: 'base64',
                                                 media_type: mediaType,
                                                 data: data
                                             }
-                                        });
+                                        }, item));
                                     } else {
                                         content.push({ type: 'text', text: `[Image: ${imageUrl}]` });
                                     }
                                 }
                                 break;
+                            case 'file': {
+                                const document = documentFromOpenAIPart(item);
+                                if (document) {
+                                    content.push(withCacheControl(claudeDocumentBlock(document), item));
+                                }
+                                break;
+                            }
+                            case 'input_audio':
                             case 'audio':
-                                if (item.audio_url) {
-                                    const audioUrl = typeof item.audio_url === 'string'
-                                        ? item.audio_url
-                                        : item.audio_url.url;
-                                    content.push({ type: 'text', text: `[Audio: ${audioUrl}]` });
+                                if (audioFromOpenAIPart(item)) {
+                                    rejectAudioInput('Claude');
                                 }
                                 break;
                         }
                     });
                 }
                 if (content.length > 0) {
+                    // A breakpoint on the whole message applies to its last block
+                    withCacheControl(content[content.length - 1], message);
                     claudeMessages.push({ role: role, content: content });
                 }
             }
@@ -234,24 +315,34 @@ export class OpenAIConverter extends BaseConverter {
         const claudeRequest = {
             model: openaiRequest.model,
             messages: mergedClaudeMessages,
-            max_tokens: checkAndAssignOrDefault(openaiRequest.max_tokens, CLAUDE_DEFAULT_MAX_TOKENS),
+            max_tokens: checkAndAssignOrDefault(openaiRequest.max_tokens ?? openaiRequest.max_completion_tokens, CLAUDE_DEFAULT_MAX_TOKENS),
             temperature: checkAndAssignOrDefault(openaiRequest.temperature, CLAUDE_DEFAULT_TEMPERATURE),
             top_p: checkAndAssignOrDefault(openaiRequest.top_p, CLAUDE_DEFAULT_TOP_P),
         };
 
-        if (systemInstruction) {
+        const systemMessages = messages.filter(message => message.role === 'system');
+        if (systemMessages.some(message => message.cache_control || (Array.isArray(message.content) && message.content.some(part => part?.cache_control)))) {
+            // System blocks keep their cache breakpoints
+            claudeRequest.system = systemMessages.flatMap(message => typeof message.content === 'string'
+                ? [withCacheControl({ type: 'text', text: message.content }, message)]
+                : (message.content || [])
+                    .filter(part => part?.type === 'text' && part.text)
+                    .map(part => withCacheControl({ type: 'text', text: part.text }, part)));
+        } else if (systemInstruction) {
             claudeRequest.system = extractText(systemInstruction.parts[0].text);
         }
 
         if (openaiRequest.tools?.length) {
-            claudeRequest.tools = openaiRequest.tools.map(t => ({
+            claudeRequest.tools = openaiRequest.tools.map(t => withCacheControl({
                 name: t.function.name,
                 description: t.function.description || '',
                 input_schema: t.function.parameters || { type: 'object', properties: {} }
-            }));
+            }, t));
             claudeRequest.tool_choice = this.buildClaudeToolChoice(openaiRequest.tool_choice);
         }
 
+        applyClaudeThinking(claudeRequest, readReasoningConfig(openaiRequest, MODEL_PROTOCOL_PREFIX.OPENAI));
+
         return claudeRequest;
     }
 
@@ -276,7 +367,8 @@ export class OpenAIConverter extends BaseConverter {
         }
 
         const choice = openaiResponse.choices[0];
-        const contentList = [];
+        // Process reasoning (reasoning_details or reasoning_content) - thinking blocks come first
+        const contentList = reasoningFromOpenAIMessage(choice.message).map(entry => claudeBlockForClient(entry));
 
         // Process tool calls - supports tool_calls and function_calls
         const toolCalls = choice.message?.tool_calls || choice.message?.function_calls || [];
@@ -299,15 +391,6 @@ export class OpenAIConverter extends BaseConverter {
             }
         }
 
-        // Process reasoning_content (thinking/reasoning content)
-        const reasoningContent = choice.message?.reasoning_content || "";
-        if (reasoningContent) {
-            contentList.push({
-                type: "thinking",
-                thinking: reasoningContent
-            });
-        }
-
         // Process text content
         const contentText = choice.message?.content || "";
         if (contentText) {
@@ -335,9 +418,7 @@ export class OpenAIConverter extends BaseConverter {
             stop_reason: stopReason,
             stop_sequence: null,
             usage: {
-                input_tokens: openaiResponse.usage?.prompt_tokens || 0,
-                cache_creation_input_tokens: 0,
-                cache_read_input_tokens: openaiResponse.usage?.prompt_tokens_details?.cached_tokens || 0,
+                ...claudeInputUsage(openaiResponse.usage?.prompt_tokens, openaiResponse.usage?.prompt_tokens_details?.cached_tokens),
                 output_tokens: openaiResponse.usage?.completion_tokens || 0
             }
         };
@@ -349,7 +430,7 @@ export class OpenAIConverter extends BaseConverter {
      * This method implements the reverse conversion logic of ClaudeConverter.toOpenAIStreamChunk
      * Converts OpenAI stream chunks to Claude stream events
      */
-    toClaudeStreamChunk(openaiChunk, model) {
+    toClaudeStreamChunk(openaiChunk, model, streamState = {}) {
         if (!openaiChunk) return null;
 
         // Process OpenAI chunk object
@@ -425,24 +506,31 @@ export class OpenAIConverter extends BaseConverter {
             // }
 
             // 3. Process reasoning_content (corresponds to thinking type content_block)
-            if (delta?.reasoning_content) {
-                // Note: This may need to send content_block_start first, but due to complex state management,
-                // we assume the caller will handle this logic
-                events.push({
+            const reasoningText = delta?.reasoning_content ||
+                (delta?.reasoning_details || []).map(detail => detail?.text || '').join('');
+            if (reasoningText) {
+                const block = enterClaudeBlock(streamState, { type: "thinking", thinking: "", signature: "" }, MODEL_PROTOCOL_PREFIX.OPENAI);
+                events.push(...block.events, {
                     type: "content_block_delta",
-                    index: 0,
+                    index: block.index,
                     delta: {
                         type: "thinking_delta",
-                        thinking: delta.reasoning_content
+                        thinking: reasoningText
                     }
                 });
             }
+            // Signed reasoning details (e.g. OpenRouter) close the thinking block
+            const reasoningSignature = (delta?.reasoning_details || []).find(detail => detail?.signature)?.signature;
+            if (reasoningSignature) {
+                events.push(...signClaudeBlock(streamState, wrapSignature(MODEL_PROTOCOL_PREFIX.OPENAI, reasoningSignature), MODEL_PROTOCOL_PREFIX.OPENAI));
+            }
 
             // 4. Process regular text content (corresponds to text type content_block)
             if (delta?.content) {
-                events.push({
+                const block = enterClaudeBlock(streamState, { type: "text", text: "" });
+                events.push(...block.events, {
                     type: "content_block_delta",
-                    index: 0,
+                    index: block.index,
                     delta: {
                         type: "text_delta",
                         text: delta.content
@@ -457,10 +545,15 @@ export class OpenAIConverter extends BaseConverter {
                     finishReason === "length" ? "max_tokens" :
                         "end_turn";
 
-                events.push({
-                    type: "content_block_stop",
-                    index: 0
-                });
+                const closing = leaveClaudeBlock(streamState);
+                if (closing.length > 0) {
+                    events.push(...closing);
+                } else if (!streamState.claude) {
+                    events.push({
+                        type: "content_block_stop",
+                        index: 0
+                    });
+                }
                 // Send message_delta
                 events.push({
                     type: "message_delta",
@@ -469,9 +562,7 @@ export class OpenAIConverter extends BaseConverter {
                         stop_sequence: null
                     },
                     usage: {
-                        input_tokens: openaiChunk.usage?.prompt_tokens || 0,
-                        cache_creation_input_tokens: 0,
-                        cache_read_input_tokens: openaiChunk.usage?.prompt_tokens_details?.cached_tokens || 0,
+                        ...claudeInputUsage(openaiChunk.usage?.prompt_tokens, openaiChunk.usage?.prompt_tokens_details?.cached_tokens),
                         output_tokens: openaiChunk.usage?.completion_tokens || 0
                     }
                 });
@@ -620,6 +711,14 @@ export class OpenAIConverter extends BaseConverter {
                 }
             }
 
+            // Gemini's own thoughts go back with their signatures
+            if (message.role === 'assistant') {
+                processedContent = resolveGeminiReasoningParts([
+                    ...reasoningFromOpenAIMessage(message).map(entry => ({ reasoning: entry })),
+                    ...processedContent
+                ]);
+            }
+
             if (lastMessage && lastMessage.role === geminiRole && !message.tool_calls &&
                 Array.isArray(processedContent) && processedContent.every(p => p.text) &&
                 Array.isArray(lastMessage.parts) && lastMessage.parts.every(p => p.text)) {
@@ -632,7 +731,7 @@ export class OpenAIConverter extends BaseConverter {
         }
         if (lastMessage) processedMessages.push(lastMessage);
 
-        let filteredContents = processedMessages.filter(item => item.parts && item.parts.length > 0);
+        let filteredContents = ensureGeminiFunctionCallSignatures(processedMessages.filter(item => item.parts && item.parts.length > 0));
 
         // If no user/assistant messages but we have a system instruction,
         // use the system instruction content as a user message to satisfy Gemini's requirement
@@ -735,6 +834,10 @@ export class OpenAIConverter extends BaseConverter {
                             fileData: { mimeType: 'image/jpeg', fileUri: imageUrl }
                         });
                     }
+                } else if (item.type === 'file' && documentFromOpenAIPart(item)) {
+                    parts.push(...geminiDocumentParts(documentFromOpenAIPart(item)));
+                } else if (audioFromOpenAIPart(item)) {
+                    parts.push(geminiAudioPart(audioFromOpenAIPart(item)));
                 }
             }
 
@@ -760,14 +863,15 @@ export class OpenAIConverter extends BaseConverter {
     /**
      * Build Gemini generation config
      */
-    buildGeminiGenerationConfig({ temperature, max_tokens, top_p, stop, tools, response_format }, model) {
+    buildGeminiGenerationConfig({ temperature, max_tokens, max_completion_tokens, top_p, stop, tools, response_format, reasoning_effort, modalities, audio, stream }, model) {
         const config = {};
         config.temperature = checkAndAssignOrDefault(temperature, GEMINI_DEFAULT_TEMPERATURE);
         // Cap maxOutputTokens to Gemini's limit (65536)
-        const requestedMaxTokens = checkAndAssignOrDefault(max_tokens, GEMINI_DEFAULT_MAX_TOKENS);
+        const requestedMaxTokens = checkAndAssignOrDefault(max_tokens ?? max_completion_tokens, GEMINI_DEFAULT_MAX_TOKENS);
         config.maxOutputTokens = Math.min(requestedMaxTokens, GEMINI_MAX_OUTPUT_TOKENS_LIMIT);
         config.topP = checkAndAssignOrDefault(top_p, GEMINI_DEFAULT_TOP_P);
         if (stop !== undefined) config.stopSequences = Array.isArray(stop) ? stop : [stop];
+        applyGeminiThinking(config, readReasoningConfig({ reasoning_effort }, MODEL_PROTOCOL_PREFIX.OPENAI));
 
         // Handle response_format
         if (response_format) {
@@ -791,6 +895,11 @@ export class OpenAIConverter extends BaseConverter {
             console.log(`[OpenAI->Gemini] Skipping responseModalities for model ${model} because tools are present`);
         }
 
+        // Spoken replies (modalities: ['text', 'audio'])
+        if (wantsOpenAIAudio({ modalities })) {
+            applyGeminiSpeech(config, { audio, stream });
+        }
+
         return config;
     }
     /**
@@ -803,7 +912,8 @@ export class OpenAIConverter extends BaseConverter {
 
         const choice = openaiResponse.choices[0];
         const message = choice.message || {};
-        const parts = [];
+        // Process reasoning as thought parts
+        const parts = reasoningFromOpenAIMessage(message).map(entry => geminiPartForClient(entry));
 
         // Process text content
         if (message.content) {
@@ -863,7 +973,7 @@ export class OpenAIConverter extends BaseConverter {
     /**
      * Convert OpenAI stream response chunk to Gemini stream response format
      */
-    toGeminiStreamChunk(openaiChunk, model) {
+    toGeminiStreamChunk(openaiChunk, model, streamState = {}) {
         if (!openaiChunk || !openaiChunk.choices || !openaiChunk.choices[0]) {
             return null;
         }
@@ -872,6 +982,15 @@ export class OpenAIConverter extends BaseConverter {
         const delta = choice.delta || {};
         const parts = [];
 
+        // Process reasoning as thought parts; the first part after them carries the origin signature
+        if (delta.reasoning_content) {
+            parts.push({ text: delta.reasoning_content, thought: true });
+            streamState.geminiThinking = true;
+        } else if (streamState.geminiThinking && (delta.content || delta.tool_calls?.length || choice.finish_reason)) {
+            parts.push(geminiPartForClient({ text: '', signature: wrapSignature(MODEL_PROTOCOL_PREFIX.OPENAI, '') }));
+            streamState.geminiThinking = false;
+        }
+
         // Process text content
         if (delta.content) {
             parts.push({ text: delta.content });
@@ -948,37 +1067,80 @@ export class OpenAIConverter extends BaseConverter {
      * Convert OpenAI request to OpenAI Responses format
      */
     toOpenAIResponsesRequest(openaiRequest) {
+        if (wantsOpenAIAudio(openaiRequest)) rejectAudioOutput('OpenAI Responses');
         const responsesRequest = {
             model: openaiRequest.model,
-            messages: []
+            input: []
         };
 
-        // Convert messages
-        if (openaiRequest.messages && openaiRequest.messages.length > 0) {
-            responsesRequest.messages = openaiRequest.messages.map(msg => ({
+        // Convert messages to input items
+        for (const msg of openaiRequest.messages || []) {
+            if (msg.role === 'tool') {
+                responsesRequest.input.push({
+                    type: 'function_call_output',
+                    call_id: msg.tool_call_id,
+                    output: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content ?? '')
+                });
+                continue;
+            }
+            if (msg.role === 'assistant') {
+                // Reasoning goes back only to the backend that produced it
+                reasoningFromOpenAIMessage(msg).forEach(entry => {
+                    const item = responsesItemForBackend(entry);
+                    if (item) responsesRequest.input.push(item);
+                });
+                const text = extractText(msg.content);
+                if (text) {
+                    responsesRequest.input.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] });
+                }
+                for (const toolCall of msg.tool_calls || []) {
+                    responsesRequest.input.push({
+                        type: 'function_call',
+                        call_id: toolCall.id,
+                        name: toolCall.function?.name,
+                        arguments: toolCall.function?.arguments || '{}'
+                    });
+                }
+                continue;
+            }
+            responsesRequest.input.push({
+                type: 'message',
                 role: msg.role,
                 content: typeof msg.content === 'string'
                     ? [{ type: 'input_text', text: msg.content }]
-                    : msg.content
-            }));
+                    : (msg.content || []).flatMap(part => {
+                        if (part?.type === 'text') return [{ type: 'input_text', text: part.text }];
+                        if (audioFromOpenAIPart(part)) rejectAudioInput('OpenAI Responses');
+                        const document = documentFromOpenAIPart(part);
+                        return document ? responsesDocumentParts(document) : [part];
+                    })
+            });
         }
 
         // Convert other parameters
         if (openaiRequest.temperature !== undefined) {
             responsesRequest.temperature = openaiRequest.temperature;
         }
-        if (openaiRequest.max_tokens !== undefined) {
-            responsesRequest.max_output_tokens = openaiRequest.max_tokens;
+        if ((openaiRequest.max_tokens ?? openaiRequest.max_completion_tokens) !== undefined) {
+            responsesRequest.max_output_tokens = openaiRequest.max_tokens ?? openaiRequest.max_completion_tokens;
         }
         if (openaiRequest.top_p !== undefined) {
             responsesRequest.top_p = openaiRequest.top_p;
         }
+        if (openaiRequest.stream !== undefined) {
+            responsesRequest.stream = openaiRequest.stream;
+        }
         if (openaiRequest.tools) {
-            responsesRequest.tools = openaiRequest.tools;
+            responsesRequest.tools = openaiRequest.tools.map(tool => tool.type === 'function' && tool.function
+                ? { type: 'function', name: tool.function.name, description: tool.function.description || '', parameters: tool.function.parameters || {} }
+                : tool);
         }
         if (openaiRequest.tool_choice) {
-            responsesRequest.tool_choice = openaiRequest.tool_choice;
+            responsesRequest.tool_choice = typeof openaiRequest.tool_choice === 'object' && openaiRequest.tool_choice.function
+                ? { type: 'function', name: openaiRequest.tool_choice.function.name }
+                : openaiRequest.tool_choice;
         }
+        applyResponsesReasoning(responsesRequest, readReasoningConfig(openaiRequest, MODEL_PROTOCOL_PREFIX.OPENAI));
 
         return responsesRequest;
     }
@@ -1005,7 +1167,9 @@ export class OpenAIConverter extends BaseConverter {
 
         const choice = openaiResponse.choices[0];
         const message = choice.message || {};
-        const output = [];
+        // Reasoning items come first, as OpenAI returns them
+        const reasoning = reasoningFromOpenAIMessage(message);
+        const output = reasoning.map(entry => responsesItemForClient(entry));
 
         // Build message output
         const messageContent = [];
@@ -1024,11 +1188,25 @@ export class OpenAIConverter extends BaseConverter {
             content: messageContent
         });
 
+        for (const toolCall of message.tool_calls || []) {
+            output.push({
+                type: 'function_call',
+                id: `fc_${uuidv4().replace(/-/g, '')}`,
+                status: 'completed',
+                call_id: toolCall.id,
+                name: toolCall.function?.name,
+                arguments: toolCall.function?.arguments || '{}'
+            });
+        }
+
+        const reasoningTokens = openaiResponse.usage?.completion_tokens_details?.reasoning_tokens ||
+            estimateReasoningTokens(reasoning.map(entry => entry.text).join(''), openaiResponse.usage?.completion_tokens || 0);
+
         return {
-            id: openaiResponse.id || `resp_${Date.now()}`,
+            id: `resp_${uuidv4().replace(/-/g, '')}`,
             object: 'response',
             created_at: openaiResponse.created || Math.floor(Date.now() / 1000),
-            status: choice.finish_reason === 'stop' ? 'completed' : 'in_progress',
+            status: choice.finish_reason === 'stop' || choice.finish_reason === 'tool_calls' ? 'completed' : 'in_progress',
             model: model || openaiResponse.model || 'unknown',
             output: output,
             usage: openaiResponse.usage ? {
@@ -1038,7 +1216,7 @@ export class OpenAIConverter extends BaseConverter {
                 },
                 output_tokens: openaiResponse.usage.completion_tokens || 0,
                 output_tokens_details: {
-                    reasoning_tokens: openaiResponse.usage.completion_tokens_details?.reasoning_tokens || 0
+                    reasoning_tokens: reasoningTokens
                 },
                 total_tokens: openaiResponse.usage.total_tokens || 0
             } : {
@@ -1058,19 +1236,25 @@ export class OpenAIConverter extends BaseConverter {
     /**
      * Convert OpenAI stream response to OpenAI Responses stream format
      * References ClaudeConverter.toOpenAIResponsesStreamChunk implementation logic
+     * @param {Object} openaiChunk - The OpenAI stream chunk
+     * @param {string} model - The model name
+     * @param {string} [requestId] - Key of the response state shared by the events of one stream
+     * @param {Object} [streamState] - Per-stream converter state
      */
-    toOpenAIResponsesStreamChunk(openaiChunk, model, requestId = null) {
+    toOpenAIResponsesStreamChunk(openaiChunk, model, requestId = null, streamState = {}) {
         if (!openaiChunk || !openaiChunk.choices || !openaiChunk.choices[0]) {
             return [];
         }
 
-        const responseId = requestId || `resp_${uuidv4().replace(/-/g, '')}`;
+        const responseId = requestId || streamState.responseKey || (streamState.responseKey = `resp_${uuidv4().replace(/-/g, '')}`);
+        const toolCalls = streamState.toolCalls || (streamState.toolCalls = {});
         const choice = openaiChunk.choices[0];
         const delta = choice.delta || {};
         const events = [];
 
         // First chunk - call getOpenAIResponsesStreamChunkBegin when role is assistant
-        if (delta.role === 'assistant') {
+        if (delta.role === 'assistant' && !streamState.responsesStarted) {
+            streamState.responsesStarted = true;
             events.push(
                 generateResponseCreated(responseId, model || openaiChunk.model || 'unknown'),
                 generateResponseInProgress(responseId),
@@ -1081,44 +1265,43 @@ export class OpenAIConverter extends BaseConverter {
 
         // Process reasoning_content (thinking/reasoning content)
         if (delta.reasoning_content) {
-            events.push({
-                delta: delta.reasoning_content,
-                item_id: `thinking_${uuidv4().replace(/-/g, '')}`,
-                output_index: 0,
-                sequence_number: 3,
-                type: "response.reasoning_summary_text.delta"
-            });
+            events.push(...responsesReasoningDelta(streamState, delta.reasoning_content));
+        } else if (streamState.responsesReasoning && (delta.content || delta.tool_calls?.length || choice.finish_reason)) {
+            events.push(...closeResponsesReasoning(streamState, wrapSignature(MODEL_PROTOCOL_PREFIX.OPENAI, '')));
         }
 
         // Process tool_calls
         if (delta.tool_calls && delta.tool_calls.length > 0) {
             for (const toolCall of delta.tool_calls) {
-                const outputIndex = toolCall.index || 0;
+                const key = toolCall.index || 0;
 
                 // If function.name exists, it indicates tool call start
-                if (toolCall.function && toolCall.function.name) {
-                    events.push({
+                if (toolCall.function && toolCall.function.name && !toolCalls[key]) {
+                    toolCalls[key] = {
+                        outputIndex: nextResponsesOutputIndex(streamState),
                         item: {
-                            id: toolCall.id || `call_${uuidv4().replace(/-/g, '')}`,
+                            id: `fc_${uuidv4().replace(/-/g, '')}`,
                             type: "function_call",
+                            call_id: toolCall.id || `call_${uuidv4().replace(/-/g, '')}`,
                             name: toolCall.function.name,
-                            arguments: "",
-                            status: "in_progress"
-                        },
-                        output_index: outputIndex,
-                        sequence_number: 2,
+                            arguments: ""
+                        }
+                    };
+                    events.push({
+                        item: { ...toolCalls[key].item, status: "in_progress" },
+                        output_index: toolCalls[key].outputIndex,
                         type: "response.output_item.added"
                     });
                 }
 
                 // If function.arguments exists, it indicates arguments delta
-                if (toolCall.function && toolCall.function.arguments) {
+                if (toolCall.function && toolCall.function.arguments && toolCalls[key]) {
+                    toolCalls[key].item.arguments += toolCall.function.arguments;
                     events.push({
                         delta: toolCall.function.arguments,
-                        item_id: toolCall.id || `call_${uuidv4().replace(/-/g, '')}`,
-                        output_index: outputIndex,
-                        sequence_number: 3,
-                        type: "response.custom_tool_call_input.delta"
+                        item_id: toolCalls[key].item.id,
+                        output_index: toolCalls[key].outputIndex,
+                        type: "response.function_call_arguments.delta"
                     });
                 }
             }
@@ -1126,46 +1309,80 @@ export class OpenAIConverter extends BaseConverter {
 
         // Process regular text content
         if (delta.content) {
-            events.push({
-                delta: delta.content,
-                item_id: `msg_${uuidv4().replace(/-/g, '')}`,
-                output_index: 0,
-                sequence_number: 3,
-                type: "response.output_text.delta"
-            });
+            events.push(generateOutputTextDelta(responseId, delta.content));
         }
 
         // Process completion status - call getOpenAIResponsesStreamChunkEnd
         if (choice.finish_reason) {
+            for (const key of Object.keys(toolCalls)) {
+                const { outputIndex, item } = toolCalls[key];
+                const doneItem = { ...item, status: "completed" };
+                events.push(
+                    { arguments: item.arguments, item_id: item.id, output_index: outputIndex, type: "response.function_call_arguments.done" },
+                    { item: doneItem, output_index: outputIndex, type: "response.output_item.done" }
+                );
+                addResponsesOutputItem(streamState, outputIndex, doneItem);
+                delete toolCalls[key];
+            }
+
+            const usage = openaiChunk.usage || {};
+            const completed = generateResponseCompleted(responseId, {
+                input_tokens: usage.prompt_tokens || 0,
+                input_tokens_details: {
+                    cached_tokens: usage.prompt_tokens_details?.cached_tokens || 0
+                },
+                output_tokens: usage.completion_tokens || 0,
+                output_tokens_details: {
+                    reasoning_tokens: 0
+                },
+                total_tokens: usage.total_tokens || 0
+            });
+            completeResponsesOutput(streamState, completed, usage.completion_tokens_details?.reasoning_tokens || null);
             events.push(
                 generateOutputTextDone(responseId),
                 generateContentPartDone(responseId),
                 generateOutputItemDone(responseId),
-                generateResponseCompleted(responseId)
+                completed
             );
-
-            // If there's usage info, update the last event
-            if (openaiChunk.usage && events.length > 0) {
-                const lastEvent = events[events.length - 1];
-                if (lastEvent.response) {
-                    lastEvent.response.usage = {
-                        input_tokens: openaiChunk.usage.prompt_tokens || 0,
-                        input_tokens_details: {
-                            cached_tokens: openaiChunk.usage.prompt_tokens_details?.cached_tokens || 0
-                        },
-                        output_tokens: openaiChunk.usage.completion_tokens || 0,
-                        output_tokens_details: {
-                            reasoning_tokens: openaiChunk.usage.completion_tokens_details?.reasoning_tokens || 0
-                        },
-                        total_tokens: openaiChunk.usage.total_tokens || 0
-                    };
-                }
-            }
+            streamStateManager.cleanup(responseId);
         }
 
         return events;
     }
 
+    // =========================================================================
+    // OpenAI -> Gemini Embeddings
+    // =========================================================================
+
+    /**
+     * OpenAI embedding request -> Gemini batchEmbedContents request
+     * The backend service fills in each request's model.
+     */
+    toGeminiEmbeddingRequest(openaiRequest) {
+        const inputs = Array.isArray(openaiRequest.input) ? openaiRequest.input : [openaiRequest.input];
+        if (inputs.length === 0 || inputs.some(input => typeof input !== 'string')) {
+            // Token id arrays only make sense for the tokenizer of the OpenAI model
+            const error = new Error('Gemini embedding models only accept text input (a string or an array of strings)');
+            error.status = 400;
+            throw error;
+        }
+        return {
+            requests: inputs.map(text => ({
+                content: { parts: [{ text }] },
+                ...(openaiRequest.dimensions ? { outputDimensionality: openaiRequest.dimensions } : {})
+            }))
+        };
+    }
+
+    /**
+     * OpenAI embedding response -> Gemini batchEmbedContents response
+     */
+    toGeminiEmbeddingResponse(openaiResponse) {
+        const data = [...(openaiResponse.data || [])].sort((a, b) => a.index - b.index);
+        return {
+            embeddings: data.map(item => ({ values: item.embedding }))
+        };
+    }
 }
 
 export default OpenAIConverter;
\ No newline at end of file
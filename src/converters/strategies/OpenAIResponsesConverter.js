@@ -8,11 +8,32 @@ import { MODEL_PROTOCOL_PREFIX } from '../../common.js';
 import {
     extractAndProcessSystemMessages as extractSystemMessages,
     extractTextFromMessageContent as extractText,
+    safeParseJSON,
     CLAUDE_DEFAULT_MAX_TOKENS,
     GEMINI_DEFAULT_INPUT_TOKEN_LIMIT,
     GEMINI_DEFAULT_OUTPUT_TOKEN_LIMIT,
     GEMINI_MAX_OUTPUT_TOKENS_LIMIT
 } from '../utils.js';
+import {
+    applyClaudeThinking,
+    applyGeminiThinking,
+    claudeBlockForBackend,
+    claudeBlockForClient,
+    effortFor,
+    enterClaudeBlock,
+    ensureGeminiFunctionCallSignatures,
+    geminiPartForClient,
+    leaveClaudeBlock,
+    openaiReasoningDetail,
+    openaiReasoningFields,
+    openaiReasoningForBackend,
+    readReasoningConfig,
+    reasoningFromResponsesItem,
+    resolveGeminiReasoningParts,
+    signClaudeBlock
+} from '../reasoning.js';
+import { claudeInputUsage } from '../prompt-cache.js';
+import { claudeDocumentBlock, documentFromResponsesPart, geminiDocumentParts, openaiDocumentParts } from '../documents.js';
 
 /**
  * OpenAI Responses API Converter Class
@@ -62,12 +83,12 @@ export class OpenAIResponsesConverter extends BaseConverter {
     /**
      * Convert stream response chunk to target protocol
      */
-    convertStreamChunk(chunk, toProtocol, model) {
+    convertStreamChunk(chunk, toProtocol, model, streamState) {
         switch (toProtocol) {
             case MODEL_PROTOCOL_PREFIX.OPENAI:
-                return this.toOpenAIStreamChunk(chunk, model);
+                return this.toOpenAIStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.CLAUDE:
-                return this.toClaudeStreamChunk(chunk, model);
+                return this.toClaudeStreamChunk(chunk, model, streamState);
             case MODEL_PROTOCOL_PREFIX.GEMINI:
                 return this.toGeminiStreamChunk(chunk, model);
             default:
@@ -115,31 +136,40 @@ export class OpenAIResponsesConverter extends BaseConverter {
             });
         }
 
-        // Handle input as simple string
-        if (responsesRequest.input && typeof responsesRequest.input === 'string') {
-            openaiRequest.messages.push({
-                role: 'user',
-                content: responsesRequest.input
-            });
-        }
         // input contains user messages and conversation history
-        else if (responsesRequest.input && Array.isArray(responsesRequest.input)) {
-            responsesRequest.input.forEach(item => {
-                if (item.type === 'message') {
-                    // Extract message content
-                    const content = item.content
-                        .filter(c => c.type === 'input_text')
-                        .map(c => c.text)
-                        .join('\n');
-
-                    if (content) {
-                        openaiRequest.messages.push({
-                            role: item.role,
-                            content: content
-                        });
-                    }
+        for (const turn of this.collectInputTurns(responsesRequest.input)) {
+            if (turn.role === 'tool') {
+                turn.toolResults.forEach(result => openaiRequest.messages.push({
+                    role: 'tool',
+                    tool_call_id: result.callId,
+                    content: result.output
+                }));
+            } else if (turn.role === 'assistant') {
+                const message = { role: 'assistant', content: turn.text || (turn.toolCalls.length ? null : '') };
+                if (turn.toolCalls.length > 0) {
+                    message.tool_calls = turn.toolCalls.map((call, index) => ({
+                        id: call.callId,
+                        type: 'function',
+                        function: { name: call.name, arguments: call.arguments },
+                        index
+                    }));
                 }
-            });
+                // Reasoning goes back only to the backend that produced it
+                const reasoningContent = openaiReasoningForBackend(turn.reasoning);
+                if (reasoningContent) {
+                    message.reasoning_content = reasoningContent;
+                }
+                if (message.content || message.tool_calls || message.reasoning_content) {
+                    openaiRequest.messages.push(message);
+                }
+            } else if (turn.text || turn.documents.length > 0) {
+                openaiRequest.messages.push({
+                    role: turn.role,
+                    content: turn.documents.length > 0
+                        ? [...turn.documents.flatMap(document => openaiDocumentParts(document)), ...(turn.text ? [{ type: 'text', text: turn.text }] : [])]
+                        : turn.text
+                });
+            }
         }
 
         // Also support standard messages field if present
@@ -156,12 +186,25 @@ export class OpenAIResponsesConverter extends BaseConverter {
         if (responsesRequest.temperature !== undefined) {
             openaiRequest.temperature = responsesRequest.temperature;
         }
-        if (responsesRequest.max_tokens !== undefined) {
-            openaiRequest.max_tokens = responsesRequest.max_tokens;
+        if ((responsesRequest.max_output_tokens ?? responsesRequest.max_tokens) !== undefined) {
+            openaiRequest.max_tokens = responsesRequest.max_output_tokens ?? responsesRequest.max_tokens;
         }
         if (responsesRequest.top_p !== undefined) {
             openaiRequest.top_p = responsesRequest.top_p;
         }
+        const functionTools = this.collectFunctionTools(responsesRequest.tools);
+        if (functionTools.length > 0) {
+            openaiRequest.tools = functionTools.map(tool => ({ type: 'function', function: tool }));
+            if (responsesRequest.tool_choice) {
+                openaiRequest.tool_choice = typeof responsesRequest.tool_choice === 'object' && responsesRequest.tool_choice.name
+                    ? { type: 'function', function: { name: responsesRequest.tool_choice.name } }
+                    : responsesRequest.tool_choice;
+            }
+        }
+        const reasoningConfig = readReasoningConfig(responsesRequest, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES);
+        if (reasoningConfig) {
+            openaiRequest.reasoning_effort = effortFor(reasoningConfig);
+        }
 
         return openaiRequest;
     }
@@ -170,19 +213,30 @@ export class OpenAIResponsesConverter extends BaseConverter {
      * Convert OpenAI Responses response to standard OpenAI response
      */
     toOpenAIResponse(responsesResponse, model) {
-        // OpenAI Responses format is already close to standard OpenAI format
+        const result = this.collectOutput(responsesResponse);
+        const message = {
+            role: 'assistant',
+            content: result.text || (result.toolCalls.length ? null : '')
+        };
+        if (result.toolCalls.length > 0) {
+            message.tool_calls = result.toolCalls.map((call, index) => ({
+                id: call.callId,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments },
+                index
+            }));
+        }
+        Object.assign(message, openaiReasoningFields(result.reasoning));
+
         return {
             id: responsesResponse.id || `chatcmpl-${Date.now()}`,
             object: 'chat.completion',
-            created: responsesResponse.created || Math.floor(Date.now() / 1000),
+            created: responsesResponse.created_at || responsesResponse.created || Math.floor(Date.now() / 1000),
             model: model || responsesResponse.model,
             choices: responsesResponse.choices || [{
                 index: 0,
-                message: {
-                    role: 'assistant',
-                    content: responsesResponse.content || ''
-                },
-                finish_reason: responsesResponse.finish_reason || 'stop'
+                message,
+                finish_reason: result.toolCalls.length > 0 ? 'tool_calls' : result.incomplete ? 'length' : (responsesResponse.finish_reason || 'stop')
             }],
             usage: responsesResponse.usage ? {
                 prompt_tokens: responsesResponse.usage.input_tokens || 0,
@@ -211,20 +265,91 @@ export class OpenAIResponsesConverter extends BaseConverter {
     /**
      * Convert OpenAI Responses stream chunk to standard OpenAI stream chunk
      */
-    toOpenAIStreamChunk(responsesChunk, model) {
-        return {
-            id: responsesChunk.id || `chatcmpl-${Date.now()}`,
+    toOpenAIStreamChunk(responsesChunk, model, streamState = {}) {
+        // Chat-style chunks pass through as before
+        if (!responsesChunk.type || responsesChunk.choices) {
+            return {
+                id: responsesChunk.id || `chatcmpl-${Date.now()}`,
+                object: 'chat.completion.chunk',
+                created: responsesChunk.created || Math.floor(Date.now() / 1000),
+                model: model || responsesChunk.model,
+                choices: responsesChunk.choices || [{
+                    index: 0,
+                    delta: {
+                        content: responsesChunk.delta?.content || ''
+                    },
+                    finish_reason: responsesChunk.finish_reason || null
+                }]
+            };
+        }
+
+        const toolCalls = streamState.toolCalls || (streamState.toolCalls = {});
+        const chunk = (delta, finishReason = null, usage = undefined) => ({
+            id: streamState.chunkId || (streamState.chunkId = `chatcmpl-${Date.now()}`),
             object: 'chat.completion.chunk',
-            created: responsesChunk.created || Math.floor(Date.now() / 1000),
-            model: model || responsesChunk.model,
-            choices: responsesChunk.choices || [{
-                index: 0,
-                delta: {
-                    content: responsesChunk.delta?.content || ''
-                },
-                finish_reason: responsesChunk.finish_reason || null
-            }]
-        };
+            created: Math.floor(Date.now() / 1000),
+            model: model || responsesChunk.response?.model,
+            choices: [{ index: 0, delta, finish_reason: finishReason }],
+            ...(usage ? { usage } : {})
+        });
+        const reasoningIndex = streamState.reasoningIndex || 0;
+
+        switch (responsesChunk.type) {
+            case 'response.created':
+                return chunk({ role: 'assistant', content: '' });
+            case 'response.output_text.delta':
+                return chunk({ content: responsesChunk.delta || '' });
+            case 'response.reasoning_summary_text.delta':
+            case 'response.reasoning_text.delta':
+                return chunk({
+                    reasoning_content: responsesChunk.delta || '',
+                    reasoning_details: [openaiReasoningDetail({ text: responsesChunk.delta || '' }, reasoningIndex)]
+                });
+            case 'response.output_item.added':
+                if (responsesChunk.item?.type === 'function_call') {
+                    const index = Object.keys(toolCalls).length;
+                    toolCalls[responsesChunk.item.id] = index;
+                    return chunk({
+                        tool_calls: [{
+                            index,
+                            id: responsesChunk.item.call_id,
+                            type: 'function',
+                            function: { name: responsesChunk.item.name, arguments: '' }
+                        }]
+                    });
+                }
+                return null;
+            case 'response.function_call_arguments.delta':
+                return toolCalls[responsesChunk.item_id] === undefined ? null : chunk({
+                    tool_calls: [{ index: toolCalls[responsesChunk.item_id], function: { arguments: responsesChunk.delta || '' } }]
+                });
+            case 'response.output_item.done':
+                // The finished reasoning item carries the encrypted reasoning
+                if (responsesChunk.item?.type === 'reasoning') {
+                    streamState.reasoningIndex = reasoningIndex + 1;
+                    return chunk({
+                        reasoning_details: [openaiReasoningDetail({ text: '', signature: reasoningFromResponsesItem(responsesChunk.item).signature }, reasoningIndex)]
+                    });
+                }
+                return null;
+            case 'response.completed':
+            case 'response.incomplete': {
+                const usage = responsesChunk.response?.usage;
+                return chunk({}, Object.keys(toolCalls).length > 0 ? 'tool_calls' : responsesChunk.type === 'response.incomplete' ? 'length' : 'stop', usage ? {
+                    prompt_tokens: usage.input_tokens || 0,
+                    completion_tokens: usage.output_tokens || 0,
+                    total_tokens: usage.total_tokens || 0,
+                    prompt_tokens_details: {
+                        cached_tokens: usage.input_tokens_details?.cached_tokens || 0
+                    },
+                    completion_tokens_details: {
+                        reasoning_tokens: usage.output_tokens_details?.reasoning_tokens || 0
+                    }
+                } : undefined);
+            }
+            default:
+                return null;
+        }
     }
 
     // =============================================================================
@@ -238,7 +363,7 @@ export class OpenAIResponsesConverter extends BaseConverter {
         const claudeRequest = {
             model: responsesRequest.model,
             messages: [],
-            max_tokens: responsesRequest.max_tokens || CLAUDE_DEFAULT_MAX_TOKENS,
+            max_tokens: responsesRequest.max_output_tokens || responsesRequest.max_tokens || CLAUDE_DEFAULT_MAX_TOKENS,
             stream: responsesRequest.stream || false
         };
 
@@ -247,30 +372,33 @@ export class OpenAIResponsesConverter extends BaseConverter {
             claudeRequest.system = responsesRequest.instructions;
         }
 
-        // Handle input as simple string
-        if (responsesRequest.input && typeof responsesRequest.input === 'string') {
-            claudeRequest.messages.push({
-                role: 'user',
-                content: responsesRequest.input
-            });
-        }
-        // Process messages in input array
-        else if (responsesRequest.input && Array.isArray(responsesRequest.input)) {
-            responsesRequest.input.forEach(item => {
-                if (item.type === 'message') {
-                    const content = item.content
-                        .filter(c => c.type === 'input_text')
-                        .map(c => c.text)
-                        .join('\n');
-
-                    if (content) {
-                        claudeRequest.messages.push({
-                            role: item.role === 'assistant' ? 'assistant' : 'user',
-                            content: content
-                        });
-                    }
-                }
-            });
+        // Process the conversation in input
+        for (const turn of this.collectInputTurns(responsesRequest.input)) {
+            if (turn.role === 'system' || turn.role === 'developer') {
+                claudeRequest.system = [claudeRequest.system, turn.text].filter(Boolean).join('\n');
+            } else if (turn.role === 'tool') {
+                this.pushClaudeMessage(claudeRequest.messages, 'user', turn.toolResults.map(result => ({
+                    type: 'tool_result',
+                    tool_use_id: result.callId,
+                    content: result.output
+                })));
+            } else if (turn.role === 'assistant') {
+                this.pushClaudeMessage(claudeRequest.messages, 'assistant', [
+                    // Claude requires the signed thinking of a turn to come first
+                    ...turn.reasoning.map(entry => claudeBlockForBackend(entry)).filter(Boolean),
+                    ...(turn.text ? [{ type: 'text', text: turn.text }] : []),
+                    ...turn.toolCalls.map(call => ({
+                        type: 'tool_use',
+                        id: call.callId,
+                        name: call.name,
+                        input: safeParseJSON(call.arguments) || {}
+                    }))
+                ]);
+            } else if (turn.text || turn.documents.length > 0) {
+                this.pushClaudeMessage(claudeRequest.messages, 'user', turn.documents.length > 0
+                    ? [...turn.documents.map(document => claudeDocumentBlock(document)), ...(turn.text ? [{ type: 'text', text: turn.text }] : [])]
+                    : turn.text);
+            }
         }
 
         // Also support standard messages field if present
@@ -299,6 +427,24 @@ export class OpenAIResponsesConverter extends BaseConverter {
         if (responsesRequest.top_p !== undefined) {
             claudeRequest.top_p = responsesRequest.top_p;
         }
+        const functionTools = this.collectFunctionTools(responsesRequest.tools);
+        if (functionTools.length > 0) {
+            claudeRequest.tools = functionTools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+            const toolChoice = responsesRequest.tool_choice;
+            if (toolChoice === 'required') {
+                claudeRequest.tool_choice = { type: 'any' };
+            } else if (toolChoice === 'none' || toolChoice === 'auto') {
+                claudeRequest.tool_choice = { type: toolChoice };
+            } else if (toolChoice?.name) {
+                claudeRequest.tool_choice = { type: 'tool', name: toolChoice.name };
+            }
+        }
+
+        applyClaudeThinking(claudeRequest, readReasoningConfig(responsesRequest, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES));
 
         return claudeRequest;
     }
@@ -307,30 +453,39 @@ export class OpenAIResponsesConverter extends BaseConverter {
      * Convert OpenAI Responses response to Claude response
      */
     toClaudeResponse(responsesResponse, model) {
-        const content = responsesResponse.choices?.[0]?.message?.content || 
-                       responsesResponse.content || '';
+        const result = this.collectOutput(responsesResponse);
+        const content = [
+            ...result.reasoning.map(entry => claudeBlockForClient(entry)),
+            ...(result.text || result.toolCalls.length === 0 ? [{ type: 'text', text: result.text }] : []),
+            ...result.toolCalls.map(call => ({
+                type: 'tool_use',
+                id: call.callId,
+                name: call.name,
+                input: safeParseJSON(call.arguments) || {}
+            }))
+        ];
 
         return {
             id: responsesResponse.id || `msg_${Date.now()}`,
             type: 'message',
             role: 'assistant',
-            content: [{
-                type: 'text',
-                text: content
-            }],
+            content,
             model: model || responsesResponse.model,
-            stop_reason: responsesResponse.choices?.[0]?.finish_reason || 'end_turn',
+            stop_reason: result.toolCalls.length > 0 ? 'tool_use'
+                : result.incomplete ? 'max_tokens'
+                : responsesResponse.choices?.[0]?.finish_reason || 'end_turn',
             usage: {
-                input_tokens: responsesResponse.usage?.input_tokens || responsesResponse.usage?.prompt_tokens || 0,
-                cache_creation_input_tokens: 0,
-                cache_read_input_tokens: responsesResponse.usage?.input_tokens_details?.cached_tokens || 0,
+                ...claudeInputUsage(
+                    responsesResponse.usage?.input_tokens || responsesResponse.usage?.prompt_tokens,
+                    responsesResponse.usage?.input_tokens_details?.cached_tokens || responsesResponse.usage?.prompt_tokens_details?.cached_tokens
+                ),
                 output_tokens: responsesResponse.usage?.output_tokens || responsesResponse.usage?.completion_tokens || 0,
                 prompt_tokens: responsesResponse.usage?.input_tokens || responsesResponse.usage?.prompt_tokens || 0,
                 completion_tokens: responsesResponse.usage?.output_tokens || responsesResponse.usage?.completion_tokens || 0,
                 total_tokens: responsesResponse.usage?.total_tokens ||
                     ((responsesResponse.usage?.input_tokens || responsesResponse.usage?.prompt_tokens || 0) +
                      (responsesResponse.usage?.output_tokens || responsesResponse.usage?.completion_tokens || 0)),
-                cached_tokens: responsesResponse.usage?.input_tokens_details?.cached_tokens || 0
+                cached_tokens: responsesResponse.usage?.input_tokens_details?.cached_tokens || responsesResponse.usage?.prompt_tokens_details?.cached_tokens || 0
             }
         };
     }
@@ -338,38 +493,117 @@ export class OpenAIResponsesConverter extends BaseConverter {
     /**
      * Convert OpenAI Responses stream chunk to Claude stream chunk
      */
-    toClaudeStreamChunk(responsesChunk, model) {
-        const delta = responsesChunk.choices?.[0]?.delta || responsesChunk.delta || {};
-        const finishReason = responsesChunk.choices?.[0]?.finish_reason || 
-                           responsesChunk.finish_reason;
+    toClaudeStreamChunk(responsesChunk, model, streamState = {}) {
+        // Chat-style chunks keep the previous mapping
+        if (!responsesChunk.type || responsesChunk.choices) {
+            const delta = responsesChunk.choices?.[0]?.delta || responsesChunk.delta || {};
+            const finishReason = responsesChunk.choices?.[0]?.finish_reason ||
+                               responsesChunk.finish_reason;
+
+            if (finishReason) {
+                return {
+                    type: 'message_stop'
+                };
+            }
 
-        if (finishReason) {
-            return {
-                type: 'message_stop'
-            };
-        }
+            if (delta.content) {
+                return {
+                    type: 'content_block_delta',
+                    index: 0,
+                    delta: {
+                        type: 'text_delta',
+                        text: delta.content
+                    }
+                };
+            }
 
-        if (delta.content) {
             return {
-                type: 'content_block_delta',
-                index: 0,
-                delta: {
-                    type: 'text_delta',
-                    text: delta.content
+                type: 'message_start',
+                message: {
+                    id: responsesChunk.id || `msg_${Date.now()}`,
+                    type: 'message',
+                    role: 'assistant',
+                    content: [],
+                    model: model || responsesChunk.model
                 }
             };
         }
 
-        return {
-            type: 'message_start',
-            message: {
-                id: responsesChunk.id || `msg_${Date.now()}`,
-                type: 'message',
-                role: 'assistant',
-                content: [],
-                model: model || responsesChunk.model
+        const events = [];
+        const item = responsesChunk.item;
+        switch (responsesChunk.type) {
+            case 'response.created':
+                events.push({
+                    type: 'message_start',
+                    message: {
+                        id: responsesChunk.response?.id || `msg_${Date.now()}`,
+                        type: 'message',
+                        role: 'assistant',
+                        content: [],
+                        model: model || responsesChunk.response?.model
+                    }
+                });
+                break;
+            case 'response.reasoning_summary_text.delta':
+            case 'response.reasoning_text.delta': {
+                const block = enterClaudeBlock(streamState, { type: 'thinking', thinking: '', signature: '' }, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES);
+                events.push(...block.events, {
+                    type: 'content_block_delta',
+                    index: block.index,
+                    delta: { type: 'thinking_delta', thinking: responsesChunk.delta || '' }
+                });
+                break;
             }
-        };
+            case 'response.output_text.delta': {
+                const block = enterClaudeBlock(streamState, { type: 'text', text: '' });
+                events.push(...block.events, {
+                    type: 'content_block_delta',
+                    index: block.index,
+                    delta: { type: 'text_delta', text: responsesChunk.delta || '' }
+                });
+                break;
+            }
+            case 'response.output_item.added':
+                if (item?.type === 'function_call') {
+                    streamState.claudeToolUse = true;
+                    events.push(...enterClaudeBlock(streamState, { type: 'tool_use', id: item.call_id, name: item.name, input: {} }).events);
+                }
+                break;
+            case 'response.function_call_arguments.delta':
+                if (streamState.claude?.open?.type === 'tool_use') {
+                    events.push({
+                        type: 'content_block_delta',
+                        index: streamState.claude.open.index,
+                        delta: { type: 'input_json_delta', partial_json: responsesChunk.delta || '' }
+                    });
+                }
+                break;
+            case 'response.output_item.done':
+                // The finished reasoning item carries the encrypted reasoning
+                if (item?.type === 'reasoning') {
+                    events.push(...signClaudeBlock(streamState, reasoningFromResponsesItem(item).signature, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES));
+                } else if (item?.type === 'function_call') {
+                    events.push(...leaveClaudeBlock(streamState));
+                }
+                break;
+            case 'response.completed':
+            case 'response.incomplete': {
+                const usage = responsesChunk.response?.usage || {};
+                events.push(...leaveClaudeBlock(streamState), {
+                    type: 'message_delta',
+                    delta: {
+                        stop_reason: streamState.claudeToolUse ? 'tool_use' : responsesChunk.type === 'response.incomplete' ? 'max_tokens' : 'end_turn',
+                        stop_sequence: null
+                    },
+                    usage: {
+                        ...claudeInputUsage(usage.input_tokens, usage.input_tokens_details?.cached_tokens),
+                        output_tokens: usage.output_tokens || 0
+                    }
+                }, { type: 'message_stop' });
+                break;
+            }
+        }
+        return events.length > 0 ? events : null;
     }
 
     // =============================================================================
@@ -394,42 +628,41 @@ export class OpenAIResponsesConverter extends BaseConverter {
             };
         }
 
-        // Handle input as simple string
-        if (responsesRequest.input && typeof responsesRequest.input === 'string') {
-            geminiRequest.contents.push({
-                role: 'user',
-                parts: [{
-                    text: responsesRequest.input
-                }]
-            });
-        }
-        // Process messages in input array
-        else if (responsesRequest.input && Array.isArray(responsesRequest.input)) {
-            responsesRequest.input.forEach(item => {
-                // If item has no type property, default to message
-                // Or item.type is explicitly message
-                if (!item.type || item.type === 'message') {
-                    let content = '';
-                    if (Array.isArray(item.content)) {
-                        content = item.content
-                            .filter(c => c.type === 'input_text')
-                            .map(c => c.text)
-                            .join('\n');
-                    } else if (typeof item.content === 'string') {
-                        content = item.content;
-                    }
-
-                    if (content) {
-                        geminiRequest.contents.push({
-                            role: item.role === 'assistant' ? 'model' : 'user',
-                            parts: [{
-                                text: content
-                            }]
-                        });
-                    }
+        // Process the conversation in input
+        const toolNamesByCallId = {};
+        for (const turn of this.collectInputTurns(responsesRequest.input)) {
+            if (turn.role === 'tool') {
+                geminiRequest.contents.push({
+                    role: 'user',
+                    parts: turn.toolResults.map(result => ({
+                        functionResponse: {
+                            name: toolNamesByCallId[result.callId] || result.callId,
+                            response: { content: result.output }
+                        }
+                    }))
+                });
+            } else if (turn.role === 'assistant') {
+                turn.toolCalls.forEach(call => { toolNamesByCallId[call.callId] = call.name; });
+                // Gemini's own thoughts go back with their signatures
+                const parts = resolveGeminiReasoningParts([
+                    ...turn.reasoning.map(entry => ({ reasoning: entry })),
+                    ...(turn.text ? [{ text: turn.text }] : []),
+                    ...turn.toolCalls.map(call => ({ functionCall: { name: call.name, args: safeParseJSON(call.arguments) || {} } }))
+                ]);
+                if (parts.length > 0) {
+                    geminiRequest.contents.push({ role: 'model', parts });
                 }
-            });
+            } else if (turn.text || turn.documents.length > 0) {
+                geminiRequest.contents.push({
+                    role: 'user',
+                    parts: [
+                        ...turn.documents.flatMap(document => geminiDocumentParts(document)),
+                        ...(turn.text ? [{ text: turn.text }] : [])
+                    ]
+                });
+            }
         }
+        ensureGeminiFunctionCallSignatures(geminiRequest.contents);
 
         // Also support standard messages field if present
         if (responsesRequest.messages && Array.isArray(responsesRequest.messages)) {
@@ -460,16 +693,23 @@ export class OpenAIResponsesConverter extends BaseConverter {
         if (responsesRequest.temperature !== undefined) {
             geminiRequest.generationConfig.temperature = responsesRequest.temperature;
         }
-        if (responsesRequest.max_tokens !== undefined) {
+        const maxTokens = responsesRequest.max_output_tokens ?? responsesRequest.max_tokens;
+        if (maxTokens !== undefined) {
             // Cap maxOutputTokens to Gemini's limit (65536)
             geminiRequest.generationConfig.maxOutputTokens = Math.min(
-                responsesRequest.max_tokens,
+                maxTokens,
                 GEMINI_MAX_OUTPUT_TOKENS_LIMIT
             );
         }
         if (responsesRequest.top_p !== undefined) {
             geminiRequest.generationConfig.topP = responsesRequest.top_p;
         }
+        applyGeminiThinking(geminiRequest.generationConfig, readReasoningConfig(responsesRequest, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES));
+
+        const functionTools = this.collectFunctionTools(responsesRequest.tools);
+        if (functionTools.length > 0) {
+            geminiRequest.tools = [{ functionDeclarations: functionTools }];
+        }
 
         return geminiRequest;
     }
@@ -478,18 +718,20 @@ export class OpenAIResponsesConverter extends BaseConverter {
      * Convert OpenAI Responses response to Gemini response
      */
     toGeminiResponse(responsesResponse, model) {
-        const content = responsesResponse.choices?.[0]?.message?.content || 
-                       responsesResponse.content || '';
+        const result = this.collectOutput(responsesResponse);
+        const parts = [
+            ...result.reasoning.map(entry => geminiPartForClient(entry)),
+            ...(result.text || result.toolCalls.length === 0 ? [{ text: result.text }] : []),
+            ...result.toolCalls.map(call => ({ functionCall: { name: call.name, args: safeParseJSON(call.arguments) || {} } }))
+        ];
 
         return {
             candidates: [{
                 content: {
-                    parts: [{
-                        text: content
-                    }],
+                    parts,
                     role: 'model'
                 },
-                finishReason: this.mapFinishReason(
+                finishReason: result.incomplete ? 'MAX_TOKENS' : this.mapFinishReason(
                     responsesResponse.choices?.[0]?.finish_reason || 'STOP'
                 ),
                 index: 0
@@ -518,22 +760,176 @@ export class OpenAIResponsesConverter extends BaseConverter {
      * Convert OpenAI Responses stream chunk to Gemini stream chunk
      */
     toGeminiStreamChunk(responsesChunk, model) {
-        const delta = responsesChunk.choices?.[0]?.delta || responsesChunk.delta || {};
-        const finishReason = responsesChunk.choices?.[0]?.finish_reason || 
-                           responsesChunk.finish_reason;
+        // Chat-style chunks keep the previous mapping
+        if (!responsesChunk.type || responsesChunk.choices) {
+            const delta = responsesChunk.choices?.[0]?.delta || responsesChunk.delta || {};
+            const finishReason = responsesChunk.choices?.[0]?.finish_reason ||
+                               responsesChunk.finish_reason;
 
-        return {
-            candidates: [{
-                content: {
-                    parts: delta.content ? [{
-                        text: delta.content
-                    }] : [],
-                    role: 'model'
-                },
-                finishReason: finishReason ? this.mapFinishReason(finishReason) : null,
-                index: 0
-            }]
+            return {
+                candidates: [{
+                    content: {
+                        parts: delta.content ? [{
+                            text: delta.content
+                        }] : [],
+                        role: 'model'
+                    },
+                    finishReason: finishReason ? this.mapFinishReason(finishReason) : null,
+                    index: 0
+                }]
+            };
+        }
+
+        const candidate = (parts, finishReason = null) => ({
+            candidates: [{ content: { parts, role: 'model' }, finishReason, index: 0 }]
+        });
+        const item = responsesChunk.item;
+        switch (responsesChunk.type) {
+            case 'response.output_text.delta':
+                return candidate([{ text: responsesChunk.delta || '' }]);
+            case 'response.reasoning_summary_text.delta':
+            case 'response.reasoning_text.delta':
+                return candidate([{ text: responsesChunk.delta || '', thought: true }]);
+            case 'response.output_item.done':
+                // The finished reasoning item carries the encrypted reasoning
+                if (item?.type === 'reasoning') {
+                    return candidate([geminiPartForClient({ text: '', signature: reasoningFromResponsesItem(item).signature })]);
+                }
+                if (item?.type === 'function_call') {
+                    return candidate([{ functionCall: { name: item.name, args: safeParseJSON(item.arguments) || {} } }]);
+                }
+                return null;
+            case 'response.completed':
+            case 'response.incomplete': {
+                const usage = responsesChunk.response?.usage || {};
+                return {
+                    ...candidate([], responsesChunk.type === 'response.incomplete' ? 'MAX_TOKENS' : 'STOP'),
+                    usageMetadata: {
+                        promptTokenCount: usage.input_tokens || 0,
+                        candidatesTokenCount: usage.output_tokens || 0,
+                        totalTokenCount: usage.total_tokens || 0,
+                        cachedContentTokenCount: usage.input_tokens_details?.cached_tokens || 0,
+                        thoughtsTokenCount: usage.output_tokens_details?.reasoning_tokens || 0
+                    }
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // =============================================================================
+    // Responses Items
+    // =============================================================================
+
+    /**
+     * Groups Responses input items into conversation turns: { role, text, documents, reasoning, toolCalls, toolResults }.
+     * Reasoning and function calls belong to the assistant turn around them; consecutive function
+     * call outputs form one 'tool' turn.
+     */
+    collectInputTurns(input) {
+        if (typeof input === 'string') {
+            return input ? [{ role: 'user', text: input, documents: [], reasoning: [], toolCalls: [], toolResults: [] }] : [];
+        }
+
+        const turns = [];
+        const current = role => {
+            const last = turns[turns.length - 1];
+            if (last && last.role === role) return last;
+            const turn = { role, text: '', documents: [], reasoning: [], toolCalls: [], toolResults: [] };
+            turns.push(turn);
+            return turn;
         };
+
+        for (const item of Array.isArray(input) ? input : []) {
+            if (!item) continue;
+            // If item has no type property, default to message
+            const type = item.type || 'message';
+            if (type === 'message') {
+                const text = typeof item.content === 'string'
+                    ? item.content
+                    : (item.content || [])
+                        .filter(c => c.type === 'input_text' || c.type === 'output_text')
+                        .map(c => c.text)
+                        .join('\n');
+                const documents = Array.isArray(item.content)
+                    ? item.content.map(c => documentFromResponsesPart(c)).filter(Boolean)
+                    : [];
+                if (!text && documents.length === 0) continue;
+                const role = item.role === 'assistant' ? 'assistant' : (item.role || 'user');
+                const turn = role === 'assistant' && turns[turns.length - 1]?.toolCalls.length ? current('user') && current(role) : current(role);
+                if (text) turn.text = turn.text ? `${turn.text}\n${text}` : text;
+                turn.documents.push(...documents);
+            } else if (type === 'reasoning') {
+                current('assistant').reasoning.push(reasoningFromResponsesItem(item));
+            } else if (type === 'function_call') {
+                current('assistant').toolCalls.push({ callId: item.call_id, name: item.name, arguments: item.arguments || '{}' });
+            } else if (type === 'function_call_output') {
+                current('tool').toolResults.push({
+                    callId: item.call_id,
+                    output: typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? '')
+                });
+            }
+        }
+        return turns;
+    }
+
+    /**
+     * Reads the output of a Responses API response: reasoning entries, text and function calls.
+     * Chat-style responses are read from their first choice.
+     */
+    collectOutput(responsesResponse) {
+        if (!Array.isArray(responsesResponse?.output)) {
+            return {
+                reasoning: [],
+                text: responsesResponse?.choices?.[0]?.message?.content || responsesResponse?.content || '',
+                toolCalls: [],
+                incomplete: false
+            };
+        }
+
+        const result = { reasoning: [], text: '', toolCalls: [], incomplete: responsesResponse.status === 'incomplete' };
+        for (const item of responsesResponse.output) {
+            if (item?.type === 'reasoning') {
+                result.reasoning.push(reasoningFromResponsesItem(item));
+            } else if (item?.type === 'message') {
+                result.text += (item.content || [])
+                    .filter(part => part.type === 'output_text')
+                    .map(part => part.text)
+                    .join('');
+            } else if (item?.type === 'function_call') {
+                result.toolCalls.push({ callId: item.call_id, name: item.name, arguments: item.arguments || '{}' });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Returns the function tools of a Responses request as { name, description, parameters }.
+     * Built-in tools (web_search, file_search, ...) have no equivalent and are dropped.
+     */
+    collectFunctionTools(tools) {
+        return (Array.isArray(tools) ? tools : [])
+            .filter(tool => tool?.type === 'function' && tool.name)
+            .map(tool => ({
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            }));
+    }
+
+    /**
+     * Appends content to the Claude messages, merging it into the previous message of the same role.
+     */
+    pushClaudeMessage(messages, role, content) {
+        if (Array.isArray(content) && content.length === 0) return;
+        const last = messages[messages.length - 1];
+        if (!last || last.role !== role) {
+            messages.push({ role, content });
+            return;
+        }
+        const asBlocks = value => typeof value === 'string' ? [{ type: 'text', text: value }] : value;
+        last.content = [...asBlocks(last.content), ...asBlocks(content)];
     }
 
     // =============================================================================
@@ -0,0 +1,61 @@
+import { MODEL_PROTOCOL_PREFIX, MODEL_PROVIDER, getProtocolPrefix } from './common.js';
+import { replaceDocumentsWithText } from './converters/documents.js';
+
+/**
+ * Text fallback for document inputs. The converters map PDF and text documents between the
+ * protocols; backends that cannot read PDFs get the documents' text instead, extracted locally.
+ * Claude Code only takes plain text messages, so it gets the text by default; other backends
+ * (e.g. OpenAI-compatible servers without file input) can be listed in the config.
+ */
+
+/**
+ * Returns the document settings.
+ * Config shape (config.json `documents`):
+ *   { extractText: ['claudeCode-custom', 'openai-custom'] }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.documents || {};
+    return {
+        extractText: Array.isArray(settings.extractText) ? settings.extractText : [MODEL_PROVIDER.CLAUDE_CODE_CUSTOM]
+    };
+}
+
+/**
+ * Replaces the documents of a backend request with their text if the backend provider is set
+ * to get text.
+ * @param {Object} config - The server configuration
+ * @param {Object} requestBody - The request, in the backend's format
+ * @param {string} fromProvider - The client protocol
+ * @param {string} toProvider - The backend provider
+ * @returns {Object} The request to send
+ */
+function applyDocumentFallback(config, requestBody, fromProvider, toProvider) {
+    const settings = getSettings(config);
+    if (!settings.extractText.includes(toProvider)) {
+        return requestBody;
+    }
+
+    // Claude Code requests are not converted and stay in the client's format
+    const toProtocol = getProtocolPrefix(toProvider);
+    const protocol = toProtocol === MODEL_PROTOCOL_PREFIX.CLAUDE_CODE ? getProtocolPrefix(fromProvider) : toProtocol;
+    const { body, count } = replaceDocumentsWithText(requestBody, protocol);
+    if (count > 0) {
+        console.log(`[Documents] Sending the text of ${count} document(s) to ${toProvider}`);
+    }
+    return body;
+}
+
+const documentService = {
+    getSettings,
+    applyDocumentFallback
+};
+
+export default documentService;
+
+// Named exports for convenience
+export {
+    getSettings,
+    applyDocumentFallback
+};
@@ -531,7 +531,7 @@ export class AntigravityApiService {
         return { models: formattedModels };
     }
 
-    async callApi(method, body, isRetry = false, retryCount = 0, baseURLIndex = 0) {
+    async callApi(method, body, isRetry = false, retryCount = 0, baseURLIndex = 0, signal = null) {
         const maxRetries = this.config.REQUEST_MAX_RETRIES || 3;
         const baseDelay = this.config.REQUEST_BASE_DELAY || 1000;
 
@@ -550,29 +550,32 @@ export class AntigravityApiService {
                     'User-Agent': this.userAgent
                 },
                 responseType: 'json',
-                body: JSON.stringify(body)
+                body: JSON.stringify(body),
+                signal: signal || undefined
             };
 
             const res = await this.authClient.request(requestOptions);
             return res.data;
         } catch (error) {
+            // A cancelled request (e.g. the losing side of a hedged request) is not retried
+            if (signal?.aborted) throw error;
             console.error(`[Antigravity API] Error calling ${method} on ${baseURL}:`, error.response?.status, error.message);
 
             if ((error.response?.status === 400 || error.response?.status === 401) && !isRetry) {
                 console.log('[Antigravity API] Received 401/400. Refreshing auth and retrying...');
                 await this.initializeAuth(true);
-                return this.callApi(method, body, true, retryCount, baseURLIndex);
+                return this.callApi(method, body, true, retryCount, baseURLIndex, signal);
             }
 
             if (error.response?.status === 429) {
                 if (baseURLIndex + 1 < this.baseURLs.length) {
                     console.log(`[Antigravity API] Rate limited on ${baseURL}. Trying next base URL...`);
-                    return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1);
+                    return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1, signal);
                 } else if (retryCount < maxRetries) {
                     const delay = baseDelay * Math.pow(2, retryCount);
                     console.log(`[Antigravity API] Rate limited. Retrying in ${delay}ms...`);
                     await new Promise(resolve => setTimeout(resolve, delay));
-                    return this.callApi(method, body, isRetry, retryCount + 1, 0);
+                    return this.callApi(method, body, isRetry, retryCount + 1, 0, signal);
                 }
             }
 
@@ -581,7 +584,7 @@ export class AntigravityApiService {
             if (error.response?.status === 403) {
                 if (baseURLIndex + 1 < this.baseURLs.length) {
                     console.log(`[Antigravity API] 403 Forbidden on ${baseURL}. Trying next base URL...`);
-                    return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1);
+                    return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1, signal);
                 }
                 // If all URLs tried, throw to allow pool-based retry with different account
                 console.log(`[Antigravity API] 403 Forbidden on all base URLs. Throwing for account-level retry...`);
@@ -589,14 +592,14 @@ export class AntigravityApiService {
 
             if (!error.response && baseURLIndex + 1 < this.baseURLs.length) {
                 console.log(`[Antigravity API] Network error on ${baseURL}. Trying next base URL...`);
-                return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1);
+                return this.callApi(method, body, isRetry, retryCount, baseURLIndex + 1, signal);
             }
 
             if (error.response?.status >= 500 && error.response?.status < 600 && retryCount < maxRetries) {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[Antigravity API] Server error ${error.response.status}. Retrying in ${delay}ms...`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(method, body, isRetry, retryCount + 1, baseURLIndex);
+                return this.callApi(method, body, isRetry, retryCount + 1, baseURLIndex, signal);
             }
 
             throw error;
@@ -709,7 +712,7 @@ export class AntigravityApiService {
         }
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         console.log(`[Antigravity Auth Token] Time until expiry: ${formatExpiryTime(this.authClient.credentials.expiry_date)}`);
 
         let selectedModel = model;
@@ -728,7 +731,7 @@ export class AntigravityApiService {
         // Set model name to actual model name
         payload.model = actualModelName;
 
-        const response = await this.callApi('generateContent', payload);
+        const response = await this.callApi('generateContent', payload, false, 0, 0, options.signal);
         return toGeminiApiResponse(response.response);
     }
 
@@ -30,25 +30,10 @@ const CREDENTIALS_DIR = '.gemini';
 const CREDENTIALS_FILE = 'oauth_creds.json';
 const DEFAULT_CODE_ASSIST_ENDPOINT = 'https://cloudcode-pa.googleapis.com';
 const DEFAULT_CODE_ASSIST_API_VERSION = 'v1internal';
+const DEFAULT_GENERATIVE_LANGUAGE_ENDPOINT = 'https://generativelanguage.googleapis.com';
 const OAUTH_CLIENT_ID = process.env.GEMINI_CLI_OAUTH_CLIENT_ID;
 const OAUTH_CLIENT_SECRET = process.env.GEMINI_CLI_OAUTH_CLIENT_SECRET;
 const GEMINI_MODELS = getProviderModels('gemini-cli-oauth');
-const ANTI_TRUNCATION_MODELS = GEMINI_MODELS.map(model => `anti-${model}`);
-
-function is_anti_truncation_model(model) {
-    return ANTI_TRUNCATION_MODELS.some(antiModel => model.includes(antiModel));
-}
-
-// Extract actual model name from anti-truncation model name
-function extract_model_from_anti_model(model) {
-    if (model.startsWith('anti-')) {
-        const originalModel = model.substring(5); // Remove 'anti-' prefix
-        if (GEMINI_MODELS.includes(originalModel)) {
-            return originalModel;
-        }
-    }
-    return model; // If not anti- prefix or not in original model list, return original model name
-}
 
 function toGeminiApiResponse(codeAssistResponse) {
     if (!codeAssistResponse) return null;
@@ -119,78 +104,6 @@ function ensureRolesInContents(requestBody) {
     return requestBody;
 }
 
-async function* apply_anti_truncation_to_stream(service, model, requestBody) {
-    let currentRequest = { ...requestBody };
-    let allGeneratedText = '';
-
-    while (true) {
-        // Send request and process streaming response
-        const apiRequest = {
-            model: model,
-            project: service.projectId,
-            request: currentRequest
-        };
-        const stream = service.streamApi(API_ACTIONS.STREAM_GENERATE_CONTENT, apiRequest);
-
-        let lastChunk = null;
-        let hasContent = false;
-
-        for await (const chunk of stream) {
-            const response = toGeminiApiResponse(chunk.response);
-            if (response && response.candidates && response.candidates[0]) {
-                yield response;
-                lastChunk = response;
-                hasContent = true;
-            }
-        }
-
-        // Check if truncated due to reaching token limit
-        if (lastChunk &&
-            lastChunk.candidates &&
-            lastChunk.candidates[0] &&
-            lastChunk.candidates[0].finishReason === 'MAX_TOKENS') {
-
-            // Extract generated text content
-            if (lastChunk.candidates[0].content && lastChunk.candidates[0].content.parts) {
-                const generatedParts = lastChunk.candidates[0].content.parts
-                    .filter(part => part.text)
-                    .map(part => part.text);
-
-                if (generatedParts.length > 0) {
-                    const currentGeneratedText = generatedParts.join('');
-                    allGeneratedText += currentGeneratedText;
-
-                    // Build new request with previous conversation history and continue instruction
-                    const newContents = [...requestBody.contents];
-
-                    // Add previously generated content as model response
-                    newContents.push({
-                        role: 'model',
-                        parts: [{ text: currentGeneratedText }]
-                    });
-
-                    // Add continue generation instruction
-                    newContents.push({
-                        role: 'user',
-                        parts: [{ text: 'Please continue from where you left off.' }]
-                    });
-
-                    currentRequest = {
-                        ...requestBody,
-                        contents: newContents
-                    };
-
-                    // Continue to next round of request
-                    continue;
-                }
-            }
-        }
-
-        // If no truncation or cannot continue, exit loop
-        break;
-    }
-}
-
 export class GeminiApiService {
     constructor(config) {
         // Configure OAuth2Client to use custom HTTP agent
@@ -212,6 +125,8 @@ export class GeminiApiService {
 
         this.codeAssistEndpoint = config.GEMINI_BASE_URL || DEFAULT_CODE_ASSIST_ENDPOINT;
         this.apiVersion = DEFAULT_CODE_ASSIST_API_VERSION;
+        // Generative Language API, for what Code Assist does not serve (embeddings, context caching)
+        this.generativeLanguageEndpoint = config.GEMINI_EMBEDDING_BASE_URL || DEFAULT_GENERATIVE_LANGUAGE_ENDPOINT;
     }
 
     async initialize() {
@@ -406,7 +321,7 @@ export class GeminiApiService {
         return { models: formattedModels };
     }
 
-    async callApi(method, body, isRetry = false, retryCount = 0) {
+    async callApi(method, body, isRetry = false, retryCount = 0, signal = null) {
         const maxRetries = this.config.REQUEST_MAX_RETRIES || 3;
         const baseDelay = this.config.REQUEST_BASE_DELAY || 1000; // 1 second base delay
 
@@ -417,17 +332,20 @@ export class GeminiApiService {
                 headers: { "Content-Type": "application/json" },
                 responseType: "json",
                 body: JSON.stringify(body),
+                signal: signal || undefined,
             };
             const res = await this.authClient.request(requestOptions);
             return res.data;
         } catch (error) {
+            // A cancelled request (e.g. the losing side of a hedged request) is not retried
+            if (signal?.aborted) throw error;
             console.error(`[API] Error calling ${method}:`, error.response?.status, error.message);
 
             // Handle 401 (Unauthorized) - refresh auth and retry once
             if ((error.response?.status === 400 || error.response?.status === 401) && !isRetry) {
                 console.log('[API] Received 401/400. Refreshing auth and retrying...');
                 await this.initializeAuth(true);
-                return this.callApi(method, body, true, retryCount);
+                return this.callApi(method, body, true, retryCount, signal);
             }
 
             // Handle 429 (Too Many Requests) with exponential backoff
@@ -435,7 +353,7 @@ export class GeminiApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received 429 (Too Many Requests). Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(method, body, isRetry, retryCount + 1);
+                return this.callApi(method, body, isRetry, retryCount + 1, signal);
             }
 
             // Handle other retryable errors (5xx server errors)
@@ -443,7 +361,7 @@ export class GeminiApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received ${error.response.status} server error. Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(method, body, isRetry, retryCount + 1);
+                return this.callApi(method, body, isRetry, retryCount + 1, signal);
             }
 
             throw error;
@@ -518,8 +436,11 @@ export class GeminiApiService {
         }
     }
 
-    async generateContent(model, requestBody) {
+    async generateContent(model, requestBody, options = {}) {
         console.log(`[Auth Token] Time until expiry: ${formatExpiryTime(this.authClient.credentials.expiry_date)}`);
+        if (requestBody.cachedContent) {
+            return this.generateWithCachedContent(model, requestBody, options);
+        }
         let selectedModel = model;
         if (!GEMINI_MODELS.includes(model)) {
             console.warn(`[Gemini] Model '${model}' not found. Using default model: '${GEMINI_MODELS[0]}'`);
@@ -527,33 +448,127 @@ export class GeminiApiService {
         }
         const processedRequestBody = ensureRolesInContents(requestBody);
         const apiRequest = { model: selectedModel, project: this.projectId, request: processedRequestBody };
-        const response = await this.callApi(API_ACTIONS.GENERATE_CONTENT, apiRequest);
+        const response = await this.callApi(API_ACTIONS.GENERATE_CONTENT, apiRequest, false, 0, options.signal);
         return toGeminiApiResponse(response.response);
     }
 
     async * generateContentStream(model, requestBody) {
         console.log(`[Auth Token] Time until expiry: ${formatExpiryTime(this.authClient.credentials.expiry_date)}`);
+        if (requestBody.cachedContent) {
+            yield* this.generateWithCachedContentStream(model, requestBody);
+            return;
+        }
 
-        // Check if it's an anti-truncation model
-        if (is_anti_truncation_model(model)) {
-            // Extract actual model name from anti-truncation model name
-            const actualModel = extract_model_from_anti_model(model);
-            // Use anti-truncation stream processing
-            const processedRequestBody = ensureRolesInContents(requestBody);
-            yield* apply_anti_truncation_to_stream(this, actualModel, processedRequestBody);
-        } else {
-            // Normal stream processing
-            let selectedModel = model;
-            if (!GEMINI_MODELS.includes(model)) {
-                console.warn(`[Gemini] Model '${model}' not found. Using default model: '${GEMINI_MODELS[0]}'`);
-                selectedModel = GEMINI_MODELS[0];
+        let selectedModel = model;
+        if (!GEMINI_MODELS.includes(model)) {
+            console.warn(`[Gemini] Model '${model}' not found. Using default model: '${GEMINI_MODELS[0]}'`);
+            selectedModel = GEMINI_MODELS[0];
+        }
+        const processedRequestBody = ensureRolesInContents(requestBody);
+        const apiRequest = { model: selectedModel, project: this.projectId, request: processedRequestBody };
+        const stream = this.streamApi(API_ACTIONS.STREAM_GENERATE_CONTENT, apiRequest);
+        for await (const chunk of stream) {
+            yield toGeminiApiResponse(chunk.response);
+        }
+    }
+
+    /**
+     * Embeds a batch of texts. Code Assist does not serve embedding models, so this calls the
+     * Generative Language API with the same OAuth credentials, billed to the account's project.
+     * @param {string} model - The embedding model (e.g. gemini-embedding-001)
+     * @param {Object} requestBody - A batchEmbedContents request ({ requests: [...] })
+     * @param {Object} [options] - Optional. { signal } (AbortSignal) to cancel the request
+     * @returns {Promise<Object>} The batchEmbedContents response ({ embeddings: [...] })
+     */
+    async createEmbeddings(model, requestBody, options = {}, isRetry = false) {
+        const modelName = `models/${model}`;
+        const body = { requests: (requestBody.requests || []).map(request => ({ ...request, model: modelName })) };
+        const headers = { "Content-Type": "application/json" };
+        if (this.projectId && this.projectId !== 'default') {
+            headers["x-goog-user-project"] = this.projectId;
+        }
+        try {
+            const res = await this.authClient.request({
+                url: `${this.generativeLanguageEndpoint}/v1beta/${modelName}:${API_ACTIONS.BATCH_EMBED_CONTENTS}`,
+                method: "POST",
+                headers,
+                responseType: "json",
+                body: JSON.stringify(body),
+                signal: options.signal || undefined,
+            });
+            return res.data;
+        } catch (error) {
+            console.error(`[API] Error calling ${API_ACTIONS.BATCH_EMBED_CONTENTS}:`, error.response?.status, error.message);
+            // Handle 401 (Unauthorized) - refresh auth and retry once
+            if (error.response?.status === 401 && !isRetry && !options.signal?.aborted) {
+                console.log('[API] Received 401. Refreshing auth and retrying...');
+                await this.initializeAuth(true);
+                return this.createEmbeddings(model, requestBody, options, true);
             }
-            const processedRequestBody = ensureRolesInContents(requestBody);
-            const apiRequest = { model: selectedModel, project: this.projectId, request: processedRequestBody };
-            const stream = this.streamApi(API_ACTIONS.STREAM_GENERATE_CONTENT, apiRequest);
-            for await (const chunk of stream) {
-                yield toGeminiApiResponse(chunk.response);
+            throw error;
+        }
+    }
+
+    /**
+     * Creates a context cache (cachedContents) for a stable conversation prefix. Code Assist has no
+     * context caching, so like embeddings this calls the Generative Language API with the same
+     * OAuth credentials, billed to the account's project.
+     * @param {string} model - The model the cache is used with
+     * @param {Object} cacheBody - { contents, systemInstruction, tools, toolConfig, ttl }
+     * @returns {Promise<Object>} The created cachedContent ({ name, expireTime, usageMetadata, ... })
+     */
+    async createCachedContent(model, cacheBody) {
+        const body = ensureRolesInContents({ ...cacheBody });
+        return this.callGenerativeLanguageApi('cachedContents', { ...body, model: `models/${model}` });
+    }
+
+    /**
+     * Generates content with a context cache (see createCachedContent) on the Generative Language API.
+     */
+    async generateWithCachedContent(model, requestBody, options = {}) {
+        return this.callGenerativeLanguageApi(`models/${model}:${API_ACTIONS.GENERATE_CONTENT}`, ensureRolesInContents(requestBody), options);
+    }
+
+    /**
+     * Streams content generated with a context cache (see createCachedContent).
+     */
+    async * generateWithCachedContentStream(model, requestBody) {
+        const res = await this.callGenerativeLanguageApi(`models/${model}:${API_ACTIONS.STREAM_GENERATE_CONTENT}`, ensureRolesInContents(requestBody), { stream: true });
+        yield* this.parseSSEStream(res);
+    }
+
+    /**
+     * Calls a Generative Language API method (e.g. `cachedContents`) with the account's OAuth credentials.
+     * @param {string} method - The method path after /v1beta/
+     * @param {Object} body - The request body
+     * @param {Object} [options] - Optional. { signal, stream }
+     * @returns {Promise<Object>} The response body, or the response stream if `stream` is set
+     */
+    async callGenerativeLanguageApi(method, body, options = {}, isRetry = false) {
+        const headers = { "Content-Type": "application/json" };
+        if (this.projectId && this.projectId !== 'default') {
+            headers["x-goog-user-project"] = this.projectId;
+        }
+        try {
+            const res = await this.authClient.request({
+                url: `${this.generativeLanguageEndpoint}/v1beta/${method}`,
+                method: "POST",
+                params: options.stream ? { alt: "sse" } : undefined,
+                headers,
+                responseType: options.stream ? "stream" : "json",
+                body: JSON.stringify(body),
+                signal: options.signal || undefined,
+            });
+            return res.data;
+        } catch (error) {
+            console.error(`[API] Error calling ${method}:`, error.response?.status, error.message);
+            // Handle 401 (Unauthorized) - refresh auth and retry once
+            if (error.response?.status === 401 && !isRetry && !options.signal?.aborted) {
+                console.log('[API] Received 401. Refreshing auth and retrying...');
+                await this.initializeAuth(true);
+                return this.callGenerativeLanguageApi(method, body, options, true);
             }
+            throw error;
         }
     }
 
@@ -0,0 +1,145 @@
+import { matchesPattern } from './api-key-service.js';
+import { metricsService } from './metrics-service.js';
+
+// Hedge delay used while there are no latency statistics yet
+const DEFAULT_DELAY_MS = 2000;
+
+// Latency percentiles are re-read at most once a minute
+const STATS_CACHE_TTL_MS = 60 * 1000;
+
+// Latency stats per range, provider type and model
+const statsCache = new Map();
+
+/**
+ * Checks whether unary requests for a model are hedged.
+ * Config shape (config.json `hedging`):
+ *   { enabled, delayMs, percentile: 'p50' | 'p90' | 'p95' | 'p99', range, minDelayMs, maxDelayMs, models: ['gemini-*'] }
+ * @param {Object} config - The server configuration
+ * @param {string} model - The requested model
+ * @returns {boolean} True if hedging applies
+ */
+function isHedgingEnabled(config, model) {
+    const hedging = config?.hedging;
+    if (!hedging || !hedging.enabled) {
+        return false;
+    }
+    const models = Array.isArray(hedging.models) ? hedging.models : [];
+    return models.length === 0 || models.some(pattern => matchesPattern(model, pattern));
+}
+
+/**
+ * Returns how long to wait for the primary provider before firing the backup request:
+ * `delayMs` if set, otherwise the configured latency percentile (p90 by default) of the
+ * primary's unary requests for the model, clamped to [minDelayMs, maxDelayMs].
+ * Cache hits are recorded under their own provider type, so they never count.
+ * @param {Object} config - The server configuration
+ * @param {string} providerType - The primary's provider type
+ * @param {string} model - The model sent to the primary
+ * @returns {Promise<number>} The delay in milliseconds
+ */
+async function getHedgeDelay(config, providerType, model) {
+    const hedging = config?.hedging || {};
+    if (Number(hedging.delayMs) > 0) {
+        return Number(hedging.delayMs);
+    }
+
+    const range = hedging.range || '1h';
+    const cacheKey = `${range}:${providerType}:${model}`;
+    let cached = statsCache.get(cacheKey);
+    if (!cached || Date.now() - cached.fetchedAt > STATS_CACHE_TTL_MS) {
+        try {
+            cached = { stats: await metricsService.getLatencyStats(range, { providerType, model, isStreaming: false }), fetchedAt: Date.now() };
+        } catch (error) {
+            console.error('[Hedge] Failed to read latency stats:', error.message);
+            cached = { stats: null, fetchedAt: Date.now() };
+        }
+        statsCache.set(cacheKey, cached);
+    }
+
+    const percentile = Number(cached.stats?.[hedging.percentile || 'p90']) || DEFAULT_DELAY_MS;
+    const minDelayMs = Number(hedging.minDelayMs) > 0 ? Number(hedging.minDelayMs) : 0;
+    const maxDelayMs = Number(hedging.maxDelayMs) > 0 ? Number(hedging.maxDelayMs) : Infinity;
+    return Math.min(maxDelayMs, Math.max(minDelayMs, percentile));
+}
+
+/**
+ * Runs a request and, if it has not settled after `delayMs`, races it against a backup request.
+ * The first successful response wins and the other request is aborted. If the primary fails
+ * before the delay, its error is thrown without starting the backup.
+ * @param {Object} params - Hedge parameters
+ * @param {number} params.delayMs - How long to wait for the primary before starting the backup
+ * @param {Function} params.primary - (signal) => Promise<value>
+ * @param {Function} params.startBackup - async () => ({ call: (signal) => Promise<value>, ... }) | null when no backup is available
+ * @returns {Promise<{value: *, winner: 'primary'|'backup', backup: Object|null, primaryError: Error|null}>}
+ *          The winning value, which side won, the backup (if started) and the primary's error if it failed first
+ */
+async function hedgeRequest({ delayMs, primary, startBackup }) {
+    const primaryController = new AbortController();
+    const errors = {};
+    const primaryPromise = Promise.resolve().then(() => primary(primaryController.signal));
+    primaryPromise.catch(error => { errors.primary = error; });
+
+    let timer = null;
+    const timeout = Symbol('hedge-timeout');
+    const first = await Promise.race([
+        primaryPromise.then(value => ({ value }), error => ({ error })),
+        new Promise(resolve => { timer = setTimeout(resolve, delayMs, timeout); })
+    ]);
+    if (first !== timeout) {
+        clearTimeout(timer);
+        if (first.error) throw first.error;
+        return { value: first.value, winner: 'primary', backup: null, primaryError: null };
+    }
+
+    let backup = null;
+    try {
+        backup = await startBackup();
+    } catch (error) {
+        console.error('[Hedge] Failed to start backup request:', error.message);
+    }
+    if (!backup) {
+        return { value: await primaryPromise, winner: 'primary', backup: null, primaryError: null };
+    }
+
+    console.log(`[Hedge] Primary has not answered after ${delayMs}ms, firing backup request`);
+    const backupController = new AbortController();
+    const backupPromise = Promise.resolve().then(() => backup.call(backupController.signal));
+
+    try {
+        const result = await Promise.any([
+            primaryPromise.then(value => ({ value, winner: 'primary' })),
+            backupPromise.then(value => ({ value, winner: 'backup' }))
+        ]);
+        (result.winner === 'primary' ? backupController : primaryController).abort();
+        console.log(`[Hedge] ${result.winner === 'primary' ? 'Primary' : 'Backup'} request won`);
+        return { ...result, backup, primaryError: result.winner === 'backup' ? errors.primary || null : null };
+    } catch (aggregateError) {
+        // Both failed: surface the primary's error to the retry loop
+        throw aggregateError.errors[0];
+    }
+}
+
+/**
+ * Clears the cached latency statistics.
+ */
+function resetStatsCache() {
+    statsCache.clear();
+}
+
+// Export the hedging service as a singleton
+const hedgingService = {
+    isHedgingEnabled,
+    getHedgeDelay,
+    hedgeRequest,
+    resetStatsCache
+};
+
+export default hedgingService;
+
+// Named exports for convenience
+export {
+    isHedgingEnabled,
+    getHedgeDelay,
+    hedgeRequest,
+    resetStatsCache
+};
@@ -4,6 +4,10 @@
  */
 
 import { query, getPool, isConnected } from './postgres-client.js';
+import budgetService from './budget-service.js';
+import rateLimiter from './rate-limiter.js';
+import pricingService from './pricing-service.js';
+import apiKeyService from './api-key-service.js';
 
 /**
  * MetricsService Class
@@ -23,13 +27,23 @@ class MetricsService {
             totalInputTokens: 0,
             totalOutputTokens: 0,
             totalLatencyMs: 0,
+            totalCostUsd: 0,
+            streamFailovers: 0,
             requestsByProvider: {},
             requestsByModel: {},
+            costByApiKey: {},
             healthEvents: [],
             recentRequests: [], // Circular buffer for recent requests
         };
         this._maxRecentRequests = 1000; // Max recent requests to keep in memory
 
+        // Request queue (see request-queue.js): waiting requests and wait times per priority class
+        this._queueStats = this._createQueueStats();
+
+        // Exponentially weighted moving average of successful request latency per provider account
+        this._providerLatency = {};
+        this._latencyEwmaAlpha = 0.3; // Weight of the newest sample
+
         // Log level control
         this._logLevel = process.env.METRICS_LOG_LEVEL || 'info';
     }
@@ -89,6 +103,10 @@ class MetricsService {
      * @param {boolean} metrics.isStreaming - Whether request was streaming
      * @param {string|null} metrics.errorMessage - Error message if failed
      * @param {string} metrics.clientIp - Client IP address
+     * @param {string|null} metrics.apiKeyId - Virtual API key id (null for the master key)
+     * @param {number|null} metrics.cachedInputTokens - Input tokens read from the provider's prompt cache
+     * @param {Object|null} metrics.pricing - Price overrides from config.json (see pricing-service.js)
+     * @param {number} [metrics.streamFailovers] - Mid-stream provider switches before this attempt (0 for the first attempt)
      */
     async recordRequest(metrics) {
         const {
@@ -103,10 +121,33 @@ class MetricsService {
             isStreaming,
             errorMessage,
             clientIp,
+            apiKeyId,
+            cachedInputTokens,
+            pricing,
+            streamFailovers,
         } = metrics;
 
+        const costUsd = pricingService.calculateCost({ providerType, model, inputTokens, outputTokens, cachedInputTokens }, pricing);
+
         // Always update in-memory counters
-        this._updateInMemoryCounters(metrics);
+        this._updateInMemoryCounters({ ...metrics, costUsd });
+
+        // Count usage against API key and provider type budgets and tokens-per-minute limits.
+        // A client request counts once, when it is answered: failed attempts (retries, failovers,
+        // hedge losers) are not counted, and cache hits count against the key budget without spending tokens.
+        try {
+            if (!errorMessage && statusCode < 400) {
+                const isCacheHit = providerType === 'cache' || providerType === 'semantic-cache';
+                await budgetService.recordUsage(isCacheHit
+                    ? { apiKeyId, providerType: null, inputTokens: null, outputTokens: null }
+                    : { apiKeyId, providerType, inputTokens, outputTokens });
+                if (!isCacheHit) {
+                    await rateLimiter.recordTokens({ apiKeyId, clientIp, providerType, inputTokens, outputTokens });
+                }
+            }
+        } catch (error) {
+            this._log('error', `Failed to record budget/rate limit usage: ${error.message}`);
+        }
 
         // Try to persist to Postgres
         if (this.isEnabled()) {
@@ -115,8 +156,9 @@ class MetricsService {
                     INSERT INTO requests (
                         request_id, provider_type, provider_uuid, model,
                         input_tokens, output_tokens, latency_ms, status_code,
-                        is_streaming, error_message, client_ip
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                        is_streaming, error_message, client_ip, api_key_id,
+                        cached_input_tokens, cost_usd, stream_failovers
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
                 `;
                 await query(sql, [
                     requestId,
@@ -130,6 +172,10 @@ class MetricsService {
                     isStreaming || false,
                     errorMessage || null,
                     clientIp || null,
+                    apiKeyId || null,
+                    cachedInputTokens || null,
+                    costUsd,
+                    streamFailovers || 0,
                 ]);
                 this._log('debug', `Recorded request: ${requestId}`);
             } catch (error) {
@@ -149,15 +195,24 @@ class MetricsService {
         const {
             requestId,
             providerType,
+            providerUuid,
             model,
             inputTokens,
             outputTokens,
             latencyMs,
+            isStreaming,
             statusCode,
             errorMessage,
+            apiKeyId,
+            costUsd,
+            streamFailovers,
         } = metrics;
 
         this._inMemoryCounters.totalRequests++;
+        // Every resumed attempt stands for one mid-stream switch to another provider
+        if (streamFailovers > 0) {
+            this._inMemoryCounters.streamFailovers++;
+        }
 
         if (statusCode >= 200 && statusCode < 400 && !errorMessage) {
             this._inMemoryCounters.successfulRequests++;
@@ -168,6 +223,7 @@ class MetricsService {
         this._inMemoryCounters.totalInputTokens += inputTokens || 0;
         this._inMemoryCounters.totalOutputTokens += outputTokens || 0;
         this._inMemoryCounters.totalLatencyMs += latencyMs || 0;
+        this._inMemoryCounters.totalCostUsd += costUsd || 0;
 
         // By provider
         if (providerType) {
@@ -176,9 +232,11 @@ class MetricsService {
                     total: 0,
                     successful: 0,
                     failed: 0,
+                    costUsd: 0,
                 };
             }
             this._inMemoryCounters.requestsByProvider[providerType].total++;
+            this._inMemoryCounters.requestsByProvider[providerType].costUsd += costUsd || 0;
             if (statusCode >= 200 && statusCode < 400 && !errorMessage) {
                 this._inMemoryCounters.requestsByProvider[providerType].successful++;
             } else {
@@ -186,6 +244,14 @@ class MetricsService {
             }
         }
 
+        // Latency EWMA by provider account (used by the lowest-latency selection strategy)
+        if (providerUuid && latencyMs > 0 && statusCode >= 200 && statusCode < 400 && !errorMessage) {
+            const previous = this._providerLatency[providerUuid];
+            this._providerLatency[providerUuid] = previous === undefined
+                ? latencyMs
+                : this._latencyEwmaAlpha * latencyMs + (1 - this._latencyEwmaAlpha) * previous;
+        }
+
         // By model
         if (model) {
             if (!this._inMemoryCounters.requestsByModel[model]) {
@@ -193,13 +259,26 @@ class MetricsService {
                     total: 0,
                     inputTokens: 0,
                     outputTokens: 0,
+                    costUsd: 0,
                 };
             }
             this._inMemoryCounters.requestsByModel[model].total++;
+            this._inMemoryCounters.requestsByModel[model].costUsd += costUsd || 0;
             this._inMemoryCounters.requestsByModel[model].inputTokens += inputTokens || 0;
             this._inMemoryCounters.requestsByModel[model].outputTokens += outputTokens || 0;
         }
 
+        // By API key (null for the master key)
+        const apiKeyBucket = apiKeyId || 'master';
+        if (!this._inMemoryCounters.costByApiKey[apiKeyBucket]) {
+            this._inMemoryCounters.costByApiKey[apiKeyBucket] = {
+                total: 0,
+                costUsd: 0,
+            };
+        }
+        this._inMemoryCounters.costByApiKey[apiKeyBucket].total++;
+        this._inMemoryCounters.costByApiKey[apiKeyBucket].costUsd += costUsd || 0;
+
         // Circular buffer for recent requests
         this._inMemoryCounters.recentRequests.push({
             requestId,
@@ -207,6 +286,8 @@ class MetricsService {
             model,
             latencyMs,
             statusCode,
+            isStreaming: Boolean(isStreaming),
+            streamFailovers: streamFailovers || 0,
             timestamp: new Date().toISOString(),
         });
         if (this._inMemoryCounters.recentRequests.length > this._maxRecentRequests) {
@@ -337,14 +418,16 @@ class MetricsService {
                         COALESCE(SUM(input_tokens), 0) AS total_input_tokens,
                         COALESCE(SUM(output_tokens), 0) AS total_output_tokens,
                         COALESCE(AVG(latency_ms)::integer, 0) AS avg_latency_ms,
-                        COALESCE(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms)::integer, 0) AS p95_latency_ms
+                        COALESCE(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms)::integer, 0) AS p95_latency_ms,
+                        COALESCE(SUM(cost_usd), 0) AS total_cost_usd
                     FROM requests
                     WHERE timestamp >= $2 AND timestamp < $3
                     GROUP BY provider_type, model
                 )
                 INSERT INTO hourly_aggregates (
                     hour_bucket, provider_type, model, total_requests, successful_requests,
-                    failed_requests, total_input_tokens, total_output_tokens, avg_latency_ms, p95_latency_ms
+                    failed_requests, total_input_tokens, total_output_tokens, avg_latency_ms, p95_latency_ms,
+                    total_cost_usd
                 )
                 SELECT * FROM hourly_stats
                 ON CONFLICT (hour_bucket, provider_type, model)
@@ -355,7 +438,8 @@ class MetricsService {
                     total_input_tokens = EXCLUDED.total_input_tokens,
                     total_output_tokens = EXCLUDED.total_output_tokens,
                     avg_latency_ms = EXCLUDED.avg_latency_ms,
-                    p95_latency_ms = EXCLUDED.p95_latency_ms
+                    p95_latency_ms = EXCLUDED.p95_latency_ms,
+                    total_cost_usd = EXCLUDED.total_cost_usd
             `;
 
             await query(aggregationSql, [hourStart, hourStart, hourEnd]);
@@ -418,6 +502,7 @@ class MetricsService {
                 totalInputTokens: this._inMemoryCounters.totalInputTokens,
                 totalOutputTokens: this._inMemoryCounters.totalOutputTokens,
                 avgLatencyMs: avgLatency,
+                streamFailovers: this._inMemoryCounters.streamFailovers,
                 activeProviders: Object.keys(this._inMemoryCounters.requestsByProvider).length,
                 activeModels: Object.keys(this._inMemoryCounters.requestsByModel).length,
             };
@@ -435,6 +520,7 @@ class MetricsService {
                     COALESCE(SUM(input_tokens), 0) AS total_input_tokens,
                     COALESCE(SUM(output_tokens), 0) AS total_output_tokens,
                     COALESCE(AVG(latency_ms)::integer, 0) AS avg_latency_ms,
+                    COUNT(*) FILTER (WHERE stream_failovers > 0) AS stream_failovers,
                     COUNT(DISTINCT provider_type) AS active_providers,
                     COUNT(DISTINCT model) AS active_models
                 FROM requests
@@ -455,6 +541,7 @@ class MetricsService {
                 totalInputTokens: parseInt(row.total_input_tokens, 10),
                 totalOutputTokens: parseInt(row.total_output_tokens, 10),
                 avgLatencyMs: parseInt(row.avg_latency_ms, 10),
+                streamFailovers: parseInt(row.stream_failovers, 10),
                 activeProviders: parseInt(row.active_providers, 10),
                 activeModels: parseInt(row.active_models, 10),
             };
@@ -476,6 +563,7 @@ class MetricsService {
                 totalInputTokens: this._inMemoryCounters.totalInputTokens,
                 totalOutputTokens: this._inMemoryCounters.totalOutputTokens,
                 avgLatencyMs: avgLatency,
+                streamFailovers: this._inMemoryCounters.streamFailovers,
                 activeProviders: Object.keys(this._inMemoryCounters.requestsByProvider).length,
                 activeModels: Object.keys(this._inMemoryCounters.requestsByModel).length,
             };
@@ -554,13 +642,20 @@ class MetricsService {
     /**
      * Get latency statistics
      * @param {string} range - Time range
+     * @param {Object} [filters] - Only count matching requests
+     * @param {string} [filters.providerType] - Provider type that served the request
+     * @param {string} [filters.model] - Model name
+     * @param {boolean} [filters.isStreaming] - Streaming (whole-stream durations) or unary requests
      * @returns {Promise<Object>}
      */
-    async getLatencyStats(range = '24h') {
+    async getLatencyStats(range = '24h', { providerType = null, model = null, isStreaming = null } = {}) {
         if (!this.isEnabled()) {
             // Calculate from recent requests
             const latencies = this._inMemoryCounters.recentRequests
-                .filter(r => r.latencyMs)
+                .filter(r => r.latencyMs &&
+                    (!providerType || r.providerType === providerType) &&
+                    (!model || r.model === model) &&
+                    (isStreaming === null || r.isStreaming === isStreaming))
                 .map(r => r.latencyMs)
                 .sort((a, b) => a - b);
 
@@ -608,9 +703,12 @@ class MetricsService {
                     COALESCE(PERCENTILE_CONT(0.99) WITHIN GROUP (ORDER BY latency_ms)::integer, 0) AS p99
                 FROM requests
                 WHERE timestamp >= $1 AND latency_ms IS NOT NULL
+                    AND ($2::text IS NULL OR provider_type = $2)
+                    AND ($3::text IS NULL OR model = $3)
+                    AND ($4::boolean IS NULL OR is_streaming = $4)
             `;
 
-            const result = await query(sql, [startTime]);
+            const result = await query(sql, [startTime, providerType, model, isStreaming]);
             const row = result.rows[0];
 
             return {
@@ -821,6 +919,158 @@ class MetricsService {
         }
     }
 
+    /**
+     * Get cost statistics (spend per API key, model and provider)
+     * @param {string} range - Time range
+     * @returns {Promise<Object>}
+     */
+    async getCostStats(range = '24h') {
+        if (!this.isEnabled()) {
+            const apiKeys = await apiKeyService.listKeys();
+            const keyNames = new Map(apiKeys.map(key => [key.id, key.name]));
+            const round = (value) => Math.round(value * 1e6) / 1e6;
+
+            return {
+                source: 'in-memory',
+                currency: 'USD',
+                totalRequests: this._inMemoryCounters.totalRequests,
+                totalCostUsd: round(this._inMemoryCounters.totalCostUsd),
+                byApiKey: Object.entries(this._inMemoryCounters.costByApiKey).map(([apiKeyId, stats]) => ({
+                    apiKeyId: apiKeyId === 'master' ? null : apiKeyId,
+                    name: apiKeyId === 'master' ? 'master' : (keyNames.get(apiKeyId) || apiKeyId),
+                    requests: stats.total,
+                    costUsd: round(stats.costUsd),
+                })).sort((a, b) => b.costUsd - a.costUsd),
+                byModel: Object.entries(this._inMemoryCounters.requestsByModel).map(([model, stats]) => ({
+                    model,
+                    requests: stats.total,
+                    costUsd: round(stats.costUsd || 0),
+                })).sort((a, b) => b.costUsd - a.costUsd),
+                byProvider: Object.entries(this._inMemoryCounters.requestsByProvider).map(([providerType, stats]) => ({
+                    providerType,
+                    requests: stats.total,
+                    costUsd: round(stats.costUsd || 0),
+                })).sort((a, b) => b.costUsd - a.costUsd),
+                timeSeries: [],
+            };
+        }
+
+        try {
+            const startTime = this._parseRange(range).toISOString();
+
+            // Use aggregates for longer ranges, raw data for shorter
+            const parsedRange = range.match(/^(\d+)([hdwm])$/);
+            const useAggregates = parsedRange && parsedRange[2] !== 'h';
+
+            // Overall totals
+            const totalsSql = `
+                SELECT
+                    COUNT(*) AS total_requests,
+                    COALESCE(SUM(cost_usd), 0) AS total_cost_usd
+                FROM requests
+                WHERE timestamp >= $1
+            `;
+
+            // By API key (NULL is the master key)
+            const byApiKeySql = `
+                SELECT
+                    r.api_key_id,
+                    k.name,
+                    COUNT(*) AS requests,
+                    COALESCE(SUM(r.cost_usd), 0) AS cost_usd
+                FROM requests r
+                LEFT JOIN api_keys k ON k.id = r.api_key_id
+                WHERE r.timestamp >= $1
+                GROUP BY r.api_key_id, k.name
+                ORDER BY cost_usd DESC
+            `;
+
+            // By model
+            const byModelSql = `
+                SELECT
+                    model,
+                    COUNT(*) AS requests,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd
+                FROM requests
+                WHERE timestamp >= $1
+                GROUP BY model
+                ORDER BY cost_usd DESC
+            `;
+
+            // By provider
+            const byProviderSql = `
+                SELECT
+                    provider_type,
+                    COUNT(*) AS requests,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd
+                FROM requests
+                WHERE timestamp >= $1
+                GROUP BY provider_type
+                ORDER BY cost_usd DESC
+            `;
+
+            const timeSeriesSql = useAggregates
+                ? `
+                    SELECT
+                        hour_bucket AS time_bucket,
+                        COALESCE(SUM(total_cost_usd), 0) AS cost_usd
+                    FROM hourly_aggregates
+                    WHERE hour_bucket >= $1
+                    GROUP BY hour_bucket
+                    ORDER BY hour_bucket
+                `
+                : `
+                    SELECT
+                        date_trunc('hour', timestamp) AS time_bucket,
+                        COALESCE(SUM(cost_usd), 0) AS cost_usd
+                    FROM requests
+                    WHERE timestamp >= $1
+                    GROUP BY time_bucket
+                    ORDER BY time_bucket
+                `;
+
+            const [totalsResult, byApiKeyResult, byModelResult, byProviderResult, timeSeriesResult] = await Promise.all([
+                query(totalsSql, [startTime]),
+                query(byApiKeySql, [startTime]),
+                query(byModelSql, [startTime]),
+                query(byProviderSql, [startTime]),
+                query(timeSeriesSql, [startTime]),
+            ]);
+
+            const totals = totalsResult.rows[0];
+
+            return {
+                source: 'postgres',
+                currency: 'USD',
+                totalRequests: parseInt(totals.total_requests, 10),
+                totalCostUsd: parseFloat(totals.total_cost_usd),
+                byApiKey: byApiKeyResult.rows.map(row => ({
+                    apiKeyId: row.api_key_id,
+                    name: row.api_key_id ? (row.name || row.api_key_id) : 'master',
+                    requests: parseInt(row.requests, 10),
+                    costUsd: parseFloat(row.cost_usd),
+                })),
+                byModel: byModelResult.rows.map(row => ({
+                    model: row.model,
+                    requests: parseInt(row.requests, 10),
+                    costUsd: parseFloat(row.cost_usd),
+                })),
+                byProvider: byProviderResult.rows.map(row => ({
+                    providerType: row.provider_type,
+                    requests: parseInt(row.requests, 10),
+                    costUsd: parseFloat(row.cost_usd),
+                })),
+                timeSeries: timeSeriesResult.rows.map(row => ({
+                    timeBucket: row.time_bucket,
+                    costUsd: parseFloat(row.cost_usd),
+                })),
+            };
+        } catch (error) {
+            this._log('error', `Failed to get cost stats: ${error.message}`);
+            return { source: 'error', error: error.message };
+        }
+    }
+
     /**
      * Get health event timeline
      * @param {string} range - Time range
@@ -943,6 +1193,104 @@ class MetricsService {
         };
     }
 
+    /**
+     * Create empty request queue statistics
+     * @private
+     * @returns {Object}
+     */
+    _createQueueStats() {
+        return {
+            depth: 0,
+            peakDepth: 0,
+            depthByPriority: {},
+            byPriority: {},
+        };
+    }
+
+    /**
+     * Record the number of requests waiting in the request queue
+     * @param {Object} depthByPriority - Priority class -> waiting requests
+     */
+    recordQueueDepth(depthByPriority) {
+        const depth = Object.values(depthByPriority).reduce((sum, count) => sum + count, 0);
+        this._queueStats.depth = depth;
+        this._queueStats.peakDepth = Math.max(this._queueStats.peakDepth, depth);
+        this._queueStats.depthByPriority = { ...depthByPriority };
+    }
+
+    /**
+     * Record a request queue event
+     * @param {Object} event - Queue event
+     * @param {string} event.priority - Priority class
+     * @param {string} event.outcome - 'queued', 'admitted', 'timeout', 'evicted', 'aborted' or 'full'
+     * @param {number} event.waitedMs - Time spent waiting in milliseconds
+     */
+    recordQueueWait({ priority, outcome, waitedMs }) {
+        if (!this._queueStats.byPriority[priority]) {
+            this._queueStats.byPriority[priority] = {
+                queued: 0,
+                admitted: 0,
+                timeout: 0,
+                evicted: 0,
+                aborted: 0,
+                full: 0,
+                totalWaitMs: 0,
+                maxWaitMs: 0,
+            };
+        }
+        const stats = this._queueStats.byPriority[priority];
+        if (stats[outcome] === undefined) {
+            return;
+        }
+        stats[outcome]++;
+        if (outcome !== 'queued' && outcome !== 'full') {
+            stats.totalWaitMs += waitedMs || 0;
+            stats.maxWaitMs = Math.max(stats.maxWaitMs, waitedMs || 0);
+        }
+    }
+
+    /**
+     * Get request queue statistics (in-memory, per process)
+     * @returns {Object}
+     */
+    getQueueStats() {
+        const byPriority = {};
+        let waited = 0;
+        let totalWaitMs = 0;
+        let maxWaitMs = 0;
+        for (const [priority, stats] of Object.entries(this._queueStats.byPriority)) {
+            // Every queued request ends up admitted, timed out, evicted or aborted
+            const settled = stats.admitted + stats.timeout + stats.evicted + stats.aborted;
+            byPriority[priority] = {
+                ...stats,
+                depth: this._queueStats.depthByPriority[priority] || 0,
+                avgWaitMs: settled > 0 ? Math.round(stats.totalWaitMs / settled) : 0,
+            };
+            waited += settled;
+            totalWaitMs += stats.totalWaitMs;
+            maxWaitMs = Math.max(maxWaitMs, stats.maxWaitMs);
+        }
+
+        return {
+            source: 'in-memory',
+            depth: this._queueStats.depth,
+            peakDepth: this._queueStats.peakDepth,
+            avgWaitMs: waited > 0 ? Math.round(totalWaitMs / waited) : 0,
+            maxWaitMs,
+            byPriority,
+        };
+    }
+
+    /**
+     * Get the latency EWMA of a provider account
+     * @param {string} providerUuid - Provider instance UUID
+     * @returns {number|null} Smoothed latency in milliseconds, or null if there are no successful requests yet
+     */
+    getProviderLatency(providerUuid) {
+        const latency = this._providerLatency[providerUuid];
+        return latency === undefined ? null : Math.round(latency);
+    }
+
     /**
      * Reset in-memory counters
      */
@@ -954,11 +1302,21 @@ class MetricsService {
             totalInputTokens: 0,
             totalOutputTokens: 0,
             totalLatencyMs: 0,
+            totalCostUsd: 0,
+            streamFailovers: 0,
             requestsByProvider: {},
             requestsByModel: {},
+            costByApiKey: {},
             healthEvents: [],
             recentRequests: [],
         };
+        // Requests still waiting in the queue stay counted
+        this._queueStats = {
+            ...this._createQueueStats(),
+            depth: this._queueStats.depth,
+            peakDepth: this._queueStats.depth,
+            depthByPriority: this._queueStats.depthByPriority,
+        };
         this._log('info', 'In-memory counters reset');
     }
 
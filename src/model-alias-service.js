@@ -0,0 +1,133 @@
+/**
+ * Normalizes one alias definition from config.json `modelAliases`. Accepted shapes:
+ *   "fast": "gemini-2.5-flash"                                          (model rewrite only)
+ *   "fast": { "providerType": "gemini-cli-oauth", "model": "gemini-2.5-flash" }
+ *   "balanced": { "targets": [{ "providerType", "model", "weight" }, ...], "description" }
+ * Object definitions may set `antiTruncation: true` to continue responses cut off at the output token limit.
+ * @private
+ * @returns {{targets: Array<{providerType: string|null, model: string, weight: number}>, description: string|null, antiTruncation: boolean}|null}
+ */
+function _normalizeAlias(definition) {
+    if (typeof definition === 'string') {
+        return definition ? { targets: [{ providerType: null, model: definition, weight: 1 }], description: null, antiTruncation: false } : null;
+    }
+    if (!definition || typeof definition !== 'object') {
+        return null;
+    }
+
+    const rawTargets = Array.isArray(definition.targets) ? definition.targets : [definition];
+    const targets = [];
+    for (const target of rawTargets) {
+        if (!target?.model) continue;
+        const weight = target.weight === undefined ? 1 : Number(target.weight);
+        if (!Number.isFinite(weight) || weight <= 0) continue;
+        targets.push({ providerType: target.providerType || null, model: target.model, weight });
+    }
+    return targets.length > 0
+        ? { targets, description: definition.description || null, antiTruncation: definition.antiTruncation === true }
+        : null;
+}
+
+/**
+ * Returns the valid aliases from the configuration.
+ * @param {Object} config - The server configuration
+ * @returns {Object} Map of alias name to { targets, description }
+ */
+function getAliases(config) {
+    const aliases = {};
+    for (const [name, definition] of Object.entries(config?.modelAliases || {})) {
+        const alias = _normalizeAlias(definition);
+        if (alias) aliases[name] = alias;
+    }
+    return aliases;
+}
+
+/**
+ * Checks whether a target's provider type can serve requests (has a pool or is the default provider).
+ * @private
+ */
+function _isTargetAvailable(config, target) {
+    return !target.providerType ||
+        target.providerType === config?.MODEL_PROVIDER ||
+        config?.providerPools?.[target.providerType]?.length > 0;
+}
+
+/**
+ * Picks a target by weight.
+ * @private
+ */
+function _pickWeighted(targets, random) {
+    const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+    let point = random() * totalWeight;
+    for (const target of targets) {
+        point -= target.weight;
+        if (point < 0) return target;
+    }
+    return targets[targets.length - 1];
+}
+
+/**
+ * Resolves a model alias to a concrete provider type and model. Targets whose provider type
+ * has no pool are skipped unless no target is available.
+ * @param {Object} config - The server configuration (reads `modelAliases`, `providerPools` and `MODEL_PROVIDER`)
+ * @param {string} model - The requested model
+ * @param {Object} [options] - Resolution options
+ * @param {string|null} [options.providerType] - Prefer targets on this provider type (e.g. one set via header)
+ * @param {Function} [options.random] - Random source in [0, 1)
+ * @returns {{alias: string, providerType: string|null, model: string, antiTruncation?: boolean}|null} The target, or null if the model is not an alias
+ */
+function resolveAlias(config, model, { providerType = null, random = Math.random } = {}) {
+    if (!model || !config?.modelAliases || !Object.prototype.hasOwnProperty.call(config.modelAliases, model)) {
+        return null;
+    }
+    const alias = _normalizeAlias(config.modelAliases[model]);
+    if (!alias) {
+        return null;
+    }
+
+    let candidates = alias.targets.filter(target => _isTargetAvailable(config, target));
+    if (providerType) {
+        const preferred = candidates.filter(target => target.providerType === providerType);
+        if (preferred.length > 0) candidates = preferred;
+    }
+    if (candidates.length === 0) {
+        candidates = alias.targets;
+    }
+
+    const target = _pickWeighted(candidates, random);
+    console.log(`[Model Alias] '${model}' -> ${target.providerType ? `${target.providerType}/` : ''}${target.model}`);
+    const resolved = { alias: model, providerType: target.providerType, model: target.model };
+    if (alias.antiTruncation) {
+        resolved.antiTruncation = true;
+    }
+    return resolved;
+}
+
+/**
+ * Lists the aliases for model list endpoints.
+ * @param {Object} config - The server configuration
+ * @returns {Array<{id: string, description: string, providerTypes: string[]}>} One entry per alias
+ */
+function listAliases(config) {
+    return Object.entries(getAliases(config)).map(([name, alias]) => ({
+        id: name,
+        description: alias.description || `Alias for ${alias.targets.map(target => target.model).join(', ')}`,
+        providerTypes: [...new Set(alias.targets.map(target => target.providerType).filter(Boolean))]
+    }));
+}
+
+// Export the model alias service as a singleton
+const modelAliasService = {
+    getAliases,
+    resolveAlias,
+    listAliases
+};
+
+export default modelAliasService;
+
+// Named exports for convenience
+export {
+    getAliases,
+    resolveAlias,
+    listAliases
+};
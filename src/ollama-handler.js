@@ -6,6 +6,9 @@
 import { getRequestBody, handleError, MODEL_PROTOCOL_PREFIX, MODEL_PROVIDER, getProtocolPrefix } from './common.js';
 import { convertData } from './convert.js';
 import { ConverterFactory } from './converters/ConverterFactory.js';
+import { checkKeyScope } from './api-key-service.js';
+import routingService from './routing-service.js';
+import modelAliasService from './model-alias-service.js';
 
 // Ollama version
 /**
@@ -114,68 +117,44 @@ export function addPrefixToModels(models, provider, format = 'openai') {
 }
 
 /**
- * Determine which provider to use based on model name
- * @param {string} modelName - Model name (may include prefix like "[Warp] gpt-5")
- * @param {Object} providerPoolManager - Provider pool manager
- * @param {string} defaultProvider - Default provider
- * @returns {string} Provider type
+ * Determine which provider and model to use for an Ollama request.
+ * A provider prefix in the model name wins, then model aliases, then the routing rules (unless the
+ * provider was set explicitly via header or path), then model name detection.
+ * @param {string} rawModelName - Model name (may include prefix like "[Warp] gpt-5")
+ * @param {Object} ollamaRequest - The Ollama request body
+ * @param {http.IncomingMessage} req - The HTTP request object
+ * @param {Object} currentConfig - The server configuration
+ * @returns {{providerType: string, model: string}} The provider type and the (possibly rewritten) model
  */
-export function getProviderByModelName(modelName, providerPoolManager, defaultProvider) {
-    if (!modelName || !providerPoolManager || !providerPoolManager.providerPools) {
-        return defaultProvider;
+export function resolveOllamaRoute(rawModelName, ollamaRequest, req, currentConfig) {
+    const modelName = removeModelPrefix(rawModelName);
+    if (getProviderFromPrefix(rawModelName)) {
+        return { providerType: getProviderForModel(rawModelName, currentConfig.MODEL_PROVIDER), model: modelName };
     }
-    
-    // First, check if model name has a prefix that directly indicates the provider
-    const providerFromPrefix = getProviderFromPrefix(modelName);
-    if (providerFromPrefix) {
-        console.log(`[Provider Selection] Provider determined from prefix: ${providerFromPrefix}`);
-        return providerFromPrefix;
-    }
-    
-    // Remove prefix for further analysis
-    const cleanModelName = removeModelPrefix(modelName);
-    const lowerModelName = cleanModelName.toLowerCase();
-    
-    // Check if it's a Claude model
-    if (lowerModelName.includes('claude') || lowerModelName.includes('sonnet') || lowerModelName.includes('opus') || lowerModelName.includes('haiku')) {
-        // Find available Claude provider
-        for (const [providerType, providers] of Object.entries(providerPoolManager.providerPools)) {
-            if (providerType.includes('claude')) {
-                const healthyProvider = providers.find(p => p.isHealthy);
-                if (healthyProvider) {
-                    return providerType;
-                }
-            }
-        }
-    }
-    
-    // Check if it's a Gemini model
-    if (lowerModelName.includes('gemini')) {
-        // Find available Gemini provider
-        for (const [providerType, providers] of Object.entries(providerPoolManager.providerPools)) {
-            if (providerType.includes('gemini')) {
-                const healthyProvider = providers.find(p => p.isHealthy);
-                if (healthyProvider) {
-                    return providerType;
-                }
-            }
-        }
+
+    const alias = modelAliasService.resolveAlias(currentConfig, modelName, {
+        providerType: currentConfig.explicitProviderSet ? currentConfig.MODEL_PROVIDER : null
+    });
+    if (alias) {
+        const providerType = (!currentConfig.explicitProviderSet && alias.providerType) ||
+            getProviderForModel(alias.model, currentConfig.MODEL_PROVIDER);
+        return { providerType, model: alias.model };
     }
-    
-    // Check if it's a GPT model
-    if (lowerModelName.includes('gpt')) {
-        // Find available OpenAI provider
-        for (const [providerType, providers] of Object.entries(providerPoolManager.providerPools)) {
-            if (providerType.includes('openai')) {
-                const healthyProvider = providers.find(p => p.isHealthy);
-                if (healthyProvider) {
-                    return providerType;
-                }
-            }
-        }
+    if (currentConfig.explicitProviderSet) {
+        return { providerType: getProviderForModel(rawModelName, currentConfig.MODEL_PROVIDER), model: modelName };
     }
-    
-    return defaultProvider;
+
+    const route = routingService.resolveRoute(currentConfig, {
+        model: modelName,
+        endpointType: 'ollama',
+        apiKey: currentConfig.virtualKey || null,
+        headers: req.headers,
+        body: ollamaRequest
+    });
+    return {
+        providerType: route?.providerType || getProviderForModel(route?.model || modelName, currentConfig.MODEL_PROVIDER),
+        model: route?.model || modelName
+    };
 }
 
 const OLLAMA_VERSION = '0.12.10';
@@ -399,6 +378,13 @@ export async function handleOllamaTags(req, res, apiService, currentConfig, prov
         // Execute all fetches in parallel
         const results = await Promise.all(fetchPromises);
         const allModels = results.flat();
+
+        // Add model aliases (config.json `modelAliases`), unprefixed
+        const aliases = modelAliasService.listAliases(currentConfig);
+        if (aliases.length > 0) {
+            const aliasTags = ollamaConverter.convertModelList({ data: aliases.map(alias => ({ id: alias.id })) });
+            allModels.push(...aliasTags.models);
+        }
         
         const response = { models: allModels };
         
@@ -469,9 +455,8 @@ export async function handleOllamaChat(req, res, apiService, currentConfig, prov
         
         // Determine provider based on model name
         const rawModelName = ollamaRequest.model;
-        const modelName = removeModelPrefix(rawModelName);
-        ollamaRequest.model = modelName; // Use clean model name
-        const detectedProvider = getProviderForModel(rawModelName, currentConfig.MODEL_PROVIDER);
+        const { providerType: detectedProvider, model: modelName } = resolveOllamaRoute(rawModelName, ollamaRequest, req, currentConfig);
+        ollamaRequest.model = modelName; // Use clean (or rewritten) model name
         
         console.log(`[Ollama] Model: ${modelName}, Detected provider: ${detectedProvider}`);
         
@@ -498,6 +483,19 @@ export async function handleOllamaChat(req, res, apiService, currentConfig, prov
             }
         }
         
+        // Enforce the virtual key's model and provider allowlists
+        const scope = checkKeyScope(currentConfig.virtualKey, actualConfig.MODEL_PROVIDER, modelName);
+        if (!scope.allowed) {
+            console.log(`[Ollama] Request rejected: ${scope.reason}`);
+            res.writeHead(403, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Server': `ollama/${OLLAMA_VERSION}`
+            });
+            res.end(JSON.stringify({ error: scope.reason }));
+            return;
+        }
+        
         // Convert Ollama request to OpenAI format
         const ollamaConverter = ConverterFactory.getConverter(MODEL_PROTOCOL_PREFIX.OLLAMA);
         const openaiRequest = ollamaConverter.convertRequest(ollamaRequest, MODEL_PROTOCOL_PREFIX.OPENAI);
@@ -565,9 +563,8 @@ export async function handleOllamaGenerate(req, res, apiService, currentConfig,
         
         // Determine provider based on model name
         const rawModelName = ollamaRequest.model;
-        const modelName = removeModelPrefix(rawModelName);
-        ollamaRequest.model = modelName; // Use clean model name
-        const detectedProvider = getProviderForModel(rawModelName, currentConfig.MODEL_PROVIDER);
+        const { providerType: detectedProvider, model: modelName } = resolveOllamaRoute(rawModelName, ollamaRequest, req, currentConfig);
+        ollamaRequest.model = modelName; // Use clean (or rewritten) model name
         
         console.log(`[Ollama] Model: ${modelName}, Detected provider: ${detectedProvider}`);
         
@@ -594,6 +591,19 @@ export async function handleOllamaGenerate(req, res, apiService, currentConfig,
             }
         }
         
+        // Enforce the virtual key's model and provider allowlists
+        const scope = checkKeyScope(currentConfig.virtualKey, actualConfig.MODEL_PROVIDER, modelName);
+        if (!scope.allowed) {
+            console.log(`[Ollama] Request rejected: ${scope.reason}`);
+            res.writeHead(403, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Server': `ollama/${OLLAMA_VERSION}`
+            });
+            res.end(JSON.stringify({ error: scope.reason }));
+            return;
+        }
+        
         // Convert Ollama request to OpenAI format
         const ollamaConverter = ConverterFactory.getConverter(MODEL_PROTOCOL_PREFIX.OLLAMA);
         const openaiRequest = ollamaConverter.convertRequest(ollamaRequest, MODEL_PROTOCOL_PREFIX.OPENAI);
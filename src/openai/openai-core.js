@@ -46,14 +46,16 @@ export class OpenAIApiService {
         this.axiosInstance = axios.create(axiosConfig);
     }
 
-    async callApi(endpoint, body, isRetry = false, retryCount = 0) {
+    async callApi(endpoint, body, isRetry = false, retryCount = 0, signal = null) {
         const maxRetries = this.config.REQUEST_MAX_RETRIES;
         const baseDelay = this.config.REQUEST_BASE_DELAY;  // 1 second base delay
 
         try {
-            const response = await this.axiosInstance.post(endpoint, body);
+            const response = await this.axiosInstance.post(endpoint, body, { signal });
             return response.data;
         } catch (error) {
+            // A cancelled request (e.g. the losing side of a hedged request) is not retried
+            if (signal?.aborted) throw error;
             const status = error.response?.status;
             const data = error.response?.data;
             if (status === 401 || status === 403) {
@@ -66,7 +68,7 @@ export class OpenAIApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received 429 (Too Many Requests). Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             // Handle other retryable errors (5xx server errors)
@@ -74,7 +76,7 @@ export class OpenAIApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received ${status} server error. Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             console.error(`Error calling OpenAI API (Status: ${status}):`, data || error.message);
@@ -151,14 +153,18 @@ export class OpenAIApiService {
         }
     }
 
-    async generateContent(model, requestBody) {
-        return this.callApi('/chat/completions', requestBody);
+    async generateContent(model, requestBody, options = {}) {
+        return this.callApi('/chat/completions', requestBody, false, 0, options.signal);
     }
 
     async *generateContentStream(model, requestBody) {
         yield* this.streamApi('/chat/completions', requestBody);
     }
 
+    async createEmbeddings(model, requestBody, options = {}) {
+        return this.callApi('/embeddings', { ...requestBody, model }, false, 0, options.signal);
+    }
+
     async listModels() {
         try {
             const response = await this.axiosInstance.get('/models');
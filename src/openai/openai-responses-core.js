@@ -46,14 +46,16 @@ export class OpenAIResponsesApiService {
         this.axiosInstance = axios.create(axiosConfig);
     }
 
-    async callApi(endpoint, body, isRetry = false, retryCount = 0) {
+    async callApi(endpoint, body, isRetry = false, retryCount = 0, signal = null) {
         const maxRetries = this.config.REQUEST_MAX_RETRIES || 3;
         const baseDelay = this.config.REQUEST_BASE_DELAY || 1000;  // 1 second base delay
 
         try {
-            const response = await this.axiosInstance.post(endpoint, body);
+            const response = await this.axiosInstance.post(endpoint, body, { signal });
             return response.data;
         } catch (error) {
+            // A cancelled request (e.g. the losing side of a hedged request) is not retried
+            if (signal?.aborted) throw error;
             const status = error.response?.status;
             const data = error.response?.data;
             if (status === 401 || status === 403) {
@@ -66,7 +68,7 @@ export class OpenAIResponsesApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received 429 (Too Many Requests). Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             // Handle other retryable errors (5xx server errors)
@@ -74,7 +76,7 @@ export class OpenAIResponsesApiService {
                 const delay = baseDelay * Math.pow(2, retryCount);
                 console.log(`[API] Received ${status} server error. Retrying in ${delay}ms... (attempt ${retryCount + 1}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return this.callApi(endpoint, body, isRetry, retryCount + 1);
+                return this.callApi(endpoint, body, isRetry, retryCount + 1, signal);
             }
 
             console.error(`Error calling OpenAI Responses API (Status: ${status}):`, data || error.message);
@@ -151,14 +153,18 @@ export class OpenAIResponsesApiService {
         }
     }
 
-    async generateContent(model, requestBody) {
-        return this.callApi('/responses', requestBody);
+    async generateContent(model, requestBody, options = {}) {
+        return this.callApi('/responses', requestBody, false, 0, options.signal);
     }
 
     async *generateContentStream(model, requestBody) {
         yield* this.streamApi('/responses', requestBody);
     }
 
+    async createEmbeddings(model, requestBody, options = {}) {
+        return this.callApi('/embeddings', { ...requestBody, model }, false, 0, options.signal);
+    }
+
     async listModels() {
         try {
             const response = await this.axiosInstance.get('/models');
@@ -47,6 +47,12 @@ CREATE INDEX IF NOT EXISTS idx_requests_provider_type ON requests(provider_type)
 -- Create index on request_id for lookups
 CREATE INDEX IF NOT EXISTS idx_requests_request_id ON requests(request_id);
 
+-- Virtual API key used for the request (added after the initial schema)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS api_key_id UUID;
+
+-- Create index on api_key_id for per-key queries
+CREATE INDEX IF NOT EXISTS idx_requests_api_key_id ON requests(api_key_id);
+
 -- provider_health_events table: tracks provider health state changes
 CREATE TABLE IF NOT EXISTS provider_health_events (
     id SERIAL PRIMARY KEY,
@@ -82,6 +88,93 @@ CREATE TABLE IF NOT EXISTS hourly_aggregates (
 
 -- Create index on hour_bucket for time-based queries
 CREATE INDEX IF NOT EXISTS idx_hourly_aggregates_hour_bucket ON hourly_aggregates(hour_bucket);
+
+-- api_keys table: virtual API keys with per-key provider and model allowlists
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(20),
+    allowed_provider_types JSONB DEFAULT '[]'::jsonb,
+    allowed_models JSONB DEFAULT '[]'::jsonb,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+
+-- Per-key daily/monthly token and request budgets (see budget-service.js)
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS budgets JSONB;
+
+-- Request cost in USD from the price catalog (see pricing-service.js)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS cached_input_tokens INTEGER;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(14, 6);
+ALTER TABLE hourly_aggregates ADD COLUMN IF NOT EXISTS total_cost_usd NUMERIC(16, 6);
+
+-- Mid-stream provider switches before the attempt (see stream-failover.js)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS stream_failovers SMALLINT DEFAULT 0;
+
+-- batch_files table: uploaded batch input files and generated output/error files (see batch-service.js)
+CREATE TABLE IF NOT EXISTS batch_files (
+    id VARCHAR(64) PRIMARY KEY,
+    purpose VARCHAR(32) NOT NULL,
+    filename VARCHAR(255),
+    bytes INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    api_key_id UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- batch_jobs table: OpenAI batches and Anthropic message batches
+CREATE TABLE IF NOT EXISTS batch_jobs (
+    id VARCHAR(64) PRIMARY KEY,
+    api_format VARCHAR(16) NOT NULL,
+    endpoint VARCHAR(64) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    input_file_id VARCHAR(64),
+    output_file_id VARCHAR(64),
+    error_file_id VARCHAR(64),
+    model_provider VARCHAR(50),
+    explicit_provider BOOLEAN DEFAULT FALSE,
+    api_key_id UUID,
+    metadata JSONB,
+    errors JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    cancelling_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_created_at ON batch_jobs(created_at);
+
+-- batch_items table: one row per request of a batch, with its result
+CREATE TABLE IF NOT EXISTS batch_items (
+    batch_id VARCHAR(64) NOT NULL,
+    item_index INTEGER NOT NULL,
+    custom_id VARCHAR(255) NOT NULL,
+    body JSONB NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'pending',
+    attempts SMALLINT DEFAULT 0,
+    status_code SMALLINT,
+    request_id VARCHAR(64),
+    response JSONB,
+    completed_at TIMESTAMPTZ,
+    PRIMARY KEY (batch_id, item_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_items_status ON batch_items(batch_id, status);
+
+-- stored_responses table: OpenAI Responses API responses kept for previous_response_id and retrieval
+CREATE TABLE IF NOT EXISTS stored_responses (
+    id VARCHAR(128) PRIMARY KEY,
+    api_key_id UUID,
+    previous_response_id VARCHAR(128),
+    input JSONB NOT NULL,
+    response JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stored_responses_expires_at ON stored_responses(expires_at);
 `;
 
 /**
@@ -228,6 +321,9 @@ export async function insertRequest(requestData) {
         is_streaming: requestData.isStreaming,
         error_message: requestData.errorMessage,
         client_ip: requestData.clientIp,
+        api_key_id: requestData.apiKeyId,
+        cached_input_tokens: requestData.cachedInputTokens,
+        cost_usd: requestData.costUsd,
     });
 }
 
@@ -255,8 +351,9 @@ export async function upsertHourlyAggregate(aggregateData) {
     const text = `
         INSERT INTO hourly_aggregates (
             hour_bucket, provider_type, model, total_requests, successful_requests,
-            failed_requests, total_input_tokens, total_output_tokens, avg_latency_ms, p95_latency_ms
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            failed_requests, total_input_tokens, total_output_tokens, avg_latency_ms, p95_latency_ms,
+            total_cost_usd
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         ON CONFLICT (hour_bucket, provider_type, model)
         DO UPDATE SET
             total_requests = hourly_aggregates.total_requests + EXCLUDED.total_requests,
@@ -265,7 +362,8 @@ export async function upsertHourlyAggregate(aggregateData) {
             total_input_tokens = hourly_aggregates.total_input_tokens + EXCLUDED.total_input_tokens,
             total_output_tokens = hourly_aggregates.total_output_tokens + EXCLUDED.total_output_tokens,
             avg_latency_ms = EXCLUDED.avg_latency_ms,
-            p95_latency_ms = EXCLUDED.p95_latency_ms
+            p95_latency_ms = EXCLUDED.p95_latency_ms,
+            total_cost_usd = COALESCE(hourly_aggregates.total_cost_usd, 0) + EXCLUDED.total_cost_usd
         RETURNING *
     `;
 
@@ -280,6 +378,7 @@ export async function upsertHourlyAggregate(aggregateData) {
         aggregateData.totalOutputTokens,
         aggregateData.avgLatencyMs,
         aggregateData.p95LatencyMs,
+        aggregateData.totalCostUsd || 0,
     ];
 
     return query(text, values);
@@ -0,0 +1,174 @@
+import { matchesPattern } from './api-key-service.js';
+
+// Prices are in USD per million tokens
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * Default price catalog keyed by provider type ('*' applies to every provider type)
+ * and model pattern. Patterns support '*' wildcards; the most specific match wins.
+ * Override or extend it with `pricing` in config.json, e.g. zero out subscription-backed
+ * providers with { "gemini-cli-oauth": { "*": { "input": 0, "output": 0 } } }.
+ */
+const DEFAULT_PRICES = {
+    '*': {
+        // Gemini
+        'gemini-2.5-pro*': { input: 1.25, output: 10, cachedInput: 0.31 },
+        'gemini-2.5-flash-lite*': { input: 0.10, output: 0.40, cachedInput: 0.025 },
+        'gemini-2.5-flash*': { input: 0.30, output: 2.50, cachedInput: 0.075 },
+        'gemini-2.5-computer-use*': { input: 1.25, output: 10, cachedInput: 0.31 },
+        'gemini-3-pro*': { input: 2, output: 12, cachedInput: 0.20 },
+        'gemini-3-flash*': { input: 0.50, output: 3, cachedInput: 0.05 },
+        // Claude (including Antigravity's gemini-claude-* aliases and Claude Code's short names)
+        '*claude-opus-4-5*': { input: 5, output: 25, cachedInput: 0.50 },
+        '*claude-opus-4*': { input: 15, output: 75, cachedInput: 1.50 },
+        '*claude-sonnet-4*': { input: 3, output: 15, cachedInput: 0.30 },
+        '*claude-3-7-sonnet*': { input: 3, output: 15, cachedInput: 0.30 },
+        '*claude-haiku-4-5*': { input: 1, output: 5, cachedInput: 0.10 },
+        '*claude-3-5-haiku*': { input: 0.80, output: 4, cachedInput: 0.08 },
+        'opus': { input: 5, output: 25, cachedInput: 0.50 },
+        'sonnet': { input: 3, output: 15, cachedInput: 0.30 },
+        'haiku': { input: 1, output: 5, cachedInput: 0.10 },
+        // OpenAI
+        'gpt-5-mini*': { input: 0.25, output: 2, cachedInput: 0.025 },
+        'gpt-5-nano*': { input: 0.05, output: 0.40, cachedInput: 0.005 },
+        'gpt-5*': { input: 1.25, output: 10, cachedInput: 0.125 },
+        'gpt-4.1-mini*': { input: 0.40, output: 1.60, cachedInput: 0.10 },
+        'gpt-4.1-nano*': { input: 0.10, output: 0.40, cachedInput: 0.025 },
+        'gpt-4.1*': { input: 2, output: 8, cachedInput: 0.50 },
+        'gpt-4o-mini*': { input: 0.15, output: 0.60, cachedInput: 0.075 },
+        'gpt-4o*': { input: 2.50, output: 10, cachedInput: 1.25 },
+        'o3-mini*': { input: 1.10, output: 4.40, cachedInput: 0.55 },
+        'o4-mini*': { input: 1.10, output: 4.40, cachedInput: 0.275 },
+        'o3*': { input: 2, output: 8, cachedInput: 0.50 },
+        'gpt-oss-120b*': { input: 0.15, output: 0.60, cachedInput: 0.15 }
+    }
+};
+
+/**
+ * Normalizes a price entry. Missing cached-input prices fall back to the input price.
+ * @param {Object} price - The raw price entry ({ input, output, cachedInput })
+ * @returns {Object|null} The normalized price, or null if it is not a valid entry
+ */
+function normalizePrice(price) {
+    if (!price || typeof price !== 'object') {
+        return null;
+    }
+    const input = Number(price.input);
+    const output = Number(price.output);
+    if (!Number.isFinite(input) || input < 0 || !Number.isFinite(output) || output < 0) {
+        return null;
+    }
+    const cachedInput = Number(price.cachedInput);
+    return {
+        input,
+        output,
+        cachedInput: Number.isFinite(cachedInput) && cachedInput >= 0 ? cachedInput : input
+    };
+}
+
+/**
+ * Finds the most specific pattern in a price table that matches a model.
+ * Exact names win over wildcards, longer wildcards over shorter ones.
+ * @private
+ */
+function _matchModel(table, model) {
+    if (!table || !model) return null;
+    if (table[model]) return table[model];
+
+    let bestPattern = null;
+    for (const pattern of Object.keys(table)) {
+        if (!pattern.includes('*') || !matchesPattern(model, pattern)) continue;
+        if (!bestPattern || pattern.replace(/\*/g, '').length > bestPattern.replace(/\*/g, '').length) {
+            bestPattern = pattern;
+        }
+    }
+    return bestPattern ? table[bestPattern] : null;
+}
+
+/**
+ * Resolves the price for a provider type and model.
+ * Lookup order: config provider type, config '*', default provider type, default '*'.
+ * @param {string} providerType - The provider type that served the request
+ * @param {string} model - The model name
+ * @param {Object|null} [overrides] - The `pricing` section of config.json
+ * @returns {Object|null} { input, output, cachedInput } in USD per million tokens, or null if unknown
+ */
+function getPrice(providerType, model, overrides = null) {
+    const tables = [
+        overrides?.[providerType],
+        overrides?.['*'],
+        DEFAULT_PRICES[providerType],
+        DEFAULT_PRICES['*']
+    ];
+    for (const table of tables) {
+        const price = normalizePrice(_matchModel(table, model));
+        if (price) return price;
+    }
+    return null;
+}
+
+/**
+ * Computes the cost of a request. Cached input tokens are treated as part of the input tokens.
+ * Requests served from the (exact or semantic) response cache or with an unknown price cost nothing.
+ * @param {Object} usage - Usage data (same fields as metricsService.recordRequest)
+ * @param {string} usage.providerType - The provider type that served the request
+ * @param {string} usage.model - The model name
+ * @param {number|null} usage.inputTokens - Input tokens
+ * @param {number|null} usage.outputTokens - Output tokens
+ * @param {number|null} [usage.cachedInputTokens] - Input tokens read from the provider's prompt cache
+ * @param {Object|null} [overrides] - The `pricing` section of config.json
+ * @returns {number} The cost in USD
+ */
+function calculateCost({ providerType, model, inputTokens, outputTokens, cachedInputTokens }, overrides = null) {
+    if (providerType === 'cache' || providerType === 'semantic-cache') {
+        return 0;
+    }
+    const price = getPrice(providerType, model, overrides);
+    if (!price) {
+        return 0;
+    }
+
+    const input = inputTokens || 0;
+    const cached = Math.min(cachedInputTokens || 0, input);
+    const cost = ((input - cached) * price.input + cached * price.cachedInput + (outputTokens || 0) * price.output) / TOKENS_PER_PRICE_UNIT;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Returns the effective price catalog (defaults merged with config overrides).
+ * @param {Object|null} [overrides] - The `pricing` section of config.json
+ * @returns {Object} The catalog keyed by provider type and model pattern
+ */
+function getPriceCatalog(overrides = null) {
+    const catalog = {};
+    for (const source of [DEFAULT_PRICES, overrides || {}]) {
+        for (const [providerType, table] of Object.entries(source)) {
+            catalog[providerType] = catalog[providerType] || {};
+            for (const [pattern, price] of Object.entries(table || {})) {
+                const normalized = normalizePrice(price);
+                if (normalized) catalog[providerType][pattern] = normalized;
+            }
+        }
+    }
+    return catalog;
+}
+
+// Export the pricing service as a singleton
+const pricingService = {
+    getPrice,
+    calculateCost,
+    getPriceCatalog,
+    normalizePrice,
+    DEFAULT_PRICES
+};
+
+export default pricingService;
+
+// Named exports for convenience
+export {
+    getPrice,
+    calculateCost,
+    getPriceCatalog,
+    normalizePrice,
+    DEFAULT_PRICES
+};
@@ -0,0 +1,224 @@
+import * as crypto from 'crypto';
+import { convertData } from './convert.js';
+import { MODEL_PROTOCOL_PREFIX, getProtocolPrefix } from './common.js';
+import { claudeCachePrefixes } from './converters/prompt-cache.js';
+
+/**
+ * Prompt caching for Gemini backends. Claude clients mark cacheable prefixes with `cache_control`
+ * breakpoints; Gemini caches a prefix explicitly as a context cache (cachedContents) that later
+ * requests reference by name. A marked prefix is cached the second time it is seen on an account,
+ * so one-off prefixes are not paid for twice, and reused until the cache expires.
+ * Context caches belong to the account's project, so the state is kept per account.
+ */
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MIN_TOKENS = 4096;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// A cache is not reused this close to its expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Rough prompt size estimate, as for reasoning tokens
+const CHARS_PER_TOKEN = 4;
+
+// Prefix hash -> { name, expiresAt } (name is null if creating the cache failed)
+const contextCaches = new Map();
+// Prefix hash -> pending creation, so concurrent requests create one cache
+const pendingCaches = new Map();
+// Hashes of prefixes seen on earlier requests
+const seenPrefixes = new Map();
+
+/**
+ * Returns the prompt cache settings.
+ * Config shape (config.json `promptCache`):
+ *   { enabled: true, ttlSeconds: 3600, minTokens: 4096, maxEntries: 1000 }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.promptCache || {};
+    const positive = (value, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? Math.floor(number) : fallback;
+    };
+    return {
+        enabled: settings.enabled !== false,
+        ttlSeconds: positive(settings.ttlSeconds, DEFAULT_TTL_SECONDS),
+        minTokens: positive(settings.minTokens, DEFAULT_MIN_TOKENS),
+        maxEntries: positive(settings.maxEntries, DEFAULT_MAX_ENTRIES)
+    };
+}
+
+/**
+ * Finds the Gemini contents prefixes marked by the client's cache breakpoints. Each breakpoint
+ * prefix is converted on its own and kept if the converted request starts with it.
+ * @param {Object} config - The server configuration
+ * @param {Object} clientRequest - The request in the client's format
+ * @param {string} fromProvider - The client protocol
+ * @param {string} toProvider - The backend provider
+ * @param {Object} geminiRequest - The converted Gemini request
+ * @returns {Object|null} { settings, prefixLengths } (numbers of leading contents), or null
+ */
+function planGeminiCache(config, clientRequest, fromProvider, toProvider, geminiRequest) {
+    const settings = getSettings(config);
+    if (!settings.enabled ||
+        getProtocolPrefix(fromProvider) !== MODEL_PROTOCOL_PREFIX.CLAUDE ||
+        getProtocolPrefix(toProvider) !== MODEL_PROTOCOL_PREFIX.GEMINI ||
+        !Array.isArray(geminiRequest?.contents)) {
+        return null;
+    }
+
+    const prefixLengths = [];
+    for (const prefix of claudeCachePrefixes(clientRequest)) {
+        let contents;
+        try {
+            contents = convertData(prefix, 'request', fromProvider, toProvider).contents || [];
+        } catch (error) {
+            console.log(`[PromptCache] Could not convert a cache prefix: ${error.message}`);
+            continue;
+        }
+        // Gemini needs at least one content after the cached prefix
+        if (contents.length >= geminiRequest.contents.length || prefixLengths.includes(contents.length)) continue;
+        if (JSON.stringify(contents) === JSON.stringify(geminiRequest.contents.slice(0, contents.length))) {
+            prefixLengths.push(contents.length);
+        }
+    }
+    return prefixLengths.length > 0 ? { settings, prefixLengths } : null;
+}
+
+/**
+ * Adds an entry to a bounded map, evicting the oldest entries.
+ * @private
+ */
+function _remember(map, key, value, maxEntries) {
+    map.delete(key);
+    map.set(key, value);
+    while (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+    }
+}
+
+/**
+ * Returns the part of a Gemini request a context cache holds: system instruction, tools and the
+ * leading contents.
+ * @private
+ */
+function _cachedPart(geminiRequest, prefixLength) {
+    const cachedPart = { contents: geminiRequest.contents.slice(0, prefixLength) };
+    const systemInstruction = geminiRequest.systemInstruction || geminiRequest.system_instruction;
+    if (systemInstruction) cachedPart.systemInstruction = systemInstruction;
+    if (geminiRequest.tools) cachedPart.tools = geminiRequest.tools;
+    if (geminiRequest.toolConfig) cachedPart.toolConfig = geminiRequest.toolConfig;
+    return cachedPart;
+}
+
+/**
+ * Creates a context cache, or waits for one being created for the same prefix.
+ * @private
+ */
+async function _createCache(service, model, key, cachedPart, settings) {
+    if (!pendingCaches.has(key)) {
+        pendingCaches.set(key, (async () => {
+            try {
+                const created = await service.createCachedContent(model, { ...cachedPart, ttl: `${settings.ttlSeconds}s` });
+                const expiresAt = Date.parse(created?.expireTime) || Date.now() + settings.ttlSeconds * 1000;
+                console.log(`[PromptCache] Created Gemini context cache ${created?.name} (${cachedPart.contents.length} contents, ${created?.usageMetadata?.totalTokenCount ?? '?'} tokens)`);
+                _remember(contextCaches, key, { name: created?.name || null, expiresAt }, settings.maxEntries);
+            } catch (error) {
+                // Not retried until the TTL has passed (e.g. the API is not enabled for the project)
+                console.error(`[PromptCache] Failed to create Gemini context cache: ${error.response?.status || ''} ${error.message}`);
+                _remember(contextCaches, key, { name: null, expiresAt: Date.now() + settings.ttlSeconds * 1000 }, settings.maxEntries);
+            } finally {
+                pendingCaches.delete(key);
+            }
+        })());
+    }
+    await pendingCaches.get(key);
+    return contextCaches.get(key);
+}
+
+/**
+ * Rewrites a Gemini request to use a context cache of this account for the longest planned
+ * prefix that is cached, or that was seen before and is long enough to be worth caching.
+ * The request is returned unchanged if no cache applies or the service has no context caching.
+ * @param {Object} service - The backend service adapter
+ * @param {string|null} accountKey - The account's pool uuid
+ * @param {string} model - The model name
+ * @param {Object} geminiRequest - The Gemini request
+ * @param {Object|null} plan - From planGeminiCache
+ * @returns {Promise<Object>} The request to send
+ */
+async function applyGeminiCache(service, accountKey, model, geminiRequest, plan) {
+    if (!plan || typeof service?.createCachedContent !== 'function' || geminiRequest.cachedContent) {
+        return geminiRequest;
+    }
+
+    const { settings } = plan;
+    const now = Date.now();
+    const candidates = [...plan.prefixLengths]
+        .filter(length => length < (geminiRequest.contents?.length || 0))
+        .sort((a, b) => b - a)
+        .map(length => {
+            const cachedPart = _cachedPart(geminiRequest, length);
+            const key = crypto.createHash('sha256')
+                .update(JSON.stringify({ accountKey: accountKey || 'default', model, cachedPart }))
+                .digest('hex');
+            return { length, cachedPart, key };
+        });
+
+    let selected = null;
+    let cache = null;
+    for (const candidate of candidates) {
+        const entry = contextCaches.get(candidate.key);
+        if (entry && entry.expiresAt - EXPIRY_MARGIN_MS > now) {
+            if (entry.name) {
+                selected = candidate;
+                cache = entry;
+            }
+            break;
+        }
+        if (seenPrefixes.has(candidate.key) &&
+            JSON.stringify(candidate.cachedPart).length / CHARS_PER_TOKEN >= settings.minTokens) {
+            selected = candidate;
+            break;
+        }
+    }
+    candidates.forEach(candidate => _remember(seenPrefixes, candidate.key, now, settings.maxEntries));
+
+    if (selected && !cache) {
+        cache = await _createCache(service, model, selected.key, selected.cachedPart, settings);
+    }
+    if (!cache?.name) {
+        return geminiRequest;
+    }
+
+    const { systemInstruction, system_instruction, tools, toolConfig, ...rest } = geminiRequest;
+    console.log(`[PromptCache] Using Gemini context cache ${cache.name} for ${selected.length} of ${geminiRequest.contents.length} contents`);
+    return { ...rest, contents: geminiRequest.contents.slice(selected.length), cachedContent: cache.name };
+}
+
+/**
+ * Clears the context cache state (for tests).
+ */
+function resetPromptCache() {
+    contextCaches.clear();
+    pendingCaches.clear();
+    seenPrefixes.clear();
+}
+
+const promptCacheService = {
+    getSettings,
+    planGeminiCache,
+    applyGeminiCache,
+    resetPromptCache
+};
+
+export default promptCacheService;
+
+// Named exports for convenience
+export {
+    getSettings,
+    planGeminiCache,
+    applyGeminiCache,
+    resetPromptCache
+};
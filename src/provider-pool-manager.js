@@ -4,6 +4,13 @@ import { MODEL_PROVIDER, getProtocolPrefix } from './common.js';
 import { getProviderModels } from './provider-models.js';
 import axios from 'axios';
 import { metricsService } from './metrics-service.js';
+import sessionAffinity from './session-affinity.js';
+import { SELECTION_STRATEGY, DEFAULT_SELECTION_STRATEGY, STRATEGIES_KEY, isValidStrategy, selectByStrategy } from './provider-selection-strategies.js';
+import { CircuitBreaker, CIRCUIT_STATE, resolveCircuitBreakerOptions } from './circuit-breaker.js';
+import { getQuotaResetTime, isModelSpecificError } from './rate-limit-reset.js';
+
+// Separates the uuid and the model in the keys of per-model circuit breakers
+const MODEL_KEY_SEPARATOR = '::';
 
 /**
  * Manages a pool of API service providers, handling their health and selection.
@@ -26,7 +33,7 @@ export class ProviderPoolManager {
         this.providerStatus = {}; // Track health and usage for each provider instance
         this.roundRobinIndex = {}; // Track round-robin index for each provider type
         // Use ?? operator to ensure 0 can be set correctly, instead of being replaced by default value with ||
-        this.maxErrorCount = options.maxErrorCount ?? 3; // Default to 3 errors before marking unhealthy
+        this.maxErrorCount = options.maxErrorCount ?? 3; // Default to 3 errors before marking unhealthy (minimum requests of the circuit breaker window)
         this.healthCheckInterval = options.healthCheckInterval ?? 10 * 60 * 1000; // Default to 10 minutes
 
         // Log level control
@@ -40,6 +47,22 @@ export class ProviderPoolManager {
         // Fallback chain config
         this.fallbackChain = options.globalConfig?.providerFallbackChain || {};
 
+        // Selection strategies (provider_pools.json `_strategies`) and their runtime state
+        this.strategiesConfig = {}; // `_strategies` section as written in the file
+        this.selectionStrategies = {}; // providerType -> valid strategy name
+        this.currentWeights = {}; // uuid -> current weight for weighted round robin
+        this.inFlightCounts = {}; // uuid -> requests in flight
+        this.capacityListeners = new Set(); // Called when a request in flight finishes, see onCapacityFreed
+        this.quotaSnapshots = {}; // uuid -> { fetchedAt, models: { [model]: remainingFraction } }
+        this.pendingQuotaRefreshes = new Set(); // uuids with a getUsageLimits call in progress
+        this.quotaRefreshIntervalMs = options.quotaRefreshIntervalMs ?? 5 * 60 * 1000; // Refresh quotas every 5 minutes
+
+        // Circuit breakers (config.json `circuitBreaker`), one per account and one per (account, model)
+        this.circuitBreakers = {}; // uuid or `${uuid}::${model}` -> CircuitBreaker
+        this.circuitBreakerOptions = resolveCircuitBreakerOptions(this.globalConfig.circuitBreaker, {
+            minRequests: Math.max(1, this.maxErrorCount)
+        });
+
         // Auto health check configuration
         this.healthCheckTimers = {}; // Map of uuid -> setTimeout timer ID
         this.quickRetryIntervalMs = options.quickRetryIntervalMs ?? 10 * 1000; // 10 seconds between quick retries
@@ -81,6 +104,21 @@ export class ProviderPoolManager {
      * Initially, all providers are considered healthy and have zero usage.
      */
     initializeProviderStatus() {
+        // The reserved `_strategies` key is not a pool: keep it aside so pool iteration stays uniform
+        if (this.providerPools && Object.prototype.hasOwnProperty.call(this.providerPools, STRATEGIES_KEY)) {
+            this.strategiesConfig = this.providerPools[STRATEGIES_KEY] || {};
+            delete this.providerPools[STRATEGIES_KEY];
+            this.selectionStrategies = {};
+            for (const [providerType, strategy] of Object.entries(this.strategiesConfig)) {
+                if (isValidStrategy(strategy)) {
+                    this.selectionStrategies[providerType] = strategy;
+                } else {
+                    this._log('warn', `Unknown selection strategy '${strategy}' for ${providerType}, using ${DEFAULT_SELECTION_STRATEGY}`);
+                }
+            }
+        }
+
+        const configsByUuid = {};
         for (const providerType in this.providerPools) {
             this.providerStatus[providerType] = [];
             this.roundRobinIndex[providerType] = 0; // Initialize round-robin index for each type
@@ -108,22 +146,250 @@ export class ProviderPoolManager {
                 providerConfig.quickRetryPhaseStartTime = providerConfig.quickRetryPhaseStartTime || null; // When quick retry phase started
                 providerConfig.lastQuickRetryTime = providerConfig.lastQuickRetryTime || null; // When last quick retry was performed
                 providerConfig.healthCheckScheduleType = providerConfig.healthCheckScheduleType || null; // 'quick_retry' | 'rate_limit' | 'standard' | null
+                providerConfig.cooldownUntil = providerConfig.cooldownUntil || null; // Rate limit cooldown end (ISO), see markProviderRateLimited
+                providerConfig.modelHealth = providerConfig.modelHealth || {}; // model -> health entry, see _getModelHealth
 
+                configsByUuid[providerConfig.uuid] = providerConfig;
                 this.providerStatus[providerType].push({
                     config: providerConfig,
                     uuid: providerConfig.uuid, // Still keep uuid at the top level for easy access
                 });
             });
         }
+
+        // Rebuild circuit breakers whose health flag was changed outside of them (e.g. a manual reset)
+        for (const [key, breaker] of Object.entries(this.circuitBreakers)) {
+            const separator = key.indexOf(MODEL_KEY_SEPARATOR);
+            const uuid = separator === -1 ? key : key.slice(0, separator);
+            const model = separator === -1 ? null : key.slice(separator + MODEL_KEY_SEPARATOR.length);
+            const config = configsByUuid[uuid];
+            const isHealthy = model ? config?.modelHealth[model]?.isHealthy !== false : config?.isHealthy;
+            if (!config || (breaker.state === CIRCUIT_STATE.CLOSED) !== isHealthy) {
+                delete this.circuitBreakers[key];
+            }
+        }
         this._log('info', `Initialized provider statuses: ok (maxErrorCount: ${this.maxErrorCount})`);
     }
 
     /**
-     * Selects a provider from the pool for a given provider type.
-     * Currently uses a simple round-robin for healthy providers.
+     * Returns the health entry of a model on an account, creating it on first use.
+     * Entries are persisted in the account's `modelHealth` field.
+     * @private
+     */
+    _getModelHealth(providerConfig, model) {
+        if (!providerConfig.modelHealth) {
+            providerConfig.modelHealth = {};
+        }
+        if (!providerConfig.modelHealth[model]) {
+            providerConfig.modelHealth[model] = {
+                isHealthy: true,
+                errorCount: 0,
+                lastErrorTime: null,
+                lastErrorMessage: null,
+                lastErrorStatusCode: null,
+                cooldownUntil: null,
+                lastSuccessTime: null
+            };
+        }
+        return providerConfig.modelHealth[model];
+    }
+
+    /**
+     * Checks whether a failure only concerns the requested model: a 404 (model not found) or a 429
+     * (model quota) whose response names the model. Everything else (401, 403, 5xx, network errors)
+     * concerns the whole account.
+     * @private
+     */
+    _isModelScopedFailure(model, statusCode, error = null) {
+        if (!model || (statusCode !== 404 && statusCode !== 429)) {
+            return false;
+        }
+        return isModelSpecificError(error, model);
+    }
+
+    /**
+     * Returns the circuit breaker of an account, or of a model on an account, creating it on first use.
+     * Accounts and models persisted as unhealthy start open and are probed on the next selection.
+     * @private
+     */
+    _getCircuitBreaker(providerType, providerConfig, model = null) {
+        const uuid = providerConfig.uuid;
+        const key = model ? `${uuid}${MODEL_KEY_SEPARATOR}${model}` : uuid;
+        if (!this.circuitBreakers[key]) {
+            const isHealthy = model ? providerConfig.modelHealth?.[model]?.isHealthy !== false : providerConfig.isHealthy !== false;
+            this.circuitBreakers[key] = new CircuitBreaker(this.circuitBreakerOptions, {
+                state: isHealthy ? CIRCUIT_STATE.CLOSED : CIRCUIT_STATE.OPEN,
+                onTransition: (from, to, details) => this._onCircuitTransition(providerType, uuid, from, to, details, model)
+            });
+        }
+        return this.circuitBreakers[key];
+    }
+
+    /**
+     * Applies a circuit state change to the account (or its model entry) and records it on the health timeline.
+     * @private
+     */
+    _onCircuitTransition(providerType, uuid, from, to, details = {}, model = null) {
+        const provider = this._findProvider(providerType, uuid);
+        if (!provider) {
+            return;
+        }
+        const target = model ? this._getModelHealth(provider.config, model) : provider.config;
+        target.isHealthy = to === CIRCUIT_STATE.CLOSED;
+        target.circuitState = to;
+
+        const scope = model ? `${uuid} [${model}]` : uuid;
+        const reason = details.reason ? ` (${details.reason})` : '';
+        this._log(to === CIRCUIT_STATE.OPEN ? 'warn' : 'info', `Circuit ${from} -> ${to} for ${scope} (${providerType})${reason}`);
+
+        // Record health event for timeline widget
+        const message = to === CIRCUIT_STATE.OPEN ? (target.lastErrorMessage || details.reason || null) : null;
+        metricsService.recordHealthEvent({
+            providerUuid: uuid,
+            providerType: providerType,
+            eventType: `circuit_${to}`,
+            errorCode: to === CIRCUIT_STATE.OPEN ? target.lastErrorStatusCode : null,
+            errorMessage: model ? `[${model}]${message ? ` ${message}` : ''}` : message,
+        });
+
+        // Scheduled health checks probe whole accounts; models recover through half-open probes only
+        if (!model) {
+            if (to === CIRCUIT_STATE.OPEN && this.autoHealthCheckEnabled) {
+                // Scheduled health checks still probe the account actively while the circuit is open
+                this._scheduleHealthCheck(providerType, provider.config);
+            } else if (to === CIRCUIT_STATE.CLOSED) {
+                this._clearHealthCheckTimer(uuid);
+            }
+        }
+
+        this._debouncedSave(providerType);
+    }
+
+    /**
+     * Checks whether an account (or one of its model entries) is in a rate limit cooldown.
+     * @param {Object} providerConfig - The account's configuration, or a model health entry.
+     * @param {number} [now] - Current time in ms.
+     * @returns {boolean} True until the quota resets.
+     */
+    isProviderCoolingDown(providerConfig, now = Date.now()) {
+        return Boolean(providerConfig?.cooldownUntil) && new Date(providerConfig.cooldownUntil).getTime() > now;
+    }
+
+    /**
+     * Checks whether an account can take a request: it is enabled, not cooling down after a 429,
+     * and its circuit is closed or half-open with a free probe slot. With a model, the account's
+     * health for that model is checked as well.
+     * @param {string} providerType - The provider type.
+     * @param {Object} providerStatus - The account's entry in providerStatus ({ config, uuid }).
+     * @param {string|null} [model] - The requested model.
+     * @returns {boolean} True if the account can be selected.
+     */
+    isProviderAvailable(providerType, providerStatus, model = null) {
+        const config = providerStatus?.config;
+        if (!config || config.isDisabled || this.isProviderCoolingDown(config)) {
+            return false;
+        }
+        if (!this._getCircuitBreaker(providerType, config).isAdmitting()) {
+            return false;
+        }
+        if (!model) {
+            return true;
+        }
+        if (this.isProviderCoolingDown(config.modelHealth?.[model])) {
+            return false;
+        }
+        return this._getCircuitBreaker(providerType, config, model).isAdmitting();
+    }
+
+    /**
+     * Checks whether an account has a free request slot. Pool entries may limit their
+     * concurrent requests with `maxConcurrency` (provider_pools.json); unset or 0 means unlimited.
+     * @param {Object} providerConfig - The account's configuration.
+     * @returns {boolean} True if another request may be sent to the account.
+     */
+    hasFreeSlot(providerConfig) {
+        const maxConcurrency = Number(providerConfig?.maxConcurrency);
+        if (!Number.isInteger(maxConcurrency) || maxConcurrency <= 0) {
+            return true;
+        }
+        return (this.inFlightCounts[providerConfig.uuid] || 0) < maxConcurrency;
+    }
+
+    /**
+     * Counts the requests the accounts of a type can take right now: free slots of the accounts
+     * that are available for the model and support it. Accounts without `maxConcurrency` count as unlimited.
+     * @param {string} providerType - The provider type.
+     * @param {string|null} [model] - The requested model.
+     * @returns {number} Free request slots (Infinity if an available account is unlimited).
+     */
+    getFreeCapacity(providerType, model = null) {
+        let capacity = 0;
+        for (const p of this.providerStatus[providerType] || []) {
+            if (!this.isProviderAvailable(providerType, p, model) ||
+                (model && Array.isArray(p.config.notSupportedModels) && p.config.notSupportedModels.includes(model))) {
+                continue;
+            }
+            const maxConcurrency = Number(p.config.maxConcurrency);
+            if (!Number.isInteger(maxConcurrency) || maxConcurrency <= 0) {
+                return Infinity;
+            }
+            capacity += Math.max(0, maxConcurrency - (this.inFlightCounts[p.uuid] || 0));
+        }
+        return capacity;
+    }
+
+    /**
+     * Registers a listener called whenever a request in flight finishes (see request-queue.js).
+     * @param {Function} listener - Called with (providerType, uuid).
+     * @returns {Function} Call to unregister the listener.
+     */
+    onCapacityFreed(listener) {
+        this.capacityListeners.add(listener);
+        return () => this.capacityListeners.delete(listener);
+    }
+
+    /**
+     * Returns the circuit breaker state of every account of a type, with its per-model circuits.
+     * @param {string} providerType - The provider type.
+     * @returns {Object} uuid -> circuit snapshot (state, window error rate, openUntil, models: { [model]: snapshot })
+     */
+    getCircuitStates(providerType) {
+        const states = {};
+        for (const p of this.providerStatus[providerType] || []) {
+            const models = {};
+            for (const model of Object.keys(p.config.modelHealth || {})) {
+                models[model] = this._getCircuitBreaker(providerType, p.config, model).getSnapshot();
+            }
+            states[p.uuid] = { ...this._getCircuitBreaker(providerType, p.config).getSnapshot(), models };
+        }
+        return states;
+    }
+
+    /**
+     * Returns the per-model health matrix of every account of a type.
+     * @param {string} providerType - The provider type.
+     * @returns {Array<Object>} One row per account: { uuid, customName, isHealthy, cooldownUntil, models: { [model]: entry } }
+     */
+    getModelHealthMatrix(providerType) {
+        return (this.providerStatus[providerType] || []).map(p => ({
+            uuid: p.uuid,
+            customName: p.config.customName || null,
+            isHealthy: p.config.isHealthy,
+            cooldownUntil: p.config.cooldownUntil || null,
+            models: p.config.modelHealth || {}
+        }));
+    }
+
+    /**
+     * Selects a provider from the pool for a given provider type, using the type's selection strategy
+     * (least recently used by default, see provider-selection-strategies.js).
      * If requestedModel is provided, providers that don't support the model will be excluded.
      * @param {string} providerType - The type of provider to select (e.g., 'gemini-cli', 'openai-custom').
      * @param {string} [requestedModel] - Optional. The model name to filter providers by.
+     * @param {Object} [options] - Optional. Additional options.
+     * @param {Set<string>} [options.excludeUuids] - Optional. UUIDs already tried by this request.
+     * @param {boolean} [options.skipUsageCount] - Optional. If true, skip incrementing usage count.
+     * @param {string|null} [options.preferredUuid] - Optional. Sticky session binding: used while it is healthy and eligible.
      * @returns {object|null} The selected provider's configuration, or null if no healthy provider is found.
      */
     selectProvider(providerType, requestedModel = null, options = {}) {
@@ -134,8 +400,9 @@ export class ProviderPoolManager {
         }
 
         const availableProviders = this.providerStatus[providerType] || [];
+        // Accounts only count as unhealthy for the models they failed on; full accounts are skipped
         let availableAndHealthyProviders = availableProviders.filter(p =>
-            p.config.isHealthy && !p.config.isDisabled
+            this.isProviderAvailable(providerType, p, requestedModel) && this.hasFreeSlot(p.config)
         );
 
         // Filter out already-tried providers (for retry logic)
@@ -172,17 +439,22 @@ export class ProviderPoolManager {
             return null;
         }
 
-        // Improvement: Use "Least Recently Used" (LRU) strategy instead of modulo round-robin
-        // This ensures each account is evenly selected even when available list length changes dynamically
-        const selected = availableAndHealthyProviders.sort((a, b) => {
-            const timeA = a.config.lastUsed ? new Date(a.config.lastUsed).getTime() : 0;
-            const timeB = b.config.lastUsed ? new Date(b.config.lastUsed).getTime() : 0;
-            // Prioritize never used, or least recently used
-            if (timeA !== timeB) return timeA - timeB;
-            // If times are equal, use usage count as secondary criterion
-            return (a.config.usageCount || 0) - (b.config.usageCount || 0);
-        })[0];
-        
+        // A conversation bound to an account keeps using it until it becomes unhealthy
+        const sticky = options.preferredUuid
+            ? availableAndHealthyProviders.find(p => p.config.uuid === options.preferredUuid)
+            : null;
+        const strategy = sticky ? 'sticky' : this.getSelectionStrategy(providerType);
+        if (strategy === SELECTION_STRATEGY.QUOTA_AWARE) {
+            this._refreshQuotas(providerType, availableAndHealthyProviders);
+        }
+        const selected = sticky || selectByStrategy(strategy, availableAndHealthyProviders, {
+            model: requestedModel,
+            currentWeights: this.currentWeights,
+            inFlight: this.inFlightCounts,
+            getLatency: (uuid) => metricsService.getProviderLatency(uuid),
+            quotas: this.quotaSnapshots
+        });
+
         // Update usage info (unless explicitly skipped)
         if (!options.skipUsageCount) {
             selected.config.lastUsed = new Date().toISOString();
@@ -191,7 +463,7 @@ export class ProviderPoolManager {
             this._debouncedSave(providerType);
         }
 
-        this._log('debug', `Selected provider for ${providerType} (round-robin): ${selected.config.uuid}${requestedModel ? ` for model: ${requestedModel}` : ''}${options.skipUsageCount ? ' (skip usage count)' : ''}`);
+        this._log('debug', `Selected provider for ${providerType} (${strategy}): ${selected.config.uuid}${requestedModel ? ` for model: ${requestedModel}` : ''}${options.skipUsageCount ? ' (skip usage count)' : ''}`);
         
         return selected.config;
     }
@@ -284,6 +556,163 @@ export class ProviderPoolManager {
         return null;
     }
 
+    /**
+     * Gets the selection strategy for a provider type.
+     * @param {string} providerType - The provider type.
+     * @returns {string} The configured strategy, or the default (least-recently-used).
+     */
+    getSelectionStrategy(providerType) {
+        return this.selectionStrategies[providerType] || DEFAULT_SELECTION_STRATEGY;
+    }
+
+    /**
+     * Gets the selection strategy of every pooled provider type.
+     * @returns {Object} Map of providerType -> strategy name.
+     */
+    getSelectionStrategies() {
+        const strategies = {};
+        for (const providerType in this.providerStatus) {
+            strategies[providerType] = this.getSelectionStrategy(providerType);
+        }
+        return strategies;
+    }
+
+    /**
+     * Returns the pools as stored in provider_pools.json, with the `_strategies` section re-added.
+     * Use this instead of serializing the in-memory pools directly.
+     * @param {Object} [providerPools] - Pools to serialize (defaults to the managed pools).
+     * @returns {Object} The file content.
+     */
+    toPoolsFileContent(providerPools = this.providerPools) {
+        if (Object.keys(this.strategiesConfig).length === 0) {
+            return providerPools;
+        }
+        return { [STRATEGIES_KEY]: { ...this.strategiesConfig }, ...providerPools };
+    }
+
+    /**
+     * Gets the account a conversation is bound to (config.json `sessionAffinity`).
+     * Bindings live in Redis when available so they survive worker restarts.
+     * @param {string|null} affinityKey - The conversation's affinity key (see session-affinity.js).
+     * @returns {Promise<string|null>} The bound provider UUID, or null.
+     */
+    async getSessionBinding(affinityKey) {
+        try {
+            return await sessionAffinity.getBoundUuid(affinityKey);
+        } catch (error) {
+            this._log('warn', `Failed to read session binding: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Binds a conversation to the account that served it, refreshing the binding's expiry.
+     * @param {string|null} affinityKey - The conversation's affinity key.
+     * @param {string} uuid - The provider UUID.
+     * @returns {Promise<void>}
+     */
+    async bindSession(affinityKey, uuid) {
+        if (!affinityKey || !uuid) {
+            return;
+        }
+        try {
+            await sessionAffinity.bind(this.globalConfig, affinityKey, uuid);
+            this._log('debug', `Bound session ${affinityKey.slice(0, 8)} to ${uuid}`);
+        } catch (error) {
+            this._log('warn', `Failed to store session binding: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tracks a request in flight on a provider (for the least-in-flight strategy and `maxConcurrency`).
+     * On a half-open circuit (of the account or of the model) the request takes one of the probe slots.
+     * @param {string} providerType - The provider type.
+     * @param {string} uuid - The provider UUID.
+     * @param {string|null} [model] - The requested model.
+     * @returns {Function} Call once the request has finished.
+     */
+    trackInFlight(providerType, uuid, model = null) {
+        if (!uuid) {
+            return () => {};
+        }
+        this.inFlightCounts[uuid] = (this.inFlightCounts[uuid] || 0) + 1;
+        const provider = this.providerStatus[providerType]?.find(p => p.uuid === uuid);
+        const endProbes = provider
+            ? [
+                this._getCircuitBreaker(providerType, provider.config).beginRequest(),
+                ...(model ? [this._getCircuitBreaker(providerType, provider.config, model).beginRequest()] : [])
+            ]
+            : [];
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.inFlightCounts[uuid] = Math.max(0, (this.inFlightCounts[uuid] || 1) - 1);
+            endProbes.forEach(endProbe => endProbe());
+            for (const listener of this.capacityListeners) {
+                try {
+                    listener(providerType, uuid);
+                } catch (error) {
+                    this._log('error', `Capacity listener failed: ${error.message}`);
+                }
+            }
+        };
+    }
+
+    /**
+     * Stores the remaining quota of a provider from its adapter's getUsageLimits() result
+     * (for the quota-aware strategy).
+     * @param {string} providerType - The provider type.
+     * @param {string} uuid - The provider UUID.
+     * @param {Object} usageLimits - Raw usage limits ({ models: { [model]: { remaining } } }).
+     */
+    updateQuota(providerType, uuid, usageLimits) {
+        if (!uuid || !usageLimits?.models) {
+            return;
+        }
+        const models = {};
+        for (const [model, info] of Object.entries(usageLimits.models)) {
+            const remaining = Number(info?.remaining);
+            if (Number.isFinite(remaining)) {
+                models[model] = remaining;
+            }
+        }
+        this.quotaSnapshots[uuid] = { fetchedAt: Date.now(), models };
+        this._log('debug', `Updated quota snapshot for ${providerType} (${uuid}): ${Object.keys(models).length} models`);
+    }
+
+    /**
+     * Refreshes stale quota snapshots in the background; selection uses whatever is known meanwhile.
+     * @private
+     */
+    _refreshQuotas(providerType, providers) {
+        for (const provider of providers) {
+            const uuid = provider.uuid;
+            const snapshot = this.quotaSnapshots[uuid];
+            if (this.pendingQuotaRefreshes.has(uuid) ||
+                (snapshot && Date.now() - snapshot.fetchedAt < this.quotaRefreshIntervalMs)) {
+                continue;
+            }
+
+            let serviceAdapter;
+            try {
+                serviceAdapter = getServiceAdapter(this._buildAdapterConfig(providerType, provider.config));
+            } catch (error) {
+                this._log('warn', `Cannot refresh quota for ${providerType} (${uuid}): ${error.message}`);
+                continue;
+            }
+            if (typeof serviceAdapter.getUsageLimits !== 'function') {
+                continue;
+            }
+
+            this.pendingQuotaRefreshes.add(uuid);
+            serviceAdapter.getUsageLimits()
+                .then(usageLimits => this.updateQuota(providerType, uuid, usageLimits))
+                .catch(error => this._log('warn', `Failed to refresh quota for ${providerType} (${uuid}): ${error.message}`))
+                .finally(() => this.pendingQuotaRefreshes.delete(uuid));
+        }
+    }
+
     /**
      * Gets the fallback chain for a given provider type.
      * @param {string} providerType - The provider type to get fallback chain for.
@@ -310,14 +739,14 @@ export class ProviderPoolManager {
     /**
      * Checks if all providers of a given type are unhealthy.
      * @param {string} providerType - The provider type to check.
-     * @returns {boolean} True if all providers are unhealthy or disabled.
+     * @returns {boolean} True if all providers are disabled or their circuits are not admitting requests.
      */
     isAllProvidersUnhealthy(providerType) {
         const providers = this.providerStatus[providerType] || [];
         if (providers.length === 0) {
             return true;
         }
-        return providers.every(p => !p.config.isHealthy || p.config.isDisabled);
+        return providers.every(p => !this.isProviderAvailable(providerType, p));
     }
 
     /**
@@ -353,8 +782,11 @@ export class ProviderPoolManager {
      * @param {object} providerConfig - The configuration of the provider to mark.
      * @param {string} [errorMessage] - Optional error message to store.
      * @param {number} [statusCode] - Optional HTTP status code of the error.
+     * @param {string} [requestedModel] - Optional model of the failed request: the failure only counts against
+     *                                    that model if it is model-specific (see _isModelScopedFailure).
+     * @param {Error} [error] - Optional upstream error, used to tell model-specific failures apart.
      */
-    markProviderUnhealthy(providerType, providerConfig, errorMessage = null, statusCode = null) {
+    markProviderUnhealthy(providerType, providerConfig, errorMessage = null, statusCode = null, requestedModel = null, error = null) {
         if (!providerConfig?.uuid) {
             this._log('error', 'Invalid providerConfig in markProviderUnhealthy');
             return;
@@ -362,54 +794,79 @@ export class ProviderPoolManager {
 
         const provider = this._findProvider(providerType, providerConfig.uuid);
         if (provider) {
-            provider.config.errorCount++;
-            provider.config.lastErrorTime = new Date().toISOString();
+            const model = this._isModelScopedFailure(requestedModel, statusCode, error || { message: errorMessage }) ? requestedModel : null;
+            const target = model ? this._getModelHealth(provider.config, model) : provider.config;
+            target.errorCount++;
+            target.lastErrorTime = new Date().toISOString();
             // Update lastUsed time to prevent failed nodes from being repeatedly selected due to LRU strategy
             provider.config.lastUsed = new Date().toISOString();
 
             // Save error message
             if (errorMessage) {
-                provider.config.lastErrorMessage = errorMessage;
+                target.lastErrorMessage = errorMessage;
             }
 
             // Save HTTP status code for health check scheduling
             if (statusCode !== null) {
-                provider.config.lastErrorStatusCode = statusCode;
+                target.lastErrorStatusCode = statusCode;
             }
 
-            if (provider.config.errorCount >= this.maxErrorCount) {
-                provider.config.isHealthy = false;
-                this._log('warn', `Marked provider as unhealthy: ${providerConfig.uuid} for type ${providerType}. Status: ${statusCode || 'unknown'}. Total errors: ${provider.config.errorCount}`);
-
-                // Record health event for timeline widget
-                metricsService.recordHealthEvent({
-                    providerUuid: providerConfig.uuid,
-                    providerType: providerType,
-                    eventType: 'unhealthy',
-                    errorCode: statusCode || null,
-                    errorMessage: errorMessage || null,
-                });
-
-                // Schedule appropriate health check based on error type
-                if (this.autoHealthCheckEnabled) {
-                    this._scheduleHealthCheck(providerType, provider.config);
-                }
+            // The circuit breaker opens on the error rate over its sliding window (see _onCircuitTransition)
+            const scope = model ? `${providerConfig.uuid} [${model}]` : providerConfig.uuid;
+            const breaker = this._getCircuitBreaker(providerType, provider.config, model);
+            breaker.recordFailure();
+            if (breaker.state === CIRCUIT_STATE.CLOSED) {
+                const { failures, requests } = breaker.getWindowStats();
+                this._log('warn', `Provider ${scope} for type ${providerType} failed ${failures}/${requests} recent requests. Circuit still closed.`);
             } else {
-                this._log('warn', `Provider ${providerConfig.uuid} for type ${providerType} error count: ${provider.config.errorCount}/${this.maxErrorCount}. Still healthy.`);
+                this._log('warn', `Provider ${scope} for type ${providerType} is unavailable (circuit ${breaker.state}). Status: ${statusCode || 'unknown'}. Total errors: ${target.errorCount}`);
             }
 
             this._debouncedSave(providerType);
         }
     }
 
+    /**
+     * Puts an account into a cooldown that ends when its quota resets, as reported by the 429 response
+     * (Retry-After, rate limit headers or Google RetryInfo). Unlike markProviderUnhealthy, this does not
+     * count as an error: the account is only skipped by selectProvider until the cooldown ends.
+     * @param {string} providerType - The type of the provider.
+     * @param {object} providerConfig - The configuration of the provider to mark.
+     * @param {Error} error - The 429 error from the adapter.
+     * @param {string} [requestedModel] - Optional model of the request: only that model cools down if the
+     *                                    429 is for a model quota, otherwise the whole account does.
+     * @returns {boolean} True if a cooldown was set, false if the response did not say when the quota resets.
+     */
+    markProviderRateLimited(providerType, providerConfig, error, requestedModel = null) {
+        if (!providerConfig?.uuid) {
+            this._log('error', 'Invalid providerConfig in markProviderRateLimited');
+            return false;
+        }
+
+        const provider = this._findProvider(providerType, providerConfig.uuid);
+        const resetTime = getQuotaResetTime(error);
+        if (!provider || resetTime === null) {
+            return false;
+        }
+
+        const model = this._isModelScopedFailure(requestedModel, 429, error) ? requestedModel : null;
+        const target = model ? this._getModelHealth(provider.config, model) : provider.config;
+        target.cooldownUntil = new Date(resetTime).toISOString();
+        this._log('warn', `Rate limited: ${providerConfig.uuid}${model ? ` [${model}]` : ''} for type ${providerType}. Cooling down until ${target.cooldownUntil} (${Math.ceil((resetTime - Date.now()) / 1000)}s)`);
+
+        this._debouncedSave(providerType);
+        return true;
+    }
+
     /**
      * Marks a provider as healthy.
      * @param {string} providerType - The type of the provider.
      * @param {object} providerConfig - The configuration of the provider to mark.
      * @param {boolean} resetUsageCount - Whether to reset usage count (optional, default: false).
      * @param {string} [healthCheckModel] - Optional model name used for health check.
+     * @param {string} [requestedModel] - Optional model of the successful request, whose health entry is reset too.
      */
-    markProviderHealthy(providerType, providerConfig, resetUsageCount = false, healthCheckModel = null) {
+    markProviderHealthy(providerType, providerConfig, resetUsageCount = false, healthCheckModel = null, requestedModel = null) {
         if (!providerConfig?.uuid) {
             this._log('error', 'Invalid providerConfig in markProviderHealthy');
             return;
@@ -417,20 +874,37 @@ export class ProviderPoolManager {
 
         const provider = this._findProvider(providerType, providerConfig.uuid);
         if (provider) {
-            provider.config.isHealthy = true;
-            provider.config.errorCount = 0;
-            provider.config.lastErrorTime = null;
-            provider.config.lastErrorMessage = null;
-
-            // Reset auto health check state
-            provider.config.lastErrorStatusCode = null;
-            provider.config.quickRetryCount = 0;
-            provider.config.quickRetryPhaseStartTime = null;
-            provider.config.lastQuickRetryTime = null;
-            provider.config.healthCheckScheduleType = null;
+            // Closes an open or half-open circuit (recorded on the health timeline by _onCircuitTransition)
+            const breaker = this._getCircuitBreaker(providerType, provider.config);
+            breaker.recordSuccess();
+
+            if (breaker.state === CIRCUIT_STATE.CLOSED) {
+                provider.config.errorCount = 0;
+                provider.config.lastErrorTime = null;
+                provider.config.lastErrorMessage = null;
+
+                // Reset auto health check state
+                provider.config.lastErrorStatusCode = null;
+                provider.config.quickRetryCount = 0;
+                provider.config.quickRetryPhaseStartTime = null;
+                provider.config.lastQuickRetryTime = null;
+                provider.config.healthCheckScheduleType = null;
+                provider.config.cooldownUntil = null;
+            }
 
-            // Clear any pending health check timer for this provider
-            this._clearHealthCheckTimer(provider.config.uuid);
+            if (requestedModel) {
+                const modelHealth = this._getModelHealth(provider.config, requestedModel);
+                const modelBreaker = this._getCircuitBreaker(providerType, provider.config, requestedModel);
+                modelBreaker.recordSuccess();
+                modelHealth.lastSuccessTime = new Date().toISOString();
+                if (modelBreaker.state === CIRCUIT_STATE.CLOSED) {
+                    modelHealth.errorCount = 0;
+                    modelHealth.lastErrorTime = null;
+                    modelHealth.lastErrorMessage = null;
+                    modelHealth.lastErrorStatusCode = null;
+                    modelHealth.cooldownUntil = null;
+                }
+            }
 
             // Update health check info
             provider.config.lastHealthCheckTime = new Date().toISOString();
@@ -445,16 +919,7 @@ export class ProviderPoolManager {
                 provider.config.usageCount++;
                 provider.config.lastUsed = new Date().toISOString();
             }
-            this._log('info', `Marked provider as healthy: ${provider.config.uuid} for type ${providerType}${resetUsageCount ? ' (usage count reset)' : ''}`);
-
-            // Record health event for timeline widget
-            metricsService.recordHealthEvent({
-                providerUuid: providerConfig.uuid,
-                providerType: providerType,
-                eventType: 'healthy',
-                errorCode: null,
-                errorMessage: null,
-            });
+            this._log('info', `Marked provider as healthy: ${provider.config.uuid} for type ${providerType}${resetUsageCount ? ' (usage count reset)' : ''}${breaker.state !== CIRCUIT_STATE.CLOSED ? ` (circuit ${breaker.state})` : ''}`);
 
             this._debouncedSave(providerType);
         }
@@ -531,6 +996,12 @@ export class ProviderPoolManager {
             for (const providerStatus of this.providerStatus[providerType]) {
                 const providerConfig = providerStatus.config;
 
+                // A check would only hit the rate limit again before the quota resets
+                if (this.isProviderCoolingDown(providerConfig)) {
+                    this._log('debug', `Skipping health check for ${providerConfig.uuid} (${providerType}). Cooling down until ${providerConfig.cooldownUntil}.`);
+                    continue;
+                }
+
                 // Only attempt to health check unhealthy providers after a certain interval
                 if (!providerStatus.config.isHealthy && providerStatus.config.lastErrorTime &&
                     (now.getTime() - new Date(providerStatus.config.lastErrorTime).getTime() < this.healthCheckInterval)) {
@@ -581,6 +1052,26 @@ export class ProviderPoolManager {
         }
     }
 
+    /**
+     * Build the config for an internal service adapter of a pool account
+     * @private
+     */
+    _buildAdapterConfig(providerType, providerConfig) {
+        const proxyKeys = ['GEMINI', 'OPENAI', 'CLAUDE'];
+        const tempConfig = {
+            ...providerConfig,
+            MODEL_PROVIDER: providerType
+        };
+
+        proxyKeys.forEach(key => {
+            const proxyKey = `USE_SYSTEM_PROXY_${key}`;
+            if (this.globalConfig[proxyKey] !== undefined) {
+                tempConfig[proxyKey] = this.globalConfig[proxyKey];
+            }
+        });
+        return tempConfig;
+    }
+
     /**
      * Build health check requests (returns multiple formats for retry)
      * @private
@@ -642,20 +1133,7 @@ export class ProviderPoolManager {
         }
 
         // Perform health check using internal service adapter
-        const proxyKeys = ['GEMINI', 'OPENAI', 'CLAUDE'];
-        const tempConfig = {
-            ...providerConfig,
-            MODEL_PROVIDER: providerType
-        };
-        
-        proxyKeys.forEach(key => {
-            const proxyKey = `USE_SYSTEM_PROXY_${key}`;
-            if (this.globalConfig[proxyKey] !== undefined) {
-                tempConfig[proxyKey] = this.globalConfig[proxyKey];
-            }
-        });
-
-        const serviceAdapter = getServiceAdapter(tempConfig);
+        const serviceAdapter = getServiceAdapter(this._buildAdapterConfig(providerType, providerConfig));
         
         // Get all possible request formats
         const healthCheckRequests = this._buildHealthCheckRequests(providerType, modelName);
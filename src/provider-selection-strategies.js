@@ -0,0 +1,148 @@
+/**
+ * Account selection strategies for ProviderPoolManager.selectProvider.
+ * The strategy is set per provider type in provider_pools.json:
+ *   "_strategies": { "gemini-cli-oauth": "quota-aware", "openai-custom": "weighted-round-robin" }
+ */
+
+const SELECTION_STRATEGY = {
+    LEAST_RECENTLY_USED: 'least-recently-used',
+    WEIGHTED_ROUND_ROBIN: 'weighted-round-robin',
+    LEAST_IN_FLIGHT: 'least-in-flight',
+    LOWEST_LATENCY: 'lowest-latency',
+    QUOTA_AWARE: 'quota-aware'
+};
+
+const DEFAULT_SELECTION_STRATEGY = SELECTION_STRATEGY.LEAST_RECENTLY_USED;
+
+// Reserved provider_pools.json key holding the per provider type strategies
+const STRATEGIES_KEY = '_strategies';
+
+/**
+ * Checks whether a strategy name is supported.
+ * @param {string} strategy - The strategy name
+ * @returns {boolean} True if supported
+ */
+function isValidStrategy(strategy) {
+    return Object.values(SELECTION_STRATEGY).includes(strategy);
+}
+
+/**
+ * Orders accounts by least recently used, then by usage count (the default strategy).
+ * @private
+ */
+function _compareLeastRecentlyUsed(a, b) {
+    const timeA = a.config.lastUsed ? new Date(a.config.lastUsed).getTime() : 0;
+    const timeB = b.config.lastUsed ? new Date(b.config.lastUsed).getTime() : 0;
+    // Prioritize never used, or least recently used
+    if (timeA !== timeB) return timeA - timeB;
+    // If times are equal, use usage count as secondary criterion
+    return (a.config.usageCount || 0) - (b.config.usageCount || 0);
+}
+
+/**
+ * Picks the account with the lowest score, falling back to least recently used on ties.
+ * @private
+ */
+function _pickLowest(candidates, score) {
+    return [...candidates].sort((a, b) => (score(a) - score(b)) || _compareLeastRecentlyUsed(a, b))[0];
+}
+
+/**
+ * Returns an account's weight (`weight` field of its pool entry, default 1).
+ * @private
+ */
+function _getWeight(candidate) {
+    const weight = Number(candidate.config.weight);
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+/**
+ * Returns the remaining quota fraction (0-1) of an account for a model from its last
+ * `getUsageLimits` snapshot. Without a model entry the lowest remaining fraction is used;
+ * accounts without a snapshot count as full.
+ * @param {Object|null} quota - Snapshot { models: { [model]: remainingFraction } }
+ * @param {string|null} model - The requested model
+ * @returns {number} Remaining fraction
+ */
+function getRemainingQuota(quota, model) {
+    const models = quota?.models;
+    if (!models) return 1;
+    if (model && typeof models[model] === 'number') return models[model];
+    const values = Object.values(models).filter(value => typeof value === 'number');
+    return values.length > 0 ? Math.min(...values) : 1;
+}
+
+/**
+ * Selects one account from the healthy candidates using the given strategy.
+ * @param {string} strategy - One of SELECTION_STRATEGY
+ * @param {Array<{config: Object, uuid: string}>} candidates - Healthy accounts that support the model
+ * @param {Object} [state] - Runtime selection state
+ * @param {string|null} [state.model] - The requested model
+ * @param {Object} [state.currentWeights] - uuid -> current weight (smooth weighted round robin, updated in place)
+ * @param {Object} [state.inFlight] - uuid -> number of requests in flight
+ * @param {Function} [state.getLatency] - (uuid) => latency EWMA in ms, or null if unknown
+ * @param {Object} [state.quotas] - uuid -> quota snapshot
+ * @returns {Object|null} The selected candidate
+ */
+function selectByStrategy(strategy, candidates, state = {}) {
+    if (!candidates || candidates.length === 0) {
+        return null;
+    }
+
+    switch (strategy) {
+        case SELECTION_STRATEGY.WEIGHTED_ROUND_ROBIN: {
+            // Smooth weighted round robin: every account gains its weight, the highest is picked
+            // and pays back the total, so picks are interleaved in proportion to the weights
+            const currentWeights = state.currentWeights || {};
+            let totalWeight = 0;
+            let selected = null;
+            for (const candidate of candidates) {
+                const weight = _getWeight(candidate);
+                totalWeight += weight;
+                currentWeights[candidate.uuid] = (currentWeights[candidate.uuid] || 0) + weight;
+                if (!selected || currentWeights[candidate.uuid] > currentWeights[selected.uuid]) {
+                    selected = candidate;
+                }
+            }
+            currentWeights[selected.uuid] -= totalWeight;
+            return selected;
+        }
+        case SELECTION_STRATEGY.LEAST_IN_FLIGHT: {
+            const inFlight = state.inFlight || {};
+            return _pickLowest(candidates, candidate => inFlight[candidate.uuid] || 0);
+        }
+        case SELECTION_STRATEGY.LOWEST_LATENCY: {
+            // Accounts without latency data score 0 so they get probed
+            const getLatency = state.getLatency || (() => null);
+            return _pickLowest(candidates, candidate => getLatency(candidate.uuid) ?? 0);
+        }
+        case SELECTION_STRATEGY.QUOTA_AWARE: {
+            const quotas = state.quotas || {};
+            return _pickLowest(candidates, candidate => -getRemainingQuota(quotas[candidate.uuid], state.model || null));
+        }
+        default:
+            return [...candidates].sort(_compareLeastRecentlyUsed)[0];
+    }
+}
+
+// Export the selection strategies as a singleton
+const providerSelectionStrategies = {
+    SELECTION_STRATEGY,
+    DEFAULT_SELECTION_STRATEGY,
+    STRATEGIES_KEY,
+    isValidStrategy,
+    getRemainingQuota,
+    selectByStrategy
+};
+
+export default providerSelectionStrategies;
+
+// Named exports for convenience
+export {
+    SELECTION_STRATEGY,
+    DEFAULT_SELECTION_STRATEGY,
+    STRATEGIES_KEY,
+    isValidStrategy,
+    getRemainingQuota,
+    selectByStrategy
+};
@@ -0,0 +1,200 @@
+/**
+ * Works out when a rate-limited (429) account's quota resets, from the upstream error response:
+ * - `Retry-After` (seconds or an HTTP date)
+ * - Google `RetryInfo.retryDelay` and `ErrorInfo` `quotaResetDelay` / `quotaResetTimeStamp` error details
+ * - OpenAI `x-ratelimit-reset-*` and Anthropic `anthropic-ratelimit-*-reset` headers
+ */
+
+// Upper bound for a cooldown, in case a provider reports an implausible reset time
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS_MS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+/**
+ * Parses a Go/protobuf style duration ("1h2m3.5s", "6m0s", "20ms", "34s") into milliseconds.
+ * @param {string} value - The duration
+ * @returns {number|null} Milliseconds, or null if not a duration
+ */
+function parseDuration(value) {
+    if (typeof value !== 'string' || !/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(value.trim())) {
+        return null;
+    }
+    let total = 0;
+    for (const [, amount, unit] of value.trim().matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+        total += parseFloat(amount) * DURATION_UNITS_MS[unit];
+    }
+    return total;
+}
+
+/**
+ * Parses a reset value into an absolute time: a duration, seconds from now,
+ * a Unix timestamp (seconds or milliseconds) or a date.
+ * @private
+ */
+function _parseResetTime(value, now) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = parseFloat(text);
+        if (number > 1e12) return number;
+        if (number > 1e9) return number * 1000;
+        return now + number * 1000;
+    }
+    const duration = parseDuration(text);
+    if (duration !== null) {
+        return now + duration;
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * Returns a lowercase header lookup for axios/gaxios headers (plain object or Headers instance).
+ * @private
+ */
+function _headerReader(headers) {
+    if (!headers) {
+        return { get: () => undefined, names: [] };
+    }
+    if (typeof headers.get === 'function' && typeof headers.forEach === 'function') {
+        const names = [];
+        headers.forEach((value, name) => names.push(name.toLowerCase()));
+        return { get: (name) => headers.get(name) ?? undefined, names };
+    }
+    const lower = {};
+    for (const [name, value] of Object.entries(headers)) {
+        lower[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+    return { get: (name) => lower[name], names: Object.keys(lower) };
+}
+
+/**
+ * Reads the quota reset time from OpenAI and Anthropic rate limit headers. When some limits
+ * are exhausted (remaining 0) their reset is used, otherwise the latest reset.
+ * @private
+ */
+function _resetFromRateLimitHeaders(reader, now) {
+    const exhausted = [];
+    const all = [];
+    for (const name of reader.names) {
+        let remainingName = null;
+        if (/^x-ratelimit-reset(-.+)?$/.test(name)) {
+            remainingName = name.replace('x-ratelimit-reset', 'x-ratelimit-remaining');
+        } else if (/^anthropic-ratelimit-.+-reset$/.test(name)) {
+            remainingName = name.replace(/-reset$/, '-remaining');
+        } else {
+            continue;
+        }
+        const resetAt = _parseResetTime(reader.get(name), now);
+        if (resetAt === null) continue;
+        all.push(resetAt);
+        const remaining = reader.get(remainingName);
+        if (remaining !== undefined && Number(remaining) === 0) {
+            exhausted.push(resetAt);
+        }
+    }
+    const candidates = exhausted.length > 0 ? exhausted : all;
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Reads the quota reset time from Google RPC error details (RetryInfo and ErrorInfo metadata).
+ * @private
+ */
+function _resetFromGoogleErrorDetails(data, now) {
+    let body = data;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            return null;
+        }
+    }
+    if (Array.isArray(body)) {
+        body = body[0];
+    }
+    const details = body?.error?.details;
+    if (!Array.isArray(details)) {
+        return null;
+    }
+
+    const candidates = [];
+    for (const detail of details) {
+        const type = detail?.['@type'] || '';
+        if (type.endsWith('google.rpc.RetryInfo')) {
+            const delay = parseDuration(detail.retryDelay);
+            if (delay !== null) candidates.push(now + delay);
+        } else if (type.endsWith('google.rpc.ErrorInfo') && detail.metadata) {
+            const resetAt = _parseResetTime(detail.metadata.quotaResetTimeStamp, now)
+                ?? _parseResetTime(detail.metadata.quotaResetDelay, now);
+            if (resetAt !== null) candidates.push(resetAt);
+        }
+    }
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+/**
+ * Returns when the quota of a rate-limited account resets.
+ * @param {Error} error - The upstream error (axios/gaxios style, with `response.headers` and `response.data`)
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Reset time in ms (capped at 24 hours from now), or null if the response does not say
+ */
+function getQuotaResetTime(error, now = Date.now()) {
+    const response = error?.response;
+    if (!response) {
+        return null;
+    }
+    const reader = _headerReader(response.headers);
+
+    const resetAt = _parseResetTime(reader.get('retry-after'), now)
+        ?? _resetFromGoogleErrorDetails(response.data, now)
+        ?? _resetFromRateLimitHeaders(reader, now);
+    if (resetAt === null) {
+        return null;
+    }
+    return Math.min(Math.max(resetAt, now), now + MAX_COOLDOWN_MS);
+}
+
+/**
+ * Checks whether an upstream error is about one model rather than the whole account, i.e. the
+ * response names the model (Google `ErrorInfo`/`QuotaFailure` model quotas, OpenAI "Rate limit reached
+ * for gpt-4o", "models/gemini-x is not found").
+ * @param {Error} error - The upstream error (axios/gaxios style, with `response.data`)
+ * @param {string} model - The requested model
+ * @returns {boolean} True if the error response or message names the model
+ */
+function isModelSpecificError(error, model) {
+    if (!error || !model) {
+        return false;
+    }
+    let text = error.message || '';
+    const data = error.response?.data;
+    if (typeof data === 'string') {
+        text += ` ${data}`;
+    } else if (data && typeof data === 'object') {
+        try {
+            text += ` ${JSON.stringify(data)}`;
+        } catch {
+            // Streamed or circular bodies are only checked through the message
+        }
+    }
+    return text.toLowerCase().includes(model.toLowerCase());
+}
+
+// Export the rate limit reset parser as a singleton
+const rateLimitReset = {
+    parseDuration,
+    getQuotaResetTime,
+    isModelSpecificError
+};
+
+export default rateLimitReset;
+
+// Named exports for convenience
+export {
+    parseDuration,
+    getQuotaResetTime,
+    isModelSpecificError
+};
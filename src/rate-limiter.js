@@ -0,0 +1,322 @@
+import redisClient from './redis-client.js';
+
+// Rate limit counter prefix (stored in the 'metrics' namespace)
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+// Limits are expressed per minute
+const WINDOW_MS = 60 * 1000;
+
+// In-memory token buckets used when Redis is unavailable (per process)
+const buckets = new Map();
+
+/**
+ * Returns the configured limits for each scope the request falls into.
+ * Config shape (config.json `rateLimits`):
+ *   { enabled, trustProxy, perKey: { rpm, tpm }, perIp: { rpm, tpm }, perProvider: { '<providerType>' | '*': { rpm, tpm } } }
+ * The client IP comes from getClientIp() in common.js (X-Forwarded-For only with `trustProxy`).
+ * @param {Object} config - The server configuration
+ * @param {Object} context - Request context
+ * @param {string|null} context.apiKeyId - Virtual key id (null for the master key)
+ * @param {string|null} context.clientIp - Client IP address
+ * @param {string|null} context.providerType - Target provider type
+ * @param {string[]} [context.scopes] - Only these scopes ('key', 'ip', 'provider'); all by default
+ * @returns {Array<{scope: string, id: string, rpm: number|null, tpm: number|null}>} The limited scopes
+ */
+function getRateLimitScopes(config, { apiKeyId, clientIp, providerType, scopes: onlyScopes = null }) {
+    const rateLimits = config?.rateLimits;
+    if (!rateLimits || !rateLimits.enabled) {
+        return [];
+    }
+
+    const candidates = [
+        ['key', apiKeyId || 'master', rateLimits.perKey],
+        ['ip', clientIp, rateLimits.perIp],
+        ['provider', providerType, rateLimits.perProvider?.[providerType] || rateLimits.perProvider?.['*']]
+    ];
+
+    const scopes = [];
+    for (const [scope, id, limits] of candidates) {
+        if (!id || !limits || (onlyScopes && !onlyScopes.includes(scope))) continue;
+        const rpm = Number(limits.rpm) > 0 ? Number(limits.rpm) : null;
+        const tpm = Number(limits.tpm) > 0 ? Number(limits.tpm) : null;
+        if (rpm || tpm) {
+            scopes.push({ scope, id, rpm, tpm });
+        }
+    }
+    return scopes;
+}
+
+// Token bucket in Redis, shared across workers: a hash { tokens, capacity, updatedAt } refilled
+// at `capacity` per window using the Redis server's clock.
+// ARGV: mode, capacity (0 keeps the stored one), cost, window in ms.
+// Modes: 'take' removes `cost` tokens if there are enough, 'peek' only reads, 'charge' always
+// removes them (the bucket may go negative). Returns { allowed, tokens, capacity }, or an empty
+// array when charging a bucket that was never checked.
+const TOKEN_BUCKET_SCRIPT = `
+redis.replicate_commands()
+local mode = ARGV[1]
+local capacity = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local windowMs = tonumber(ARGV[4])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'capacity', 'updatedAt')
+if capacity == 0 then
+    capacity = tonumber(state[2])
+    if not capacity then return {} end
+end
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[3]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * capacity / windowMs)
+local allowed = 0
+if mode == 'take' then
+    if tokens >= cost then
+        tokens = tokens - cost
+        allowed = 1
+    end
+elseif mode == 'charge' then
+    tokens = tokens - cost
+    allowed = 1
+elseif tokens > 0 then
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'capacity', capacity, 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) * windowMs / capacity) + windowMs)
+return { allowed, tostring(tokens), capacity }
+`;
+
+/**
+ * Applies a token bucket operation to the in-memory bucket (same semantics as TOKEN_BUCKET_SCRIPT).
+ * @private
+ */
+function _memoryBucket(key, mode, capacity, cost) {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!capacity) {
+        if (!bucket) return null;
+        capacity = bucket.capacity;
+    }
+    if (!bucket) {
+        bucket = { tokens: capacity, capacity, updatedAt: now };
+        buckets.set(key, bucket);
+    }
+    bucket.capacity = capacity;
+    bucket.tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * capacity / WINDOW_MS);
+    bucket.updatedAt = now;
+
+    let allowed = false;
+    if (mode === 'take') {
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            allowed = true;
+        }
+    } else if (mode === 'charge') {
+        bucket.tokens -= cost;
+        allowed = true;
+    } else {
+        allowed = bucket.tokens > 0;
+    }
+    return { allowed, tokens: bucket.tokens, capacity };
+}
+
+/**
+ * Applies a token bucket operation to a scope's bucket: in Redis when available (shared across
+ * workers), in memory otherwise. Buckets hold `capacity` tokens and refill at `capacity` per minute.
+ * A failed Redis script is logged and skips the bucket rather than falling back to this process's
+ * memory, whose buckets are not shared and may be stale from an earlier outage.
+ * @param {string} scope - 'key', 'ip' or 'provider'
+ * @param {string} id - The scope's id
+ * @param {string} metric - 'requests' or 'tokens'
+ * @param {string} mode - 'take', 'peek' or 'charge'
+ * @param {number} capacity - The limit, or 0 to use the bucket's (charging only)
+ * @param {number} cost - Tokens to take or charge
+ * @returns {Promise<{allowed: boolean, tokens: number, capacity: number}|null>} null if an unchecked bucket was
+ *   charged or the Redis script failed
+ * @private
+ */
+async function _applyBucket(scope, id, metric, mode, capacity, cost) {
+    const key = `${RATE_LIMIT_PREFIX}${scope}:${id}:${metric}`;
+    if (redisClient.isAvailable()) {
+        const result = await redisClient.evalScript(TOKEN_BUCKET_SCRIPT, key, [mode, capacity, cost, WINDOW_MS]);
+        if (!Array.isArray(result)) {
+            console.error(`[RateLimit] Failed to ${mode} bucket ${key} in Redis, skipping it`);
+            return null;
+        }
+        if (result.length === 0) {
+            return null;
+        }
+        return { allowed: result[0] === 1, tokens: parseFloat(result[1]), capacity: Number(result[2]) };
+    }
+    return _memoryBucket(key, mode, capacity, cost);
+}
+
+/**
+ * Milliseconds until a bucket is full again.
+ * @private
+ */
+function _bucketResetMs(bucket) {
+    return Math.ceil((bucket.capacity - bucket.tokens) * WINDOW_MS / bucket.capacity);
+}
+
+/**
+ * Consumes one request from a scope's RPM limit.
+ * @returns {Promise<Object|null>} The result, or null if the bucket could not be read
+ * @private
+ */
+async function _consumeRequest(scope, id, limit) {
+    const bucket = await _applyBucket(scope, id, 'requests', 'take', limit, 1);
+    if (!bucket) return null;
+    const resetMs = bucket.allowed ? _bucketResetMs(bucket) : Math.ceil((1 - bucket.tokens) * WINDOW_MS / limit);
+    return { allowed: bucket.allowed, limit, remaining: Math.max(0, Math.floor(bucket.tokens)), resetMs };
+}
+
+/**
+ * Checks whether a scope still has tokens left under its TPM limit.
+ * Tokens are only known after a response, so they are charged by recordTokens().
+ * @returns {Promise<Object|null>} The result, or null if the bucket could not be read
+ * @private
+ */
+async function _peekTokens(scope, id, limit) {
+    const bucket = await _applyBucket(scope, id, 'tokens', 'peek', limit, 0);
+    if (!bucket) return null;
+    return { allowed: bucket.allowed, limit, remaining: Math.max(0, Math.floor(bucket.tokens)), resetMs: _bucketResetMs(bucket) };
+}
+
+/**
+ * Formats a duration the way OpenAI's x-ratelimit-reset-* headers do (e.g. '20ms', '1s', '6m0s').
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+function formatResetDuration(ms) {
+    if (ms < 1000) {
+        return `${Math.max(0, Math.ceil(ms))}ms`;
+    }
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m${seconds}s` : `${seconds}s`;
+}
+
+/**
+ * Builds rate limit headers in both OpenAI (x-ratelimit-*) and Anthropic
+ * (anthropic-ratelimit-*) conventions from the most restrictive scope.
+ * @param {Object|null} requests - Most restrictive request result
+ * @param {Object|null} tokens - Most restrictive token result
+ * @returns {Object} Response headers
+ */
+function buildRateLimitHeaders(requests, tokens) {
+    const headers = {};
+    const entries = [['requests', requests], ['tokens', tokens]];
+    for (const [metric, result] of entries) {
+        if (!result) continue;
+        headers[`x-ratelimit-limit-${metric}`] = String(result.limit);
+        headers[`x-ratelimit-remaining-${metric}`] = String(result.remaining);
+        headers[`x-ratelimit-reset-${metric}`] = formatResetDuration(result.resetMs);
+        headers[`anthropic-ratelimit-${metric}-limit`] = String(result.limit);
+        headers[`anthropic-ratelimit-${metric}-remaining`] = String(result.remaining);
+        headers[`anthropic-ratelimit-${metric}-reset`] = new Date(Date.now() + result.resetMs).toISOString();
+    }
+    return headers;
+}
+
+/**
+ * Checks and consumes rate limits for a request across all of its scopes.
+ * @param {Object} config - The server configuration
+ * @param {Object} context - { apiKeyId, clientIp, providerType, scopes? } (see getRateLimitScopes)
+ * @returns {Promise<{allowed: boolean, reason: string|null, headers: Object}>} The check result
+ */
+async function checkRateLimit(config, context) {
+    const scopes = getRateLimitScopes(config, context);
+    if (scopes.length === 0) {
+        return { allowed: true, reason: null, headers: {} };
+    }
+
+    let tightestRequests = null;
+    let tightestTokens = null;
+    let rejection = null;
+
+    for (const { scope, id, tpm } of scopes) {
+        if (tpm) {
+            const result = await _peekTokens(scope, id, tpm);
+            if (!result) continue;
+            if (!tightestTokens || result.remaining < tightestTokens.remaining) tightestTokens = result;
+            if (!result.allowed && !rejection) {
+                rejection = { reason: `Rate limit exceeded for ${scope} '${id}': ${tpm} tokens per minute`, resetMs: result.resetMs };
+            }
+        }
+    }
+
+    // Only consume request slots when the token check passed
+    if (!rejection) {
+        for (const { scope, id, rpm } of scopes) {
+            if (!rpm) continue;
+            const result = await _consumeRequest(scope, id, rpm);
+            if (!result) continue;
+            if (!tightestRequests || result.remaining < tightestRequests.remaining) tightestRequests = result;
+            if (!result.allowed && !rejection) {
+                rejection = { reason: `Rate limit exceeded for ${scope} '${id}': ${rpm} requests per minute`, resetMs: result.resetMs };
+            }
+        }
+    }
+
+    const headers = buildRateLimitHeaders(tightestRequests, tightestTokens);
+    if (rejection) {
+        headers['retry-after'] = String(Math.max(1, Math.ceil(rejection.resetMs / 1000)));
+        console.log(`[RateLimit] ${rejection.reason}`);
+        return { allowed: false, reason: rejection.reason, headers };
+    }
+    return { allowed: true, reason: null, headers };
+}
+
+/**
+ * Charges the tokens of a finished request against every scope's TPM bucket.
+ * @param {Object} usage - Usage data (same fields as metricsService.recordRequest)
+ * @param {string|null} usage.apiKeyId - Virtual key id (null for the master key)
+ * @param {string|null} usage.clientIp - Client IP address
+ * @param {string|null} usage.providerType - Provider type that served the request
+ * @param {number|null} usage.inputTokens - Input tokens
+ * @param {number|null} usage.outputTokens - Output tokens
+ * @returns {Promise<void>}
+ */
+async function recordTokens({ apiKeyId, clientIp, providerType, inputTokens, outputTokens }) {
+    const tokens = (inputTokens || 0) + (outputTokens || 0);
+    if (tokens <= 0) {
+        return;
+    }
+
+    const targets = [['key', apiKeyId || 'master'], ['ip', clientIp], ['provider', providerType]];
+    for (const [scope, id] of targets) {
+        if (!id) continue;
+        // Only scopes that have been checked (and therefore have a limit) keep a bucket
+        await _applyBucket(scope, id, 'tokens', 'charge', 0, tokens);
+    }
+}
+
+/**
+ * Clears all in-memory buckets.
+ */
+function resetBuckets() {
+    buckets.clear();
+}
+
+// Export the rate limiter as a singleton
+const rateLimiter = {
+    checkRateLimit,
+    recordTokens,
+    getRateLimitScopes,
+    buildRateLimitHeaders,
+    formatResetDuration,
+    resetBuckets
+};
+
+export default rateLimiter;
+
+// Named exports for convenience
+export {
+    checkRateLimit,
+    recordTokens,
+    getRateLimitScopes,
+    buildRateLimitHeaders,
+    formatResetDuration,
+    resetBuckets
+};
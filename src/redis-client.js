@@ -309,6 +309,58 @@ async function incrBy(key, amount, namespace = 'metrics') {
     }
 }
 
+/**
+ * Sets a TTL on an existing key.
+ * @param {string} key - The key to expire (without namespace prefix)
+ * @param {number} ttlSeconds - TTL in seconds
+ * @param {string} [namespace='metrics'] - The namespace (defaults to 'metrics' for counters)
+ * @returns {Promise<boolean>} True if the TTL was set, false otherwise
+ */
+async function expire(key, ttlSeconds, namespace = 'metrics') {
+    if (!isAvailable()) {
+        return false;
+    }
+
+    const prefix = namespace === 'metrics' ? NAMESPACE.METRICS : NAMESPACE.CACHE;
+    const fullKey = `${prefix}${key}`;
+
+    try {
+        const result = await redisClient.expire(fullKey, ttlSeconds);
+        return result === 1;
+    } catch (error) {
+        console.error(`[Redis Error] EXPIRE ${fullKey}: ${error.message}`);
+        stats.errors++;
+        stats.lastError = error.message;
+        return false;
+    }
+}
+
+/**
+ * Runs a Lua script atomically against one key.
+ * @param {string} script - The Lua script (the key is KEYS[1])
+ * @param {string} key - The key the script works on (without namespace prefix)
+ * @param {Array<string|number>} args - The script's ARGV
+ * @param {string} [namespace='metrics'] - The namespace (defaults to 'metrics' for counters)
+ * @returns {Promise<*|null>} The script's result, or null on failure
+ */
+async function evalScript(script, key, args, namespace = 'metrics') {
+    if (!isAvailable()) {
+        return null;
+    }
+
+    const prefix = namespace === 'metrics' ? NAMESPACE.METRICS : NAMESPACE.CACHE;
+    const fullKey = `${prefix}${key}`;
+
+    try {
+        return await redisClient.eval(script, 1, fullKey, ...args);
+    } catch (error) {
+        console.error(`[Redis Error] EVAL ${fullKey}: ${error.message}`);
+        stats.errors++;
+        stats.lastError = error.message;
+        return null;
+    }
+}
+
 /**
  * Gets cache statistics including hit/miss rates.
  * @returns {Object} Statistics object with hit/miss counts and rates
@@ -541,6 +593,8 @@ export default {
     keys,
     incr,
     incrBy,
+    expire,
+    evalScript,
     getJSON,
     setJSON,
     getStats,
@@ -562,6 +616,8 @@ export {
     keys,
     incr,
     incrBy,
+    expire,
+    evalScript,
     getJSON,
     setJSON,
     getStats,
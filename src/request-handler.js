@@ -1,12 +1,13 @@
 import deepmerge from 'deepmerge';
-import { handleError, isAuthorized } from './common.js';
+import { getClientIp, handleError, isAuthorized, sendRejection } from './common.js';
 import { handleUIApiRequests, serveStaticFiles } from './ui-manager.js';
-import { handleAPIRequests } from './api-manager.js';
+import { handleAPIRequests, getClientProtocolForPath } from './api-manager.js';
 import { getApiService, getProviderStatus } from './service-manager.js';
 import { getProviderPoolManager } from './service-manager.js';
 import { MODEL_PROVIDER } from './common.js';
 import { PROMPT_LOG_FILENAME } from './config-manager.js';
 import { handleOllamaRequest, handleOllamaShow } from './ollama-handler.js';
+import rateLimiter from './rate-limiter.js';
 
 /**
  * Parse request body as JSON
@@ -162,7 +163,7 @@ export function createRequestHandler(config, providerPoolManager) {
         }
 
         // Check authentication for API requests
-        if (!isAuthorized(req, requestUrl, currentConfig.REQUIRED_API_KEY)) {
+        if (!await isAuthorized(req, requestUrl, currentConfig.REQUIRED_API_KEY, currentConfig)) {
             res.writeHead(401, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: { message: 'Unauthorized: API key is invalid or missing.' } }));
             return;
@@ -199,6 +200,22 @@ export function createRequestHandler(config, providerPoolManager) {
             }
         }
 
+        // Apply per-key and per-IP rate limits (requests and tokens per minute). Provider limits are
+        // checked once routing has picked the provider type (see handleContentGenerationRequest).
+        const clientIp = getClientIp(req, currentConfig);
+        const rateLimit = await rateLimiter.checkRateLimit(currentConfig, {
+            apiKeyId: currentConfig.virtualKey?.id || null,
+            clientIp,
+            scopes: ['key', 'ip']
+        });
+        for (const [header, value] of Object.entries(rateLimit.headers)) {
+            res.setHeader(header, value);
+        }
+        if (!rateLimit.allowed) {
+            sendRejection(res, 429, rateLimit.reason, getClientProtocolForPath(path));
+            return;
+        }
+
         try {
             // Handle Ollama request (normalize path and route to appropriate endpoints)
             const { handled, normalizedPath } = await handleOllamaRequest(method, path, requestUrl, req, res, apiService, currentConfig, providerPoolManager);
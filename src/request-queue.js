@@ -0,0 +1,287 @@
+import { metricsService } from './metrics-service.js';
+
+/**
+ * Request queue: when no pool account can take a request (all at their `maxConcurrency`,
+ * cooling down after a 429 or with open circuits), the request waits for capacity instead of failing.
+ * Waiting requests are admitted by priority class, oldest first within a class. The queue is per process.
+ */
+
+const DEFAULT_PRIORITIES = ['interactive', 'batch'];
+const DEFAULT_MAX_SIZE = 100;
+const DEFAULT_MAX_WAIT_MS = 30 * 1000;
+
+// Capacity also comes back without a request finishing (a cooldown ends, a circuit half-opens)
+const POLL_INTERVAL_MS = 1000;
+
+// Request header that picks a priority class
+const PRIORITY_HEADER = 'x-request-priority';
+
+// Waiting requests, highest priority first, then oldest first
+const waiters = [];
+// Admitted requests that have not reached an account yet, per provider type
+const reservations = new Map();
+// Pool managers whose finished requests wake up the queue
+const watchedPoolManagers = new WeakSet();
+let pollTimer = null;
+
+/**
+ * Returns the request queue settings.
+ * Config shape (config.json `requestQueue`):
+ *   { enabled, maxSize: 100, maxWaitMs: 30000, priorities: ['interactive', 'batch'], defaultPriority,
+ *     maxWaitMsByPriority: { '<priority>': ms }, keyPriorities: { '<key id or name>' | 'master': '<priority>' } }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.requestQueue || {};
+    const priorities = Array.isArray(settings.priorities) && settings.priorities.length > 0
+        ? settings.priorities.map(String)
+        : DEFAULT_PRIORITIES;
+    const maxSize = Number(settings.maxSize);
+    const maxWaitMs = Number(settings.maxWaitMs);
+    return {
+        enabled: Boolean(settings.enabled),
+        priorities,
+        defaultPriority: priorities.includes(settings.defaultPriority) ? settings.defaultPriority : priorities[0],
+        maxSize: Number.isInteger(maxSize) && maxSize >= 0 ? maxSize : DEFAULT_MAX_SIZE,
+        maxWaitMs: Number.isFinite(maxWaitMs) && maxWaitMs >= 0 ? maxWaitMs : DEFAULT_MAX_WAIT_MS,
+        maxWaitMsByPriority: settings.maxWaitMsByPriority || {},
+        keyPriorities: settings.keyPriorities || {}
+    };
+}
+
+/**
+ * Returns the priority class of a request. A virtual key's class (`keyPriorities`, by id or name;
+ * `master` for REQUIRED_API_KEY) is the highest it may use; the `x-request-priority` header can pick a lower one.
+ * @param {Object} settings - Settings from getSettings
+ * @param {Object} [headers] - Request headers (lowercase names)
+ * @param {Object|null} [virtualKey] - The virtual key record (null for the master key)
+ * @returns {string} The priority class
+ */
+function resolvePriority(settings, headers = {}, virtualKey = null) {
+    const { priorities, keyPriorities } = settings;
+    const keyPriority = virtualKey
+        ? keyPriorities[virtualKey.id] ?? keyPriorities[virtualKey.name]
+        : keyPriorities.master;
+    const base = priorities.includes(keyPriority) ? keyPriority : settings.defaultPriority;
+
+    const requested = String(headers?.[PRIORITY_HEADER] ?? '').trim();
+    if (priorities.includes(requested) && priorities.indexOf(requested) >= priorities.indexOf(base)) {
+        return requested;
+    }
+    return base;
+}
+
+/**
+ * Returns how long a request of a priority class may wait.
+ * @param {Object} settings - Settings from getSettings
+ * @param {string} priority - The priority class
+ * @returns {number} Milliseconds
+ */
+function getMaxWaitMs(settings, priority) {
+    const maxWaitMs = Number(settings.maxWaitMsByPriority?.[priority]);
+    return Number.isFinite(maxWaitMs) && maxWaitMs >= 0 ? maxWaitMs : settings.maxWaitMs;
+}
+
+/**
+ * Returns the first of a request's provider types with a free slot once the requests already
+ * admitted for that type are counted, or null if none has one. Reservations are per provider type,
+ * so requests with different fallback chains that share a type see each other's.
+ * @private
+ */
+function _findFreeProviderType(request) {
+    for (const providerType of request.providerTypes) {
+        const freeSlots = request.poolManager.getFreeCapacity(providerType, request.model) - (reservations.get(providerType) || 0);
+        if (freeSlots > 0) {
+            return providerType;
+        }
+    }
+    return null;
+}
+
+/**
+ * Holds a slot of a provider type for an admitted request until it is sent to an account.
+ * @private
+ * @returns {Function} Releases the slot (idempotent)
+ */
+function _reserve(providerType) {
+    reservations.set(providerType, (reservations.get(providerType) || 0) + 1);
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const count = (reservations.get(providerType) || 1) - 1;
+        if (count > 0) {
+            reservations.set(providerType, count);
+        } else {
+            reservations.delete(providerType);
+        }
+        dispatch();
+    };
+}
+
+/**
+ * Counts the waiting requests per priority class.
+ * @private
+ */
+function _countByPriority() {
+    const byPriority = {};
+    for (const waiter of waiters) {
+        byPriority[waiter.priority] = (byPriority[waiter.priority] || 0) + 1;
+    }
+    return byPriority;
+}
+
+/**
+ * Reports the number of waiting requests per priority class to the metrics service.
+ * @private
+ */
+function _reportDepth() {
+    metricsService.recordQueueDepth(_countByPriority());
+}
+
+/**
+ * Removes a waiter from the queue and resolves its acquire() call.
+ * @param {Object} waiter - The waiting request
+ * @param {string|null} admittedType - The provider type whose slot it takes, or null if dropped
+ * @param {string|null} [reason] - Why it was dropped
+ * @private
+ */
+function _settle(waiter, admittedType, reason = null) {
+    const admitted = Boolean(admittedType);
+    const index = waiters.indexOf(waiter);
+    if (index === -1) {
+        return;
+    }
+    waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    if (waiters.length === 0 && pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    const waitedMs = Date.now() - waiter.enqueuedAt;
+    const release = admitted ? _reserve(admittedType) : () => {};
+    console.log(`[Queue] ${admitted ? 'Admitted' : `Dropped (${reason})`} ${waiter.priority} request for ${waiter.poolKey} after ${waitedMs}ms (${waiters.length} waiting)`);
+    metricsService.recordQueueWait({ priority: waiter.priority, outcome: admitted ? 'admitted' : reason, waitedMs });
+    _reportDepth();
+    waiter.resolve({ admitted, waitedMs, reason: admitted ? null : reason, release });
+}
+
+/**
+ * Admits waiting requests while their provider types have free slots, highest priority first.
+ * Called when a request finishes, when an admitted request releases its slot and periodically while requests wait.
+ */
+function dispatch() {
+    for (const waiter of [...waiters]) {
+        const providerType = _findFreeProviderType(waiter);
+        if (providerType) {
+            _settle(waiter, providerType);
+        }
+    }
+}
+
+/**
+ * Waits until one of the provider types can take the request. Requests are admitted at once while
+ * there is capacity; otherwise they wait up to their class's deadline. When the queue is full, the newest
+ * request of a lower class is dropped to make room, or the new request is rejected.
+ * @param {Object} settings - Settings from getSettings
+ * @param {Object} request - The request
+ * @param {Object} request.poolManager - The provider pool manager
+ * @param {string[]} request.providerTypes - Provider types that can serve the request (primary and fallbacks)
+ * @param {string|null} request.model - The requested model
+ * @param {string} request.priority - The priority class (see resolvePriority)
+ * @param {AbortSignal} [request.signal] - Aborts the wait (client disconnected)
+ * @returns {Promise<{admitted: boolean, waitedMs: number, reason: string|null, release: Function}>}
+ *   `reason` is 'full', 'timeout', 'evicted' or 'aborted' when not admitted. Call `release` once the
+ *   request has been sent to an account (or has ended) to free its reserved slot.
+ */
+async function acquire(settings, { poolManager, providerTypes, model = null, priority, signal = null }) {
+    const request = {
+        poolManager,
+        providerTypes,
+        model,
+        priority,
+        poolKey: providerTypes.join('>'),
+        rank: Math.max(0, settings.priorities.indexOf(priority))
+    };
+    if (!watchedPoolManagers.has(poolManager)) {
+        watchedPoolManagers.add(poolManager);
+        poolManager.onCapacityFreed(() => dispatch());
+    }
+
+    // Requests already waiting take any capacity that came back first
+    dispatch();
+    const freeProviderType = _findFreeProviderType(request);
+    if (freeProviderType) {
+        return { admitted: true, waitedMs: 0, reason: null, release: _reserve(freeProviderType) };
+    }
+
+    if (signal?.aborted) {
+        return { admitted: false, waitedMs: 0, reason: 'aborted', release: () => {} };
+    }
+    if (waiters.length >= settings.maxSize) {
+        const newestLowest = waiters[waiters.length - 1];
+        if (!newestLowest || newestLowest.rank <= request.rank) {
+            console.log(`[Queue] Queue full (${waiters.length} waiting), rejecting ${priority} request for ${request.poolKey}`);
+            metricsService.recordQueueWait({ priority, outcome: 'full', waitedMs: 0 });
+            return { admitted: false, waitedMs: 0, reason: 'full', release: () => {} };
+        }
+        _settle(newestLowest, null, 'evicted');
+    }
+
+    return new Promise(resolve => {
+        const waiter = { ...request, signal, resolve, enqueuedAt: Date.now(), timer: null, onAbort: null };
+        const index = waiters.findIndex(other => other.rank > waiter.rank);
+        waiters.splice(index === -1 ? waiters.length : index, 0, waiter);
+
+        waiter.timer = setTimeout(() => _settle(waiter, null, 'timeout'), getMaxWaitMs(settings, priority));
+        if (signal) {
+            waiter.onAbort = () => _settle(waiter, null, 'aborted');
+            signal.addEventListener('abort', waiter.onAbort, { once: true });
+        }
+        if (!pollTimer) {
+            pollTimer = setInterval(dispatch, POLL_INTERVAL_MS);
+            pollTimer.unref?.();
+        }
+
+        console.log(`[Queue] No capacity for ${waiter.poolKey}${model ? ` [${model}]` : ''}, queued ${priority} request (${waiters.length} waiting)`);
+        metricsService.recordQueueWait({ priority, outcome: 'queued', waitedMs: 0 });
+        _reportDepth();
+    });
+}
+
+/**
+ * Returns the requests waiting right now.
+ * @returns {{depth: number, byPriority: Object, oldestWaitMs: number}}
+ */
+function getSnapshot() {
+    return {
+        depth: waiters.length,
+        byPriority: _countByPriority(),
+        oldestWaitMs: waiters.length > 0 ? Date.now() - Math.min(...waiters.map(waiter => waiter.enqueuedAt)) : 0
+    };
+}
+
+// Export the request queue as a singleton
+const requestQueue = {
+    getSettings,
+    resolvePriority,
+    getMaxWaitMs,
+    acquire,
+    dispatch,
+    getSnapshot
+};
+
+export default requestQueue;
+
+// Named exports for convenience
+export {
+    getSettings,
+    resolvePriority,
+    getMaxWaitMs,
+    acquire,
+    dispatch,
+    getSnapshot
+};
@@ -0,0 +1,80 @@
+import responseStore from './response-store.js';
+
+const RESPONSE_ROUTE = /^\/v1\/responses\/([^/]+)(\/input_items)?$/;
+
+/**
+ * Sends a JSON response.
+ * @private
+ */
+function _sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an error in the OpenAI format.
+ * @private
+ */
+function _sendError(res, statusCode, message) {
+    console.log(`[ResponseStore] Request rejected (${statusCode}): ${message}`);
+    _sendJson(res, statusCode, {
+        error: { message, type: statusCode === 404 ? 'not_found_error' : 'invalid_request_error', param: null, code: null }
+    });
+}
+
+/**
+ * Handles retrieval of stored Responses API responses (config.json `responseStore`):
+ * GET /v1/responses/{id}, DELETE /v1/responses/{id} and GET /v1/responses/{id}/input_items.
+ * Virtual keys only see their own responses, the master key sees all.
+ * @param {string} method - The HTTP method
+ * @param {string} path - The request path
+ * @param {http.IncomingMessage} req - The HTTP request object
+ * @param {http.ServerResponse} res - The HTTP response object
+ * @param {Object} currentConfig - The per-request configuration
+ * @returns {Promise<boolean>} True if the request was a response store request
+ */
+export async function handleResponseStoreRequest(method, path, req, res, currentConfig) {
+    const match = path.match(RESPONSE_ROUTE);
+    if (!match || (match[2] ? method !== 'GET' : method !== 'GET' && method !== 'DELETE')) {
+        return false;
+    }
+
+    if (!responseStore.getSettings(currentConfig).enabled) {
+        _sendError(res, 404, 'The response store is disabled on this server (config.json `responseStore.enabled`)');
+        return true;
+    }
+
+    const id = decodeURIComponent(match[1]);
+    try {
+        const record = await responseStore.getResponse(id);
+        if (!responseStore.canAccess(record, currentConfig.virtualKey?.id || null)) {
+            _sendError(res, 404, `Response with id '${id}' not found.`);
+            return true;
+        }
+
+        if (match[2]) {
+            const searchParams = new URL(req.url, 'http://localhost').searchParams;
+            const limit = parseInt(searchParams.get('limit'), 10);
+            _sendJson(res, 200, responseStore.listInputItems(record, {
+                limit: Number.isInteger(limit) ? Math.min(Math.max(limit, 1), 100) : 20,
+                order: searchParams.get('order') === 'asc' ? 'asc' : 'desc',
+                after: searchParams.get('after')
+            }));
+            return true;
+        }
+
+        if (method === 'DELETE') {
+            await responseStore.deleteResponse(id);
+            console.log(`[ResponseStore] Deleted response ${id}`);
+            _sendJson(res, 200, { id, object: 'response', deleted: true });
+            return true;
+        }
+
+        _sendJson(res, 200, record.response);
+        return true;
+    } catch (error) {
+        console.error(`[ResponseStore] Failed to handle ${method} ${path}: ${error.message}`);
+        _sendJson(res, 500, { error: { message: error.message, type: 'server_error', param: null, code: null } });
+        return true;
+    }
+}
@@ -0,0 +1,294 @@
+import redisClient from './redis-client.js';
+import { query, isConnected } from './postgres-client.js';
+
+/**
+ * Response store for the stateful OpenAI Responses API. Responses created with `store` (the
+ * default) are saved with their full input, so a later `previous_response_id` can be expanded
+ * into the whole conversation before the request is converted for a Gemini or Claude backend.
+ * Responses are kept in Postgres with a Redis hot tier for recent ones.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_HOT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_MEMORY_ENTRIES = 1000;
+
+// Redis hot tier prefix (stored in the 'cache' namespace)
+const HOT_PREFIX = 'response:';
+
+// Expired rows are deleted at most this often, on save
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// In-memory fallback store used when Postgres is unavailable (not persisted across restarts)
+const inMemoryResponses = new Map();
+let lastPurgeAt = 0;
+
+/**
+ * Returns the response store settings.
+ * Config shape (config.json `responseStore`):
+ *   { enabled: true, retentionDays: 30, hotTtlSeconds: 3600, maxMemoryEntries: 1000 }
+ * @param {Object} config - The server configuration
+ * @returns {Object} Settings with defaults applied
+ */
+function getSettings(config) {
+    const settings = config?.responseStore || {};
+    const positive = (value, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number > 0 ? number : fallback;
+    };
+    return {
+        enabled: settings.enabled !== false,
+        retentionDays: positive(settings.retentionDays, DEFAULT_RETENTION_DAYS),
+        hotTtlSeconds: Math.floor(positive(settings.hotTtlSeconds, DEFAULT_HOT_TTL_SECONDS)),
+        maxMemoryEntries: Math.floor(positive(settings.maxMemoryEntries, DEFAULT_MAX_MEMORY_ENTRIES))
+    };
+}
+
+/**
+ * Normalizes a Responses `input` (a string or a list of items) into a list of items.
+ * @param {string|Array|Object|null} input - The request input
+ * @returns {Array} The input items
+ */
+function normalizeInput(input) {
+    if (input === undefined || input === null) return [];
+    if (typeof input === 'string') {
+        return [{ type: 'message', role: 'user', content: [{ type: 'input_text', text: input }] }];
+    }
+    return Array.isArray(input) ? input : [input];
+}
+
+/**
+ * Converts a database row into a stored response record.
+ * @param {Object} row - The stored_responses row
+ * @returns {Object} The record
+ */
+function rowToRecord(row) {
+    return {
+        id: row.id,
+        apiKeyId: row.api_key_id || null,
+        previousResponseId: row.previous_response_id || null,
+        input: row.input || [],
+        response: row.response,
+        createdAt: new Date(row.created_at).toISOString(),
+        expiresAt: new Date(row.expires_at).toISOString()
+    };
+}
+
+/**
+ * Checks whether the caller may use a stored response: virtual keys only see their own,
+ * the master key sees all.
+ * @param {Object|null} record - The stored response
+ * @param {string|null} apiKeyId - The caller's virtual key id, or null for the master key
+ * @returns {boolean} True if the caller may read, continue or delete the response
+ */
+function canAccess(record, apiKeyId) {
+    return Boolean(record) && (!apiKeyId || record.apiKeyId === apiKeyId);
+}
+
+/**
+ * Loads a stored response, from Redis if it is hot.
+ * @param {string} id - The response id
+ * @returns {Promise<Object|null>} The record, or null if unknown or expired
+ */
+async function getResponse(id) {
+    if (!id) return null;
+    let record = await redisClient.getJSON(`${HOT_PREFIX}${id}`);
+    if (!record) {
+        try {
+            if (isConnected()) {
+                const result = await query('SELECT * FROM stored_responses WHERE id = $1', [id]);
+                record = result.rows[0] ? rowToRecord(result.rows[0]) : null;
+            } else {
+                record = inMemoryResponses.get(id) || null;
+            }
+        } catch (error) {
+            console.error(`[ResponseStore] Failed to load response ${id}: ${error.message}`);
+            return null;
+        }
+    }
+    if (!record || new Date(record.expiresAt).getTime() <= Date.now()) {
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Saves a response with the full input it was generated from.
+ * @param {Object} settings - The settings from getSettings
+ * @param {Object} entry - { response, input, previousResponseId, apiKeyId }
+ * @returns {Promise<Object>} The stored record
+ */
+async function saveResponse(settings, { response, input, previousResponseId = null, apiKeyId = null }) {
+    const now = Date.now();
+    const record = {
+        id: response.id,
+        apiKeyId,
+        previousResponseId,
+        input,
+        response,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + settings.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    try {
+        if (isConnected()) {
+            await query(
+                `INSERT INTO stored_responses (id, api_key_id, previous_response_id, input, response, created_at, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT (id) DO UPDATE SET input = EXCLUDED.input, response = EXCLUDED.response, expires_at = EXCLUDED.expires_at`,
+                [record.id, apiKeyId, previousResponseId, JSON.stringify(input), JSON.stringify(response), record.createdAt, record.expiresAt]
+            );
+            if (now - lastPurgeAt > PURGE_INTERVAL_MS) {
+                lastPurgeAt = now;
+                await query('DELETE FROM stored_responses WHERE expires_at <= NOW()');
+            }
+        } else {
+            inMemoryResponses.delete(record.id);
+            inMemoryResponses.set(record.id, record);
+            // Drop the oldest responses beyond the in-memory limit
+            while (inMemoryResponses.size > settings.maxMemoryEntries) {
+                inMemoryResponses.delete(inMemoryResponses.keys().next().value);
+            }
+        }
+    } catch (error) {
+        console.error(`[ResponseStore] Failed to save response ${record.id}: ${error.message}`);
+    }
+    await redisClient.setJSON(`${HOT_PREFIX}${record.id}`, record, settings.hotTtlSeconds);
+    return record;
+}
+
+/**
+ * Deletes a stored response.
+ * @param {string} id - The response id
+ * @returns {Promise<void>}
+ */
+async function deleteResponse(id) {
+    await redisClient.del(`${HOT_PREFIX}${id}`);
+    if (isConnected()) {
+        await query('DELETE FROM stored_responses WHERE id = $1', [id]);
+    } else {
+        inMemoryResponses.delete(id);
+    }
+}
+
+/**
+ * Prepares a Responses request: expands `previous_response_id` into the stored conversation
+ * (previous input, previous output, then the new input) and returns the context needed to store
+ * the new response. Without a stored previous response, a native OpenAI Responses backend gets
+ * the request unchanged (it may hold the response itself); any other backend is an error.
+ * @param {Object} config - The server configuration
+ * @param {Object} body - The Responses request body
+ * @param {Object} options - { apiKeyId, nativeBackend }
+ * @returns {Promise<{body: Object, context: Object|null}|{error: {status: number, message: string}}>}
+ */
+async function prepareRequest(config, body, { apiKeyId = null, nativeBackend = false } = {}) {
+    const settings = getSettings(config);
+    if (!settings.enabled) {
+        return { body, context: null };
+    }
+
+    const input = normalizeInput(body.input);
+    const previousResponseId = body.previous_response_id || null;
+    if (!previousResponseId) {
+        return { body, context: { store: body.store !== false, input, previousResponseId, apiKeyId, settings } };
+    }
+
+    const previous = await getResponse(previousResponseId);
+    if (!canAccess(previous, apiKeyId)) {
+        if (nativeBackend) {
+            return { body, context: null };
+        }
+        return { error: { status: 400, message: `Previous response with id '${previousResponseId}' not found.` } };
+    }
+
+    const fullInput = [...previous.input, ...(previous.response.output || []), ...input];
+    const { previous_response_id: _previousResponseId, ...rest } = body;
+    console.log(`[ResponseStore] Expanded previous_response_id ${previousResponseId} into ${fullInput.length} input items`);
+    return {
+        body: { ...rest, input: fullInput },
+        context: { store: body.store !== false, input: fullInput, previousResponseId, apiKeyId, settings }
+    };
+}
+
+/**
+ * Sets `previous_response_id` and `store` on a response object sent to the client.
+ * @param {Object|null} context - The context from prepareRequest
+ * @param {Object} response - The Responses API response object
+ */
+function decorateResponse(context, response) {
+    if (!context || !response || typeof response !== 'object') return;
+    response.previous_response_id = context.previousResponseId;
+    response.store = context.store;
+}
+
+/**
+ * Stores a finished response if the request asked for it.
+ * @param {Object|null} context - The context from prepareRequest
+ * @param {Object} response - The Responses API response object
+ * @returns {Promise<void>}
+ */
+async function recordResponse(context, response) {
+    if (!context?.store || !response?.id) return;
+    await saveResponse(context.settings, {
+        response,
+        input: context.input,
+        previousResponseId: context.previousResponseId,
+        apiKeyId: context.apiKeyId
+    });
+}
+
+/**
+ * Lists the input items of a stored response as an OpenAI list page. Items without an id
+ * get a stable one derived from the response id and position.
+ * @param {Object} record - The stored response
+ * @param {Object} options - { limit: 1-100 (default 20), order: 'asc'|'desc' (default 'desc'), after }
+ * @returns {Object} { object: 'list', data, first_id, last_id, has_more }
+ */
+function listInputItems(record, { limit = 20, order = 'desc', after = null } = {}) {
+    const suffix = record.id.replace(/^resp_/, '');
+    let items = record.input.map((item, index) => ({ id: item.id || `item_${suffix}_${index}`, ...item }));
+    if (order !== 'asc') {
+        items = items.reverse();
+    }
+    if (after) {
+        const afterIndex = items.findIndex(item => item.id === after);
+        items = afterIndex === -1 ? [] : items.slice(afterIndex + 1);
+    }
+    const data = items.slice(0, limit);
+    return {
+        object: 'list',
+        data,
+        first_id: data[0]?.id || null,
+        last_id: data[data.length - 1]?.id || null,
+        has_more: items.length > data.length
+    };
+}
+
+// Export the response store as a singleton
+const responseStore = {
+    getSettings,
+    normalizeInput,
+    canAccess,
+    getResponse,
+    saveResponse,
+    deleteResponse,
+    prepareRequest,
+    decorateResponse,
+    recordResponse,
+    listInputItems
+};
+
+export default responseStore;
+
+// Named exports for convenience
+export {
+    getSettings,
+    normalizeInput,
+    canAccess,
+    getResponse,
+    saveResponse,
+    deleteResponse,
+    prepareRequest,
+    decorateResponse,
+    recordResponse,
+    listInputItems
+};
@@ -0,0 +1,226 @@
+import { matchesPattern } from './api-key-service.js';
+
+// Rough prompt size estimate used by minPromptTokens/maxPromptTokens conditions
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Built-in rules, evaluated after the rules in config.json unless `routing.useDefaultRules` is false.
+ * They send Claude Code's short model names to claudeCode-custom and models that only
+ * Antigravity serves to gemini-antigravity. Models such as gemini-2.5-flash, gemini-2.5-pro and
+ * gemini-3-pro-preview are served by both Gemini providers and are not routed here.
+ */
+const DEFAULT_RULES = [
+    {
+        name: 'claude-code-models',
+        match: { model: ['opus', 'sonnet', 'haiku', 'claude-opus', 'claude-sonnet', 'claude-haiku'] },
+        target: { providerType: 'claudeCode-custom' }
+    },
+    {
+        name: 'antigravity-only-models',
+        match: {
+            model: [
+                'gemini-claude-*', 'gemini-2.5-computer-use-preview-10-2025', 'gemini-3-pro-image-preview',
+                'gemini-2.5-flash-thinking', 'gemini-3-pro-low', 'gpt-oss-120b-medium'
+            ]
+        },
+        target: { providerType: 'gemini-antigravity' }
+    }
+];
+
+/**
+ * Normalizes a condition value (single value or array) to a list.
+ * @private
+ */
+function _toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Case-insensitive glob match against any of the patterns.
+ * @private
+ */
+function _matchesAny(value, patterns) {
+    if (value === undefined || value === null) return false;
+    const lowerValue = String(value).toLowerCase();
+    return patterns.some(pattern => matchesPattern(lowerValue, String(pattern).toLowerCase()));
+}
+
+/**
+ * Estimates the prompt size of a request body in tokens (about 4 characters per token).
+ * @param {Object|null} body - The request body in the client's format
+ * @returns {number} The estimated number of prompt tokens
+ */
+function estimatePromptTokens(body) {
+    if (!body) return 0;
+    const { messages, contents, input, system, systemInstruction, instructions, prompt } = body;
+    const text = JSON.stringify([messages, contents, input, system, systemInstruction, instructions, prompt]);
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Returns the ordered rule list: config rules first, then the built-in rules.
+ * @param {Object} config - The server configuration
+ * @returns {Array<Object>} Rules tagged with their source ('config' or 'default') and index
+ */
+function getRules(config) {
+    const routing = config?.routing || {};
+    const configRules = Array.isArray(routing.rules) ? routing.rules : [];
+    const rules = configRules.map((rule, index) => ({ ...rule, source: 'config', index }));
+    if (routing.useDefaultRules !== false) {
+        rules.push(...DEFAULT_RULES.map((rule, index) => ({ ...rule, source: 'default', index })));
+    }
+    return rules;
+}
+
+/**
+ * Checks a rule's match conditions against a request. All conditions must hold;
+ * conditions that are not set are ignored.
+ * @private
+ * @returns {string|null} The first condition that failed, or null if the rule matches
+ */
+function _checkConditions(match, context, getPromptTokens) {
+    const models = _toList(match.model);
+    if (models.length > 0 && !_matchesAny(context.model, models)) {
+        return 'model';
+    }
+
+    if (match.modelRegex) {
+        let regex;
+        try {
+            regex = new RegExp(match.modelRegex, 'i');
+        } catch (error) {
+            return `modelRegex (invalid: ${error.message})`;
+        }
+        if (!regex.test(context.model || '')) return 'modelRegex';
+    }
+
+    const endpointTypes = _toList(match.endpointType);
+    if (endpointTypes.length > 0 && !endpointTypes.includes(context.endpointType)) {
+        return 'endpointType';
+    }
+
+    // API keys match by id or name; 'master' matches requests made with the master key
+    const apiKeys = _toList(match.apiKey);
+    if (apiKeys.length > 0) {
+        const key = context.apiKey;
+        const identities = key ? [key.id, key.name] : ['master'];
+        if (!identities.some(identity => _matchesAny(identity, apiKeys))) return 'apiKey';
+    }
+
+    for (const [name, patterns] of Object.entries(match.headers || {})) {
+        const value = context.headers?.[name.toLowerCase()];
+        if (value === undefined || !_matchesAny(Array.isArray(value) ? value.join(', ') : value, _toList(patterns))) {
+            return `headers.${name.toLowerCase()}`;
+        }
+    }
+
+    if (match.minPromptTokens !== undefined && match.minPromptTokens !== null && getPromptTokens() < Number(match.minPromptTokens)) {
+        return 'minPromptTokens';
+    }
+    if (match.maxPromptTokens !== undefined && match.maxPromptTokens !== null && getPromptTokens() > Number(match.maxPromptTokens)) {
+        return 'maxPromptTokens';
+    }
+    return null;
+}
+
+/**
+ * Evaluates the rules in order and records why each rule did or did not apply.
+ * @private
+ */
+function _evaluate(config, context) {
+    let promptTokens = context.promptTokens ?? null;
+    const getPromptTokens = () => {
+        if (promptTokens === null) promptTokens = estimatePromptTokens(context.body);
+        return promptTokens;
+    };
+
+    const evaluated = [];
+    let route = null;
+    for (const rule of getRules(config)) {
+        const name = rule.name || `rule-${rule.index + 1}`;
+        const entry = { name, source: rule.source, index: rule.index, matched: false, reason: null };
+        evaluated.push(entry);
+
+        if (rule.enabled === false) {
+            entry.reason = 'disabled';
+            continue;
+        }
+        const failed = _checkConditions(rule.match || {}, context, getPromptTokens);
+        if (failed) {
+            entry.reason = `${failed} did not match`;
+            continue;
+        }
+
+        // Rules that move the request to another provider type need a pool for it
+        const target = rule.target || {};
+        if (target.providerType && !(config?.providerPools?.[target.providerType]?.length > 0)) {
+            entry.reason = `no provider pool configured for '${target.providerType}'`;
+            continue;
+        }
+
+        entry.matched = true;
+        route = {
+            rule: { name, source: rule.source, index: rule.index },
+            providerType: target.providerType || null,
+            model: target.model || context.model,
+            fallback: Array.isArray(target.fallback) ? target.fallback : null
+        };
+        break;
+    }
+    return { route, evaluated };
+}
+
+/**
+ * Finds the first rule that applies to a request.
+ * @param {Object} config - The server configuration (reads `routing` and `providerPools`)
+ * @param {Object} context - Request context
+ * @param {string} context.model - The requested model
+ * @param {string} [context.endpointType] - The endpoint type (ENDPOINT_TYPE value, or 'ollama')
+ * @param {Object|null} [context.apiKey] - The virtual key record (null for the master key)
+ * @param {Object} [context.headers] - Request headers (lowercase names)
+ * @param {Object} [context.body] - The request body, used to estimate the prompt size
+ * @param {number} [context.promptTokens] - The prompt size, if already known
+ * @returns {{rule: Object, providerType: string|null, model: string, fallback: string[]|null}|null}
+ *          The route (null if no rule applies); a null providerType keeps the current provider
+ */
+function resolveRoute(config, context) {
+    const { route } = _evaluate(config, context);
+    if (route) {
+        const rewrite = route.model !== context.model ? `, model '${context.model}' -> '${route.model}'` : '';
+        console.log(`[Routing] Rule '${route.rule.name}' matched: provider ${route.providerType || '(unchanged)'}${rewrite}`);
+    }
+    return route;
+}
+
+/**
+ * Shows which rule a sample request would hit, with the outcome of every rule evaluated.
+ * @param {Object} config - The server configuration
+ * @param {Object} context - Same fields as resolveRoute()
+ * @returns {{matched: boolean, route: Object|null, promptTokens: number|null, evaluated: Array<Object>}} The simulation result
+ */
+function simulateRoute(config, context) {
+    const promptTokens = context.promptTokens ?? estimatePromptTokens(context.body);
+    const { route, evaluated } = _evaluate(config, { ...context, promptTokens });
+    return { matched: route !== null, route, promptTokens, evaluated };
+}
+
+// Export the routing service as a singleton
+const routingService = {
+    resolveRoute,
+    simulateRoute,
+    getRules,
+    estimatePromptTokens,
+    DEFAULT_RULES
+};
+
+export default routingService;
+
+// Named exports for convenience
+export {
+    resolveRoute,
+    simulateRoute,
+    getRules,
+    estimatePromptTokens,
+    DEFAULT_RULES
+};
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import redisClient from './redis-client.js';
+
+// Semantic cache configuration from environment variables
+const SEMANTIC_CONFIG = {
+    enabled: process.env.SEMANTIC_CACHE_ENABLED === 'true',
+    threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.92, // Minimum cosine similarity for a hit
+    maxEntries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES, 10) || 200, // Vectors kept per model
+    embedder: process.env.SEMANTIC_CACHE_EMBEDDER || 'ngram',
+    dimensions: 256
+};
+
+// Vector index prefix (stored in the 'cache' namespace, one index per model)
+const INDEX_PREFIX = 'response:';
+const INDEX_SUFFIX = ':semantic';
+
+/**
+ * Hashes a feature into a bucket and sign (feature hashing).
+ * @private
+ */
+function _hashFeature(feature, dimensions) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    return { index: digest.readUInt32BE(0) % dimensions, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+/**
+ * Builds an L2-normalized vector from a list of features.
+ * @private
+ */
+function _featuresToVector(features, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    for (const feature of features) {
+        const { index, sign } = _hashFeature(feature, dimensions);
+        vector[index] += sign;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => Math.round((value / norm) * 10000) / 10000) : vector;
+}
+
+/**
+ * Normalizes text before embedding: lowercase, punctuation stripped, whitespace collapsed.
+ * @private
+ */
+function _normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Character trigram embedder. Robust to typos and small rewordings; works offline.
+ * @param {string} text - The text to embed
+ * @returns {number[]} The embedding
+ */
+function ngramEmbedder(text) {
+    const normalized = ` ${_normalizeText(text)} `;
+    const features = [];
+    for (let i = 0; i + 3 <= normalized.length; i++) {
+        features.push(normalized.substring(i, i + 3));
+    }
+    return _featuresToVector(features, SEMANTIC_CONFIG.dimensions);
+}
+
+/**
+ * Word unigram and bigram hashing embedder. Works offline.
+ * @param {string} text - The text to embed
+ * @returns {number[]} The embedding
+ */
+function hashingEmbedder(text) {
+    const words = _normalizeText(text).split(' ').filter(Boolean);
+    const features = [...words];
+    for (let i = 0; i + 1 < words.length; i++) {
+        features.push(`${words[i]} ${words[i + 1]}`);
+    }
+    return _featuresToVector(features, SEMANTIC_CONFIG.dimensions);
+}
+
+// Registered embedders: name -> (text) => number[] | Promise<number[]>
+const embedders = new Map([
+    ['ngram', ngramEmbedder],
+    ['hashing', hashingEmbedder]
+]);
+
+/**
+ * Registers an embedder, e.g. one that calls a remote embedding model.
+ * @param {string} name - The embedder name (selected with SEMANTIC_CACHE_EMBEDDER or setEmbedder())
+ * @param {Function} embedFn - (text) => number[] | Promise<number[]>
+ */
+function registerEmbedder(name, embedFn) {
+    if (typeof embedFn !== 'function') {
+        throw new Error(`Embedder '${name}' must be a function`);
+    }
+    embedders.set(name, embedFn);
+}
+
+/**
+ * Selects the active embedder. Existing vectors from another embedder stop matching.
+ * @param {string} name - A registered embedder name
+ */
+function setEmbedder(name) {
+    if (!embedders.has(name)) {
+        throw new Error(`Unknown embedder: ${name}`);
+    }
+    SEMANTIC_CONFIG.embedder = name;
+}
+
+/**
+ * Embeds text with the active embedder (falls back to 'ngram' if it is not registered).
+ * @param {string} text - The text to embed
+ * @returns {Promise<number[]>} The embedding
+ */
+async function embed(text) {
+    const embedFn = embedders.get(SEMANTIC_CONFIG.embedder) || ngramEmbedder;
+    return embedFn(text);
+}
+
+/**
+ * Cosine similarity of two vectors.
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} The similarity in [-1, 1] (0 if the vectors are empty or differ in length)
+ */
+function cosineSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Extracts text from a message content value (string, content blocks or Gemini parts).
+ * Returns null when the content holds anything other than text (images, tool results, ...).
+ * @private
+ */
+function _contentText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return null;
+
+    const texts = [];
+    for (const block of content) {
+        if (typeof block === 'string') {
+            texts.push(block);
+        } else if (block && typeof block.text === 'string' && (!block.type || ['text', 'input_text'].includes(block.type))) {
+            texts.push(block.text);
+        } else {
+            return null;
+        }
+    }
+    return texts.join('\n');
+}
+
+/**
+ * Finds the last user turn of a conversation (OpenAI, Responses, Claude or Gemini format).
+ * @param {Array|string} messages - The canonical messages (messages, contents or input)
+ * @returns {{text: string, index: number}|null} The turn's text and position, or null if it is not plain text
+ */
+function extractLastUserTurn(messages) {
+    if (typeof messages === 'string') {
+        return messages.trim() ? { text: messages, index: 0 } : null;
+    }
+    if (!Array.isArray(messages)) return null;
+
+    for (let index = messages.length - 1; index >= 0; index--) {
+        const message = messages[index];
+        if (!message || message.role !== 'user') continue;
+        const text = _contentText(message.content ?? message.parts);
+        return text && text.trim() ? { text, index } : null;
+    }
+    return null;
+}
+
+/**
+ * Returns the Redis key of a model's vector index.
+ * @private
+ */
+function _indexKey(model) {
+    return `${INDEX_PREFIX}${String(model || '').trim()}${INDEX_SUFFIX}`;
+}
+
+/**
+ * Finds the most similar cached entry for a model and conversation context.
+ * @param {string} model - The model identifier
+ * @param {string} contextKey - Hash of everything in the request except the last user turn
+ * @param {number[]} vector - Embedding of the last user turn
+ * @returns {Promise<{responseKey: string, similarity: number}|null>} The best match above the threshold
+ */
+async function findSimilar(model, contextKey, vector) {
+    const index = await redisClient.getJSON(_indexKey(model));
+    if (!Array.isArray(index)) return null;
+
+    let best = null;
+    for (const entry of index) {
+        if (entry.contextKey !== contextKey || entry.embedder !== SEMANTIC_CONFIG.embedder) continue;
+        const similarity = cosineSimilarity(vector, entry.vector);
+        if (similarity >= SEMANTIC_CONFIG.threshold && (!best || similarity > best.similarity)) {
+            best = { responseKey: entry.responseKey, similarity };
+        }
+    }
+    return best;
+}
+
+/**
+ * Adds an entry to a model's vector index, keeping the newest `maxEntries`.
+ * @param {string} model - The model identifier
+ * @param {Object} entry - { contextKey, vector, responseKey }
+ * @param {number} ttlSeconds - TTL of the index (refreshed on every write)
+ * @returns {Promise<boolean>} True if stored
+ */
+async function addEntry(model, { contextKey, vector, responseKey }, ttlSeconds) {
+    const key = _indexKey(model);
+    const index = (await redisClient.getJSON(key)) || [];
+    const entries = index.filter(entry => entry.responseKey !== responseKey);
+    entries.unshift({ contextKey, vector, responseKey, embedder: SEMANTIC_CONFIG.embedder, createdAt: Date.now() });
+    return redisClient.setJSON(key, entries.slice(0, SEMANTIC_CONFIG.maxEntries), ttlSeconds);
+}
+
+/**
+ * Gets the current semantic cache configuration.
+ * @returns {Object} The semantic cache configuration
+ */
+function getConfig() {
+    return {
+        enabled: SEMANTIC_CONFIG.enabled,
+        threshold: SEMANTIC_CONFIG.threshold,
+        maxEntries: SEMANTIC_CONFIG.maxEntries,
+        embedder: SEMANTIC_CONFIG.embedder,
+        embedders: Array.from(embedders.keys())
+    };
+}
+
+/**
+ * Checks if the semantic cache layer is enabled.
+ * @returns {boolean} True if enabled
+ */
+function isEnabled() {
+    return SEMANTIC_CONFIG.enabled;
+}
+
+// Export the semantic cache as a singleton
+const semanticCache = {
+    embed,
+    registerEmbedder,
+    setEmbedder,
+    ngramEmbedder,
+    hashingEmbedder,
+    cosineSimilarity,
+    extractLastUserTurn,
+    findSimilar,
+    addEntry,
+    getConfig,
+    isEnabled
+};
+
+export default semanticCache;
+
+// Named exports for convenience
+export {
+    embed,
+    registerEmbedder,
+    setEmbedder,
+    ngramEmbedder,
+    hashingEmbedder,
+    cosineSimilarity,
+    extractLastUserTurn,
+    findSimilar,
+    addEntry,
+    getConfig,
+    isEnabled
+};
@@ -74,7 +74,9 @@ export async function autoLinkProviderConfigs(config) {
     if (totalNewProviders > 0) {
         const filePath = config.PROVIDER_POOLS_FILE_PATH || 'configs/provider_pools.json';
         try {
-            await pfs.writeFile(filePath, JSON.stringify(config.providerPools, null, 2), 'utf8');
+            // The pool manager keeps the `_strategies` section aside; put it back before writing
+            const poolsFileContent = providerPoolManager ? providerPoolManager.toPoolsFileContent(config.providerPools) : config.providerPools;
+            await pfs.writeFile(filePath, JSON.stringify(poolsFileContent, null, 2), 'utf8');
             console.log(`[Auto-Link] Added ${totalNewProviders} new config(s) to provider pools:`);
             for (const [displayName, providers] of Object.entries(allNewProviders)) {
                 console.log(`  ${displayName}: ${providers.length} config(s)`);
@@ -224,13 +226,17 @@ export async function initApiService(config) {
  * @param {string} [requestedModel] - Optional. The model name to filter providers by.
  * @param {Object} [options] - Optional. Additional options.
  * @param {boolean} [options.skipUsageCount] - Optional. If true, skip incrementing usage count.
+ * @param {string|null} [options.preferredUuid] - Optional. Pool UUID the conversation is bound to (sticky routing).
  * @returns {Promise<Object>} The API service adapter
  */
 export async function getApiService(config, requestedModel = null, options = {}) {
     let serviceConfig = config;
     if (providerPoolManager && config.providerPools && config.providerPools[config.MODEL_PROVIDER]) {
         // If there is a pool manager and current model provider type has a corresponding pool, select a provider config from the pool
-        const selectedProviderConfig = providerPoolManager.selectProvider(config.MODEL_PROVIDER, requestedModel, { skipUsageCount: true });
+        const selectedProviderConfig = providerPoolManager.selectProvider(config.MODEL_PROVIDER, requestedModel, {
+            skipUsageCount: true,
+            preferredUuid: options.preferredUuid || null
+        });
         if (selectedProviderConfig) {
             // Merge selected provider config into current request config
             serviceConfig = deepmerge(config, selectedProviderConfig);
@@ -250,6 +256,7 @@ export async function getApiService(config, requestedModel = null, options = {})
  * @param {Object} config - The current request configuration
  * @param {string} [requestedModel] - Optional. The model name to filter providers by.
  * @param {Object} [options] - Optional. Additional options.
+ * @param {string|null} [options.preferredUuid] - Optional. Pool UUID the conversation is bound to (sticky routing).
  * @returns {Promise<Object>} Object containing service adapter and metadata
  */
 export async function getApiServiceWithFallback(config, requestedModel = null, options = {}) {
@@ -262,7 +269,7 @@ export async function getApiServiceWithFallback(config, requestedModel = null, o
         const selectedResult = providerPoolManager.selectProviderWithFallback(
             config.MODEL_PROVIDER,
             requestedModel,
-            { skipUsageCount: true }
+            { skipUsageCount: true, preferredUuid: options.preferredUuid || null }
         );
         
         if (selectedResult) {
@@ -340,7 +347,9 @@ export async function getProviderStatus(config, options = {}) {
         'customName',
         'isHealthy',
         'lastErrorTime',
-        'lastErrorMessage'
+        'lastErrorMessage',
+        'cooldownUntil',
+        'modelHealth' // Per-model health matrix: model -> { isHealthy, errorCount, cooldownUntil, ... }
     ];
     // Identify field mapping table
     const identifyFieldMap = {
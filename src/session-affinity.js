@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import redisClient from './redis-client.js';
+
+// Affinity bindings prefix (stored in the 'metrics' namespace so cache clears keep them)
+const AFFINITY_PREFIX = 'affinity:';
+
+// Bindings expire after an hour without requests unless configured otherwise
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// In-memory bindings used when Redis is unavailable (per process)
+const MAX_MEMORY_BINDINGS = 10000;
+const memoryBindings = new Map();
+
+/**
+ * Checks whether sticky routing is enabled.
+ * Config shape (config.json `sessionAffinity`):
+ *   { enabled, ttlSeconds, useUserField: true, hashMessages: true }
+ * @param {Object} config - The server configuration
+ * @returns {boolean} True if enabled
+ */
+function isEnabled(config) {
+    return Boolean(config?.sessionAffinity?.enabled);
+}
+
+/**
+ * Returns the system prompt and first conversation turn of a request in any client format.
+ * These stay the same for every turn of a conversation.
+ * @private
+ */
+function _getConversationStart(body) {
+    const system = body.system ?? body.systemInstruction ?? body.instructions ?? null;
+    const turns = Array.isArray(body.messages) ? body.messages
+        : Array.isArray(body.contents) ? body.contents
+        : Array.isArray(body.input) ? body.input
+        : typeof body.input === 'string' ? [body.input]
+        : [];
+
+    // OpenAI-style system/developer messages lead the message list
+    const leading = [];
+    let index = 0;
+    while (index < turns.length && ['system', 'developer'].includes(turns[index]?.role)) {
+        leading.push(turns[index]);
+        index++;
+    }
+    const firstTurn = turns[index];
+    if (firstTurn === undefined) {
+        return null;
+    }
+    return { system, leading, firstTurn };
+}
+
+/**
+ * Derives the affinity key of a conversation, in order of precedence:
+ * the `x-session-id` header, the OpenAI `user` field, or a hash of the system prompt and first turn.
+ * Keys are scoped to the virtual API key so different clients never share a binding.
+ * @param {Object} config - The server configuration
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {Object} body - The request body in the client's format
+ * @param {string|null} [apiKeyId] - Virtual key id (null for the master key)
+ * @returns {string|null} The affinity key, or null if disabled or nothing identifies the conversation
+ */
+function getAffinityKey(config, headers, body, apiKeyId = null) {
+    if (!isEnabled(config)) {
+        return null;
+    }
+    const settings = config.sessionAffinity;
+
+    let source = null;
+    const sessionId = headers?.['x-session-id'];
+    if (typeof sessionId === 'string' && sessionId.trim()) {
+        source = `session:${sessionId.trim()}`;
+    } else if (settings.useUserField !== false && typeof body?.user === 'string' && body.user) {
+        source = `user:${body.user}`;
+    } else if (settings.hashMessages !== false && body && typeof body === 'object') {
+        const start = _getConversationStart(body);
+        if (start) {
+            source = `conversation:${JSON.stringify(start)}`;
+        }
+    }
+    if (!source) {
+        return null;
+    }
+
+    return crypto.createHash('sha256').update(`${apiKeyId || 'master'}|${source}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Returns the pool uuid a conversation is bound to.
+ * @param {string} affinityKey - The affinity key
+ * @returns {Promise<string|null>} The bound uuid, or null if none (or expired)
+ */
+async function getBoundUuid(affinityKey) {
+    if (!affinityKey) {
+        return null;
+    }
+    if (redisClient.isAvailable()) {
+        return await redisClient.get(`${AFFINITY_PREFIX}${affinityKey}`, 'metrics');
+    }
+
+    const binding = memoryBindings.get(affinityKey);
+    if (!binding) {
+        return null;
+    }
+    if (binding.expiresAt <= Date.now()) {
+        memoryBindings.delete(affinityKey);
+        return null;
+    }
+    return binding.uuid;
+}
+
+/**
+ * Binds a conversation to a pool uuid, or refreshes the binding's expiry.
+ * @param {Object} config - The server configuration (reads `sessionAffinity.ttlSeconds`)
+ * @param {string} affinityKey - The affinity key
+ * @param {string} uuid - The pool uuid that served the conversation
+ * @returns {Promise<void>}
+ */
+async function bind(config, affinityKey, uuid) {
+    if (!affinityKey || !uuid) {
+        return;
+    }
+    const ttlSeconds = Number(config?.sessionAffinity?.ttlSeconds) > 0
+        ? Number(config.sessionAffinity.ttlSeconds)
+        : DEFAULT_TTL_SECONDS;
+
+    if (redisClient.isAvailable()) {
+        const stored = await redisClient.set(`${AFFINITY_PREFIX}${affinityKey}`, uuid, ttlSeconds, 'metrics');
+        if (stored) return;
+    }
+
+    // Re-insert so the Map stays ordered by last use, then evict the oldest bindings
+    memoryBindings.delete(affinityKey);
+    memoryBindings.set(affinityKey, { uuid, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (memoryBindings.size > MAX_MEMORY_BINDINGS) {
+        memoryBindings.delete(memoryBindings.keys().next().value);
+    }
+}
+
+/**
+ * Clears the in-memory bindings.
+ */
+function resetMemoryBindings() {
+    memoryBindings.clear();
+}
+
+// Export the session affinity service as a singleton
+const sessionAffinity = {
+    isEnabled,
+    getAffinityKey,
+    getBoundUuid,
+    bind,
+    resetMemoryBindings
+};
+
+export default sessionAffinity;
+
+// Named exports for convenience
+export {
+    isEnabled,
+    getAffinityKey,
+    getBoundUuid,
+    bind,
+    resetMemoryBindings
+};
@@ -0,0 +1,345 @@
+import { MODEL_PROTOCOL_PREFIX, getProtocolPrefix } from './common.js';
+
+// Sent after the partial answer when the next provider cannot continue a prefilled assistant turn
+// (anti-truncation.js continues cut-off responses the same way)
+const DEFAULT_CONTINUATION_PROMPT = 'Please continue from where you left off.';
+
+const DEFAULT_MAX_SWITCHES = 2;
+
+const RESUME_MODES = ['auto', 'prefill', 'continuation'];
+
+// HTTP status codes after which a broken stream is resumed on another provider.
+// Errors without a status (connection reset, stream aborted) are resumed as well.
+const RESUMABLE_STATUS_CODES = [403, 429, 500, 502, 503, 504];
+
+/**
+ * Checks whether broken streams for a client protocol are resumed on another provider.
+ * Config shape (config.json `streamFailover`):
+ *   { enabled, mode: 'auto' | 'prefill' | 'continuation', maxSwitches: 2, continuationPrompt }
+ * @param {Object} config - The server configuration
+ * @param {string} fromProvider - The client's protocol/provider
+ * @returns {boolean} True if enabled and the client protocol supports it
+ */
+function isEnabled(config, fromProvider) {
+    // Only client protocols whose frames can be stitched together from several providers.
+    // OpenAI Responses streams carry response ids and sequence numbers, so they are not resumed.
+    const resumableProtocols = [MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.GEMINI];
+    return Boolean(config?.streamFailover?.enabled) && resumableProtocols.includes(getProtocolPrefix(fromProvider));
+}
+
+/**
+ * Creates the state shared by all attempts of one streaming request. It records what
+ * has reached the client so a later attempt can pick up where the broken one stopped.
+ * @param {Object} [settings] - The `streamFailover` config section ({ mode, maxSwitches, continuationPrompt })
+ * @param {string} fromProvider - The protocol/provider of the frames passed to filterFrame
+ * @returns {Object} The resume state
+ */
+function createResumeState(settings = {}, fromProvider) {
+    settings = settings || {};
+    const maxSwitches = Number(settings.maxSwitches);
+    return {
+        clientProtocol: getProtocolPrefix(fromProvider),
+        mode: RESUME_MODES.includes(settings.mode) ? settings.mode : 'auto',
+        maxSwitches: Number.isInteger(maxSwitches) && maxSwitches >= 0 ? maxSwitches : DEFAULT_MAX_SWITCHES,
+        continuationPrompt: typeof settings.continuationPrompt === 'string' && settings.continuationPrompt.trim()
+            ? settings.continuationPrompt
+            : DEFAULT_CONTINUATION_PROMPT,
+        deliveredText: '',
+        framesSent: 0,
+        switches: 0,
+        // Set once the client has received something other than answer text (tool calls, reasoning)
+        unsafe: false,
+        // Claude content block bookkeeping: client-side indices of the current attempt's blocks
+        claude: { indexMap: new Map(), nextIndex: 0, openTextIndex: null }
+    };
+}
+
+/**
+ * Checks whether a stream that failed can be resumed on another provider: nothing but answer
+ * text has reached the client, switches are left and the error is one a retry may fix.
+ * @param {Object} state - The resume state
+ * @param {Error} [error] - The error that broke the stream
+ * @returns {boolean} True if the stream can be resumed
+ */
+function canResume(state, error = null) {
+    if (!state || state.unsafe || state.switches >= state.maxSwitches) {
+        return false;
+    }
+    if (!error) {
+        return true;
+    }
+    const statusCode = error.response?.status || error.status || null;
+    return statusCode === null || RESUMABLE_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * Appends text to the last message of a Claude request, which is an assistant prefill.
+ * @private
+ */
+function _extendClaudePrefill(message, text) {
+    if (Array.isArray(message.content)) {
+        const last = message.content[message.content.length - 1];
+        if (last?.type === 'text') {
+            last.text += text;
+        } else {
+            message.content.push({ type: 'text', text });
+        }
+        return;
+    }
+    message.content = (message.content || '') + text;
+}
+
+/**
+ * Removes trailing whitespace from the final assistant turn (Claude rejects prefills that end in whitespace).
+ * @private
+ */
+function _trimClaudePrefill(message) {
+    if (Array.isArray(message.content)) {
+        const last = message.content[message.content.length - 1];
+        if (last?.type === 'text') {
+            last.text = last.text.trimEnd();
+        }
+        return;
+    }
+    message.content = message.content.trimEnd();
+}
+
+/**
+ * Checks whether the delivered text is sent as an assistant prefill the provider continues
+ * (rather than followed by a continuation prompt). In `auto` mode only Claude requests are prefilled.
+ * @param {Object} state - The resume state
+ * @param {string} toProvider - The provider type the request is formatted for
+ * @returns {boolean} True for a prefill
+ */
+function isPrefill(state, toProvider) {
+    return state.mode === 'prefill' || (state.mode === 'auto' && getProtocolPrefix(toProvider) === MODEL_PROTOCOL_PREFIX.CLAUDE);
+}
+
+/**
+ * Builds the request for the next attempt: the original request plus the text already delivered,
+ * as an assistant prefill the provider continues, or as an assistant turn followed by a continuation prompt.
+ * The switch is counted on the state.
+ * @param {Object} state - The resume state
+ * @param {Object} requestBody - The request in the provider's native format (not modified)
+ * @param {string} toProvider - The provider type the body is formatted for
+ * @returns {Object|null} The resume request, or null if the format is not supported
+ */
+function buildResumeRequest(state, requestBody, toProvider) {
+    const protocol = getProtocolPrefix(toProvider);
+    const body = JSON.parse(JSON.stringify(requestBody));
+    const text = state.deliveredText;
+    const prefill = isPrefill(state, toProvider);
+
+    // Without any answer text yet (only the opening frames) the original request is sent again
+    const resumeProtocol = text.trim() ? protocol : null;
+
+    switch (resumeProtocol) {
+        case null:
+            break;
+        case MODEL_PROTOCOL_PREFIX.CLAUDE: {
+            if (!Array.isArray(body.messages)) return null;
+            if (prefill) {
+                const last = body.messages[body.messages.length - 1];
+                if (last?.role === 'assistant') {
+                    // The client's own prefill comes before the delivered text
+                    _extendClaudePrefill(last, text);
+                } else {
+                    body.messages.push({ role: 'assistant', content: text });
+                }
+                _trimClaudePrefill(body.messages[body.messages.length - 1]);
+            } else {
+                body.messages.push({ role: 'assistant', content: text });
+                body.messages.push({ role: 'user', content: state.continuationPrompt });
+            }
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI:
+        case MODEL_PROTOCOL_PREFIX.CLAUDE_CODE: {
+            if (!Array.isArray(body.messages)) return null;
+            body.messages.push({ role: 'assistant', content: text });
+            if (!prefill) {
+                body.messages.push({ role: 'user', content: state.continuationPrompt });
+            }
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            if (typeof body.input === 'string') {
+                body.input = [{ role: 'user', content: body.input }];
+            }
+            if (!Array.isArray(body.input)) return null;
+            body.input.push({ role: 'assistant', content: text });
+            if (!prefill) {
+                body.input.push({ role: 'user', content: state.continuationPrompt });
+            }
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            if (!Array.isArray(body.contents)) return null;
+            body.contents.push({ role: 'model', parts: [{ text }] });
+            if (!prefill) {
+                body.contents.push({ role: 'user', parts: [{ text: state.continuationPrompt }] });
+            }
+            break;
+        }
+        default:
+            return null;
+    }
+
+    state.switches++;
+    state.claude.indexMap = new Map();
+    return body;
+}
+
+/**
+ * Maps a content block index of the current attempt to the index the client sees.
+ * The first attempt keeps its indices. A resumed attempt's first text block continues the
+ * text block left open by the broken attempt; other blocks are numbered after the delivered ones.
+ * @private
+ */
+function _mapClaudeIndex(state, index, isText) {
+    const claude = state.claude;
+    if (!claude.indexMap.has(index)) {
+        let mapped;
+        if (state.switches === 0) {
+            mapped = index;
+        } else if (isText && claude.openTextIndex !== null && ![...claude.indexMap.values()].includes(claude.openTextIndex)) {
+            mapped = claude.openTextIndex;
+        } else {
+            mapped = claude.nextIndex;
+        }
+        claude.indexMap.set(index, mapped);
+        claude.nextIndex = Math.max(claude.nextIndex, mapped + 1);
+    }
+    return claude.indexMap.get(index);
+}
+
+/**
+ * Tracks and rewrites a Claude SSE event.
+ * @private
+ */
+function _filterClaudeFrame(state, frame) {
+    const resumed = state.switches > 0;
+    const claude = state.claude;
+
+    switch (frame.type) {
+        case 'message_start':
+        case 'ping':
+            // The client already got these from the first attempt
+            return resumed ? null : frame;
+        case 'content_block_start': {
+            const isText = frame.content_block?.type === 'text';
+            const isNewBlock = !claude.indexMap.has(frame.index);
+            const index = _mapClaudeIndex(state, frame.index, isText);
+            const continuesOpenBlock = resumed && isNewBlock && index === claude.openTextIndex;
+            if (!isText) {
+                state.unsafe = true;
+            } else {
+                claude.openTextIndex = index;
+                state.deliveredText += frame.content_block.text || '';
+            }
+            if (continuesOpenBlock) {
+                // The block is already open on the client; only forward any initial text
+                return frame.content_block.text
+                    ? { type: 'content_block_delta', index, delta: { type: 'text_delta', text: frame.content_block.text } }
+                    : null;
+            }
+            return index === frame.index ? frame : { ...frame, index };
+        }
+        case 'content_block_delta': {
+            const isText = frame.delta?.type === 'text_delta';
+            const index = _mapClaudeIndex(state, frame.index, isText);
+            if (isText) {
+                claude.openTextIndex = index;
+                state.deliveredText += frame.delta.text || '';
+            } else {
+                state.unsafe = true;
+            }
+            return index === frame.index ? frame : { ...frame, index };
+        }
+        case 'content_block_stop': {
+            const index = _mapClaudeIndex(state, frame.index, false);
+            if (claude.openTextIndex === index) {
+                claude.openTextIndex = null;
+            }
+            return index === frame.index ? frame : { ...frame, index };
+        }
+        default:
+            return frame;
+    }
+}
+
+/**
+ * Tracks and rewrites a frame before it is written to the client: records delivered answer text,
+ * notes tool calls and reasoning (which make the stream unresumable) and, on resumed attempts,
+ * drops or renumbers Claude events so the client sees one continuous message.
+ * @param {Object} state - The resume state
+ * @param {Object} frame - The frame in the client's format
+ * @returns {Object|null} The frame to send, or null to skip it
+ */
+function filterFrame(state, frame) {
+    if (!frame || typeof frame !== 'object') {
+        return frame;
+    }
+
+    let result = frame;
+    switch (state.clientProtocol) {
+        case MODEL_PROTOCOL_PREFIX.CLAUDE:
+            result = _filterClaudeFrame(state, frame);
+            break;
+        case MODEL_PROTOCOL_PREFIX.OPENAI: {
+            const delta = frame.choices?.[0]?.delta;
+            if (typeof delta?.content === 'string') {
+                state.deliveredText += delta.content;
+            }
+            if (delta?.tool_calls || delta?.reasoning_content) {
+                state.unsafe = true;
+            }
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.GEMINI: {
+            for (const part of frame.candidates?.[0]?.content?.parts || []) {
+                if (part.thought || part.functionCall) {
+                    state.unsafe = true;
+                } else if (typeof part.text === 'string') {
+                    state.deliveredText += part.text;
+                }
+            }
+            break;
+        }
+        case MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES: {
+            if (frame.type === 'response.output_text.delta') {
+                state.deliveredText += frame.delta || '';
+            } else if (frame.type === 'response.output_item.added' && frame.item?.type !== 'message') {
+                state.unsafe = true;
+            }
+            break;
+        }
+    }
+
+    if (result) {
+        state.framesSent++;
+    }
+    return result;
+}
+
+// Export the stream failover service as a singleton
+const streamFailover = {
+    isEnabled,
+    createResumeState,
+    canResume,
+    isPrefill,
+    buildResumeRequest,
+    filterFrame
+};
+
+export default streamFailover;
+
+// Named exports for convenience
+export {
+    isEnabled,
+    createResumeState,
+    canResume,
+    isPrefill,
+    buildResumeRequest,
+    filterFrame
+};
@@ -68,6 +68,10 @@ import {
 import { formatGeminiUsage, formatAntigravityUsage } from './usage-service.js';
 import { metricsService } from './metrics-service.js';
 import cacheService from './cache-service.js';
+import apiKeyService from './api-key-service.js';
+import budgetService from './budget-service.js';
+import pricingService from './pricing-service.js';
+import routingService from './routing-service.js';
 import redisClient from './redis-client.js';
 
 // Session cache configuration
@@ -718,6 +722,20 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
             if (newConfig.PROVIDER_POOLS_FILE_PATH !== undefined) currentConfig.PROVIDER_POOLS_FILE_PATH = newConfig.PROVIDER_POOLS_FILE_PATH;
             if (newConfig.MAX_ERROR_COUNT !== undefined) currentConfig.MAX_ERROR_COUNT = newConfig.MAX_ERROR_COUNT;
             if (newConfig.providerFallbackChain !== undefined) currentConfig.providerFallbackChain = newConfig.providerFallbackChain;
+            if (newConfig.cache !== undefined) currentConfig.cache = newConfig.cache;
+            if (newConfig.budgets !== undefined) currentConfig.budgets = newConfig.budgets;
+            if (newConfig.rateLimits !== undefined) currentConfig.rateLimits = newConfig.rateLimits;
+            if (newConfig.pricing !== undefined) currentConfig.pricing = newConfig.pricing;
+            if (newConfig.routing !== undefined) currentConfig.routing = newConfig.routing;
+            if (newConfig.modelAliases !== undefined) currentConfig.modelAliases = newConfig.modelAliases;
+            if (newConfig.hedging !== undefined) currentConfig.hedging = newConfig.hedging;
+            if (newConfig.streamFailover !== undefined) currentConfig.streamFailover = newConfig.streamFailover;
+            if (newConfig.antiTruncation !== undefined) currentConfig.antiTruncation = newConfig.antiTruncation;
+            if (newConfig.requestQueue !== undefined) currentConfig.requestQueue = newConfig.requestQueue;
+            if (newConfig.batches !== undefined) currentConfig.batches = newConfig.batches;
+            if (newConfig.responseStore !== undefined) currentConfig.responseStore = newConfig.responseStore;
+            if (newConfig.sessionAffinity !== undefined) currentConfig.sessionAffinity = newConfig.sessionAffinity;
+            if (newConfig.circuitBreaker !== undefined) currentConfig.circuitBreaker = newConfig.circuitBreaker;
 
             // Auto health check configuration
             if (newConfig.QUICK_RETRY_INTERVAL_SECONDS !== undefined) currentConfig.QUICK_RETRY_INTERVAL_SECONDS = newConfig.QUICK_RETRY_INTERVAL_SECONDS;
@@ -779,6 +797,20 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
                     PROVIDER_POOLS_FILE_PATH: currentConfig.PROVIDER_POOLS_FILE_PATH,
                     MAX_ERROR_COUNT: currentConfig.MAX_ERROR_COUNT,
                     providerFallbackChain: currentConfig.providerFallbackChain,
+                    cache: currentConfig.cache,
+                    budgets: currentConfig.budgets,
+                    rateLimits: currentConfig.rateLimits,
+                    pricing: currentConfig.pricing,
+                    routing: currentConfig.routing,
+                    modelAliases: currentConfig.modelAliases,
+                    hedging: currentConfig.hedging,
+                    streamFailover: currentConfig.streamFailover,
+                    antiTruncation: currentConfig.antiTruncation,
+                    requestQueue: currentConfig.requestQueue,
+                    batches: currentConfig.batches,
+                    responseStore: currentConfig.responseStore,
+                    sessionAffinity: currentConfig.sessionAffinity,
+                    circuitBreaker: currentConfig.circuitBreaker,
                     // Auto health check configuration
                     QUICK_RETRY_INTERVAL_SECONDS: currentConfig.QUICK_RETRY_INTERVAL_SECONDS,
                     QUICK_RETRY_MAX_COUNT: currentConfig.QUICK_RETRY_MAX_COUNT,
@@ -863,7 +895,11 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
         const filePath = currentConfig.PROVIDER_POOLS_FILE_PATH || 'configs/provider_pools.json';
         try {
             if (providerPoolManager && providerPoolManager.providerPools) {
-                providerPools = providerPoolManager.providerPools;
+                // Include the selection strategy of every pooled provider type
+                providerPools = {
+                    ...providerPoolManager.providerPools,
+                    _strategies: providerPoolManager.getSelectionStrategies()
+                };
             } else if (filePath && existsSync(filePath)) {
                 const poolsData = JSON.parse(readFileSync(filePath, 'utf-8'));
                 providerPools = poolsData;
@@ -1279,10 +1315,13 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
 
             let resetCount = 0;
             providers.forEach(provider => {
-                if (!provider.isHealthy) {
+                const hasModelHealth = provider.modelHealth && Object.keys(provider.modelHealth).length > 0;
+                if (!provider.isHealthy || provider.cooldownUntil || hasModelHealth) {
                     provider.isHealthy = true;
                     provider.errorCount = 0;
                     provider.lastErrorTime = null;
+                    provider.cooldownUntil = null;
+                    provider.modelHealth = {};
                     resetCount++;
                 }
             });
@@ -1399,7 +1438,7 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
             for (const pType in providerPoolManager.providerStatus) {
                 providerPools[pType] = providerPoolManager.providerStatus[pType].map(ps => ps.config);
             }
-            writeFileSync(filePath, JSON.stringify(providerPools, null, 2), 'utf8');
+            writeFileSync(filePath, JSON.stringify(providerPoolManager.toPoolsFileContent(providerPools), null, 2), 'utf8');
 
             const successCount = results.filter(r => r.success === true).length;
             const failCount = results.filter(r => r.success === false).length;
@@ -2022,6 +2061,201 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
         return true;
     }
 
+    // ===== VIRTUAL API KEY ENDPOINTS =====
+
+    // List virtual API keys
+    if (method === 'GET' && pathParam === '/api/keys') {
+        try {
+            const keys = await apiKeyService.listKeys();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ keys }));
+            return true;
+        } catch (error) {
+            console.error('[API Keys] Failed to list keys:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Create a virtual API key (the raw key is only returned in this response)
+    if (method === 'POST' && pathParam === '/api/keys') {
+        try {
+            const body = await getRequestBody(req);
+            const { name, allowedProviderTypes, allowedModels, expiresAt, budgets } = body;
+
+            if (!name) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'name is required' } }));
+                return true;
+            }
+
+            const { key, apiKey } = await apiKeyService.createKey({ name, allowedProviderTypes, allowedModels, expiresAt, budgets });
+
+            broadcastEvent('api_key_update', {
+                action: 'create',
+                apiKey,
+                timestamp: new Date().toISOString()
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: true,
+                message: 'API key created successfully. Store it now, it will not be shown again.',
+                key,
+                apiKey
+            }));
+            return true;
+        } catch (error) {
+            console.error('[API Keys] Failed to create key:', error);
+            const statusCode = error.message.startsWith('Invalid expiresAt') ? 400 : 500;
+            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Update a virtual API key's budgets
+    const keyBudgetsMatch = pathParam.match(/^\/api\/keys\/([^\/]+)\/budgets$/);
+    if (method === 'PUT' && keyBudgetsMatch) {
+        const keyId = decodeURIComponent(keyBudgetsMatch[1]);
+        try {
+            const body = await getRequestBody(req);
+            const apiKey = await apiKeyService.updateKeyBudgets(keyId, body.budgets || null);
+
+            if (!apiKey) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'API key not found' } }));
+                return true;
+            }
+
+            broadcastEvent('api_key_update', {
+                action: 'update',
+                apiKey,
+                timestamp: new Date().toISOString()
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, message: 'API key budgets updated successfully', apiKey }));
+            return true;
+        } catch (error) {
+            console.error('[API Keys] Failed to update key budgets:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Revoke a virtual API key
+    const revokeKeyMatch = pathParam.match(/^\/api\/keys\/([^\/]+)$/);
+    if (method === 'DELETE' && revokeKeyMatch) {
+        const keyId = decodeURIComponent(revokeKeyMatch[1]);
+        try {
+            const apiKey = await apiKeyService.revokeKey(keyId);
+
+            if (!apiKey) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'API key not found' } }));
+                return true;
+            }
+
+            broadcastEvent('api_key_update', {
+                action: 'revoke',
+                apiKey,
+                timestamp: new Date().toISOString()
+            });
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, message: 'API key revoked successfully', apiKey }));
+            return true;
+        } catch (error) {
+            console.error('[API Keys] Failed to revoke key:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Get budgets and current usage for provider types and active API keys
+    if (method === 'GET' && pathParam === '/api/budgets') {
+        try {
+            const keys = (await apiKeyService.listKeys()).filter(key => key.status === 'active');
+            const status = await budgetService.getBudgetStatus(currentConfig, keys);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status));
+            return true;
+        } catch (error) {
+            console.error('[Budgets API] Failed to get budget status:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // ===== ROUTING API ENDPOINTS =====
+
+    // Get the ordered routing rules (config rules followed by the built-in rules)
+    if (method === 'GET' && pathParam === '/api/routing') {
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                useDefaultRules: currentConfig.routing?.useDefaultRules !== false,
+                rules: routingService.getRules(currentConfig)
+            }));
+            return true;
+        } catch (error) {
+            console.error('[Routing API] Failed to get routing rules:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Show which routing rule a sample request would hit
+    if (method === 'POST' && pathParam === '/api/routing/simulate') {
+        try {
+            const body = await getRequestBody(req);
+            const { model, endpointType, apiKey, headers, request, promptTokens } = body;
+
+            if (!model) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'model is required' } }));
+                return true;
+            }
+
+            // apiKey is a virtual key id or name; omit it (or use 'master') for the master key
+            let keyRecord = null;
+            if (apiKey && apiKey !== 'master') {
+                keyRecord = (await apiKeyService.listKeys()).find(key => key.id === apiKey || key.name === apiKey) || null;
+                if (!keyRecord) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: `API key not found: ${apiKey}` } }));
+                    return true;
+                }
+            }
+
+            const lowerCaseHeaders = Object.fromEntries(
+                Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+            );
+            const result = routingService.simulateRoute(currentConfig, {
+                model,
+                endpointType: endpointType || null,
+                apiKey: keyRecord,
+                headers: lowerCaseHeaders,
+                body: request || null,
+                promptTokens: promptTokens ?? undefined
+            });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+            return true;
+        } catch (error) {
+            console.error('[Routing API] Failed to simulate routing:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
     // ===== METRICS API ENDPOINTS =====
 
     // Get metrics overview (dashboard cards)
@@ -2107,6 +2341,42 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
         }
     }
 
+    // Get cost statistics (spend per API key, model and provider)
+    if (method === 'GET' && pathParam === '/api/metrics/costs') {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const range = url.searchParams.get('range') || '24h';
+            const data = await metricsService.getCostStats(range);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('[Metrics API] Failed to get cost stats:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
+    // Get the effective price catalog (defaults merged with config overrides)
+    if (method === 'GET' && pathParam === '/api/metrics/costs/pricing') {
+        try {
+            const data = {
+                currency: 'USD',
+                unit: 'per 1M tokens',
+                prices: pricingService.getPriceCatalog(currentConfig.pricing)
+            };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('[Metrics API] Failed to get price catalog:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
     // Get provider health timeline
     if (method === 'GET' && pathParam === '/api/metrics/providers/health-timeline') {
         try {
@@ -2141,6 +2411,21 @@ export async function handleUIApiRequests(method, pathParam, req, res, currentCo
         }
     }
 
+    // Get request queue statistics (depth and wait times per priority class)
+    if (method === 'GET' && pathParam === '/api/metrics/queue') {
+        try {
+            const data = metricsService.getQueueStats();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('[Metrics API] Failed to get queue stats:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: error.message } }));
+            return true;
+        }
+    }
+
     // Get cache statistics
     if (method === 'GET' && pathParam === '/api/cache/stats') {
         try {
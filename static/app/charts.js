@@ -470,7 +470,7 @@ function createTokenUsageChart(canvas, data = null) {
 function createHealthTimelineChart(canvas, data = null) {
     const ctx = canvas.getContext('2d');
 
-    // Health timeline uses a stacked bar chart showing healthy/unhealthy event counts per provider
+    // Health timeline uses a stacked bar chart showing healthy/half-open/unhealthy event counts per provider
     const chartData = data || {
         labels: [],
         datasets: []
@@ -532,6 +532,40 @@ function createTopModelsChart(canvas, data = null) {
     });
 }
 
+/**
+ * Create a spend horizontal bar chart (cost per API key, model or provider)
+ */
+function createCostChart(canvas, data = null) {
+    const ctx = canvas.getContext('2d');
+
+    const chartData = data || {
+        labels: [],
+        datasets: [{
+            label: 'Spend (USD)',
+            data: [],
+            backgroundColor: ColorPalette.chartColors,
+            borderRadius: 4,
+            barThickness: 24
+        }]
+    };
+
+    const options = getBarChartOptions({
+        horizontal: true,
+        showLegend: false,
+        xAxisCallback: (value) => formatCurrency(value),
+        tooltipCallbacks: {
+            title: (context) => context[0]?.label || '',
+            label: (context) => `Spend: ${formatCurrency(context.parsed.x || 0)}`
+        }
+    });
+
+    return new Chart(ctx, {
+        type: 'bar',
+        data: chartData,
+        options: options
+    });
+}
+
 /**
  * Update chart theme colors (call when dark mode toggles)
  */
@@ -586,6 +620,15 @@ function formatNumber(num) {
     return num.toString();
 }
 
+/**
+ * Format a USD amount, keeping sub-cent precision for small values
+ */
+function formatCurrency(value) {
+    if (value >= 1000) return `$${formatNumber(Math.round(value))}`;
+    if (value > 0 && value < 0.01) return `$${value.toFixed(4)}`;
+    return `$${value.toFixed(2)}`;
+}
+
 /**
  * Format duration in milliseconds to human readable string
  */
@@ -650,8 +693,10 @@ export {
     createTokenUsageChart,
     createHealthTimelineChart,
     createTopModelsChart,
+    createCostChart,
     updateChartTheme,
     formatNumber,
+    formatCurrency,
     formatDuration,
     generateTimeSeriesLabels
 };
@@ -72,6 +72,8 @@ async function loadConfiguration() {
         const providerPoolsFilePathEl = document.getElementById('providerPoolsFilePath');
         const maxErrorCountEl = document.getElementById('maxErrorCount');
         const providerFallbackChainEl = document.getElementById('providerFallbackChain');
+        const routingRulesEl = document.getElementById('routingRules');
+        const modelAliasesEl = document.getElementById('modelAliases');
 
         if (systemPromptFilePathEl) systemPromptFilePathEl.value = data.SYSTEM_PROMPT_FILE_PATH || 'configs/input_system_prompt.txt';
         if (systemPromptModeEl) systemPromptModeEl.value = data.SYSTEM_PROMPT_MODE || 'append';
@@ -106,6 +108,24 @@ async function loadConfiguration() {
             }
         }
 
+        // Load routing rules configuration
+        if (routingRulesEl) {
+            if (data.routing && typeof data.routing === 'object') {
+                routingRulesEl.value = JSON.stringify(data.routing, null, 2);
+            } else {
+                routingRulesEl.value = '';
+            }
+        }
+
+        // Load model aliases configuration
+        if (modelAliasesEl) {
+            if (data.modelAliases && typeof data.modelAliases === 'object') {
+                modelAliasesEl.value = JSON.stringify(data.modelAliases, null, 2);
+            } else {
+                modelAliasesEl.value = '';
+            }
+        }
+
         // Trigger provider configuration display
         handleProviderChange();
         
@@ -217,6 +237,32 @@ async function saveConfiguration() {
         config.providerFallbackChain = {};
     }
 
+    // Save routing rules configuration
+    const routingRulesValue = document.getElementById('routingRules')?.value?.trim() || '';
+    if (routingRulesValue) {
+        try {
+            config.routing = JSON.parse(routingRulesValue);
+        } catch (e) {
+            showToast('Error', 'Routing rules configuration format is invalid, please enter valid JSON', 'error');
+            return;
+        }
+    } else {
+        config.routing = {};
+    }
+
+    // Save model aliases configuration
+    const modelAliasesValue = document.getElementById('modelAliases')?.value?.trim() || '';
+    if (modelAliasesValue) {
+        try {
+            config.modelAliases = JSON.parse(modelAliasesValue);
+        } catch (e) {
+            showToast('Error', 'Model aliases configuration format is invalid, please enter valid JSON', 'error');
+            return;
+        }
+    } else {
+        config.modelAliases = {};
+    }
+
     try {
         await window.apiClient.post('/config', config);
         
@@ -12,8 +12,10 @@ import {
     createTokenUsageChart,
     createHealthTimelineChart,
     createTopModelsChart,
+    createCostChart,
     updateChartTheme,
     formatNumber,
+    formatCurrency,
     generateTimeSeriesLabels
 } from './charts.js';
 
@@ -29,7 +31,8 @@ const state = {
         providerLoad: null,
         tokenUsage: null,
         healthTimeline: null,
-        topModels: null
+        topModels: null,
+        cost: null
     },
     autoRefresh: {
         enabled: true,
@@ -71,9 +74,11 @@ const API_ENDPOINTS = {
     latency: '/metrics/latency',
     errors: '/metrics/errors',
     tokens: '/metrics/tokens',
+    costs: '/metrics/costs',
     healthTimeline: '/metrics/providers/health-timeline',
     providerLoad: '/metrics/providers/load',
     cacheStats: '/cache/stats',
+    queue: '/metrics/queue',
     system: '/system'
 };
 
@@ -329,6 +334,12 @@ function initCharts() {
     if (topModelsCanvas) {
         state.charts.topModels = createTopModelsChart(topModelsCanvas);
     }
+
+    // Spend chart
+    const costCanvas = getElement('costChart');
+    if (costCanvas) {
+        state.charts.cost = createCostChart(costCanvas);
+    }
 }
 
 /**
@@ -382,6 +393,20 @@ function setupEventListeners() {
         });
     }
 
+    const costTimeRange = getElement('costRange');
+    if (costTimeRange) {
+        costTimeRange.addEventListener('change', async () => {
+            await fetchCostsData();
+        });
+    }
+
+    const costGroupBy = getElement('costGroupBy');
+    if (costGroupBy) {
+        costGroupBy.addEventListener('change', async () => {
+            await fetchCostsData();
+        });
+    }
+
     // Manual refresh on indicator click
     const indicatorId = state.isIntegrated ? 'dashboardRefreshIndicator' : 'refreshIndicator';
     const refreshIndicator = document.getElementById(indicatorId);
@@ -414,7 +439,9 @@ async function refreshAllData() {
             fetchProviderLoadData(),
             fetchHealthTimelineData(),
             fetchTopModelsData(),
+            fetchCostsData(),
             fetchCacheStats(),
+            fetchQueueStats(),
             fetchSystemInfo()
         ]);
 
@@ -721,7 +748,8 @@ async function fetchHealthTimelineData(range = '24h') {
 
 /**
  * Transform health events into chart-compatible format
- * Groups events by provider type and counts healthy/unhealthy events
+ * Groups events by provider type and counts healthy/half-open/unhealthy events
+ * (circuit breaker transitions count towards the state they enter)
  */
 function transformHealthEventsToChartData(events) {
     if (!events || events.length === 0) {
@@ -735,21 +763,25 @@ function transformHealthEventsToChartData(events) {
         if (!providerMap.has(providerType)) {
             providerMap.set(providerType, {
                 healthy: 0,
+                halfOpen: 0,
                 unhealthy: 0,
                 total: 0
             });
         }
         const stats = providerMap.get(providerType);
         stats.total++;
-        if (event.eventType === 'healthy') {
+        if (event.eventType === 'healthy' || event.eventType === 'circuit_closed') {
             stats.healthy++;
-        } else if (event.eventType === 'unhealthy' || event.eventType === 'disabled') {
+        } else if (event.eventType === 'circuit_half_open') {
+            stats.halfOpen++;
+        } else if (event.eventType === 'unhealthy' || event.eventType === 'disabled' || event.eventType === 'circuit_open') {
             stats.unhealthy++;
         }
     }
 
     const providers = Array.from(providerMap.keys());
     const healthyData = providers.map(p => providerMap.get(p).healthy);
+    const halfOpenData = providers.map(p => providerMap.get(p).halfOpen);
     const unhealthyData = providers.map(p => providerMap.get(p).unhealthy);
 
     return {
@@ -761,6 +793,12 @@ function transformHealthEventsToChartData(events) {
                 backgroundColor: '#22c55e',
                 borderRadius: 4
             },
+            {
+                label: 'Half-open',
+                data: halfOpenData,
+                backgroundColor: '#f59e0b',
+                borderRadius: 4
+            },
             {
                 label: 'Unhealthy',
                 data: unhealthyData,
@@ -827,6 +865,61 @@ function updateTopModelsChart(data) {
     chart.update('none');
 }
 
+/**
+ * Fetch spend data for the cost chart (grouped by API key, model or provider)
+ */
+async function fetchCostsData() {
+    const range = getElement('costRange')?.value || '24h';
+    const groupBy = getElement('costGroupBy')?.value || 'apiKey';
+
+    try {
+        const data = await apiClient.get(API_ENDPOINTS.costs, { range });
+        console.log('[Dashboard] Costs API response:', data);
+
+        const totalEl = getElement('costTotal');
+        if (totalEl) {
+            totalEl.textContent = formatCurrency(data?.totalCostUsd || 0);
+        }
+
+        const groups = {
+            apiKey: { rows: data?.byApiKey, label: (row) => row.name },
+            model: { rows: data?.byModel, label: (row) => row.model || 'unknown' },
+            provider: { rows: data?.byProvider, label: (row) => row.providerType || 'unknown' }
+        };
+        const group = groups[groupBy] || groups.apiKey;
+
+        if (group.rows && group.rows.length > 0 && state.charts.cost) {
+            // Top 8 by spend
+            const sortedRows = [...group.rows]
+                .sort((a, b) => b.costUsd - a.costUsd)
+                .slice(0, 8);
+
+            updateCostChart({
+                labels: sortedRows.map(group.label),
+                values: sortedRows.map(row => row.costUsd)
+            });
+        } else {
+            console.log('[Dashboard] No cost data available');
+            updateCostChart({ labels: [], values: [] });
+        }
+    } catch (error) {
+        console.error('Error fetching costs data:', error);
+        updateCostChart({ labels: [], values: [] });
+    }
+}
+
+/**
+ * Update cost chart with data
+ */
+function updateCostChart(data) {
+    const chart = state.charts.cost;
+    if (!chart) return;
+
+    chart.data.labels = data.labels || [];
+    chart.data.datasets[0].data = data.values || [];
+    chart.update('none');
+}
+
 /**
  * Fetch cache statistics
  */
@@ -852,6 +945,27 @@ async function fetchCacheStats() {
     }
 }
 
+/**
+ * Fetch request queue statistics
+ */
+async function fetchQueueStats() {
+    try {
+        const data = await apiClient.get(API_ENDPOINTS.queue);
+
+        if (data && data.depth !== undefined) {
+            updateCounterCard('queueDepth', data.depth);
+            updateCounterCard('avgQueueWait', `${data.avgWaitMs || 0} ms`);
+        } else {
+            updateCounterCard('queueDepth', 0);
+            updateCounterCard('avgQueueWait', '0 ms');
+        }
+    } catch (error) {
+        console.error('Error fetching queue stats:', error);
+        updateCounterCard('queueDepth', 0);
+        updateCounterCard('avgQueueWait', '0 ms');
+    }
+}
+
 /**
  * Fetch system information
  */
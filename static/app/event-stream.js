@@ -40,6 +40,11 @@ function initEventStream() {
         window.dispatchEvent(new CustomEvent('oauth_success_event', { detail: data }));
     });
 
+    newEventSource.addEventListener('budget_warning', (event) => {
+        const data = JSON.parse(event.data);
+        showToast('Budget Warning', `${data.label} reached ${data.percent}% of its ${data.period} ${data.metric} budget (${data.used}/${data.limit})`, 'warning');
+    });
+
     newEventSource.addEventListener('provider_update', (event) => {
         const data = JSON.parse(event.data);
         handleProviderUpdate(data);
@@ -1,6 +1,6 @@
 // Modal management module
 
-import { showToast, getFieldLabel, getProviderTypeFields } from './utils.js';
+import { showToast, getFieldLabel, getProviderTypeFields, escapeHtml } from './utils.js';
 import { handleProviderPasswordToggle } from './event-handlers.js';
 
 // Pagination configuration
@@ -87,6 +87,15 @@ function showProviderManagerModal(data) {
     // Add modal event listeners
     addModalEventListeners(modal);
 
+    // Count down rate limit cooldowns every second until the modal is closed
+    const cooldownTimer = setInterval(() => {
+        if (!modal.isConnected) {
+            clearInterval(cooldownTimer);
+            return;
+        }
+        updateCooldownCountdowns(modal);
+    }, 1000);
+
     // First get model list for this provider type (call API only once)
     const pageProviders = providers.slice(0, PROVIDERS_PER_PAGE);
     loadModelsForProviderType(providerType, pageProviders);
@@ -342,6 +351,90 @@ function closeProviderModal(button) {
     }
 }
 
+/**
+ * Format the remaining time of a rate limit cooldown
+ * @param {number} remainingMs - Remaining milliseconds
+ * @returns {string} Countdown text, e.g. "1h 02m 05s"
+ */
+function formatCooldown(remainingMs) {
+    const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+    if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+    if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+    return `${seconds}s`;
+}
+
+/**
+ * Update cooldown countdowns in the modal, removing account cooldowns that have ended
+ * @param {HTMLElement} modal - Modal element
+ */
+function updateCooldownCountdowns(modal) {
+    modal.querySelectorAll('.cooldown-countdown').forEach(countdown => {
+        const remainingMs = new Date(countdown.dataset.until).getTime() - Date.now();
+        const cooldownInfo = countdown.closest('.provider-cooldown-info');
+        if (remainingMs <= 0 && cooldownInfo) {
+            cooldownInfo.remove();
+        } else {
+            countdown.textContent = formatCooldown(remainingMs);
+        }
+    });
+}
+
+/**
+ * Render the per-model health matrix of a provider
+ * @param {Object} modelHealth - Model -> health entry ({ isHealthy, circuitState, errorCount, cooldownUntil, lastErrorMessage })
+ * @returns {string} HTML string
+ */
+function renderModelHealthMatrix(modelHealth) {
+    const models = Object.keys(modelHealth || {}).sort();
+    if (models.length === 0) {
+        return '';
+    }
+
+    const rows = models.map(model => {
+        const entry = modelHealth[model] || {};
+        const remainingMs = entry.cooldownUntil ? new Date(entry.cooldownUntil).getTime() - Date.now() : 0;
+        let status;
+        if (remainingMs > 0) {
+            status = `<span class="model-health-status cooling-down"><i class="fas fa-hourglass-half"></i> <span class="cooldown-countdown" data-until="${entry.cooldownUntil}">${formatCooldown(remainingMs)}</span></span>`;
+        } else if (entry.circuitState === 'half_open') {
+            status = '<span class="model-health-status half-open">Half-open</span>';
+        } else if (entry.isHealthy === false) {
+            status = '<span class="model-health-status unhealthy">Unhealthy</span>';
+        } else {
+            status = '<span class="model-health-status healthy">Healthy</span>';
+        }
+        const lastError = entry.lastErrorMessage ? escapeHtml(entry.lastErrorMessage) : '-';
+        return `
+            <tr>
+                <td class="model-health-model">${escapeHtml(model)}</td>
+                <td>${status}</td>
+                <td>${entry.errorCount || 0}</td>
+                <td class="model-health-error" title="${lastError.replace(/"/g, '&quot;')}">${lastError}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div class="model-health-matrix">
+            <table>
+                <thead>
+                    <tr>
+                        <th data-i18n="modal.provider.model">Model</th>
+                        <th data-i18n="modal.provider.modelStatus">Status</th>
+                        <th data-i18n="modal.provider.errorCount">Error Count</th>
+                        <th data-i18n="modal.provider.lastError">Last Error:</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
 /**
  * Render provider list
  * @param {Array} providers - Provider array
@@ -364,6 +457,18 @@ function renderProviderList(providers) {
         const toggleButtonIcon = isDisabled ? 'fas fa-play' : 'fas fa-ban';
         const toggleButtonClass = isDisabled ? 'btn-success' : 'btn-warning';
         
+        // Build rate limit cooldown display (counted down by updateCooldownCountdowns)
+        let cooldownInfoHtml = '';
+        if (provider.cooldownUntil && new Date(provider.cooldownUntil).getTime() > Date.now()) {
+            cooldownInfoHtml = `
+                <div class="provider-cooldown-info">
+                    <i class="fas fa-hourglass-half"></i>
+                    <span class="cooldown-label" data-i18n="modal.provider.cooldown">Rate limited, quota resets in</span>
+                    <span class="cooldown-countdown" data-until="${provider.cooldownUntil}">${formatCooldown(new Date(provider.cooldownUntil).getTime() - Date.now())}</span>
+                </div>
+            `;
+        }
+
         // Build error info display
         let errorInfoHtml = '';
         if (!isHealthy && provider.lastErrorMessage) {
@@ -405,7 +510,9 @@ function renderProviderList(providers) {
                                 <span data-i18n="modal.provider.checkModel">Check Model</span>: ${lastHealthCheckModel}
                             </span>
                         </div>
+                        ${cooldownInfoHtml}
                         ${errorInfoHtml}
+                        ${renderModelHealthMatrix(provider.modelHealth)}
                     </div>
                     <div class="provider-actions-group">
                         <button class="btn-small ${toggleButtonClass}" onclick="window.toggleProviderStatus('${provider.uuid}', event)" title="${toggleButtonText} this provider">
@@ -660,7 +767,7 @@ function getFieldOrder(provider) {
     const excludedFields = [
         'isHealthy', 'lastUsed', 'usageCount', 'errorCount', 'lastErrorTime',
         'uuid', 'isDisabled', 'lastHealthCheckTime', 'lastHealthCheckModel', 'lastErrorMessage',
-        'notSupportedModels'
+        'notSupportedModels', 'cooldownUntil', 'circuitState', 'modelHealth'
     ];
 
     // Field order map from getProviderTypeFields
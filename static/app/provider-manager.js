@@ -116,6 +116,10 @@ function renderProviders(providers) {
     
     container.innerHTML = '';
 
+    // Selection strategy per provider type is returned under a reserved key, not as a pool
+    const { _strategies: strategies = {}, ...pools } = providers || {};
+    providers = pools;
+
     // Check if there is provider pool data
     const hasProviders = Object.keys(providers).length > 0;
     const statsGrid = document.querySelector('#providers .stats-grid');
@@ -158,6 +162,7 @@ function renderProviders(providers) {
         providerDiv.style.cursor = 'pointer';
 
         const healthyCount = accounts.filter(acc => acc.isHealthy).length;
+        const coolingDownCount = accounts.filter(acc => acc.cooldownUntil && new Date(acc.cooldownUntil).getTime() > Date.now()).length;
         const totalCount = accounts.length;
         const usageCount = accounts.reduce((sum, acc) => sum + (acc.usageCount || 0), 0);
         const errorCount = accounts.reduce((sum, acc) => sum + (acc.errorCount || 0), 0);
@@ -219,6 +224,16 @@ function renderProviders(providers) {
                     <span class="provider-stat-label">Error Count</span>
                     <span class="provider-stat-value">${errorCount}</span>
                 </div>
+                ${coolingDownCount > 0 ? `
+                <div class="provider-stat">
+                    <span class="provider-stat-label">Cooling Down</span>
+                    <span class="provider-stat-value">${coolingDownCount}</span>
+                </div>` : ''}
+                ${strategies[providerType] ? `
+                <div class="provider-stat">
+                    <span class="provider-stat-label">Selection Strategy</span>
+                    <span class="provider-stat-value">${strategies[providerType]}</span>
+                </div>` : ''}
             </div>
         `;
 
@@ -0,0 +1,124 @@
+import antiTruncation from '../src/anti-truncation.js';
+
+const settings = antiTruncation.getSettings({});
+
+async function collect(stream) {
+    const frames = [];
+    for await (const frame of stream) {
+        frames.push(frame);
+    }
+    return frames;
+}
+
+describe('antiTruncation', () => {
+    test('is asked for by model prefix or header, unless disabled', () => {
+        expect(antiTruncation.resolveAntiTruncation({}, 'anti-gemini-2.5-pro')).toEqual({ model: 'gemini-2.5-pro', requested: true });
+        expect(antiTruncation.resolveAntiTruncation({}, 'gpt-4.1', { 'x-anti-truncation': 'true' })).toEqual({ model: 'gpt-4.1', requested: true });
+        expect(antiTruncation.resolveAntiTruncation({}, 'gpt-4.1', { 'x-anti-truncation': '0' })).toEqual({ model: 'gpt-4.1', requested: false });
+        expect(antiTruncation.resolveAntiTruncation({ antiTruncation: { enabled: false } }, 'anti-gpt-4.1')).toEqual({ model: 'anti-gpt-4.1', requested: false });
+        expect(antiTruncation.resolveAntiTruncation({ antiTruncation: { modelPrefix: 'full/' } }, 'full/gpt-4.1').model).toBe('gpt-4.1');
+    });
+
+    test('finds text repeated at the start of a continuation', () => {
+        expect(antiTruncation.findOverlap('The quick brown fox jumps', 'brown fox jumps over the dog')).toBe(15);
+        expect(antiTruncation.findOverlap('The quick brown fox', 'fox runs')).toBe(0);
+        expect(antiTruncation.findOverlap('', 'anything at all')).toBe(0);
+    });
+
+    test('continues a truncated OpenAI stream and drops the repeated text', async () => {
+        const bodies = [];
+        const service = {
+            async *generateContentStream(model, body) {
+                bodies.push(body);
+                if (bodies.length === 1) {
+                    yield { choices: [{ delta: { role: 'assistant', content: 'function add(a, b) {\n' } }] };
+                    yield { choices: [{ delta: { content: '  return a +' }, finish_reason: 'length' }], usage: { completion_tokens: 10, total_tokens: 20 } };
+                } else {
+                    yield { choices: [{ delta: { content: '  return a + b;\n}' } }] };
+                    yield { choices: [{ delta: {}, finish_reason: 'stop' }], usage: { completion_tokens: 5, total_tokens: 30 } };
+                }
+            }
+        };
+
+        const frames = await collect(antiTruncation.wrapService(service, 'openai-custom', settings)
+            .generateContentStream('gpt-4.1', { messages: [{ role: 'user', content: 'Write add' }] }));
+
+        expect(frames.map(frame => frame.choices[0].delta.content || '').join('')).toBe('function add(a, b) {\n  return a + b;\n}');
+        expect(frames.map(frame => frame.choices[0].finish_reason).filter(Boolean)).toEqual(['stop']);
+        expect(frames[frames.length - 1].usage.completion_tokens).toBe(15);
+        expect(bodies[1].messages.slice(1)).toEqual([
+            { role: 'assistant', content: 'function add(a, b) {\n  return a +' },
+            { role: 'user', content: 'Please continue from where you left off.' }
+        ]);
+    });
+
+    test('continues a Claude stream as one message with a prefill', async () => {
+        const bodies = [];
+        const service = {
+            async *generateContentStream(model, body) {
+                bodies.push(body);
+                const first = bodies.length === 1;
+                yield { type: 'message_start', message: { id: first ? 'msg_1' : 'msg_2' } };
+                yield { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } };
+                yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: first ? 'Hello wor' : 'ld!' } };
+                yield { type: 'content_block_stop', index: 0 };
+                yield { type: 'message_delta', delta: { stop_reason: first ? 'max_tokens' : 'end_turn' }, usage: { output_tokens: first ? 3 : 2 } };
+                yield { type: 'message_stop' };
+            }
+        };
+
+        const frames = await collect(antiTruncation.wrapService(service, 'claude-custom', settings)
+            .generateContentStream('claude-sonnet-4-5', { messages: [{ role: 'user', content: 'Greet' }] }));
+
+        expect(frames.map(frame => frame.type)).toEqual([
+            'message_start', 'content_block_start', 'content_block_delta', 'content_block_delta',
+            'content_block_stop', 'message_delta', 'message_stop'
+        ]);
+        expect(frames[5]).toEqual({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } });
+        expect(bodies[1].messages[1]).toEqual({ role: 'assistant', content: 'Hello wor' });
+    });
+
+    test('stops after maxRounds continuations', async () => {
+        let calls = 0;
+        const service = {
+            async *generateContentStream() {
+                calls++;
+                yield { candidates: [{ content: { role: 'model', parts: [{ text: `part ${calls}. ` }] }, finishReason: 'MAX_TOKENS' }] };
+            }
+        };
+
+        const frames = await collect(antiTruncation.wrapService(service, 'gemini-cli-oauth', { ...settings, maxRounds: 1 })
+            .generateContentStream('gemini-2.5-pro', { contents: [{ role: 'user', parts: [{ text: 'Count' }] }] }));
+
+        expect(calls).toBe(2);
+        expect(frames[frames.length - 1].candidates[0].finishReason).toBe('MAX_TOKENS');
+    });
+
+    test('continues a unary response and merges the text and usage', async () => {
+        const responses = [
+            { candidates: [{ content: { role: 'model', parts: [{ text: 'alpha beta gamma delta' }] }, finishReason: 'MAX_TOKENS' }], usageMetadata: { candidatesTokenCount: 4, totalTokenCount: 10 } },
+            { candidates: [{ content: { role: 'model', parts: [{ text: 'gamma delta epsilon' }] }, finishReason: 'STOP' }], usageMetadata: { candidatesTokenCount: 3, totalTokenCount: 12 } }
+        ];
+        const service = { generateContent: jest.fn(async () => responses.shift()) };
+
+        const response = await antiTruncation.wrapService(service, 'gemini-cli-oauth', settings)
+            .generateContent('gemini-2.5-pro', { contents: [{ role: 'user', parts: [{ text: 'Greek letters' }] }] });
+
+        expect(service.generateContent).toHaveBeenCalledTimes(2);
+        expect(response.candidates[0].content.parts[0].text).toBe('alpha beta gamma delta epsilon');
+        expect(response.candidates[0].finishReason).toBe('STOP');
+        expect(response.usageMetadata.candidatesTokenCount).toBe(7);
+    });
+
+    test('does not continue a response that stopped in a tool call', async () => {
+        const service = {
+            generateContent: jest.fn(async () => ({
+                choices: [{ message: { content: null, tool_calls: [{ id: 'call_1' }] }, finish_reason: 'length' }]
+            }))
+        };
+
+        await antiTruncation.wrapService(service, 'openai-custom', settings)
+            .generateContent('gpt-4.1', { messages: [{ role: 'user', content: 'Weather?' }] });
+        expect(service.generateContent).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,61 @@
+import apiKeyService from '../src/api-key-service.js';
+
+describe('apiKeyService', () => {
+    test('createKey returns a prefixed raw key and a record without the hash', async () => {
+        const { key, apiKey } = await apiKeyService.createKey({
+            name: 'ci',
+            allowedProviderTypes: 'gemini-cli-oauth, openai-custom',
+            allowedModels: ['gemini-2.5-*']
+        });
+
+        expect(key.startsWith(apiKeyService.VIRTUAL_KEY_PREFIX)).toBe(true);
+        expect(apiKey.name).toBe('ci');
+        expect(apiKey.allowedProviderTypes).toEqual(['gemini-cli-oauth', 'openai-custom']);
+        expect(apiKey.allowedModels).toEqual(['gemini-2.5-*']);
+        expect(apiKey).not.toHaveProperty('key_hash');
+        expect(key.startsWith(apiKey.keyPrefix)).toBe(true);
+    });
+
+    test('createKey rejects a missing name or invalid expiry', async () => {
+        await expect(apiKeyService.createKey({})).rejects.toThrow('name is required');
+        await expect(apiKeyService.createKey({ name: 'x', expiresAt: 'not-a-date' })).rejects.toThrow('Invalid expiresAt');
+    });
+
+    test('lookupKey resolves active keys and ignores unknown ones', async () => {
+        const { key, apiKey } = await apiKeyService.createKey({ name: 'lookup' });
+
+        const resolved = await apiKeyService.lookupKey(key);
+        expect(resolved.id).toBe(apiKey.id);
+        expect(await apiKeyService.lookupKey(`${apiKeyService.VIRTUAL_KEY_PREFIX}unknown`)).toBeNull();
+        expect(await apiKeyService.lookupKey('123456')).toBeNull();
+    });
+
+    test('revoked and expired keys are no longer resolved', async () => {
+        const revoked = await apiKeyService.createKey({ name: 'revoked' });
+        const revokedRecord = await apiKeyService.revokeKey(revoked.apiKey.id);
+        expect(revokedRecord.status).toBe('revoked');
+        expect(await apiKeyService.lookupKey(revoked.key)).toBeNull();
+
+        const expired = await apiKeyService.createKey({ name: 'expired', expiresAt: '2000-01-01T00:00:00Z' });
+        expect(await apiKeyService.lookupKey(expired.key)).toBeNull();
+
+        const keys = await apiKeyService.listKeys();
+        expect(keys.find(k => k.id === expired.apiKey.id).status).toBe('expired');
+        expect(await apiKeyService.revokeKey('missing-id')).toBeNull();
+    });
+
+    test('checkKeyScope enforces model patterns and provider types', () => {
+        const record = {
+            name: 'scoped',
+            allowedProviderTypes: ['gemini-cli-oauth'],
+            allowedModels: ['gemini-2.5-*', 'gpt-4o']
+        };
+
+        expect(apiKeyService.checkKeyScope(record, 'gemini-cli-oauth', 'gemini-2.5-pro').allowed).toBe(true);
+        expect(apiKeyService.checkKeyScope(record, null, 'gpt-4o').allowed).toBe(true);
+        expect(apiKeyService.checkKeyScope(record, null, 'gpt-4o-mini').allowed).toBe(false);
+        expect(apiKeyService.checkKeyScope(record, 'claude-custom', null).reason).toContain("provider 'claude-custom'");
+        expect(apiKeyService.checkKeyScope({ ...record, allowedModels: [], allowedProviderTypes: [] }, 'claude-custom', 'any').allowed).toBe(true);
+        expect(apiKeyService.checkKeyScope(null, 'claude-custom', 'any').allowed).toBe(true);
+    });
+});
@@ -0,0 +1,101 @@
+import { convertData } from '../src/convert.js';
+import '../src/converters/register-converters.js';
+import { MODEL_PROTOCOL_PREFIX } from '../src/common.js';
+import { requestHasAudio } from '../src/converters/audio.js';
+
+const wavData = Buffer.from('RIFF....WAVEfmt ').toString('base64');
+const pcmData = Buffer.alloc(16, 1).toString('base64');
+
+const openaiRequest = (extra = {}) => ({
+    model: 'gemini-2.5-flash',
+    messages: [{
+        role: 'user',
+        content: [
+            { type: 'input_audio', input_audio: { data: wavData, format: 'wav' } },
+            { type: 'text', text: 'What is said here?' }
+        ]
+    }],
+    ...extra
+});
+
+const geminiAudioResponse = {
+    candidates: [{
+        content: { role: 'model', parts: [{ inlineData: { mimeType: 'audio/L16;codec=pcm;rate=24000', data: pcmData } }] },
+        finishReason: 'STOP'
+    }],
+    usageMetadata: {
+        promptTokenCount: 12,
+        candidatesTokenCount: 40,
+        totalTokenCount: 52,
+        candidatesTokensDetails: [{ modality: 'AUDIO', tokenCount: 40 }]
+    }
+};
+
+describe('audio', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('maps OpenAI input_audio and speech settings to Gemini', () => {
+        const gemini = convertData(openaiRequest({ modalities: ['text', 'audio'], audio: { voice: 'kore', format: 'wav' } }),
+            'request', MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.GEMINI);
+        expect(gemini.contents[0].parts[0]).toEqual({ inlineData: { mimeType: 'audio/wav', data: wavData } });
+        expect(gemini.generationConfig).toMatchObject({
+            responseModalities: ['AUDIO'],
+            speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Kore' } } }
+        });
+
+        // Gemini streams raw PCM, so only pcm16 can be streamed
+        expect(() => convertData(openaiRequest({ stream: true, modalities: ['text', 'audio'], audio: { voice: 'alloy', format: 'mp3' } }),
+            'request', MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.GEMINI)).toThrow(/pcm16/);
+    });
+
+    test('returns Gemini spoken output as OpenAI message audio', () => {
+        const openai = convertData(geminiAudioResponse, 'response', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.OPENAI, 'gemini-2.5-flash');
+        const message = openai.choices[0].message;
+        expect(message.content).toBeNull();
+        const wav = Buffer.from(message.audio.data, 'base64');
+        expect(wav.subarray(0, 4).toString()).toBe('RIFF');
+        expect(wav.readUInt32LE(24)).toBe(24000);
+        expect(wav.subarray(44).toString('base64')).toBe(pcmData);
+        expect(openai.usage.completion_tokens_details.audio_tokens).toBe(40);
+
+        const streamState = {};
+        const first = convertData(geminiAudioResponse, 'streamChunk', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.OPENAI, 'gemini-2.5-flash', streamState);
+        const second = convertData(geminiAudioResponse, 'streamChunk', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.OPENAI, 'gemini-2.5-flash', streamState);
+        expect(first.choices[0].delta.audio).toEqual({ id: streamState.audioId, data: pcmData });
+        expect(second.choices[0].delta.audio.id).toBe(first.choices[0].delta.audio.id);
+    });
+
+    test('refuses audio for backends without audio support', () => {
+        for (const target of [MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES]) {
+            let error = null;
+            try {
+                convertData(openaiRequest(), 'request', MODEL_PROTOCOL_PREFIX.OPENAI, target);
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error).toMatchObject({ status: 400, message: expect.stringContaining('do not accept audio input') });
+        }
+
+        const geminiRequest = { contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'audio/ogg', data: 'AAAA' } }] }] };
+        expect(() => convertData(geminiRequest, 'request', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.OPENAI)).toThrow(/wav and mp3/);
+        expect(requestHasAudio(geminiRequest, MODEL_PROTOCOL_PREFIX.GEMINI)).toBe(true);
+        expect(requestHasAudio({ messages: [{ role: 'user', content: 'Hi' }] }, MODEL_PROTOCOL_PREFIX.OPENAI)).toBe(false);
+    });
+
+    test('maps Gemini wav and mp3 input to OpenAI input_audio', () => {
+        const openai = convertData({
+            contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'audio/mpeg', data: 'AAAA' } }, { text: 'Transcribe.' }] }]
+        }, 'request', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.OPENAI);
+        expect(openai.messages[0].content).toEqual([
+            { type: 'input_audio', input_audio: { data: 'AAAA', format: 'mp3' } },
+            { type: 'text', text: 'Transcribe.' }
+        ]);
+    });
+});
@@ -0,0 +1,237 @@
+import batchService from '../src/batch-service.js';
+import requestQueue from '../src/request-queue.js';
+import { handleContentGenerationRequest } from '../src/common.js';
+import { query, isConnected } from '../src/postgres-client.js';
+
+// Items run through a stubbed request path; the store is the in-memory one unless a test connects Postgres
+jest.mock('../src/common.js', () => ({
+    ...jest.requireActual('../src/common.js'),
+    handleContentGenerationRequest: jest.fn()
+}));
+jest.mock('../src/service-manager.js', () => ({
+    getApiService: jest.fn(async () => ({}))
+}));
+jest.mock('../src/postgres-client.js', () => ({
+    query: jest.fn(),
+    isConnected: jest.fn(() => false)
+}));
+jest.mock('../src/api-key-service.js', () => ({
+    __esModule: true,
+    default: { listKeys: jest.fn(async () => [{ id: 'key-active', status: 'active' }, { id: 'key-revoked', status: 'revoked' }]) }
+}));
+
+const chatLine = (customId, extra = {}) => JSON.stringify({
+    custom_id: customId,
+    method: 'POST',
+    url: '/v1/chat/completions',
+    body: { model: 'gpt-4.1', messages: [{ role: 'user', content: 'Hi' }] },
+    ...extra
+});
+
+describe('batchService', () => {
+    test('parses an OpenAI input file and reports invalid lines', () => {
+        const valid = batchService.parseBatchInput(`${chatLine('a')}\n\n${chatLine('b')}\n`, '/v1/chat/completions');
+        expect(valid.errors).toEqual([]);
+        expect(valid.items.map(item => item.customId)).toEqual(['a', 'b']);
+
+        const invalid = batchService.parseBatchInput([
+            chatLine('a'),
+            '{not json',
+            chatLine('a'),
+            chatLine('c', { url: '/v1/responses' })
+        ].join('\n'), '/v1/chat/completions');
+        expect(invalid.errors.map(error => [error.code, error.line])).toEqual([
+            ['invalid_json_line', 2],
+            ['duplicate_custom_id', 3],
+            ['mismatched_endpoint', 4]
+        ]);
+
+        expect(batchService.parseBatchInput(`${chatLine('a')}\n${chatLine('b')}`, '/v1/chat/completions', 1).errors[0].code)
+            .toBe('too_many_requests');
+    });
+
+    test('parses Anthropic message batch requests from JSON and JSONL', () => {
+        const params = { model: 'claude-sonnet-4-5', max_tokens: 100, messages: [{ role: 'user', content: 'Hi' }] };
+        expect(batchService.parseMessageBatchRequests({ requests: [{ custom_id: 'q-1', params }] }).items)
+            .toEqual([{ customId: 'q-1', body: params }]);
+        expect(batchService.parseMessageBatchRequests(`${JSON.stringify({ custom_id: 'q-2', params })}\n`).items[0].customId).toBe('q-2');
+        expect(batchService.parseMessageBatchRequests({ requests: [{ custom_id: 'bad id', params }] }).error)
+            .toMatch(/requests\.0\.custom_id/);
+        expect(batchService.parseMessageBatchRequests({ requests: [{ custom_id: 'q-3', params: {} }] }).error)
+            .toMatch(/params\.model/);
+    });
+
+    test('reads item results, including error responses written with status 200', () => {
+        const ok = batchService.readItemResult({ statusCode: 200, body: '{"id":"chatcmpl-1","choices":[]}' }, null, 'openai');
+        expect(ok).toEqual({ succeeded: true, statusCode: 200, body: { id: 'chatcmpl-1', choices: [] } });
+
+        const rateLimited = batchService.readItemResult({
+            statusCode: 200,
+            body: JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } })
+        }, null, 'anthropic');
+        expect(rateLimited).toMatchObject({ succeeded: false, statusCode: 429 });
+
+        const thrown = batchService.readItemResult({ statusCode: 200, body: '' }, new Error('Could not determine the model'), 'anthropic');
+        expect(thrown).toEqual({
+            succeeded: false,
+            statusCode: 500,
+            body: { type: 'error', error: { type: 'server_error', message: 'Could not determine the model' } }
+        });
+    });
+
+    test('formats results and batches in each client format', () => {
+        const item = { batch_id: 'batch_1', item_index: 0, custom_id: 'a', request_id: 'r1' };
+        expect(batchService.toOpenAIResultLine({ ...item, status: 'succeeded', status_code: 200, response: { id: 'x' } })).toEqual({
+            id: 'batch_req_r1', custom_id: 'a', response: { status_code: 200, request_id: 'r1', body: { id: 'x' } }, error: null
+        });
+        expect(batchService.toOpenAIResultLine({ ...item, status: 'canceled' }).error.code).toBe('batch_cancelled');
+        expect(batchService.toMessageBatchResultLine({ ...item, status: 'errored', response: { type: 'error' } }))
+            .toEqual({ custom_id: 'a', result: { type: 'errored', error: { type: 'error' } } });
+        expect(batchService.toMessageBatchResultLine({ ...item, status: 'expired' })).toEqual({ custom_id: 'a', result: { type: 'expired' } });
+
+        const row = {
+            id: 'msgbatch_1',
+            status: 'cancelling',
+            created_at: '2026-01-01T00:00:00.000Z',
+            expires_at: '2026-01-02T00:00:00.000Z',
+            cancelling_at: '2026-01-01T01:00:00.000Z',
+            ended_at: null
+        };
+        const counts = { total: 4, pending: 1, running: 1, succeeded: 1, errored: 0, canceled: 1, expired: 0 };
+        expect(batchService.toMessageBatch(row, counts)).toMatchObject({
+            processing_status: 'canceling',
+            request_counts: { processing: 2, succeeded: 1, errored: 0, canceled: 1, expired: 0 },
+            results_url: null
+        });
+        expect(batchService.toOpenAIBatch({ ...row, id: 'batch_1', status: 'cancelled', ended_at: '2026-01-01T02:00:00.000Z' }, counts)).toMatchObject({
+            status: 'cancelled',
+            completion_window: '24h',
+            request_counts: { total: 4, completed: 1, failed: 1 },
+            cancelled_at: Date.parse('2026-01-01T02:00:00.000Z') / 1000
+        });
+    });
+});
+
+describe('batch runner', () => {
+    const context = (batches = {}) => ({
+        config: { MODEL_PROVIDER: 'openai-custom', batches: { enabled: true, itemsPerMinute: 60000, ...batches } },
+        poolManager: null,
+        promptLogFilename: ''
+    });
+    const chatItem = (customId) => ({ customId, body: { model: 'gpt-4.1', messages: [{ role: 'user', content: customId }] } });
+
+    // Answers each item with `respond(customId)` ({ status, body }), recording when it started
+    const calls = [];
+    const stubRequests = (respond) => {
+        handleContentGenerationRequest.mockImplementation(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) raw += chunk;
+            const customId = JSON.parse(raw).messages[0].content;
+            calls.push({ customId, at: Date.now() });
+            const { status = 200, body = { id: `chatcmpl-${customId}` }, delayMs = 0 } = await respond(customId) || {};
+            if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    };
+
+    const waitForBatch = async (id) => {
+        for (let i = 0; i < 500; i++) {
+            const row = await batchService.getBatch(id);
+            if (row.ended_at) return row;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`Batch ${id} did not end`);
+    };
+
+    const statuses = async (id) => Object.fromEntries((await batchService.listItems(id)).map(item => [item.custom_id, [item.status, item.attempts]]));
+
+    beforeEach(() => {
+        calls.length = 0;
+        handleContentGenerationRequest.mockReset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('starts items no faster than itemsPerMinute', async () => {
+        stubRequests(() => null);
+        const row = await batchService.createBatch({ format: 'openai', endpoint: '/v1/chat/completions', items: ['a', 'b', 'c'].map(chatItem) },
+            context({ itemsPerMinute: 600, maxConcurrency: 5 }));
+
+        expect((await waitForBatch(row.id)).status).toBe('completed');
+        expect(calls.map(call => call.customId)).toEqual(['a', 'b', 'c']);
+        // 600 per minute: one item every 100ms
+        expect(calls[1].at - calls[0].at).toBeGreaterThanOrEqual(95);
+        expect(calls[2].at - calls[1].at).toBeGreaterThanOrEqual(95);
+    });
+
+    test('retries retryable failures up to maxAttempts', async () => {
+        let flakyFailures = 1;
+        stubRequests(customId => {
+            if (customId === 'flaky' && flakyFailures-- > 0) return { status: 503, body: { error: { message: 'Overloaded', type: 'server_error' } } };
+            if (customId === 'broken') return { status: 500, body: { error: { message: 'Upstream down', type: 'server_error' } } };
+            if (customId === 'invalid') return { status: 400, body: { error: { message: 'Bad request', type: 'invalid_request_error' } } };
+            return null;
+        });
+        const row = await batchService.createBatch({ format: 'anthropic', endpoint: '/v1/messages', items: ['flaky', 'broken', 'invalid'].map(chatItem) },
+            context({ maxAttempts: 3 }));
+
+        expect((await waitForBatch(row.id)).status).toBe('completed');
+        expect(await statuses(row.id)).toEqual({ flaky: ['succeeded', 2], broken: ['errored', 3], invalid: ['errored', 1] });
+        expect(calls.filter(call => call.customId === 'broken')).toHaveLength(3);
+    });
+
+    test('cancelling skips pending items and writes the output and error files', async () => {
+        stubRequests(customId => ({ delayMs: customId === 'a' ? 50 : 0 }));
+        const row = await batchService.createBatch({ format: 'openai', endpoint: '/v1/chat/completions', items: ['a', 'b', 'c'].map(chatItem) },
+            context({ maxConcurrency: 1 }));
+        while (calls.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+        await batchService.cancelBatch(row.id);
+
+        const ended = await waitForBatch(row.id);
+        expect(ended.status).toBe('cancelled');
+        expect(calls.map(call => call.customId)).toEqual(['a']);
+        expect(await statuses(row.id)).toEqual({ a: ['succeeded', 1], b: ['canceled', 0], c: ['canceled', 0] });
+
+        const lines = async (fileId) => (await batchService.getFile(fileId)).content.trim().split('\n').map(line => JSON.parse(line));
+        expect((await lines(ended.output_file_id)).map(line => [line.custom_id, line.response.body.id])).toEqual([['a', 'chatcmpl-a']]);
+        expect((await lines(ended.error_file_id)).map(line => [line.custom_id, line.error.code])).toEqual([['b', 'batch_cancelled'], ['c', 'batch_cancelled']]);
+    });
+
+    test('an item that fails outside the request goes back to pending instead of staying running', async () => {
+        stubRequests(() => null);
+        jest.spyOn(requestQueue, 'getSettings').mockImplementationOnce(() => {
+            throw new Error('connection terminated');
+        });
+        const row = await batchService.createBatch({ format: 'openai', endpoint: '/v1/chat/completions', items: [chatItem('a')] }, context());
+
+        expect((await waitForBatch(row.id)).status).toBe('completed');
+        expect(await statuses(row.id)).toEqual({ a: ['succeeded', 2] });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('marking it pending: connection terminated'));
+    });
+
+    test('resumeBatches requeues running items and cancels batches of inactive keys', async () => {
+        const batches = [
+            { id: 'batch_active', api_key_id: 'key-active', status: 'in_progress', model_provider: 'openai-custom' },
+            { id: 'batch_revoked', api_key_id: 'key-revoked', status: 'in_progress', model_provider: 'openai-custom' }
+        ];
+        isConnected.mockReturnValue(true);
+        query.mockImplementation(async (sql) => ({ rows: sql.includes('FROM batch_jobs WHERE status IN') ? batches : [] }));
+        try {
+            expect(await batchService.resumeBatches({ batches: { enabled: true } }, null)).toBe(2);
+        } finally {
+            isConnected.mockReturnValue(false);
+        }
+
+        const updates = query.mock.calls.map(([sql, params]) => [sql.trim().split(/\s+/).slice(0, 2).join(' '), params]);
+        expect(updates.filter(([statement]) => statement === 'UPDATE batch_items').map(([, params]) => params))
+            .toEqual([['batch_active', 'running', 'pending'], ['batch_revoked', 'running', 'pending']]);
+        expect(updates.filter(([statement]) => statement === 'UPDATE batch_jobs').map(([, params]) => params.slice(0, 2)))
+            .toEqual([['batch_revoked', 'cancelling']]);
+    });
+});
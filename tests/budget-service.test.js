@@ -0,0 +1,72 @@
+import budgetService from '../src/budget-service.js';
+import metricsService from '../src/metrics-service.js';
+
+describe('budgetService', () => {
+    const config = {
+        budgets: {
+            softLimitPercent: 100,
+            providerTypes: {
+                'gemini-antigravity': { daily: { requests: 2 } }
+            },
+            defaultApiKey: { monthly: { tokens: 100 } }
+        }
+    };
+
+    test('normalizeBudget keeps positive limits only', () => {
+        expect(budgetService.normalizeBudget(null)).toBeNull();
+        expect(budgetService.normalizeBudget({ daily: { tokens: 0 } })).toBeNull();
+        expect(budgetService.normalizeBudget({ daily: { tokens: '10', requests: -1 }, softLimitPercent: 90 })).toEqual({
+            daily: { tokens: 10 },
+            monthly: {},
+            softLimitPercent: 90
+        });
+    });
+
+    test('getSecondsUntilReset counts down to the next UTC period', () => {
+        const now = new Date('2026-01-31T23:59:00Z');
+        expect(budgetService.getSecondsUntilReset('daily', now)).toBe(60);
+        expect(budgetService.getSecondsUntilReset('monthly', now)).toBe(60);
+        expect(budgetService.getPeriodBuckets(now)).toEqual({ daily: '2026-01-31', monthly: '2026-01' });
+    });
+
+    test('provider type budget blocks once the hard limit is reached', async () => {
+        expect((await budgetService.checkProviderBudget(config, 'gemini-antigravity')).allowed).toBe(true);
+
+        await budgetService.recordUsage({ providerType: 'gemini-antigravity', inputTokens: 5, outputTokens: 5 });
+        await budgetService.recordUsage({ providerType: 'gemini-antigravity', inputTokens: null, outputTokens: null });
+
+        const result = await budgetService.checkProviderBudget(config, 'gemini-antigravity');
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain('daily requests budget (2/2)');
+        expect(result.retryAfterSeconds).toBeGreaterThan(0);
+        expect((await budgetService.checkProviderBudget(config, 'gemini-cli-oauth')).allowed).toBe(true);
+    });
+
+    test('key budgets fall back to defaultApiKey and prefer the key budget', async () => {
+        const key = { id: 'key-1', name: 'agent' };
+        await budgetService.recordUsage({ apiKeyId: key.id, providerType: 'cache', inputTokens: 60, outputTokens: 40 });
+
+        expect((await budgetService.checkKeyBudget(config, key)).allowed).toBe(false);
+        expect((await budgetService.checkKeyBudget(config, { ...key, budgets: { monthly: { tokens: 1000 } } })).allowed).toBe(true);
+        expect((await budgetService.checkKeyBudget(config, null)).allowed).toBe(true);
+
+        const usage = await budgetService.getUsage('key', key.id);
+        expect(usage.monthly).toEqual({ requests: 1, tokens: 100 });
+    });
+
+    test('request metrics count each answered client request once', async () => {
+        const attempt = { apiKeyId: 'key-2', clientIp: '127.0.0.1', model: 'gemini-2.5-flash', latencyMs: 10, isStreaming: false };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        // A failed attempt, the retry that answers the request, then a cache hit
+        await metricsService.recordRequest({ ...attempt, providerType: 'gemini-cli-oauth', statusCode: 429, errorMessage: 'quota', inputTokens: null, outputTokens: null });
+        await metricsService.recordRequest({ ...attempt, providerType: 'gemini-antigravity-budget', statusCode: 200, errorMessage: null, inputTokens: 30, outputTokens: 20 });
+        await metricsService.recordRequest({ ...attempt, providerType: 'semantic-cache', statusCode: 200, errorMessage: null, inputTokens: 30, outputTokens: 20 });
+
+        expect((await budgetService.getUsage('key', 'key-2')).daily).toEqual({ requests: 2, tokens: 50 });
+        expect((await budgetService.getUsage('provider', 'gemini-cli-oauth')).daily).toEqual({ requests: 0, tokens: 0 });
+        expect((await budgetService.getUsage('provider', 'gemini-antigravity-budget')).daily).toEqual({ requests: 1, tokens: 50 });
+        expect((await budgetService.getUsage('provider', 'semantic-cache')).daily).toEqual({ requests: 0, tokens: 0 });
+        console.log.mockRestore();
+    });
+});
@@ -0,0 +1,220 @@
+import cacheService from '../src/cache-service.js';
+
+// Redis stand-in: an in-memory store for the JSON values the response cache reads and writes
+const mockRedisStore = new Map();
+jest.mock('../src/redis-client.js', () => {
+    const actual = jest.requireActual('../src/redis-client.js').default;
+    const mockClient = {
+        ...actual,
+        isAvailable: () => true,
+        getJSON: async (key) => (mockRedisStore.has(key) ? JSON.parse(mockRedisStore.get(key)) : null),
+        setJSON: async (key, value) => {
+            mockRedisStore.set(key, JSON.stringify(value));
+            return true;
+        }
+    };
+    return { __esModule: true, ...mockClient, default: mockClient };
+});
+
+describe('cacheService cache keys', () => {
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    test('key ordering does not change the cache key', () => {
+        const a = cacheService.generateCacheKeyFromRequest('gpt-4o', { messages, temperature: 0.2, max_tokens: 10 }, 'openai-custom');
+        const b = cacheService.generateCacheKeyFromRequest('gpt-4o', { max_tokens: 10, temperature: 0.2, messages }, 'openai-custom');
+        expect(a).toBe(b);
+    });
+
+    test('generation parameters are part of the cache key', () => {
+        const base = cacheService.generateCacheKeyFromRequest('gpt-4o', { messages }, 'openai-custom');
+        const variants = [
+            { temperature: 0.9 },
+            { max_tokens: 5 },
+            { tools: [{ type: 'function', function: { name: 'f' } }] },
+            { response_format: { type: 'json_object' } }
+        ];
+        for (const variant of variants) {
+            expect(cacheService.generateCacheKeyFromRequest('gpt-4o', { messages, ...variant }, 'openai-custom')).not.toBe(base);
+        }
+    });
+
+    test('equivalent parameter names map to one canonical form', () => {
+        const openai = cacheService.canonicalizeRequest({ messages, max_completion_tokens: 100, stop: 'END', top_p: 0.5 }, 'openai-custom');
+        const gemini = cacheService.canonicalizeRequest({
+            contents: messages,
+            generationConfig: { maxOutputTokens: 100, stopSequences: ['END'], topP: 0.5 }
+        }, 'gemini-cli-oauth');
+
+        expect(openai.maxTokens).toBe(100);
+        expect(gemini.maxTokens).toBe(100);
+        expect(openai.stop).toEqual(['END']);
+        expect(gemini.stop).toEqual(['END']);
+        expect(gemini.extra).toBeUndefined();
+        // Cached responses are stored in the client's format, so the protocol stays in the key
+        expect({ ...openai, protocol: null }).toEqual({ ...gemini, protocol: null });
+    });
+
+    test('ignored fields and stream flags are left out of the key', () => {
+        const base = cacheService.generateCacheKeyFromRequest('gpt-4o', { messages }, 'openai-custom');
+        expect(cacheService.generateCacheKeyFromRequest('gpt-4o', { messages, user: 'u1', stream: false }, 'openai-custom')).toBe(base);
+        expect(cacheService.generateCacheKeyFromRequest('gpt-4o', { messages, seed: 1 }, 'openai-custom', ['seed'])).toBe(base);
+        expect(cacheService.generateCacheKeyFromRequest('gpt-4o', { messages, seed: 1 }, 'openai-custom')).not.toBe(base);
+    });
+
+    test('ignored fields come from config.json, with CACHE_IGNORED_FIELDS as an override', async () => {
+        const config = { cache: { ignoredFields: ['seed', ' generationConfig.candidateCount '] } };
+        expect(cacheService.getIgnoredFields(config)).toEqual(['seed', 'generationConfig.candidateCount']);
+        expect(cacheService.getIgnoredFields({})).toEqual([]);
+        expect(cacheService.getConfig(config).ignoredFields).toEqual(expect.arrayContaining(['user', 'seed']));
+
+        process.env.CACHE_IGNORED_FIELDS = 'temperature';
+        jest.resetModules();
+        try {
+            const { default: overridden } = await import('../src/cache-service.js');
+            expect(overridden.getIgnoredFields(config)).toEqual(['temperature']);
+            const base = overridden.generateCacheKeyFromRequest('gpt-4o', { messages }, 'openai-custom');
+            expect(overridden.generateCacheKeyFromRequest('gpt-4o', { messages, temperature: 0.3 }, 'openai-custom')).toBe(base);
+        } finally {
+            delete process.env.CACHE_IGNORED_FIELDS;
+        }
+    });
+
+    test('Cache-Control: no-store opts a request out', () => {
+        expect(cacheService.isNoStoreRequest({ 'cache-control': 'max-age=0, no-store' })).toBe(true);
+        expect(cacheService.isNoStoreRequest({ 'cache-control': 'no-cache' })).toBe(false);
+        expect(cacheService.isNoStoreRequest({})).toBe(false);
+    });
+});
+
+describe('cacheService stream cache', () => {
+    const model = 'claude-sonnet-4-5';
+    const requestBody = { model, stream: true, max_tokens: 100, messages: [{ role: 'user', content: 'Hello' }] };
+    const chunks = [
+        { type: 'message_start', message: { id: 'msg_1', role: 'assistant', content: [], usage: { input_tokens: 5, output_tokens: 0 } } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi there' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+        { type: 'message_stop' }
+    ];
+    let streamCache;
+    let handleStreamRequest;
+    let handleUnaryRequest;
+
+    // Stand-in for http.ServerResponse that records what is written
+    const createResponse = () => ({
+        output: '',
+        headersSent: false,
+        destroyed: false,
+        writable: true,
+        writeHead() { this.headersSent = true; },
+        write(data) { this.output += data; return true; },
+        end(data) { if (data) this.output += data; this.writable = false; },
+        on() {},
+        once() {}
+    });
+
+    // Stand-in for a provider adapter streaming the given chunks, then failing if asked to
+    const createService = (streamChunks, { error = null, onChunk = null } = {}) => ({
+        generateContentStream: jest.fn(async function* () {
+            for (const chunk of streamChunks) {
+                yield chunk;
+                onChunk?.(chunk);
+            }
+            if (error) throw error;
+        })
+    });
+
+    const stream = (res, service) => handleStreamRequest(res, service, model, JSON.parse(JSON.stringify(requestBody)), 'claude', 'claude-custom',
+        'none', null, null, null, { originalRequestBody: requestBody, requestHeaders: {} });
+
+    beforeAll(async () => {
+        // The cache reads CACHE_ENABLED when it loads, so load fresh copies with it set
+        process.env.CACHE_ENABLED = 'true';
+        jest.resetModules();
+        streamCache = (await import('../src/cache-service.js')).default;
+        ({ handleStreamRequest, handleUnaryRequest } = await import('../src/common.js'));
+    });
+
+    afterAll(() => {
+        delete process.env.CACHE_ENABLED;
+    });
+
+    beforeEach(() => {
+        mockRedisStore.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('cacheStream stores frames that getCachedStream returns, apart from unary responses', async () => {
+        const canonical = streamCache.canonicalizeRequest(requestBody, 'claude');
+        const frames = chunks.map(chunk => ({ event: chunk.type, data: chunk }));
+
+        expect(await streamCache.cacheStream(model, canonical, [])).toBe(false);
+        expect(await streamCache.getCachedStream(model, canonical)).toBeNull();
+
+        expect(await streamCache.cacheStream(model, canonical, frames, { inputTokens: 5, outputTokens: 3 })).toBe(true);
+        expect(await streamCache.getCachedStream(model, canonical)).toEqual({ frames, usage: { inputTokens: 5, outputTokens: 3 } });
+        // The same request without streaming has its own entry
+        expect(await streamCache.getCachedResponse(model, canonical)).toBeNull();
+    });
+
+    test('a completed stream is replayed with the same SSE framing without calling the provider', async () => {
+        const first = createResponse();
+        await stream(first, createService(chunks));
+        expect(first.output).toContain('event: content_block_delta\ndata: ');
+        expect(mockRedisStore.size).toBe(1);
+
+        const replayed = createResponse();
+        const service = createService(chunks);
+        await stream(replayed, service);
+
+        expect(service.generateContentStream).not.toHaveBeenCalled();
+        expect(replayed.headersSent).toBe(true);
+        expect(replayed.output).toBe(first.output);
+        expect(replayed.writable).toBe(false);
+    });
+
+    test('a stream that fails is not cached', async () => {
+        const res = createResponse();
+        await stream(res, createService(chunks.slice(0, 2), { error: Object.assign(new Error('upstream reset'), { status: 502 }) }));
+
+        expect(res.output).toContain('upstream reset');
+        expect(mockRedisStore.size).toBe(0);
+    });
+
+    test('a stream the client aborted is not cached', async () => {
+        const res = createResponse();
+        // The client disconnects after the first chunk; the rest of the stream reaches nobody
+        await stream(res, createService(chunks, { onChunk: () => { res.destroyed = true; } }));
+
+        expect(mockRedisStore.size).toBe(0);
+    });
+
+    test('Responses API requests with store are neither served from nor stored in the cache', async () => {
+        const { default: responseStore } = await import('../src/response-store.js');
+        const responseContext = (store) => ({ store, input: [], previousResponseId: null, apiKeyId: null, settings: responseStore.getSettings({}) });
+        const options = (store) => ({ originalRequestBody: requestBody, requestHeaders: {}, responseContext: responseContext(store) });
+        const streamed = (service, store) => handleStreamRequest(createResponse(), service, model, JSON.parse(JSON.stringify(requestBody)), 'claude', 'claude-custom',
+            'none', null, null, null, options(store));
+
+        await streamed(createService(chunks), true);
+        expect(mockRedisStore.size).toBe(0);
+        await streamed(createService(chunks), false);
+        expect(mockRedisStore.size).toBe(1);
+        const service = createService(chunks);
+        await streamed(service, true);
+        expect(service.generateContentStream).toHaveBeenCalled();
+
+        // Unary requests as well
+        const unaryResponse = { id: 'msg_2', type: 'message', role: 'assistant', content: [{ type: 'text', text: 'Hi' }], usage: { input_tokens: 5, output_tokens: 1 } };
+        await streamCache.cacheResponse(model, streamCache.canonicalizeRequest(requestBody, 'claude'), unaryResponse);
+        const unaryService = { generateContent: jest.fn(async () => ({ ...unaryResponse, id: 'msg_3' })) };
+        const res = createResponse();
+        await handleUnaryRequest(res, unaryService, model, JSON.parse(JSON.stringify(requestBody)), 'claude', 'claude-custom', 'none', null, null, null, options(true));
+        expect(unaryService.generateContent).toHaveBeenCalled();
+        expect(JSON.parse(res.output).id).toBe('msg_3');
+    });
+});
@@ -0,0 +1,76 @@
+import { CircuitBreaker, CIRCUIT_STATE, resolveCircuitBreakerOptions } from '../src/circuit-breaker.js';
+
+const options = { windowMs: 1000, minRequests: 3, errorRateThreshold: 0.5, openDurationMs: 100, maxOpenDurationMs: 300 };
+
+describe('CircuitBreaker', () => {
+    test('opens on the error rate over the sliding window', () => {
+        const transitions = [];
+        const breaker = new CircuitBreaker(options, { onTransition: (from, to) => transitions.push(`${from}->${to}`) });
+
+        breaker.recordSuccess(0);
+        breaker.recordSuccess(10);
+        breaker.recordFailure(20);
+        breaker.recordFailure(30);
+        // 2 of 4 requests failed: the 50% threshold is reached
+        expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+        expect(transitions).toEqual(['closed->open']);
+        expect(breaker.isAdmitting(50)).toBe(false);
+    });
+
+    test('needs the minimum number of requests and forgets outcomes outside the window', () => {
+        const breaker = new CircuitBreaker(options);
+
+        breaker.recordFailure(0);
+        breaker.recordFailure(10);
+        expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+
+        // The two early failures have left the window
+        breaker.recordSuccess(1500);
+        breaker.recordSuccess(1510);
+        breaker.recordFailure(1520);
+        expect(breaker.getWindowStats(1520)).toEqual({ requests: 3, failures: 1, errorRate: 1 / 3 });
+        expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+    });
+
+    test('admits limited probes when half-open and closes after a successful probe', () => {
+        const transitions = [];
+        const breaker = new CircuitBreaker(options, { state: CIRCUIT_STATE.OPEN, onTransition: (from, to) => transitions.push(to) });
+
+        expect(breaker.isAdmitting()).toBe(true);
+        expect(breaker.state).toBe(CIRCUIT_STATE.HALF_OPEN);
+
+        const endProbe = breaker.beginRequest();
+        expect(breaker.isAdmitting()).toBe(false);
+        endProbe();
+        endProbe();
+        expect(breaker.probesInFlight).toBe(0);
+
+        breaker.recordSuccess();
+        expect(breaker.state).toBe(CIRCUIT_STATE.CLOSED);
+        expect(transitions).toEqual([CIRCUIT_STATE.HALF_OPEN, CIRCUIT_STATE.CLOSED]);
+    });
+
+    test('a failed probe re-opens the circuit with a growing open duration', () => {
+        const breaker = new CircuitBreaker(options);
+        for (let i = 0; i < 3; i++) breaker.recordFailure(0);
+        expect(breaker.openUntil).toBe(100);
+
+        expect(breaker.isAdmitting(100)).toBe(true);
+        breaker.recordFailure(100);
+        expect(breaker.state).toBe(CIRCUIT_STATE.OPEN);
+        expect(breaker.openUntil).toBe(300);
+
+        expect(breaker.isAdmitting(300)).toBe(true);
+        breaker.recordFailure(300);
+        // Capped at maxOpenDurationMs
+        expect(breaker.openUntil).toBe(600);
+    });
+
+    test('invalid options fall back to the defaults', () => {
+        const resolved = resolveCircuitBreakerOptions({ windowMs: 'soon', halfOpenMaxProbes: 0 }, { minRequests: 5 });
+
+        expect(resolved.windowMs).toBe(60000);
+        expect(resolved.halfOpenMaxProbes).toBe(1);
+        expect(resolved.minRequests).toBe(5);
+    });
+});
@@ -0,0 +1,150 @@
+import * as zlib from 'zlib';
+import { convertData } from '../src/convert.js';
+import '../src/converters/register-converters.js';
+import { MODEL_PROTOCOL_PREFIX } from '../src/common.js';
+import documentService from '../src/document-service.js';
+import { documentText } from '../src/converters/documents.js';
+import { extractPdfText } from '../src/converters/pdf-text.js';
+
+/**
+ * Builds a one-page PDF showing the given lines in a compressed content stream.
+ */
+const buildPdf = (lines) => {
+    const content = 'BT /F1 12 Tf 72 720 Td ' +
+        lines.map((line, index) => `${index > 0 ? '0 -14 Td ' : ''}(${line.replace(/[()\\]/g, '\\$&')}) Tj`).join(' ') +
+        ' 0 -14 Td [(Spaced)-300(words)] TJ ET';
+    const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 /Resources << /Font << /F1 5 0 R >> >> >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R >>',
+        null,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+    objects.forEach((object, index) => {
+        if (object === null) {
+            chunks.push(
+                Buffer.from(`${index + 1} 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream\nendobj\n', 'latin1')
+            );
+        } else {
+            chunks.push(Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1'));
+        }
+    });
+    chunks.push(Buffer.from('trailer\n<< /Root 1 0 R /Size 6 >>\n%%EOF\n', 'latin1'));
+    return Buffer.concat(chunks).toString('base64');
+};
+
+const pdfData = buildPdf(['Quarterly report', 'Revenue grew (a lot)']);
+
+const claudeRequest = {
+    model: 'claude-sonnet-4-5',
+    max_tokens: 1024,
+    messages: [{
+        role: 'user',
+        content: [
+            { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: pdfData }, title: 'report.pdf', citations: { enabled: true } },
+            { type: 'document', source: { type: 'text', media_type: 'text/plain', data: 'Meeting notes' }, title: 'notes.txt' },
+            { type: 'text', text: 'Summarize these.' }
+        ]
+    }]
+};
+
+describe('documents', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('extracts the text of a PDF', () => {
+        expect(extractPdfText(pdfData)).toBe('Quarterly report\nRevenue grew (a lot)\nSpaced words');
+        expect(extractPdfText(Buffer.from('not a pdf'))).toBe('');
+    });
+
+    test('maps Claude documents to OpenAI, Gemini and Responses requests', () => {
+        const openai = convertData(claudeRequest, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI);
+        expect(openai.messages[0].content).toEqual([
+            { type: 'file', file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${pdfData}` } },
+            { type: 'text', text: '[Document: notes.txt]\nMeeting notes' },
+            { type: 'text', text: 'Summarize these.' }
+        ]);
+
+        const gemini = convertData(claudeRequest, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.GEMINI);
+        expect(gemini.contents[0].parts.slice(0, 2)).toEqual([
+            { text: '[Document: report.pdf]' },
+            { inlineData: { mimeType: 'application/pdf', data: pdfData } }
+        ]);
+
+        const responses = convertData(claudeRequest, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES);
+        expect(responses.input[0].content[0]).toEqual({
+            type: 'input_file',
+            filename: 'report.pdf',
+            file_data: `data:application/pdf;base64,${pdfData}`
+        });
+    });
+
+    test('maps OpenAI, Responses and Gemini documents to Claude document blocks', () => {
+        const fromOpenAI = convertData({
+            model: 'claude-sonnet-4-5',
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'file', file: { filename: 'report.pdf', file_data: `data:application/pdf;base64,${pdfData}` } },
+                    { type: 'text', text: 'Summarize.' }
+                ]
+            }]
+        }, 'request', MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.CLAUDE);
+        expect(fromOpenAI.messages[0].content[0]).toEqual({
+            type: 'document',
+            source: { type: 'base64', media_type: 'application/pdf', data: pdfData },
+            title: 'report.pdf'
+        });
+
+        const fromResponses = convertData({
+            model: 'claude-sonnet-4-5',
+            input: [{ role: 'user', content: [{ type: 'input_file', file_url: 'https://example.com/report.pdf' }] }]
+        }, 'request', MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES, MODEL_PROTOCOL_PREFIX.CLAUDE);
+        expect(fromResponses.messages[0].content).toEqual([
+            { type: 'document', source: { type: 'url', url: 'https://example.com/report.pdf' } }
+        ]);
+
+        const fromGemini = convertData({
+            contents: [{
+                role: 'user',
+                parts: [
+                    { inlineData: { mimeType: 'application/pdf', data: pdfData } },
+                    { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }
+                ]
+            }]
+        }, 'request', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.CLAUDE);
+        expect(fromGemini.messages[0].content.map(block => block.type)).toEqual(['document', 'image']);
+    });
+
+    test('sends extracted text to backends set to get text', () => {
+        const openai = convertData(claudeRequest, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI);
+        const config = { documents: { extractText: ['openai-custom'] } };
+        const fallback = documentService.applyDocumentFallback(config, openai, MODEL_PROTOCOL_PREFIX.CLAUDE, 'openai-custom');
+        expect(fallback.messages[0].content[0]).toEqual({
+            type: 'text',
+            text: '[Document: report.pdf]\nQuarterly report\nRevenue grew (a lot)\nSpaced words'
+        });
+        // The converted request is not modified
+        expect(openai.messages[0].content[0].type).toBe('file');
+
+        expect(documentService.applyDocumentFallback({}, openai, MODEL_PROTOCOL_PREFIX.CLAUDE, 'openai-custom')).toBe(openai);
+
+        // Claude Code requests stay in the client's format
+        const claudeCode = documentService.applyDocumentFallback({}, claudeRequest, MODEL_PROTOCOL_PREFIX.CLAUDE, 'claudeCode-custom');
+        expect(claudeCode.messages[0].content.map(block => block.type)).toEqual(['text', 'text', 'text']);
+    });
+
+    test('notes documents without extractable text', () => {
+        expect(documentText({ mediaType: 'application/pdf', data: Buffer.from('%PDF-1.4').toString('base64'), title: 'scan.pdf' }))
+            .toBe('[Document: scan.pdf]\n(no text could be extracted from this document)');
+    });
+});
@@ -0,0 +1,58 @@
+import { convertData } from '../src/convert.js';
+import '../src/converters/register-converters.js';
+
+describe('embedding conversion', () => {
+    test('converts an OpenAI request to a Gemini batchEmbedContents request', () => {
+        const result = convertData({ model: 'text-embedding-3-small', input: ['first', 'second'], dimensions: 256 }, 'embeddingRequest', 'openai', 'gemini-cli-oauth');
+        expect(result).toEqual({
+            requests: [
+                { content: { parts: [{ text: 'first' }] }, outputDimensionality: 256 },
+                { content: { parts: [{ text: 'second' }] }, outputDimensionality: 256 }
+            ]
+        });
+
+        expect(convertData({ input: 'single' }, 'embeddingRequest', 'openai', 'gemini').requests).toHaveLength(1);
+    });
+
+    test('rejects token array input for Gemini backends', () => {
+        expect(() => convertData({ input: [[1, 2, 3]] }, 'embeddingRequest', 'openai', 'gemini'))
+            .toThrow(/only accept text input/);
+    });
+
+    test('converts a Gemini batch request to an OpenAI request', () => {
+        const result = convertData({
+            requests: [
+                { model: 'models/gemini-embedding-001', content: { parts: [{ text: 'Hello ' }, { text: 'world' }] }, taskType: 'RETRIEVAL_QUERY', outputDimensionality: 768 },
+                { content: { parts: [{ text: 'Bye' }] } }
+            ]
+        }, 'embeddingRequest', 'gemini', 'openai-custom');
+        expect(result).toEqual({ input: ['Hello world', 'Bye'], dimensions: 768 });
+    });
+
+    test('converts responses in both directions', () => {
+        const openaiResponse = {
+            object: 'list',
+            data: [
+                { object: 'embedding', index: 1, embedding: [0.3, 0.4] },
+                { object: 'embedding', index: 0, embedding: [0.1, 0.2] }
+            ],
+            model: 'text-embedding-3-small',
+            usage: { prompt_tokens: 4, total_tokens: 4 }
+        };
+        expect(convertData(openaiResponse, 'embeddingResponse', 'openai', 'gemini')).toEqual({
+            embeddings: [{ values: [0.1, 0.2] }, { values: [0.3, 0.4] }]
+        });
+
+        const geminiResponse = { embeddings: [{ values: [0.5, 0.6] }] };
+        expect(convertData(geminiResponse, 'embeddingResponse', 'gemini', 'openai', 'gemini-embedding-001')).toEqual({
+            object: 'list',
+            data: [{ object: 'embedding', index: 0, embedding: [0.5, 0.6] }],
+            model: 'gemini-embedding-001',
+            usage: { prompt_tokens: 0, total_tokens: 0 }
+        });
+    });
+
+    test('protocols without embedding models are rejected', () => {
+        expect(() => convertData({ input: 'x' }, 'embeddingRequest', 'claude', 'openai')).toThrow(/not supported/);
+    });
+});
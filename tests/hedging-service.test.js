@@ -0,0 +1,125 @@
+import hedgingService from '../src/hedging-service.js';
+import metricsService from '../src/metrics-service.js';
+
+// The real adapters pull in ESM-only dependencies; the backup test only needs the config an adapter is built with
+jest.mock('../src/adapter.js', () => ({
+    getServiceAdapter: jest.fn(config => ({ config })),
+    serviceInstances: {}
+}));
+
+const sleep = (ms, value, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms, value);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('aborted'));
+    });
+});
+
+describe('hedgingService', () => {
+    beforeEach(() => hedgingService.resetStatsCache());
+
+    test('isHedgingEnabled honours the model filter', () => {
+        expect(hedgingService.isHedgingEnabled({}, 'gpt-4o')).toBe(false);
+        expect(hedgingService.isHedgingEnabled({ hedging: { enabled: true } }, 'gpt-4o')).toBe(true);
+        expect(hedgingService.isHedgingEnabled({ hedging: { enabled: true, models: ['gemini-*'] } }, 'gpt-4o')).toBe(false);
+    });
+
+    test('getHedgeDelay uses delayMs or a clamped latency percentile', async () => {
+        expect(await hedgingService.getHedgeDelay({ hedging: { delayMs: 750 } })).toBe(750);
+        // No latency data yet: the 2s default is clamped to maxDelayMs
+        expect(await hedgingService.getHedgeDelay({ hedging: { maxDelayMs: 1500 } }, 'gemini-cli-oauth', 'gemini-2.5-flash')).toBe(1500);
+    });
+
+    test("getHedgeDelay uses the primary's unary latencies for the model", async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const record = (providerType, model, latencyMs, isStreaming = false) => metricsService.recordRequest({
+            requestId: `hedge-${providerType}-${latencyMs}`, providerType, model, latencyMs, isStreaming,
+            statusCode: 200, errorMessage: null, inputTokens: null, outputTokens: null
+        });
+        for (let i = 1; i <= 10; i++) {
+            await record('openai-custom', 'gpt-4o', i * 100);
+        }
+        // Other providers and models, streams and cache hits are left out
+        await record('openai-custom', 'gpt-4o', 60000, true);
+        await record('openai-custom', 'gpt-4o-mini', 30000);
+        await record('claude-custom', 'gpt-4o', 20000);
+        await record('cache', 'gpt-4o', 1);
+        console.log.mockRestore();
+
+        expect(await hedgingService.getHedgeDelay({ hedging: {} }, 'openai-custom', 'gpt-4o')).toBe(900);
+        expect(await hedgingService.getHedgeDelay({ hedging: { percentile: 'p50' } }, 'openai-custom', 'gpt-4o')).toBe(500);
+        expect(await hedgingService.getHedgeDelay({ hedging: {} }, 'claude-custom', 'gpt-4o')).toBe(20000);
+        // No data for this provider and model yet
+        expect(await hedgingService.getHedgeDelay({ hedging: {} }, 'gemini-cli-oauth', 'gpt-4o')).toBe(2000);
+    });
+
+    test('a fast primary wins without starting the backup', async () => {
+        const startBackup = jest.fn();
+        const outcome = await hedgingService.hedgeRequest({
+            delayMs: 50,
+            primary: signal => sleep(5, 'primary', signal),
+            startBackup
+        });
+
+        expect(outcome).toEqual({ value: 'primary', winner: 'primary', backup: null, primaryError: null });
+        expect(startBackup).not.toHaveBeenCalled();
+    });
+
+    test('a slow primary is raced against the backup and the loser is aborted', async () => {
+        let primarySignal = null;
+        const outcome = await hedgingService.hedgeRequest({
+            delayMs: 10,
+            primary: signal => {
+                primarySignal = signal;
+                return sleep(200, 'primary', signal);
+            },
+            startBackup: async () => ({ uuid: 'backup-1', call: signal => sleep(5, 'backup', signal) })
+        });
+
+        expect(outcome.value).toBe('backup');
+        expect(outcome.winner).toBe('backup');
+        expect(outcome.backup.uuid).toBe('backup-1');
+        expect(primarySignal.aborted).toBe(true);
+    });
+
+    test('falls back to the primary when no backup is available and rethrows its error if both fail', async () => {
+        const noBackup = await hedgingService.hedgeRequest({
+            delayMs: 5,
+            primary: signal => sleep(20, 'primary', signal),
+            startBackup: async () => null
+        });
+        expect(noBackup.winner).toBe('primary');
+
+        await expect(hedgingService.hedgeRequest({
+            delayMs: 5,
+            primary: () => sleep(20).then(() => { throw new Error('primary failed'); }),
+            startBackup: async () => ({ call: () => Promise.reject(new Error('backup failed')) })
+        })).rejects.toThrow('primary failed');
+    });
+});
+
+describe('hedge backup selection', () => {
+    test('the backup adapter is built for the selected account, not the primary', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { initApiService, getProviderPoolManager } = await import('../src/service-manager.js');
+        const { _selectHedgeBackup } = await import('../src/common.js');
+        const account = (uuid, lastUsed) => ({ uuid, OPENAI_API_KEY: `key-${uuid}`, OPENAI_BASE_URL: 'http://localhost:1', lastUsed });
+        const config = {
+            AUTO_HEALTH_CHECK_ENABLED: false,
+            providerPools: {
+                // The primary is the least recently used, so a selection without exclusions would pick it again
+                'openai-custom': [account('hedge-primary', '2026-01-01T00:00:00.000Z'), account('hedge-backup', '2026-01-02T00:00:00.000Z')]
+            }
+        };
+        await initApiService(config);
+        const poolManager = getProviderPoolManager();
+
+        const backup = await _selectHedgeBackup(config, poolManager, 'gpt-4o', 'openai-custom', [], new Set(['hedge-primary']));
+
+        expect(backup.uuid).toBe('hedge-backup');
+        expect(backup.service.config.uuid).toBe('hedge-backup');
+        expect(backup.service.config.OPENAI_API_KEY).toBe('key-hedge-backup');
+        poolManager.stopAutoHealthChecks();
+        console.log.mockRestore();
+    });
+});
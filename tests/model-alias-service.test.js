@@ -0,0 +1,51 @@
+import modelAliasService from '../src/model-alias-service.js';
+
+const config = {
+    MODEL_PROVIDER: 'gemini-cli-oauth',
+    providerPools: {
+        'gemini-antigravity': [{ uuid: 'ag-1' }],
+        'openai-custom': [{ uuid: 'oa-1' }]
+    },
+    modelAliases: {
+        fast: { providerType: 'gemini-cli-oauth', model: 'gemini-2.5-flash' },
+        cheap: 'gpt-4o-mini',
+        balanced: {
+            description: 'General purpose',
+            targets: [
+                { providerType: 'gemini-antigravity', model: 'gemini-2.5-pro', weight: 3 },
+                { providerType: 'openai-custom', model: 'gpt-4.1', weight: 1 },
+                { providerType: 'claude-custom', model: 'claude-opus-4-5', weight: 10 }
+            ]
+        },
+        broken: { targets: [{ model: 'x', weight: 0 }] }
+    }
+};
+
+describe('modelAliasService', () => {
+    test('resolves single-target and model-only aliases', () => {
+        expect(modelAliasService.resolveAlias(config, 'fast')).toEqual({ alias: 'fast', providerType: 'gemini-cli-oauth', model: 'gemini-2.5-flash' });
+        expect(modelAliasService.resolveAlias(config, 'cheap')).toEqual({ alias: 'cheap', providerType: null, model: 'gpt-4o-mini' });
+        expect(modelAliasService.resolveAlias(config, 'gemini-2.5-pro')).toBeNull();
+        expect(modelAliasService.resolveAlias(config, 'broken')).toBeNull();
+        expect(modelAliasService.resolveAlias(config, 'toString')).toBeNull();
+    });
+
+    test('weighted aliases pick by weight among targets with a pool', () => {
+        // claude-custom has no pool, so only the 3:1 split remains
+        expect(modelAliasService.resolveAlias(config, 'balanced', { random: () => 0.7 }).model).toBe('gemini-2.5-pro');
+        expect(modelAliasService.resolveAlias(config, 'balanced', { random: () => 0.8 }).model).toBe('gpt-4.1');
+        expect(modelAliasService.resolveAlias(config, 'balanced', { providerType: 'openai-custom', random: () => 0 }).model).toBe('gpt-4.1');
+    });
+
+    test('listAliases describes every valid alias', () => {
+        const aliases = modelAliasService.listAliases(config);
+
+        expect(aliases.map(alias => alias.id)).toEqual(['fast', 'cheap', 'balanced']);
+        expect(aliases[1].description).toBe('Alias for gpt-4o-mini');
+        expect(aliases[2]).toEqual({
+            id: 'balanced',
+            description: 'General purpose',
+            providerTypes: ['gemini-antigravity', 'openai-custom', 'claude-custom']
+        });
+    });
+});
@@ -0,0 +1,39 @@
+import pricingService from '../src/pricing-service.js';
+
+describe('pricingService', () => {
+    test('getPrice prefers the most specific default pattern', () => {
+        expect(pricingService.getPrice('gemini-cli-oauth', 'gemini-2.5-flash-lite').input).toBe(0.10);
+        expect(pricingService.getPrice('gemini-cli-oauth', 'gemini-2.5-flash').input).toBe(0.30);
+        expect(pricingService.getPrice('gemini-antigravity', 'gemini-claude-opus-4-5-thinking').output).toBe(25);
+        expect(pricingService.getPrice('openai-custom', 'unknown-model')).toBeNull();
+    });
+
+    test('config overrides win over defaults and fill in missing cached prices', () => {
+        const overrides = {
+            'gemini-cli-oauth': { '*': { input: 0, output: 0 } },
+            '*': { 'my-model': { input: 2, output: 4 } }
+        };
+
+        expect(pricingService.getPrice('gemini-cli-oauth', 'gemini-2.5-pro', overrides)).toEqual({ input: 0, output: 0, cachedInput: 0 });
+        expect(pricingService.getPrice('gemini-antigravity', 'gemini-2.5-pro', overrides).input).toBe(1.25);
+        expect(pricingService.getPrice('openai-custom', 'my-model', overrides)).toEqual({ input: 2, output: 4, cachedInput: 2 });
+    });
+
+    test('calculateCost prices cached input tokens separately', () => {
+        const cost = pricingService.calculateCost({
+            providerType: 'openai-custom',
+            model: 'gpt-4o',
+            inputTokens: 1000000,
+            outputTokens: 100000,
+            cachedInputTokens: 400000
+        });
+
+        // 600k * 2.50 + 400k * 1.25 + 100k * 10 (per 1M tokens)
+        expect(cost).toBeCloseTo(3.0, 6);
+    });
+
+    test('cache hits and unknown models cost nothing', () => {
+        expect(pricingService.calculateCost({ providerType: 'cache', model: 'gpt-4o', inputTokens: 1000, outputTokens: 1000 })).toBe(0);
+        expect(pricingService.calculateCost({ providerType: 'openai-custom', model: 'unknown', inputTokens: 1000, outputTokens: 1000 })).toBe(0);
+    });
+});
@@ -0,0 +1,104 @@
+import { convertData } from '../src/convert.js';
+import '../src/converters/register-converters.js';
+import { MODEL_PROTOCOL_PREFIX } from '../src/common.js';
+import promptCacheService from '../src/prompt-cache-service.js';
+import { claudeCachePrefixes } from '../src/converters/prompt-cache.js';
+
+const longText = 'Project guidelines. '.repeat(1200);
+
+const claudeRequest = (question) => ({
+    model: 'gemini-2.5-pro',
+    max_tokens: 1024,
+    system: [{ type: 'text', text: longText, cache_control: { type: 'ephemeral' } }],
+    messages: [
+        { role: 'user', content: [{ type: 'text', text: 'Summarize the guidelines.', cache_control: { type: 'ephemeral' } }] },
+        { role: 'assistant', content: [{ type: 'text', text: 'They are about testing.' }] },
+        { role: 'user', content: question }
+    ]
+});
+
+describe('prompt cache', () => {
+    beforeEach(() => {
+        promptCacheService.resetPromptCache();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('maps cached tokens into every client usage format', () => {
+        const claudeResponse = {
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'text', text: 'Hi' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 10, cache_creation_input_tokens: 100, cache_read_input_tokens: 900, output_tokens: 5 }
+        };
+        const openai = convertData(claudeResponse, 'response', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI, 'claude-sonnet-4-5');
+        expect(openai.usage).toMatchObject({ prompt_tokens: 1010, prompt_tokens_details: { cached_tokens: 900 } });
+        const gemini = convertData(claudeResponse, 'response', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.GEMINI, 'claude-sonnet-4-5');
+        expect(gemini.usageMetadata).toMatchObject({ promptTokenCount: 1010, cachedContentTokenCount: 900 });
+
+        const geminiResponse = {
+            candidates: [{ content: { role: 'model', parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 1000, cachedContentTokenCount: 800, candidatesTokenCount: 5, totalTokenCount: 1005 }
+        };
+        const claude = convertData(geminiResponse, 'response', MODEL_PROTOCOL_PREFIX.GEMINI, MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-2.5-pro');
+        expect(claude.usage).toMatchObject({ input_tokens: 200, cache_creation_input_tokens: 0, cache_read_input_tokens: 800 });
+    });
+
+    test('passes cache_control from OpenAI clients to Claude backends', () => {
+        const claude = convertData({
+            model: 'claude-sonnet-4-5',
+            messages: [
+                { role: 'system', content: [{ type: 'text', text: longText, cache_control: { type: 'ephemeral' } }] },
+                { role: 'user', content: [{ type: 'text', text: 'Hello', cache_control: { type: 'ephemeral' } }] }
+            ]
+        }, 'request', MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.CLAUDE);
+        expect(claude.system).toEqual([{ type: 'text', text: longText, cache_control: { type: 'ephemeral' } }]);
+        expect(claude.messages[0].content[0].cache_control).toEqual({ type: 'ephemeral' });
+    });
+
+    test('finds the breakpoint prefixes of a Claude request', () => {
+        const prefixes = claudeCachePrefixes(claudeRequest('Next?'));
+        expect(prefixes.map(prefix => prefix.messages.length)).toEqual([0, 1]);
+        expect(JSON.stringify(prefixes)).not.toContain('cache_control');
+    });
+
+    test('creates a Gemini context cache for a prefix seen twice and reuses it', async () => {
+        const service = {
+            createCachedContent: jest.fn().mockResolvedValue({ name: 'cachedContents/abc', expireTime: new Date(Date.now() + 3600000).toISOString() })
+        };
+        const send = async (question) => {
+            const request = claudeRequest(question);
+            const geminiRequest = convertData(request, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-cli-oauth');
+            const plan = promptCacheService.planGeminiCache({}, request, MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-cli-oauth', geminiRequest);
+            return promptCacheService.applyGeminiCache(service, 'account-1', 'gemini-2.5-pro', geminiRequest, plan);
+        };
+
+        const first = await send('First question?');
+        expect(first.cachedContent).toBeUndefined();
+        expect(service.createCachedContent).not.toHaveBeenCalled();
+
+        const second = await send('Second question?');
+        expect(service.createCachedContent).toHaveBeenCalledTimes(1);
+        expect(service.createCachedContent.mock.calls[0][1]).toMatchObject({ contents: [{ role: 'user' }], ttl: '3600s' });
+        expect(second).toMatchObject({ cachedContent: 'cachedContents/abc' });
+        expect(second.systemInstruction).toBeUndefined();
+        expect(second.contents).toHaveLength(2);
+
+        await send('Third question?');
+        expect(service.createCachedContent).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves requests to backends without context caching unchanged', async () => {
+        const request = claudeRequest('Next?');
+        const geminiRequest = convertData(request, 'request', MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-cli-oauth');
+        const plan = promptCacheService.planGeminiCache({}, request, MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-cli-oauth', geminiRequest);
+        expect(plan.prefixLengths).toEqual([0, 1]);
+        expect(await promptCacheService.applyGeminiCache({}, 'account-1', 'gemini-2.5-pro', geminiRequest, plan)).toBe(geminiRequest);
+        expect(promptCacheService.planGeminiCache({ promptCache: { enabled: false } }, request, MODEL_PROTOCOL_PREFIX.CLAUDE, 'gemini-cli-oauth', geminiRequest)).toBeNull();
+    });
+});
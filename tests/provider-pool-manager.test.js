@@ -0,0 +1,84 @@
+import { ProviderPoolManager } from '../src/provider-pool-manager.js';
+
+// The real adapters pull in ESM-only dependencies; health checks are disabled in these tests
+jest.mock('../src/adapter.js', () => ({
+    getServiceAdapter: jest.fn(),
+    serviceInstances: {}
+}));
+
+const TYPE = 'gemini-antigravity';
+
+const upstreamError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers: {}, data }
+});
+
+const modelQuotaError = (model) => upstreamError(429, {
+    error: {
+        code: 429,
+        message: `Quota exceeded for model ${model}`,
+        details: [
+            { '@type': 'type.googleapis.com/google.rpc.ErrorInfo', metadata: { model, quotaResetDelay: '10m' } }
+        ]
+    }
+});
+
+describe('ProviderPoolManager per-model health', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        manager = new ProviderPoolManager({
+            [TYPE]: [{ uuid: 'account-a', isHealthy: true, usageCount: 0 }]
+        }, { maxErrorCount: 1, autoHealthCheckEnabled: false, logLevel: 'warn' });
+    });
+
+    afterEach(() => {
+        clearTimeout(manager.saveTimer);
+        manager.stopAutoHealthChecks();
+        jest.restoreAllMocks();
+    });
+
+    const select = (model) => manager.selectProvider(TYPE, model, { skipUsageCount: true })?.uuid ?? null;
+
+    test('a model quota 429 only cools down that model', () => {
+        const error = modelQuotaError('gemini-3-pro-preview');
+        expect(manager.markProviderRateLimited(TYPE, { uuid: 'account-a' }, error, 'gemini-3-pro-preview')).toBe(true);
+
+        const config = manager.providerStatus[TYPE][0].config;
+        expect(config.modelHealth['gemini-3-pro-preview'].cooldownUntil).not.toBeNull();
+        expect(config.cooldownUntil ?? null).toBeNull();
+        expect(select('gemini-3-pro-preview')).toBeNull();
+        expect(select('gemini-2.5-flash')).toBe('account-a');
+    });
+
+    test('a model-not-found 404 only opens the circuit of that model', () => {
+        const error = upstreamError(404, { error: { code: 404, message: 'models/gemini-3-pro-preview is not found' } });
+        manager.markProviderUnhealthy(TYPE, { uuid: 'account-a' }, error.message, 404, 'gemini-3-pro-preview', error);
+
+        const config = manager.providerStatus[TYPE][0].config;
+        expect(config.modelHealth['gemini-3-pro-preview'].isHealthy).toBe(false);
+        expect(config.isHealthy).toBe(true);
+        expect(select('gemini-3-pro-preview')).toBeNull();
+        expect(select('gemini-2.5-flash')).toBe('account-a');
+    });
+
+    test.each([403, 500, 503])('a %i stays on the account breaker', (status) => {
+        const error = upstreamError(status, { error: { code: status, message: 'Request for gemini-3-pro-preview failed' } });
+        manager.markProviderUnhealthy(TYPE, { uuid: 'account-a' }, error.message, status, 'gemini-3-pro-preview', error);
+
+        const config = manager.providerStatus[TYPE][0].config;
+        expect(config.isHealthy).toBe(false);
+        expect(config.modelHealth?.['gemini-3-pro-preview']).toBeUndefined();
+        expect(select('gemini-2.5-flash')).toBeNull();
+    });
+
+    test('a 429 without a model quota cools down the whole account', () => {
+        const error = upstreamError(429, { error: { message: 'Too many requests' } });
+        error.response.headers['retry-after'] = '60';
+        expect(manager.markProviderRateLimited(TYPE, { uuid: 'account-a' }, error, 'gemini-3-pro-preview')).toBe(true);
+        expect(manager.providerStatus[TYPE][0].config.cooldownUntil).not.toBeNull();
+        expect(select('gemini-2.5-flash')).toBeNull();
+    });
+});
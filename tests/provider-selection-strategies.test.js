@@ -0,0 +1,53 @@
+import providerSelectionStrategies, { SELECTION_STRATEGY } from '../src/provider-selection-strategies.js';
+
+const account = (uuid, config = {}) => ({ uuid, config: { uuid, lastUsed: null, usageCount: 0, ...config } });
+
+describe('providerSelectionStrategies', () => {
+    test('least recently used is the default', () => {
+        const candidates = [
+            account('a', { lastUsed: '2026-01-02T00:00:00.000Z' }),
+            account('b', { lastUsed: '2026-01-01T00:00:00.000Z', usageCount: 5 }),
+            account('c', { lastUsed: '2026-01-01T00:00:00.000Z', usageCount: 2 })
+        ];
+
+        expect(providerSelectionStrategies.selectByStrategy('unknown', candidates).uuid).toBe('c');
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.LEAST_RECENTLY_USED, candidates).uuid).toBe('c');
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.LEAST_RECENTLY_USED, [])).toBeNull();
+    });
+
+    test('weighted round robin interleaves picks by weight', () => {
+        const candidates = [account('a', { weight: 3 }), account('b'), account('c', { weight: 0 })];
+        const currentWeights = {};
+        const picks = [];
+        for (let i = 0; i < 5; i++) {
+            picks.push(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.WEIGHTED_ROUND_ROBIN, candidates, { currentWeights }).uuid);
+        }
+
+        // Invalid weights count as 1, so the split is 3:1:1
+        expect(picks).toEqual(['a', 'b', 'a', 'c', 'a']);
+    });
+
+    test('least in flight and lowest latency prefer the idle and fast accounts', () => {
+        const candidates = [account('a'), account('b'), account('c')];
+        const inFlight = { a: 2, b: 0, c: 1 };
+        const latency = { a: 900, b: 1200 };
+
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.LEAST_IN_FLIGHT, candidates, { inFlight }).uuid).toBe('b');
+        // c has no latency data yet and is probed first
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.LOWEST_LATENCY, candidates, { getLatency: uuid => latency[uuid] ?? null }).uuid).toBe('c');
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.LOWEST_LATENCY, candidates.slice(0, 2), { getLatency: uuid => latency[uuid] ?? null }).uuid).toBe('a');
+    });
+
+    test('quota aware picks the most remaining quota for the model', () => {
+        const candidates = [account('a'), account('b')];
+        const quotas = {
+            a: { models: { 'gemini-2.5-pro': 0.2, 'gemini-2.5-flash': 0.9 } },
+            b: { models: { 'gemini-2.5-pro': 0.6, 'gemini-2.5-flash': 0.5 } }
+        };
+
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.QUOTA_AWARE, candidates, { model: 'gemini-2.5-pro', quotas }).uuid).toBe('b');
+        expect(providerSelectionStrategies.selectByStrategy(SELECTION_STRATEGY.QUOTA_AWARE, candidates, { model: 'gemini-2.5-flash', quotas }).uuid).toBe('a');
+        expect(providerSelectionStrategies.getRemainingQuota(quotas.a, 'unknown-model')).toBe(0.2);
+        expect(providerSelectionStrategies.getRemainingQuota(null, 'gemini-2.5-pro')).toBe(1);
+    });
+});
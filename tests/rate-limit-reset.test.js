@@ -0,0 +1,64 @@
+import rateLimitReset from '../src/rate-limit-reset.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+const rateLimited = (headers = {}, data = undefined) => ({ response: { status: 429, headers, data } });
+
+describe('rateLimitReset', () => {
+    test('parses Go style durations', () => {
+        expect(rateLimitReset.parseDuration('1h2m3.5s')).toBe(3723500);
+        expect(rateLimitReset.parseDuration('6m0s')).toBe(360000);
+        expect(rateLimitReset.parseDuration('20ms')).toBe(20);
+        expect(rateLimitReset.parseDuration('soon')).toBeNull();
+    });
+
+    test('Retry-After takes precedence, in seconds or as a date', () => {
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({ 'Retry-After': '30', 'x-ratelimit-reset-requests': '5m' }), NOW)).toBe(NOW + 30000);
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({ 'retry-after': 'Thu, 01 Jan 2026 00:02:00 GMT' }), NOW)).toBe(NOW + 120000);
+    });
+
+    test('uses Google RetryInfo and ErrorInfo details', () => {
+        const data = {
+            error: {
+                code: 429,
+                details: [
+                    { '@type': 'type.googleapis.com/google.rpc.ErrorInfo', metadata: { quotaResetDelay: '1m30s' } },
+                    { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '42s' }
+                ]
+            }
+        };
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({}, data), NOW)).toBe(NOW + 90000);
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({}, JSON.stringify([data])), NOW)).toBe(NOW + 90000);
+    });
+
+    test('prefers the reset of exhausted OpenAI and Anthropic limits', () => {
+        const openai = {
+            'x-ratelimit-remaining-requests': '0',
+            'x-ratelimit-reset-requests': '12s',
+            'x-ratelimit-remaining-tokens': '5000',
+            'x-ratelimit-reset-tokens': '6m0s'
+        };
+        expect(rateLimitReset.getQuotaResetTime(rateLimited(openai), NOW)).toBe(NOW + 12000);
+
+        const anthropic = {
+            'anthropic-ratelimit-requests-remaining': '10',
+            'anthropic-ratelimit-requests-reset': '2026-01-01T00:00:10Z',
+            'anthropic-ratelimit-input-tokens-remaining': '0',
+            'anthropic-ratelimit-input-tokens-reset': '2026-01-01T00:01:00Z'
+        };
+        expect(rateLimitReset.getQuotaResetTime(rateLimited(anthropic), NOW)).toBe(NOW + 60000);
+    });
+
+    test('returns null without reset information and caps implausible resets', () => {
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({ 'content-type': 'application/json' }), NOW)).toBeNull();
+        expect(rateLimitReset.getQuotaResetTime(new Error('network'), NOW)).toBeNull();
+        expect(rateLimitReset.getQuotaResetTime(rateLimited({ 'retry-after': '999999' }), NOW)).toBe(NOW + 24 * 60 * 60 * 1000);
+    });
+
+    test('recognises errors that name the requested model', () => {
+        const quota = rateLimited({}, { error: { details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', metadata: { model: 'gemini-3-pro-preview' } }] } });
+        expect(rateLimitReset.isModelSpecificError(quota, 'gemini-3-pro-preview')).toBe(true);
+        expect(rateLimitReset.isModelSpecificError(new Error('Rate limit reached for GPT-4o'), 'gpt-4o')).toBe(true);
+        expect(rateLimitReset.isModelSpecificError(rateLimited({}, 'Too many requests'), 'gpt-4o')).toBe(false);
+        expect(rateLimitReset.isModelSpecificError(null, 'gpt-4o')).toBe(false);
+    });
+});
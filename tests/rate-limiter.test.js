@@ -0,0 +1,142 @@
+import rateLimiter from '../src/rate-limiter.js';
+import { getClientIp } from '../src/common.js';
+import metricsService from '../src/metrics-service.js';
+import redisClient from '../src/redis-client.js';
+
+describe('rateLimiter', () => {
+    const config = {
+        rateLimits: {
+            enabled: true,
+            perKey: { rpm: 2 },
+            perIp: { tpm: 100 },
+            perProvider: { '*': { rpm: 10 } }
+        }
+    };
+
+    beforeEach(() => {
+        rateLimiter.resetBuckets();
+    });
+
+    test('getRateLimitScopes returns nothing when disabled', () => {
+        expect(rateLimiter.getRateLimitScopes({}, { clientIp: '1.2.3.4' })).toEqual([]);
+        expect(rateLimiter.getRateLimitScopes({ rateLimits: { ...config.rateLimits, enabled: false } }, { clientIp: '1.2.3.4' })).toEqual([]);
+    });
+
+    test('getRateLimitScopes resolves key, ip and provider limits', () => {
+        const scopes = rateLimiter.getRateLimitScopes(config, { apiKeyId: null, clientIp: '1.2.3.4', providerType: 'openai-custom' });
+        expect(scopes).toEqual([
+            { scope: 'key', id: 'master', rpm: 2, tpm: null },
+            { scope: 'ip', id: '1.2.3.4', rpm: null, tpm: 100 },
+            { scope: 'provider', id: 'openai-custom', rpm: 10, tpm: null }
+        ]);
+    });
+
+    test('getRateLimitScopes can be limited to some scopes', () => {
+        const context = { apiKeyId: 'key-1', clientIp: '1.2.3.4', providerType: 'openai-custom' };
+        expect(rateLimiter.getRateLimitScopes(config, { ...context, scopes: ['provider'] })).toEqual([
+            { scope: 'provider', id: 'openai-custom', rpm: 10, tpm: null }
+        ]);
+        expect(rateLimiter.getRateLimitScopes(config, { ...context, scopes: ['key', 'ip'] }).map(({ scope }) => scope)).toEqual(['key', 'ip']);
+    });
+
+    test('checkRateLimit blocks once the request bucket is empty', async () => {
+        const context = { apiKeyId: 'key-1', clientIp: '1.2.3.4', providerType: 'openai-custom' };
+
+        const first = await rateLimiter.checkRateLimit(config, context);
+        expect(first.allowed).toBe(true);
+        expect(first.headers['x-ratelimit-limit-requests']).toBe('2');
+        expect(first.headers['x-ratelimit-remaining-requests']).toBe('1');
+        expect(first.headers['anthropic-ratelimit-requests-remaining']).toBe('1');
+
+        expect((await rateLimiter.checkRateLimit(config, context)).allowed).toBe(true);
+        const third = await rateLimiter.checkRateLimit(config, context);
+        expect(third.allowed).toBe(false);
+        expect(third.reason).toContain("key 'key-1'");
+        expect(Number(third.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('recordTokens drains the tokens-per-minute bucket', async () => {
+        const context = { apiKeyId: 'key-2', clientIp: '5.6.7.8', providerType: 'openai-custom' };
+
+        expect((await rateLimiter.checkRateLimit(config, context)).headers['x-ratelimit-remaining-tokens']).toBe('100');
+        await rateLimiter.recordTokens({ ...context, inputTokens: 80, outputTokens: 40 });
+
+        const result = await rateLimiter.checkRateLimit(config, context);
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain('100 tokens per minute');
+        expect(result.headers['x-ratelimit-remaining-tokens']).toBe('0');
+    });
+
+    test('tokens are charged to the provider type whose limit was checked', async () => {
+        const providerConfig = { rateLimits: { enabled: true, perProvider: { 'gemini-cli-oauth': { tpm: 50 } } } };
+        const check = () => rateLimiter.checkRateLimit(providerConfig, { providerType: 'gemini-cli-oauth', scopes: ['provider'] });
+
+        expect((await check()).allowed).toBe(true);
+        // Tokens charged to another provider type leave this one's bucket alone
+        await rateLimiter.recordTokens({ apiKeyId: null, clientIp: null, providerType: 'openai-custom', inputTokens: 60, outputTokens: 0 });
+        expect((await check()).allowed).toBe(true);
+
+        await rateLimiter.recordTokens({ apiKeyId: null, clientIp: null, providerType: 'gemini-cli-oauth', inputTokens: 60, outputTokens: 0 });
+        const result = await check();
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain("provider 'gemini-cli-oauth'");
+    });
+
+    test('only answered, non-cached requests drain the tokens-per-minute buckets', async () => {
+        const tokenConfig = { rateLimits: { enabled: true, perKey: { tpm: 100 }, perIp: { tpm: 100 } } };
+        const context = { apiKeyId: 'key-3', clientIp: '9.9.9.9', providerType: 'openai-custom' };
+        const request = { ...context, model: 'gpt-4o', latencyMs: 10, isStreaming: false, inputTokens: 80, outputTokens: 40 };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        expect((await rateLimiter.checkRateLimit(tokenConfig, context)).allowed).toBe(true);
+        // Cache replays and failed attempts spend no upstream tokens
+        await metricsService.recordRequest({ ...request, providerType: 'cache', statusCode: 200, errorMessage: null });
+        await metricsService.recordRequest({ ...request, providerType: 'semantic-cache', statusCode: 200, errorMessage: null });
+        await metricsService.recordRequest({ ...request, statusCode: 500, errorMessage: 'upstream error' });
+        expect((await rateLimiter.checkRateLimit(tokenConfig, context)).headers['x-ratelimit-remaining-tokens']).toBe('100');
+
+        await metricsService.recordRequest({ ...request, statusCode: 200, errorMessage: null });
+        const result = await rateLimiter.checkRateLimit(tokenConfig, context);
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain("key 'key-3'");
+        console.log.mockRestore();
+    });
+
+    test('with Redis, a failed or unchecked bucket never falls back to memory', async () => {
+        const context = { apiKeyId: 'key-4', clientIp: null, providerType: null, scopes: ['key'] };
+        // A stale in-memory bucket left over from an earlier Redis outage
+        await rateLimiter.checkRateLimit(config, context);
+        await rateLimiter.checkRateLimit(config, context);
+
+        jest.spyOn(redisClient, 'isAvailable').mockReturnValue(true);
+        const evalScript = jest.spyOn(redisClient, 'evalScript').mockResolvedValue(null);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            const result = await rateLimiter.checkRateLimit(config, context);
+            expect(result.allowed).toBe(true);
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('[RateLimit] Failed to take bucket ratelimit:key:key-4:requests'));
+
+            // Charging a bucket that was never checked in Redis is a no-op
+            evalScript.mockResolvedValue([]);
+            await rateLimiter.recordTokens({ apiKeyId: 'key-4', clientIp: null, providerType: null, inputTokens: 10, outputTokens: 0 });
+            expect(evalScript).toHaveBeenLastCalledWith(expect.any(String), 'ratelimit:key:key-4:tokens', ['charge', 0, 10, 60000]);
+        } finally {
+            jest.restoreAllMocks();
+        }
+        // The memory bucket was not touched while Redis was in use
+        expect((await rateLimiter.checkRateLimit(config, context)).allowed).toBe(false);
+    });
+
+    test('getClientIp only trusts X-Forwarded-For behind a trusted proxy', () => {
+        const req = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, socket: { remoteAddress: '10.0.0.2' } };
+        expect(getClientIp(req, config)).toBe('10.0.0.2');
+        expect(getClientIp(req, { rateLimits: { ...config.rateLimits, trustProxy: true } })).toBe('203.0.113.7');
+        expect(getClientIp({ headers: {}, socket: { remoteAddress: '10.0.0.2' } }, { rateLimits: { trustProxy: true } })).toBe('10.0.0.2');
+    });
+
+    test('formatResetDuration follows the OpenAI header format', () => {
+        expect(rateLimiter.formatResetDuration(20)).toBe('20ms');
+        expect(rateLimiter.formatResetDuration(1000)).toBe('1s');
+        expect(rateLimiter.formatResetDuration(360000)).toBe('6m0s');
+    });
+});
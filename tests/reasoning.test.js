@@ -0,0 +1,148 @@
+import { convertData } from '../src/convert.js';
+import '../src/converters/register-converters.js';
+import { MODEL_PROTOCOL_PREFIX } from '../src/common.js';
+import {
+    applyClaudeThinking,
+    resolveGeminiReasoningParts,
+    splitGeminiParts,
+    unwrapSignature,
+    wrapSignature
+} from '../src/converters/reasoning.js';
+import { ClaudeConverter } from '../src/converters/strategies/ClaudeConverter.js';
+import { OpenAIResponsesConverter } from '../src/converters/strategies/OpenAIResponsesConverter.js';
+
+describe('reasoning', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('wraps signatures in a portable envelope', () => {
+        const envelope = wrapSignature('claude', 'sig-1', { redacted: true });
+        expect(unwrapSignature(envelope)).toEqual({ origin: 'claude', signature: 'sig-1', redacted: true });
+        // Signatures from clients that never went through the proxy are left as is
+        expect(unwrapSignature('raw-signature')).toBeNull();
+    });
+
+    test('returns Claude thinking signatures through an OpenAI client', () => {
+        const claudeResponse = {
+            id: 'msg_1',
+            type: 'message',
+            role: 'assistant',
+            content: [
+                { type: 'thinking', thinking: 'Need the weather.', signature: 'claude-sig' },
+                { type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 20 }
+        };
+        const openaiResponse = convertData(claudeResponse, 'response', MODEL_PROTOCOL_PREFIX.CLAUDE, MODEL_PROTOCOL_PREFIX.OPENAI, 'claude-sonnet-4-5');
+        const assistant = openaiResponse.choices[0].message;
+        expect(assistant.reasoning_content).toBe('Need the weather.');
+        expect(openaiResponse.usage.completion_tokens_details.reasoning_tokens).toBeGreaterThan(0);
+
+        const claudeRequest = convertData({
+            model: 'claude-sonnet-4-5',
+            reasoning_effort: 'low',
+            messages: [
+                { role: 'user', content: 'Weather in Paris?' },
+                assistant,
+                { role: 'tool', tool_call_id: 'toolu_1', content: 'Sunny' }
+            ]
+        }, 'request', MODEL_PROTOCOL_PREFIX.OPENAI, MODEL_PROTOCOL_PREFIX.CLAUDE);
+
+        expect(claudeRequest.messages[1].content[0]).toEqual({ type: 'thinking', thinking: 'Need the weather.', signature: 'claude-sig' });
+        expect(claudeRequest.thinking).toEqual({ type: 'enabled', budget_tokens: 1024 });
+    });
+
+    test('does not enable Claude thinking for a tool loop without signed thinking', () => {
+        const claudeRequest = {
+            max_tokens: 4096,
+            messages: [
+                { role: 'user', content: 'Weather in Paris?' },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: {} }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'Sunny' }] }
+            ]
+        };
+        applyClaudeThinking(claudeRequest, { budgetTokens: 2048, effort: null });
+        expect(claudeRequest.thinking).toBeUndefined();
+
+        const plain = { max_tokens: 1000, temperature: 0.5, messages: [claudeRequest.messages[0]] };
+        applyClaudeThinking(plain, { budgetTokens: 2048, effort: null });
+        expect(plain).toMatchObject({ thinking: { type: 'enabled', budget_tokens: 2048 }, max_tokens: 3048 });
+        expect(plain.temperature).toBeUndefined();
+    });
+
+    test('keeps Gemini thought signatures on their function call', () => {
+        const items = splitGeminiParts([
+            { text: 'Let me check.', thought: true },
+            { functionCall: { name: 'weather', args: {} }, thoughtSignature: 'gemini-sig' }
+        ]);
+        expect(items[0].reasoning.text).toBe('Let me check.');
+        expect(items[1].part).toEqual({ functionCall: { name: 'weather', args: {} } });
+
+        expect(resolveGeminiReasoningParts([{ reasoning: items[0].reasoning }, { text: 'Checking.' }, items[1].part])).toEqual([
+            { text: 'Let me check.', thought: true },
+            { text: 'Checking.' },
+            { functionCall: { name: 'weather', args: {} }, thoughtSignature: 'gemini-sig' }
+        ]);
+
+        // Reasoning from another backend is not sent to Gemini
+        const claudeEntry = { text: 'x', signature: wrapSignature('claude', 'claude-sig') };
+        expect(resolveGeminiReasoningParts([{ reasoning: claudeEntry }, { text: 'Hi' }])).toEqual([{ text: 'Hi' }]);
+    });
+
+    test('maps Responses reasoning items to Claude thinking and back', () => {
+        const converter = new OpenAIResponsesConverter();
+        const claudeResponse = converter.toClaudeResponse({
+            id: 'resp_1',
+            status: 'completed',
+            output: [
+                { id: 'rs_1', type: 'reasoning', summary: [{ type: 'summary_text', text: 'Thinking.' }], encrypted_content: 'enc' },
+                { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Done.' }] }
+            ],
+            usage: { input_tokens: 5, output_tokens: 7, output_tokens_details: { reasoning_tokens: 3 } }
+        }, 'o4-mini');
+        expect(claudeResponse.content.map(block => block.type)).toEqual(['thinking', 'text']);
+
+        const responsesRequest = converter.toOpenAIRequest({
+            model: 'o4-mini',
+            input: [
+                { role: 'user', content: 'Hi' },
+                { type: 'reasoning', id: 'rs_1', summary: [{ type: 'summary_text', text: 'Thinking.' }], encrypted_content: 'enc' },
+                { type: 'function_call', call_id: 'call_1', name: 'weather', arguments: '{"city":"Paris"}' },
+                { type: 'function_call_output', call_id: 'call_1', output: 'Sunny' }
+            ],
+            reasoning: { effort: 'high' }
+        });
+        expect(responsesRequest.reasoning_effort).toBe('high');
+        expect(responsesRequest.messages.map(message => message.role)).toEqual(['user', 'assistant', 'tool']);
+        expect(responsesRequest.messages[1].tool_calls[0]).toMatchObject({ id: 'call_1', function: { name: 'weather' } });
+    });
+
+    test('streams Claude thinking as Responses reasoning items with reasoning tokens', () => {
+        const converter = new ClaudeConverter();
+        const streamState = { requestId: 'req-reasoning' };
+        const events = [
+            { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 3, output_tokens: 0 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Some careful thought.' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'claude-sig' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Answer.' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 12 } },
+            { type: 'message_stop' }
+        ].flatMap(event => converter.convertStreamChunk(event, MODEL_PROTOCOL_PREFIX.OPENAI_RESPONSES, 'claude-sonnet-4-5', streamState) || []);
+
+        const completed = events.find(event => event.type === 'response.completed');
+        const reasoning = completed.response.output.find(item => item.type === 'reasoning');
+        expect(reasoning.summary[0].text).toBe('Some careful thought.');
+        expect(unwrapSignature(reasoning.encrypted_content)).toMatchObject({ origin: 'claude', signature: 'claude-sig' });
+        expect(completed.response.usage.output_tokens_details.reasoning_tokens).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,121 @@
+import requestQueue from '../src/request-queue.js';
+
+// Pool manager stand-in with a fixed number of free slots
+function createPoolManager(capacity) {
+    const listeners = new Set();
+    return {
+        capacity,
+        getFreeCapacity: () => capacity.value,
+        onCapacityFreed: (listener) => listeners.add(listener),
+        free() {
+            capacity.value++;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+describe('requestQueue', () => {
+    const settings = requestQueue.getSettings({ requestQueue: { enabled: true, maxSize: 2, maxWaitMs: 1000 } });
+
+    test('applies defaults and resolves the priority class from the key and header', () => {
+        expect(settings.priorities).toEqual(['interactive', 'batch']);
+        expect(settings.defaultPriority).toBe('interactive');
+
+        const withKeys = { ...settings, keyPriorities: { 'nightly-jobs': 'batch' } };
+        expect(requestQueue.resolvePriority(withKeys, {}, null)).toBe('interactive');
+        expect(requestQueue.resolvePriority(withKeys, { 'x-request-priority': 'batch' }, null)).toBe('batch');
+        // A batch key cannot raise itself to interactive
+        expect(requestQueue.resolvePriority(withKeys, { 'x-request-priority': 'interactive' }, { id: 'k1', name: 'nightly-jobs' })).toBe('batch');
+        expect(requestQueue.getMaxWaitMs({ ...settings, maxWaitMsByPriority: { batch: 5000 } }, 'batch')).toBe(5000);
+    });
+
+    test('admits at once while there is capacity and reserves the slot', async () => {
+        const capacity = { value: 1 };
+        const poolManager = createPoolManager(capacity);
+        const request = { poolManager, providerTypes: ['openai-custom'], model: 'gpt-4.1', priority: 'interactive' };
+
+        const first = await requestQueue.acquire(settings, request);
+        expect(first).toMatchObject({ admitted: true, waitedMs: 0 });
+
+        // The reservation holds the only slot until the request is in flight
+        const pending = requestQueue.acquire(settings, request);
+        capacity.value = 0;
+        first.release();
+        poolManager.free();
+
+        const second = await pending;
+        expect(second.admitted).toBe(true);
+        second.release();
+    });
+
+    test('admits waiting requests by priority class', async () => {
+        const capacity = { value: 0 };
+        const poolManager = createPoolManager(capacity);
+        const order = [];
+        const wait = (priority) => requestQueue.acquire(settings, { poolManager, providerTypes: ['claude-custom'], model: null, priority })
+            .then(result => {
+                order.push(priority);
+                return result;
+            });
+
+        const batch = wait('batch');
+        const interactive = wait('interactive');
+        expect(requestQueue.getSnapshot().byPriority).toEqual({ batch: 1, interactive: 1 });
+
+        poolManager.free();
+        const first = await interactive;
+        expect(order).toEqual(['interactive']);
+
+        capacity.value = 0;
+        first.release();
+        poolManager.free();
+        (await batch).release();
+        expect(order).toEqual(['interactive', 'batch']);
+        expect(requestQueue.getSnapshot().depth).toBe(0);
+    });
+
+    test('times out, and pushes out lower classes when full', async () => {
+        const poolManager = createPoolManager({ value: 0 });
+        const request = { poolManager, providerTypes: ['gemini-cli-oauth'], model: 'gemini-2.5-pro' };
+        const shortWait = { ...settings, maxWaitMs: 20, maxWaitMsByPriority: { batch: 1000 } };
+
+        const timedOut = await requestQueue.acquire(shortWait, { ...request, priority: 'interactive' });
+        expect(timedOut).toMatchObject({ admitted: false, reason: 'timeout' });
+
+        const batchA = requestQueue.acquire(shortWait, { ...request, priority: 'batch' });
+        const batchB = requestQueue.acquire(shortWait, { ...request, priority: 'batch' });
+        expect(await requestQueue.acquire(shortWait, { ...request, priority: 'batch' })).toMatchObject({ admitted: false, reason: 'full' });
+
+        const interactive = requestQueue.acquire(shortWait, { ...request, priority: 'interactive' });
+        expect(await batchB).toMatchObject({ admitted: false, reason: 'evicted' });
+
+        const controller = new AbortController();
+        controller.abort();
+        expect(await requestQueue.acquire(shortWait, { ...request, priority: 'interactive', signal: controller.signal }))
+            .toMatchObject({ admitted: false, reason: 'aborted' });
+
+        expect(await interactive).toMatchObject({ admitted: false, reason: 'timeout' });
+        poolManager.free();
+        const admitted = await batchA;
+        expect(admitted.admitted).toBe(true);
+        admitted.release();
+    });
+
+    test('requests with different fallback chains share the reservations of a provider type', async () => {
+        const free = { gemini: 1, openai: 0 };
+        const poolManager = { ...createPoolManager({ value: 0 }), getFreeCapacity: (providerType) => free[providerType] };
+
+        const first = await requestQueue.acquire(settings, { poolManager, providerTypes: ['gemini'], model: null, priority: 'interactive' });
+        expect(first.admitted).toBe(true);
+        // The only gemini slot is reserved, so a chain that falls back from gemini to openai has to wait
+        const second = requestQueue.acquire(settings, { poolManager, providerTypes: ['gemini', 'openai'], model: null, priority: 'interactive' });
+        expect(requestQueue.getSnapshot().depth).toBe(1);
+
+        free.openai = 1;
+        requestQueue.dispatch();
+        const admitted = await second;
+        expect(admitted.admitted).toBe(true);
+        first.release();
+        admitted.release();
+    });
+});
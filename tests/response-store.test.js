@@ -0,0 +1,75 @@
+import responseStore from '../src/response-store.js';
+
+const completed = (id, text) => ({
+    id,
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', id: `msg_${id}`, role: 'assistant', content: [{ type: 'output_text', text }] }]
+});
+
+describe('responseStore', () => {
+    const config = { responseStore: { retentionDays: 1 } };
+
+    test('applies defaults and normalizes string input', () => {
+        expect(responseStore.getSettings({})).toEqual({ enabled: true, retentionDays: 30, hotTtlSeconds: 3600, maxMemoryEntries: 1000 });
+        expect(responseStore.getSettings({ responseStore: { enabled: false } }).enabled).toBe(false);
+        expect(responseStore.normalizeInput('Hi')).toEqual([{ type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Hi' }] }]);
+    });
+
+    test('expands previous_response_id into the stored conversation', async () => {
+        const first = await responseStore.prepareRequest(config, { model: 'gpt-4.1', input: 'My name is Ada' });
+        expect(first.context).toMatchObject({ store: true, previousResponseId: null });
+        await responseStore.recordResponse(first.context, completed('resp_a1', 'Hello Ada'));
+
+        const second = await responseStore.prepareRequest(config, { model: 'gpt-4.1', previous_response_id: 'resp_a1', input: 'What is my name?' });
+        expect(second.body.previous_response_id).toBeUndefined();
+        expect(second.body.input.map(item => item.content[0].text)).toEqual(['My name is Ada', 'Hello Ada', 'What is my name?']);
+
+        const response = completed('resp_a2', 'Ada');
+        responseStore.decorateResponse(second.context, response);
+        expect(response).toMatchObject({ previous_response_id: 'resp_a1', store: true });
+
+        // store: false responses cannot be continued
+        const unstored = await responseStore.prepareRequest(config, { input: 'x', store: false });
+        await responseStore.recordResponse(unstored.context, completed('resp_a3', 'y'));
+        expect(await responseStore.getResponse('resp_a3')).toBeNull();
+    });
+
+    test('rejects unknown or foreign previous responses unless the backend is native', async () => {
+        await responseStore.recordResponse(
+            (await responseStore.prepareRequest(config, { input: 'secret' }, { apiKeyId: 'key-1' })).context,
+            completed('resp_b1', 'ok')
+        );
+
+        expect(await responseStore.prepareRequest(config, { previous_response_id: 'resp_missing', input: 'x' }))
+            .toEqual({ error: { status: 400, message: "Previous response with id 'resp_missing' not found." } });
+        expect((await responseStore.prepareRequest(config, { previous_response_id: 'resp_b1', input: 'x' }, { apiKeyId: 'key-2' })).error)
+            .toBeDefined();
+        expect((await responseStore.prepareRequest(config, { previous_response_id: 'resp_b1', input: 'x' })).body.input).toHaveLength(3);
+
+        const native = await responseStore.prepareRequest(config, { previous_response_id: 'resp_missing', input: 'x' }, { nativeBackend: true });
+        expect(native).toEqual({ body: { previous_response_id: 'resp_missing', input: 'x' }, context: null });
+
+        await responseStore.deleteResponse('resp_b1');
+        expect(await responseStore.getResponse('resp_b1')).toBeNull();
+    });
+
+    test('lists input items newest first with cursor pagination', () => {
+        const record = {
+            id: 'resp_c1',
+            input: [
+                { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'one' }] },
+                { type: 'message', id: 'msg_2', role: 'assistant', content: [{ type: 'output_text', text: 'two' }] },
+                { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'three' }] }
+            ]
+        };
+        const page = responseStore.listInputItems(record, { limit: 2 });
+        expect(page.data.map(item => item.id)).toEqual(['item_c1_2', 'msg_2']);
+        expect(page).toMatchObject({ first_id: 'item_c1_2', last_id: 'msg_2', has_more: true });
+
+        const next = responseStore.listInputItems(record, { limit: 2, after: page.last_id });
+        expect(next.data.map(item => item.id)).toEqual(['item_c1_0']);
+        expect(next.has_more).toBe(false);
+        expect(responseStore.listInputItems(record, { order: 'asc' }).data[0].id).toBe('item_c1_0');
+    });
+});
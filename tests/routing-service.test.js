@@ -0,0 +1,82 @@
+import routingService from '../src/routing-service.js';
+
+const pools = {
+    'claudeCode-custom': [{ uuid: 'cc-1' }],
+    'gemini-antigravity': [{ uuid: 'ag-1' }],
+    'gemini-cli-oauth': [{ uuid: 'gc-1' }]
+};
+
+describe('routingService', () => {
+    test('built-in rules reproduce the Claude Code and Antigravity routing', () => {
+        const config = { providerPools: pools };
+
+        expect(routingService.resolveRoute(config, { model: 'Sonnet' }).providerType).toBe('claudeCode-custom');
+        expect(routingService.resolveRoute(config, { model: 'gemini-claude-opus-4-5-thinking' }).providerType).toBe('gemini-antigravity');
+        expect(routingService.resolveRoute(config, { model: 'gemini-2.5-pro' })).toBeNull();
+        // Rules targeting a provider type without a pool are skipped
+        expect(routingService.resolveRoute({ providerPools: {} }, { model: 'opus' })).toBeNull();
+        expect(routingService.resolveRoute({ providerPools: pools, routing: { useDefaultRules: false } }, { model: 'opus' })).toBeNull();
+    });
+
+    test('config rules run first and match on every condition', () => {
+        const config = {
+            providerPools: pools,
+            routing: {
+                rules: [{
+                    name: 'research',
+                    match: {
+                        model: 'gpt-4o*',
+                        endpointType: ['openai_chat'],
+                        apiKey: 'research-team',
+                        headers: { 'X-Team': 'research*' },
+                        minPromptTokens: 100
+                    },
+                    target: { providerType: 'gemini-antigravity', model: 'gemini-2.5-pro', fallback: ['gemini-cli-oauth'] }
+                }]
+            }
+        };
+        const context = {
+            model: 'gpt-4o-mini',
+            endpointType: 'openai_chat',
+            apiKey: { id: 'key-1', name: 'research-team' },
+            headers: { 'x-team': 'research-eu' },
+            body: { messages: [{ role: 'user', content: 'x'.repeat(1000) }] }
+        };
+
+        expect(routingService.resolveRoute(config, context)).toEqual({
+            rule: { name: 'research', source: 'config', index: 0 },
+            providerType: 'gemini-antigravity',
+            model: 'gemini-2.5-pro',
+            fallback: ['gemini-cli-oauth']
+        });
+        expect(routingService.resolveRoute(config, { ...context, apiKey: null })).toBeNull();
+        expect(routingService.resolveRoute(config, { ...context, headers: {} })).toBeNull();
+        expect(routingService.resolveRoute(config, { ...context, promptTokens: 50 })).toBeNull();
+    });
+
+    test('model-only rules rewrite the model and keep the provider', () => {
+        const config = { routing: { rules: [{ match: { modelRegex: '^gpt-3\\.5' }, target: { model: 'gpt-4o-mini' } }] } };
+        const route = routingService.resolveRoute(config, { model: 'GPT-3.5-turbo' });
+
+        expect(route.providerType).toBeNull();
+        expect(route.model).toBe('gpt-4o-mini');
+        expect(route.rule.name).toBe('rule-1');
+    });
+
+    test('simulateRoute reports why each rule did or did not apply', () => {
+        const config = {
+            providerPools: pools,
+            routing: {
+                rules: [
+                    { name: 'off', enabled: false, match: {}, target: { model: 'x' } },
+                    { name: 'master-only', match: { apiKey: 'master', maxPromptTokens: 10 }, target: { providerType: 'gemini-cli-oauth' } }
+                ]
+            }
+        };
+        const result = routingService.simulateRoute(config, { model: 'opus', promptTokens: 20 });
+
+        expect(result.matched).toBe(true);
+        expect(result.route.rule).toEqual({ name: 'claude-code-models', source: 'default', index: 0 });
+        expect(result.evaluated.map(entry => entry.reason)).toEqual(['disabled', 'maxPromptTokens did not match', null]);
+    });
+});
@@ -0,0 +1,43 @@
+import semanticCache from '../src/semantic-cache.js';
+
+describe('semanticCache', () => {
+    test('similar questions embed close together, unrelated ones do not', () => {
+        const a = semanticCache.ngramEmbedder('What is the capital of France?');
+        const b = semanticCache.ngramEmbedder('what is the capital city of France');
+        const c = semanticCache.ngramEmbedder('How do I bake sourdough bread at home?');
+
+        expect(semanticCache.cosineSimilarity(a, a)).toBeCloseTo(1, 3);
+        expect(semanticCache.cosineSimilarity(a, b)).toBeGreaterThan(0.8);
+        expect(semanticCache.cosineSimilarity(a, c)).toBeLessThan(0.5);
+        expect(semanticCache.cosineSimilarity(a, [1, 2])).toBe(0);
+    });
+
+    test('extractLastUserTurn reads OpenAI, Claude, Gemini and Responses formats', () => {
+        expect(semanticCache.extractLastUserTurn([
+            { role: 'user', content: 'first' },
+            { role: 'assistant', content: 'ok' },
+            { role: 'user', content: 'second' }
+        ])).toEqual({ text: 'second', index: 2 });
+        expect(semanticCache.extractLastUserTurn([{ role: 'user', content: [{ type: 'text', text: 'claude' }] }]).text).toBe('claude');
+        expect(semanticCache.extractLastUserTurn([{ role: 'user', parts: [{ text: 'gemini' }] }]).text).toBe('gemini');
+        expect(semanticCache.extractLastUserTurn('responses input').text).toBe('responses input');
+    });
+
+    test('turns with non-text content are not eligible', () => {
+        expect(semanticCache.extractLastUserTurn([
+            { role: 'user', content: [{ type: 'text', text: 'what is this?' }, { type: 'image_url', image_url: { url: 'data:' } }] }
+        ])).toBeNull();
+        expect(semanticCache.extractLastUserTurn([{ role: 'user', content: [{ type: 'tool_result', content: 'x' }] }])).toBeNull();
+        expect(semanticCache.extractLastUserTurn([])).toBeNull();
+    });
+
+    test('custom embedders can be registered and selected', async () => {
+        semanticCache.registerEmbedder('constant', () => [1, 0, 0]);
+        semanticCache.setEmbedder('constant');
+        expect(await semanticCache.embed('anything')).toEqual([1, 0, 0]);
+        semanticCache.setEmbedder('ngram');
+
+        expect(() => semanticCache.setEmbedder('missing')).toThrow('Unknown embedder');
+        expect(() => semanticCache.registerEmbedder('bad', null)).toThrow();
+    });
+});
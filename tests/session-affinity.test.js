@@ -0,0 +1,56 @@
+import sessionAffinity from '../src/session-affinity.js';
+
+const config = { sessionAffinity: { enabled: true } };
+
+describe('sessionAffinity', () => {
+    beforeEach(() => sessionAffinity.resetMemoryBindings());
+
+    test('no key is derived when disabled', () => {
+        expect(sessionAffinity.getAffinityKey({}, { 'x-session-id': 'abc' }, {})).toBeNull();
+    });
+
+    test('the session header takes precedence over the user field and the messages', () => {
+        const body = { user: 'alice', messages: [{ role: 'user', content: 'hi' }] };
+        const byHeader = sessionAffinity.getAffinityKey(config, { 'x-session-id': 'abc' }, body);
+
+        expect(byHeader).toBe(sessionAffinity.getAffinityKey(config, { 'x-session-id': 'abc' }, {}));
+        expect(sessionAffinity.getAffinityKey(config, {}, body)).toBe(sessionAffinity.getAffinityKey(config, {}, { user: 'alice' }));
+        expect(sessionAffinity.getAffinityKey(config, {}, body)).not.toBe(byHeader);
+        // Keys are scoped to the API key
+        expect(sessionAffinity.getAffinityKey(config, { 'x-session-id': 'abc' }, body, 'key-1')).not.toBe(byHeader);
+    });
+
+    test('later turns of a conversation hash to the same key', () => {
+        const firstTurn = {
+            messages: [
+                { role: 'system', content: 'You are terse.' },
+                { role: 'user', content: 'Plan the refactor' }
+            ]
+        };
+        const laterTurn = {
+            messages: [
+                ...firstTurn.messages,
+                { role: 'assistant', content: 'Step 1...' },
+                { role: 'user', content: 'Go on' }
+            ]
+        };
+
+        const key = sessionAffinity.getAffinityKey(config, {}, firstTurn);
+        expect(key).toMatch(/^[0-9a-f]{32}$/);
+        expect(sessionAffinity.getAffinityKey(config, {}, laterTurn)).toBe(key);
+        expect(sessionAffinity.getAffinityKey(config, {}, { contents: [{ role: 'user', parts: [{ text: 'Other' }] }] })).not.toBe(key);
+        expect(sessionAffinity.getAffinityKey({ sessionAffinity: { enabled: true, hashMessages: false } }, {}, laterTurn)).toBeNull();
+    });
+
+    test('bindings are stored in memory without Redis and expire', async () => {
+        expect(await sessionAffinity.getBoundUuid('conversation-1')).toBeNull();
+
+        await sessionAffinity.bind(config, 'conversation-1', 'uuid-1');
+        expect(await sessionAffinity.getBoundUuid('conversation-1')).toBe('uuid-1');
+
+        const now = Date.now();
+        const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 3601 * 1000);
+        expect(await sessionAffinity.getBoundUuid('conversation-1')).toBeNull();
+        spy.mockRestore();
+    });
+});
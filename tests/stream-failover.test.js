@@ -0,0 +1,92 @@
+import streamFailover from '../src/stream-failover.js';
+
+const config = { streamFailover: { enabled: true } };
+
+describe('streamFailover', () => {
+    test('only enabled for clients whose streams can be stitched together', () => {
+        expect(streamFailover.isEnabled({}, 'openai-custom')).toBe(false);
+        expect(streamFailover.isEnabled(config, 'openai-custom')).toBe(true);
+        expect(streamFailover.isEnabled(config, 'claude-custom')).toBe(true);
+        expect(streamFailover.isEnabled(config, 'openaiResponses-custom')).toBe(false);
+    });
+
+    test('records delivered text and refuses to resume after a tool call', () => {
+        const state = streamFailover.createResumeState(config.streamFailover, 'openai-custom');
+        streamFailover.filterFrame(state, { choices: [{ delta: { role: 'assistant', content: 'Hello' } }] });
+        streamFailover.filterFrame(state, { choices: [{ delta: { content: ' world' } }] });
+
+        expect(state.deliveredText).toBe('Hello world');
+        expect(state.framesSent).toBe(2);
+        expect(streamFailover.canResume(state, { status: 503 })).toBe(true);
+        expect(streamFailover.canResume(state, new Error('socket hang up'))).toBe(true);
+        expect(streamFailover.canResume(state, { status: 400 })).toBe(false);
+
+        streamFailover.filterFrame(state, { choices: [{ delta: { tool_calls: [{ index: 0 }] } }] });
+        expect(streamFailover.canResume(state)).toBe(false);
+    });
+
+    test('auto mode prefills Claude requests and trims trailing whitespace', () => {
+        const state = streamFailover.createResumeState(config.streamFailover, 'claude-custom');
+        state.deliveredText = 'The answer is ';
+        const body = { messages: [{ role: 'user', content: 'Question' }] };
+
+        const resumed = streamFailover.buildResumeRequest(state, body, 'claude-custom');
+        expect(resumed.messages).toEqual([
+            { role: 'user', content: 'Question' },
+            { role: 'assistant', content: 'The answer is' }
+        ]);
+        expect(body.messages).toHaveLength(1);
+        expect(state.switches).toBe(1);
+    });
+
+    test('auto mode adds a continuation prompt for Gemini and OpenAI requests', () => {
+        const state = streamFailover.createResumeState({ continuationPrompt: 'Go on.' }, 'openai-custom');
+        state.deliveredText = 'Partial';
+
+        const gemini = streamFailover.buildResumeRequest(state, { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] }, 'gemini-cli-oauth');
+        expect(gemini.contents.slice(1)).toEqual([
+            { role: 'model', parts: [{ text: 'Partial' }] },
+            { role: 'user', parts: [{ text: 'Go on.' }] }
+        ]);
+
+        const openai = streamFailover.buildResumeRequest(state, { messages: [{ role: 'user', content: 'Hi' }] }, 'openai-custom');
+        expect(openai.messages.slice(1)).toEqual([
+            { role: 'assistant', content: 'Partial' },
+            { role: 'user', content: 'Go on.' }
+        ]);
+        expect(state.switches).toBe(2);
+        expect(streamFailover.canResume(state)).toBe(false);
+    });
+
+    test('a resumed Claude stream continues the open text block as one message', () => {
+        const state = streamFailover.createResumeState(config.streamFailover, 'claude-custom');
+        const first = [
+            { type: 'message_start', message: { id: 'msg_1' } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'One, ' } }
+        ];
+        first.forEach(frame => expect(streamFailover.filterFrame(state, frame)).toBe(frame));
+
+        streamFailover.buildResumeRequest(state, { messages: [{ role: 'user', content: 'Count' }] }, 'claude-custom');
+        const second = [
+            { type: 'message_start', message: { id: 'msg_2' } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'two' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_stop' }
+        ].map(frame => streamFailover.filterFrame(state, frame));
+
+        expect(second).toEqual([
+            null,
+            null,
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'two' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_stop' }
+        ]);
+        expect(state.deliveredText).toBe('One, two');
+    });
+});